@@ -0,0 +1,153 @@
+/**
+ * Heuristics Checks
+ * Runs the rule-based text handling offline against short inputs that went wrong before:
+ * skill matching in the taxonomy, job posting parsing, ATS term extraction and the application
+ * tracker's CSV export and import
+ *
+ * Usage: node fixtures/check-heuristics.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+// The browser globals the scripts use
+global.window = global;
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+// Same order as index.html; the scripts share one global scope like in the page
+[
+    'js/skill-taxonomy.js',
+    'js/ats-scorer.js',
+    'js/job-description-parser.js',
+    'js/linkedin-importer.js',
+    'js/application-tracker.js'
+].forEach(file => vm.runInThisContext(read(file), { filename: file }));
+
+function assertEqual(actual, expected, label) {
+    const [a, b] = [JSON.stringify(actual), JSON.stringify(expected)];
+    if (a !== b) {
+        throw new Error(`${label}: expected ${b}, got ${a}`);
+    }
+}
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+const skillsIn = text => [...window.skillTaxonomy.findInText(text)].sort();
+
+[
+    ['Go, Python, Kubernetes', ['Go', 'Kubernetes', 'Python']],
+    ['Go microservices on AWS', ['AWS', 'Go', 'Microservices']],
+    ['- Go and Kubernetes', ['Go', 'Kubernetes']],
+    ['Strong Go experience', ['Go']],
+    ['Rust', ['Rust']],
+    ['Swift, Objective-C', ['Objective-C', 'Swift']],
+    ['Wrote Helm charts for Kubernetes', ['Helm', 'Kubernetes']]
+].forEach(([text, expected]) => check(`context words count as skills in "${text}"`, () => {
+    assertEqual(skillsIn(text), expected, text);
+}));
+
+[
+    'Go beyond expectations',
+    'We ship fast. Go further with us',
+    'Express your ideas clearly',
+    'Graduated Spring 2020',
+    'Security clearance required'
+].forEach(text => check(`context words stay English in "${text}"`, () => {
+    assertEqual(skillsIn(text), [], text);
+}));
+
+check('dotted names do not match JavaScript', () => {
+    assertEqual(skillsIn('Built Node.js services'), ['Node.js'], 'Node.js');
+    assertEqual(skillsIn('React.js and Vue.js'), ['React', 'Vue.js'], 'React.js and Vue.js');
+    assertEqual(skillsIn('Written in JS'), ['JavaScript'], 'JS');
+});
+
+check('short unbulleted requirement lines are not headings', () => {
+    const posting = window.jobDescriptionParser.parse([
+        'Requirements:',
+        'Python and Django required',
+        'Bachelor\'s degree preferred',
+        'Experience with Kafka',
+        'We offer great perks'
+    ].join('\n'));
+
+    assertEqual(posting.title, '', 'title');
+    assertEqual(posting.requiredQualifications, ['Python and Django required', 'Experience with Kafka', 'We offer great perks'], 'required');
+    assertEqual(posting.niceToHaves, ['Bachelor\'s degree preferred'], 'nice to have');
+    assertEqual(posting.skills.required.sort(), ['Django', 'Kafka', 'Python'], 'required skills');
+});
+
+check('unmarked headings in Title Case, ALL CAPS or a bare section name still count', () => {
+    const posting = window.jobDescriptionParser.parse([
+        'Data Engineer',
+        'Nice to have',
+        '- Airflow',
+        'WHAT YOU\'LL DO',
+        '- Build pipelines',
+        'Why You\'ll Love It',
+        '- PTO'
+    ].join('\n'));
+
+    assertEqual(posting.title, 'Data Engineer', 'title');
+    assertEqual(posting.niceToHaves, ['Airflow'], 'nice to have');
+    assertEqual(posting.responsibilities, ['Build pipelines'], 'responsibilities');
+    assertEqual(posting.benefits, ['PTO'], 'benefits');
+});
+
+check('fragments of a known name are not separate terms', () => {
+    const terms = window.atsScorer.extractTerms('Requirements:\n- CI/CD pipelines with GitLab CI\n- UI/UX sense and AWS Lambda');
+    assertEqual(terms.required.sort(), ['AWS', 'AWS Lambda', 'CI/CD', 'GitLab', 'GitLab CI', 'UX Design'], 'required terms');
+});
+
+check('the location stays on one line', () => {
+    const posting = window.jobDescriptionParser.parse('Senior Backend Engineer at Acme\nAustin, TX');
+    assertEqual([posting.company, posting.location], ['Acme', 'Austin, TX'], 'company and location');
+});
+
+check('CSV export keeps formulas as text and import restores them', () => {
+    const tracker = window.applicationTracker;
+    tracker.applications = [];
+    const cells = ['=HYPERLINK("http://example.com")', '+1 555 0100', '-', '@acme', '\'=quoted', 'Line one\rLine two'];
+    const saved = cells.map((notes, index) => tracker.put({ company: `Company ${index}`, role: 'Engineer', status: 'applied', notes }));
+
+    const csv = tracker.toCSV();
+    assertEqual(csv.includes(',"\'=HYPERLINK(""http://example.com"")",'), true, 'formula prefixed');
+    assertEqual(csv.includes('"Line one\rLine two"'), true, 'carriage return quoted');
+
+    tracker.importCSV(csv);
+    assertEqual(saved.map(application => tracker.get(application.id).notes),
+        ['=HYPERLINK("http://example.com")', '+1 555 0100', '-', '@acme', '\'=quoted', 'Line one\nLine two'], 'imported notes');
+});
+
+check('CSV import reports Status values that are not a status', () => {
+    const tracker = window.applicationTracker;
+    tracker.applications = [];
+    const result = tracker.importCSV('Company,Status\nAcme,Phone screen\nGlobex,interview\nInitech,');
+
+    assertEqual(result, { added: 3, updated: 0, unknownStatuses: ['Phone screen'] }, 'import result');
+    assertEqual(tracker.applications.map(application => application.status), ['saved', 'interview', 'saved'], 'statuses');
+});
+
+let failed = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+    }
+});
+
+console.log(`\n${checks.length - failed} of ${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,284 @@
+/**
+ * Fixture Replay
+ * Runs the AI code paths offline against the recorded responses in llm-fixtures.json:
+ * the agentic customization, the single-prompt handler and its response parsing, AI resume
+ * parsing, and the fallbacks each of them takes when the provider fails or answers with
+ * something unusable
+ *
+ * Usage: node fixtures/replay-fixtures.js
+ * Recorded responses are matched by prompt hash, so a changed prompt shows up here as an
+ * unmatched call; record new fixtures in the app and save them over llm-fixtures.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+// The browser globals the scripts use
+global.window = global;
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+// app.js starts itself once the page has loaded; only its methods are used here
+global.document = { addEventListener() {} };
+
+// Same order as index.html; the scripts share one global scope like in the page
+[
+    'js/llm-providers.js',
+    'js/mock-llm-provider.js',
+    'js/skill-taxonomy.js',
+    'js/resume-schema.js',
+    'js/resume-timeline.js',
+    'js/ats-scorer.js',
+    'js/job-description-parser.js',
+    'js/agentic-ai-handler.js',
+    'js/app.js',
+    'js/resume-parser.js',
+    'js/ai-handler.js'
+].forEach(file => vm.runInThisContext(read(file), { filename: file }));
+
+const ResumeCustomizerApp = vm.runInThisContext('ResumeCustomizerApp');
+const fixtures = JSON.parse(read('fixtures/llm-fixtures.json'));
+const jobDescription = read('fixtures/sample-job.txt');
+const resumeText = read('fixtures/sample-resume.txt');
+const resume = window.resumeParser.validateAndCleanResumeData(JSON.parse(read('sample-resume.json')));
+const resumeJSON = JSON.stringify(resume, null, 2);
+
+const mock = window.mockLLMProvider;
+window.llmClient.config = { provider: 'mock', model: '', baseUrl: '' };
+// Count ongoing roles up to the recording date, as the prompts were built then
+window.resumeTimeline.promptNow = new Date(fixtures.now);
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const noProgress = () => {};
+
+/**
+ * Load the recorded responses, plus scripted ones for prompts without a recording
+ * @param {Array} script - Fixture script entries
+ */
+const replay = (script = []) => mock.loadFixtures({ ...fixtures, script });
+
+/**
+ * Load only scripted responses, consumed in call order
+ * @param {Array} script - Fixture script entries
+ */
+const scripted = script => mock.loadFixtures({ script });
+
+/**
+ * An app instance with a resume loaded, without the page around it
+ * @returns {ResumeCustomizerApp} App
+ */
+const createApp = () => Object.assign(Object.create(ResumeCustomizerApp.prototype), {
+    currentResume: clone(resume),
+    originalResume: clone(resume),
+    apiKey: ''
+});
+
+const customizeWithAgents = () => window.agenticAIHandler.customizeResumeWithAgents(
+    clone(resume), jobDescription, 'software-engineering', '', noProgress
+);
+const customizeWithPrompt = () => window.aiHandler.customizeResume(
+    clone(resume), jobDescription, 'software-engineering', '', noProgress
+);
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertAllMatched(count) {
+    const matched = mock.calls.filter(call => call.matched).length;
+    assert(mock.calls.length === count && matched === count,
+        `expected ${count} recorded responses, ${matched} of ${mock.calls.length} calls matched`);
+}
+
+async function assertRejects(promise, pattern) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(pattern.test(error.message), `unexpected error: ${error.message}`);
+        return;
+    }
+    throw new Error('expected a rejection');
+}
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+check('agentic customization replays all four phases', async () => {
+    replay();
+    const customized = await customizeWithAgents();
+
+    assertAllMatched(4);
+    assert(window.resumeSchema.validate(customized).valid, 'customized resume fails the schema');
+    assert(customized.summary !== resume.summary, 'summary was not customized');
+    assert(window.agenticAIHandler.lastTimings.length === 4, 'phase timings missing');
+});
+
+check('single-prompt customization replays a reply with a fenced JSON block', async () => {
+    replay();
+    const customized = await customizeWithPrompt();
+
+    assertAllMatched(1);
+    assert(window.resumeSchema.validate(customized).valid, 'customized resume fails the schema');
+    assert(customized.summary !== resume.summary, 'summary was not customized');
+});
+
+[
+    ['plain JSON', resumeJSON],
+    ['JSON in a code block', `Here is the tailored resume:\n\`\`\`json\n${resumeJSON}\n\`\`\`\nGood luck!`],
+    ['JSON between prose', `Sure! ${resumeJSON} Let me know if you want changes.`]
+].forEach(([label, text]) => check(`parseAIResponse reads ${label}`, async () => {
+    scripted([{ text }]);
+    const customized = await customizeWithPrompt();
+
+    assert(customized.personalInfo.name === resume.personalInfo.name, 'resume not parsed');
+}));
+
+[
+    ['a reply without JSON', { text: 'I am unable to help with that request.' }, /Could not extract valid JSON/],
+    ['JSON that is not a resume', { text: '{"summary": "No personal info"}' }, /Invalid resume structure/],
+    ['a response without candidates', { candidates: [] }, /AI customization failed/],
+    ['a provider error', { error: 'API request failed: 429 Too Many Requests' }, /429/]
+].forEach(([label, entry, pattern]) => check(`single-prompt customization rejects ${label}`, async () => {
+    scripted([entry]);
+    await assertRejects(customizeWithPrompt(), pattern);
+}));
+
+/**
+ * The sample resume as an AI might return it: nulls, text where lists belong, a number for
+ * text, a stray string among the roles, plus a field of the user's outside the schema
+ */
+function messyResume() {
+    const messy = clone(resume);
+    messy.personalInfo.website = null;
+    messy.personalInfo.pronouns = 'they/them';
+    messy.experience[0].achievements = messy.experience[0].achievements.join('\n');
+    messy.experience.push('See LinkedIn for older roles');
+    messy.skills.technical = messy.skills.technical.join(', ');
+    messy.education[0].graduationDate = 2019;
+    return messy;
+}
+
+function assertRepaired(customized) {
+    assert(window.resumeSchema.validate(customized).valid, 'repaired resume fails the schema');
+    assert(!('website' in customized.personalInfo), 'null field kept');
+    assert(customized.personalInfo.pronouns === 'they/them', 'field outside the schema dropped');
+    assert(Array.isArray(customized.experience[0].achievements), 'achievements not split into a list');
+    assert(customized.experience.length === resume.experience.length, 'stray experience entry kept');
+    assert(customized.skills.technical.join() === resume.skills.technical.join(), 'skills respelled or reordered');
+    assert(customized.education[0].graduationDate === '2019', 'number not turned into text');
+}
+
+check('agent output the schema rejects is repaired instead of rejected', async () => {
+    scripted([{ text: '{}' }, { text: '{}' }, { text: resumeJSON }, { text: JSON.stringify(messyResume()) }]);
+    assertRepaired(await customizeWithAgents());
+});
+
+check('single-prompt output the schema rejects is repaired the same way', async () => {
+    scripted([{ text: JSON.stringify(messyResume()) }]);
+    assertRepaired(await customizeWithPrompt());
+});
+
+check('agentic customization rejects a final resume without personal info', async () => {
+    scripted([{ text: '{}' }, { text: '{}' }, { text: resumeJSON }, { text: '{"summary": "Only a summary"}' }]);
+    await assertRejects(customizeWithAgents(), /personalInfo is required/);
+});
+
+check('the app falls back to the original resume when the agents fail', async () => {
+    scripted([{ error: 'API request failed: 503 Service Unavailable' }]);
+    const app = createApp();
+    const result = await app.runAICustomization(jobDescription, 'software-engineering', noProgress);
+
+    assert(result.error && /503/.test(result.error.message), 'error not reported');
+    assert(JSON.stringify(result.resume) === JSON.stringify(app.originalResume), 'not the original resume');
+    assert(result.resume !== app.originalResume, 'fallback shares the original object');
+});
+
+check('the app uses the single-prompt handler without the agents', async () => {
+    const agents = window.agenticAIHandler;
+    window.agenticAIHandler = null;
+    try {
+        replay();
+        const result = await createApp().runAICustomization(jobDescription, 'software-engineering', noProgress);
+
+        assertAllMatched(1);
+        assert(!result.error, `unexpected error: ${result.error && result.error.message}`);
+        assert(result.resume.summary !== resume.summary, 'summary was not customized');
+    } finally {
+        window.agenticAIHandler = agents;
+    }
+});
+
+check('AI resume parsing replays the recorded parse', async () => {
+    replay();
+    const parsed = await window.resumeParser.parseTextToJSON(resumeText);
+
+    assertAllMatched(1);
+    assert(parsed.personalInfo.name === 'Jane Doe', 'name not parsed');
+    assert(parsed.experience.length === 2, 'experience not parsed');
+});
+
+check('AI resume parsing falls back to the rule-based parser', async () => {
+    scripted([{ error: 'API request failed: 500 Internal Server Error' }]);
+    const parsed = await window.resumeParser.parseTextToJSON(resumeText);
+
+    assert(parsed.personalInfo.name === 'Jane Doe', 'name not parsed');
+    assert(parsed.personalInfo.email === 'jane.doe@email.com', 'email not parsed');
+});
+
+check('prompt timelines count ongoing roles up to today unless pinned', () => {
+    const timeline = window.resumeTimeline;
+    const pinned = timeline.promptNow;
+    const single = { experience: [{ title: 'Developer', startDate: 'January 2019', endDate: 'Present' }] };
+    try {
+        timeline.promptNow = null;
+        const today = timeline.build(single).totalYears;
+        assert(timeline.toPromptText(single).includes(`Total professional experience: ${today} years`),
+            'ongoing role not counted up to today');
+        timeline.promptNow = new Date(2020, 0, 15);
+        assert(timeline.toPromptText(single).includes('Total professional experience: 1.1 years'),
+            'pinned date ignored');
+    } finally {
+        timeline.promptNow = pinned;
+    }
+});
+
+check('an unknown saved provider falls back to the default', () => {
+    const config = window.llmClient.config;
+    try {
+        window.llmClient.config = { provider: 'retired-provider', model: 'old-model', baseUrl: '' };
+        assert(window.llmClient.useKnownProvider(), 'provider not replaced');
+        assert(window.llmClient.config.provider === window.llmClient.defaultProvider, 'not the default provider');
+        assert(!window.llmClient.useKnownProvider(), 'a registered provider was replaced');
+    } finally {
+        window.llmClient.config = config;
+    }
+});
+
+(async () => {
+    // The modules log every step; keep the output to the results
+    const log = console.log;
+    console.log = console.info = console.warn = console.error = () => {};
+
+    let failed = 0;
+    for (const { name, run } of checks) {
+        try {
+            await run();
+            log(`✓ ${name}`);
+        } catch (error) {
+            failed++;
+            log(`✗ ${name}: ${error.message}`);
+        }
+    }
+
+    log(`\n${checks.length - failed} of ${checks.length} checks passed`);
+    process.exitCode = failed ? 1 : 0;
+})();
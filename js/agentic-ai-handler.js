@@ -5,79 +5,91 @@
 
 class AgenticAIHandler {
     constructor() {
-        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-        this.maxRetries = 3;
-        this.retryDelay = 1000;
         this.agents = {
             analyzer: new JobAnalyzerAgent(),
             optimizer: new ResumeOptimizerAgent(),
             validator: new QualityValidatorAgent()
         };
+        // Measured duration of each phase of the last run: [{ label, ms }]
+        this.lastTimings = [];
+        // Kept for the skill gap report
+        this.lastJobAnalysis = null;
+        this.lastJobPosting = null;
     }
 
     /**
      * Multi-step agentic resume customization
      * @param {Object} resume - Resume JSON data
-     * @param {string} jobDescription - Job description
+     * @param {Object|string} jobDescription - Structured job posting from JobDescriptionParser, or raw text
      * @param {string} industryType - Industry type
      * @param {string} apiKey - API key
      * @param {Function} progressCallback - Progress callback
      * @returns {Promise<Object>} Optimized resume
      */
     async customizeResumeWithAgents(resume, jobDescription, industryType, apiKey, progressCallback) {
+        this.lastTimings = [];
+        this.lastJobAnalysis = null;
+        const jobPosting = typeof jobDescription === 'string' ?
+            window.jobDescriptionParser.parse(jobDescription) :
+            jobDescription;
+        this.lastJobPosting = jobPosting;
+        
         try {
             console.log('Starting agentic resume customization...');
             
             // Phase 1: Analyze job requirements (20%)
             progressCallback(5, 'Analyzing job requirements...');
-            const jobAnalysis = await this.agents.analyzer.analyzeJob(
-                jobDescription, 
+            const jobAnalysis = await this.timePhase('Job analysis', () => this.agents.analyzer.analyzeJob(
+                jobPosting, 
                 industryType, 
                 apiKey, 
                 this.callGeminiAPI.bind(this),
                 (progress, message) => progressCallback(5 + progress * 0.15, message)
-            );
+            ));
+            this.lastJobAnalysis = jobAnalysis;
             
             // Phase 2: Generate optimization strategy (40%)
             progressCallback(20, 'Creating optimization strategy...');
-            const optimizationStrategy = await this.agents.optimizer.createStrategy(
+            const optimizationStrategy = await this.timePhase('Optimization strategy', () => this.agents.optimizer.createStrategy(
                 resume,
                 jobAnalysis,
                 apiKey,
                 this.callGeminiAPI.bind(this),
                 (progress, message) => progressCallback(20 + progress * 0.20, message)
-            );
+            ));
             
             // Phase 3: Apply optimizations (70%)
             progressCallback(40, 'Applying resume optimizations...');
-            const optimizedResume = await this.agents.optimizer.applyOptimizations(
+            const optimizedResume = await this.timePhase('Applying optimizations', () => this.agents.optimizer.applyOptimizations(
                 resume,
                 optimizationStrategy,
                 apiKey,
                 this.callGeminiAPI.bind(this),
                 (progress, message) => progressCallback(40 + progress * 0.30, message)
-            );
+            ));
             
             // Phase 4: Validate and refine (90%)
             progressCallback(70, 'Validating and refining results...');
-            const finalResume = await this.agents.validator.validateAndRefine(
+            const finalResume = await this.timePhase('Validation', () => this.agents.validator.validateAndRefine(
                 optimizedResume,
                 jobAnalysis,
                 optimizationStrategy,
                 apiKey,
                 this.callGeminiAPI.bind(this),
                 (progress, message) => progressCallback(70 + progress * 0.20, message)
-            );
+            ));
             
             progressCallback(90, 'Finalizing customized resume...');
             
-            // Final validation
-            if (!this.validateResumeStructure(finalResume)) {
-                throw new Error('Final resume validation failed');
+            // Final validation against the resume schema; older shapes the AI copied are migrated
+            // and the values it got wrong are repaired, keeping fields outside the schema
+            const { resume: checkedResume, valid, errors } = window.resumeSchema.repair(window.resumeSchema.migrate(finalResume));
+            if (!valid) {
+                throw new Error(`Final resume validation failed: ${window.resumeSchema.describeErrors(errors)}`);
             }
             
             progressCallback(100, 'Resume customization complete!');
-            return finalResume;
+            return checkedResume;
             
         } catch (error) {
             console.error('Agentic customization failed:', error);
@@ -86,99 +98,30 @@ class AgenticAIHandler {
     }
 
     /**
-     * Call Gemini API (shared method)
+     * Run one phase and record how long it took in lastTimings
+     * @param {string} label - Phase name shown in the ATS Match tab
+     * @param {Function} task - Async function running the phase
+     * @returns {Promise<*>} The phase result
      */
-    async callGeminiAPI(apiKey, systemPrompt, userPrompt) {
-        const requestData = {
-            contents: [
-                {
-                    parts: [
-                        {
-                            text: systemPrompt + (userPrompt ? '\n\n' + userPrompt : '')
-                        }
-                    ]
-                }
-            ],
-            generationConfig: {
-                temperature: 0.3,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 8192,
-                stopSequences: []
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
-        };
-
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                const response = await fetch(`${this.baseUrl}?key=${apiKey}`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(requestData)
-                });
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-                }
-
-                const data = await response.json();
-                
-                if (data.error) {
-                    throw new Error(`API error: ${data.error.message}`);
-                }
-
-                return data;
-
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt < this.maxRetries) {
-                    console.warn(`API call attempt ${attempt} failed, retrying in ${this.retryDelay}ms:`, error);
-                    await this.delay(this.retryDelay * attempt);
-                }
-            }
+    async timePhase(label, task) {
+        const startTime = performance.now();
+        try {
+            return await task();
+        } finally {
+            this.lastTimings.push({ label, ms: performance.now() - startTime });
         }
-
-        throw new Error(`API call failed after ${this.maxRetries} attempts. Last error: ${lastError.message}`);
     }
 
     /**
-     * Validate resume structure
+     * Call the configured LLM provider
+     * Kept under its original name so every caller routes through the provider layer
+     * @param {string} apiKey - API key for the active provider (falls back to the saved key)
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @returns {Promise<Object>} API response in Gemini's candidates shape
      */
-    validateResumeStructure(resume) {
-        return resume && 
-               typeof resume === 'object' && 
-               resume.personalInfo && 
-               typeof resume.personalInfo === 'object';
-    }
-
-    /**
-     * Utility delay function
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async callGeminiAPI(apiKey, systemPrompt, userPrompt) {
+        return window.llmClient.generate(systemPrompt, userPrompt, { apiKey });
     }
 
     /**
@@ -221,14 +164,14 @@ class AgenticAIHandler {
  * Specializes in analyzing job descriptions and extracting requirements
  */
 class JobAnalyzerAgent {
-    async analyzeJob(jobDescription, industryType, apiKey, callAPI, progressCallback) {
+    async analyzeJob(jobPosting, industryType, apiKey, callAPI, progressCallback) {
         try {
             progressCallback(25, 'Extracting key requirements...');
             
-            const prompt = `You are a job analysis expert. Analyze the following job description and extract key information in JSON format.
+            const prompt = `You are a job analysis expert. Analyze the following job posting, already split into sections, and extract key information in JSON format. Treat "requiredQualifications" as must-haves and "niceToHaves" as optional.
 
-JOB DESCRIPTION:
-${jobDescription}
+JOB POSTING:
+${JSON.stringify(jobPosting, null, 2)}
 
 INDUSTRY TYPE: ${industryType}
 
@@ -294,6 +237,7 @@ class ResumeOptimizerAgent {
         try {
             progressCallback(20, 'Creating optimization strategy...');
             
+            const timeline = window.resumeTimeline.toPromptText(resume);
             const prompt = `You are a resume optimization strategist. Based on the job analysis and current resume, create an optimization strategy.
 
 JOB ANALYSIS:
@@ -301,6 +245,11 @@ ${JSON.stringify(jobAnalysis, null, 2)}
 
 CURRENT RESUME:
 ${JSON.stringify(resume, null, 2)}
+${timeline ? `
+CANDIDATE TIMELINE (computed from the resume's dates):
+${timeline}
+` : ''}
+Base any claim about years of experience on the candidate timeline, not on the job's requirement.
 
 Return ONLY valid JSON with this structure:
 {
@@ -342,6 +291,7 @@ JSON OUTPUT:`;
         try {
             progressCallback(10, 'Applying keyword optimizations...');
             
+            const timeline = window.resumeTimeline.toPromptText(resume);
             const prompt = `You are a resume optimization specialist. Apply the given strategy to optimize the resume.
 
 OPTIMIZATION STRATEGY:
@@ -349,13 +299,16 @@ ${JSON.stringify(strategy, null, 2)}
 
 CURRENT RESUME:
 ${JSON.stringify(resume, null, 2)}
-
+${timeline ? `
+CANDIDATE TIMELINE (computed from the resume's dates):
+${timeline}
+` : ''}
 Apply the optimization strategy and return the improved resume in the EXACT same JSON structure. Focus on:
 1. Integrating keywords naturally
 2. Enhancing job descriptions with action verbs
-3. Quantifying achievements where possible
+3. Keeping every number, employer, title, date, degree and certification exactly as in the current resume
 4. Improving overall ATS compatibility
-5. Maintaining factual accuracy
+5. Maintaining factual accuracy; if the summary states years of experience, use the candidate timeline's total
 
 Return ONLY the optimized resume JSON with the exact same structure:
 
@@ -403,6 +356,7 @@ class QualityValidatorAgent {
         try {
             progressCallback(25, 'Validating resume quality...');
             
+            const timeline = window.resumeTimeline.toPromptText(resume);
             const prompt = `You are a resume quality validator. Review the optimized resume and make final refinements.
 
 JOB ANALYSIS:
@@ -413,13 +367,17 @@ ${JSON.stringify(strategy, null, 2)}
 
 OPTIMIZED RESUME:
 ${JSON.stringify(resume, null, 2)}
-
+${timeline ? `
+CANDIDATE TIMELINE (computed from the resume's dates):
+${timeline}
+` : ''}
 Perform final quality checks and refinements:
 1. Ensure all keywords are naturally integrated
 2. Verify descriptions are compelling and specific
 3. Check for consistency in formatting and language
 4. Ensure ATS compatibility
-5. Validate that achievements are quantified
+5. Remove any metric, employer, title, date, degree or certification that is not supported by the resume content
+6. Correct any stated years of experience that disagrees with the candidate timeline
 
 Return the final refined resume in the EXACT same JSON structure:
 
@@ -1,27 +1,21 @@
 /**
  * AI Handler Module
- * Handles communication with Gemini API for resume customization
+ * Handles communication with the configured LLM provider for resume customization
  */
 
 class AIHandler {
-    constructor() {
-        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-        this.maxRetries = 3;
-        this.retryDelay = 1000;
-    }
-
     /**
-     * Customize resume using Gemini API
+     * Customize resume using the configured LLM provider
      * @param {Object} resume - Original resume data
      * @param {string} jobDescription - Job description and requirements
      * @param {string} industryType - Industry/role type
-     * @param {string} apiKey - Gemini API key
+     * @param {string} apiKey - API key for the active provider
      * @param {Function} progressCallback - Progress callback function
      * @returns {Promise<Object>} Customized resume data
      */
     async customizeResume(resume, jobDescription, industryType, apiKey, progressCallback) {
         try {
-            if (!apiKey) {
+            if (!apiKey && !window.llmClient.isConfigured()) {
                 throw new Error('API key is required');
             }
 
@@ -37,7 +31,7 @@ class AIHandler {
             // Prepare the user prompt
             const userPrompt = this.buildUserPrompt(resume, jobDescription);
 
-            progressCallback(50, 'Sending request to Gemini API...');
+            progressCallback(50, 'Sending request to AI provider...');
 
             // Make the API call
             const response = await this.callGeminiAPI(apiKey, systemPrompt, userPrompt);
@@ -134,13 +128,14 @@ ${industrySpecific}
 KEY OPTIMIZATION PRINCIPLES:
 1. KEYWORD INTEGRATION: Naturally integrate relevant keywords from the job description throughout the resume
 2. SECTION PRIORITIZATION: Reorder sections based on job requirements and industry standards
-3. ACHIEVEMENT ENHANCEMENT: Add metrics and quantifiable results where logical and factual
+3. ACHIEVEMENT ENHANCEMENT: Emphasize metrics and quantifiable results already present in the resume
 4. SKILL ALIGNMENT: Highlight relevant skills and suggest missing ones that would be valuable
 5. DESCRIPTION OPTIMIZATION: Rewrite job descriptions using action verbs and industry terminology
 6. ATS OPTIMIZATION: Ensure proper formatting and keyword density for applicant tracking systems
 
 CRITICAL RULES:
 - NEVER fabricate experience, skills, or achievements
+- NEVER introduce numbers, employers, job titles, dates, degrees or certifications that are not in the resume
 - Maintain factual accuracy and truthfulness
 - Ensure natural language flow and readability
 - Optimize for both human readers and ATS systems
@@ -160,6 +155,7 @@ Your response must be a valid JSON object that maintains the exact structure of
      * @returns {string} User prompt
      */
     buildUserPrompt(resume, jobDescription) {
+        const timeline = window.resumeTimeline.toPromptText(resume);
         return `TASK: Customize the resume below for the job description provided.
 
 JOB DESCRIPTION:
@@ -167,12 +163,15 @@ ${jobDescription}
 
 RESUME TO CUSTOMIZE:
 ${JSON.stringify(resume, null, 2)}
-
+${timeline ? `
+CANDIDATE TIMELINE (computed from the resume's dates):
+${timeline}
+` : ''}
 CUSTOMIZATION REQUIREMENTS:
 1. Integrate relevant keywords from the job description naturally into existing content
 2. Enhance job descriptions with action verbs and industry-specific terminology
 3. Optimize content for ATS scanning while maintaining readability
-4. Ensure all skills and experiences remain truthful and factual
+4. Ensure all skills and experiences remain truthful and factual, including years of experience (see the candidate timeline)
 5. Maintain the exact JSON structure and field names
 
 RESPONSE FORMAT: Return ONLY a valid JSON object with the exact same structure as the input resume. Do not include any explanatory text, code blocks, or formatting. Your response must start with { and end with }.
@@ -181,91 +180,20 @@ BEGIN CUSTOMIZED RESUME JSON:`;
     }
 
     /**
-     * Call the Gemini API
-     * @param {string} apiKey - Gemini API key
+     * Call the configured LLM provider
+     * Kept under its original name so every caller routes through the provider layer
+     * @param {string} apiKey - API key for the active provider (falls back to the saved key)
      * @param {string} systemPrompt - System prompt
      * @param {string} userPrompt - User prompt
-     * @returns {Promise<Object>} API response
+     * @returns {Promise<Object>} API response in Gemini's candidates shape
      */
     async callGeminiAPI(apiKey, systemPrompt, userPrompt) {
-        const requestData = {
-            contents: [
-                {
-                    parts: [
-                        {
-                            text: systemPrompt + '\n\n' + userPrompt
-                        }
-                    ]
-                }
-            ],
-            generationConfig: {
-                temperature: 0.3,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 8192,
-                stopSequences: []
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
-        };
-
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                const response = await fetch(`${this.baseUrl}?key=${apiKey}`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(requestData)
-                });
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-                }
-
-                const data = await response.json();
-                
-                if (data.error) {
-                    throw new Error(`API error: ${data.error.message}`);
-                }
-
-                return data;
-
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt < this.maxRetries) {
-                    console.warn(`API call attempt ${attempt} failed, retrying in ${this.retryDelay}ms:`, error);
-                    await this.delay(this.retryDelay * attempt); // Exponential backoff
-                }
-            }
-        }
-
-        throw new Error(`API call failed after ${this.maxRetries} attempts. Last error: ${lastError.message}`);
+        return window.llmClient.generate(systemPrompt, userPrompt, { apiKey });
     }
 
     /**
      * Parse the AI response and extract the customized resume
-     * @param {Object} response - API response from Gemini
+     * @param {Object} response - API response in Gemini's candidates shape
      * @returns {Object} Customized resume data
      */
     parseAIResponse(response) {
@@ -323,7 +251,7 @@ BEGIN CUSTOMIZED RESUME JSON:`;
                         for (const match of braceMatches.sort((a, b) => b.length - a.length)) {
                             try {
                                 parsedResume = JSON.parse(match);
-                                if (this.validateResumeStructure(parsedResume)) {
+                                if (window.resumeSchema.validate(window.resumeSchema.migrate(parsedResume)).valid) {
                                     break;
                                 }
                                 parsedResume = null;
@@ -339,22 +267,15 @@ BEGIN CUSTOMIZED RESUME JSON:`;
                 }
             }
 
-            // Validate the parsed resume
-            if (!this.validateResumeStructure(parsedResume)) {
-                console.error('Resume validation failed, but continuing with partial data');
-                console.log('Parsed resume structure:', Object.keys(parsedResume));
-                
-                // If validation fails but we have a basic structure, try to use it anyway
-                if (parsedResume && typeof parsedResume === 'object' && parsedResume.personalInfo) {
-                    console.log('Using resume data despite validation warnings');
-                    return parsedResume;
-                } else {
-                    throw new Error('Invalid resume structure returned by AI');
-                }
+            // Validate the parsed resume against the schema, after migrating any older shape the AI
+            // copied and repairing the values it got wrong; fields outside the schema are kept
+            const { resume: checkedResume, valid, errors } = window.resumeSchema.repair(window.resumeSchema.migrate(parsedResume));
+            if (!valid) {
+                throw new Error(`Invalid resume structure returned by AI: ${window.resumeSchema.describeErrors(errors)}`);
             }
 
             console.log('Successfully parsed and validated resume from AI');
-            return parsedResume;
+            return checkedResume;
 
         } catch (error) {
             console.error('Failed to parse AI response:', error);
@@ -363,77 +284,6 @@ BEGIN CUSTOMIZED RESUME JSON:`;
         }
     }
 
-    /**
-     * Validate that the AI response maintains the correct resume structure
-     * @param {Object} resume - Parsed resume data
-     * @returns {boolean} True if valid structure
-     */
-    validateResumeStructure(resume) {
-        // Basic structure check
-        if (!resume || typeof resume !== 'object') {
-            console.error('Resume is not a valid object');
-            return false;
-        }
-
-        // Essential fields that must exist
-        const requiredFields = ['personalInfo'];
-        
-        // Check if essential fields exist
-        for (const field of requiredFields) {
-            if (!(field in resume)) {
-                console.error(`Missing required field: ${field}`);
-                return false;
-            }
-        }
-
-        // Validate personalInfo structure
-        if (!resume.personalInfo || typeof resume.personalInfo !== 'object') {
-            console.error('Invalid personalInfo structure');
-            return false;
-        }
-
-        // Validate arrays if they exist
-        const arrayFields = ['experience', 'education', 'projects'];
-        for (const field of arrayFields) {
-            if (resume[field] && !Array.isArray(resume[field])) {
-                console.error(`Field ${field} exists but is not an array`);
-                return false;
-            }
-        }
-
-        // Validate skills object structure if it exists
-        if (resume.skills) {
-            if (typeof resume.skills === 'object' && !Array.isArray(resume.skills)) {
-                // Skills is an object, validate its properties
-                const skillTypes = ['technical', 'soft', 'languages', 'certifications'];
-                for (const skillType of skillTypes) {
-                    if (resume.skills[skillType] && !Array.isArray(resume.skills[skillType])) {
-                        console.error(`Skills.${skillType} exists but is not an array`);
-                        return false;
-                    }
-                }
-            } else if (Array.isArray(resume.skills)) {
-                // Skills is an array, which is also valid
-                console.log('Skills field is an array format');
-            } else {
-                console.error('Skills field has invalid structure');
-                return false;
-            }
-        }
-
-        console.log('Resume structure validation passed');
-        return true;
-    }
-
-    /**
-     * Utility function to add delay
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise} Promise that resolves after delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Test API key validity
      * @param {string} apiKey - API key to test
@@ -485,54 +335,25 @@ BEGIN CUSTOMIZED RESUME JSON:`;
     /**
      * Analyze job description for key requirements
      * @param {string} jobDescription - Job description text
-     * @returns {Object} Analysis results
+     * @returns {Object} Structured job posting plus the legacy analysis fields
      */
     analyzeJobDescription(jobDescription) {
-        const analysis = {
-            requiredSkills: [],
-            preferredSkills: [],
-            experienceLevel: '',
-            industryKeywords: [],
-            technicalTerms: [],
-            softSkills: []
-        };
-
+        const posting = window.jobDescriptionParser.parse(jobDescription);
         const text = jobDescription.toLowerCase();
-        
-        // Extract technical skills
-        const technicalSkills = [
-            'javascript', 'python', 'java', 'react', 'node.js', 'sql', 'aws', 'docker',
-            'kubernetes', 'machine learning', 'data analysis', 'agile', 'scrum'
-        ];
-        
-        technicalSkills.forEach(skill => {
-            if (text.includes(skill)) {
-                analysis.requiredSkills.push(skill);
-            }
-        });
-
-        // Extract experience level indicators
-        if (text.includes('senior') || text.includes('lead') || text.includes('principal')) {
-            analysis.experienceLevel = 'senior';
-        } else if (text.includes('junior') || text.includes('entry') || text.includes('graduate')) {
-            analysis.experienceLevel = 'junior';
-        } else if (text.includes('mid') || text.includes('intermediate')) {
-            analysis.experienceLevel = 'mid-level';
-        }
 
         // Extract industry keywords
         const industryKeywords = [
             'startup', 'enterprise', 'fintech', 'healthtech', 'e-commerce', 'saas',
             'consulting', 'agency', 'non-profit', 'government'
-        ];
-        
-        industryKeywords.forEach(keyword => {
-            if (text.includes(keyword)) {
-                analysis.industryKeywords.push(keyword);
-            }
-        });
+        ].filter(keyword => text.includes(keyword));
 
-        return analysis;
+        return {
+            ...posting,
+            requiredSkills: posting.skills.required,
+            preferredSkills: posting.skills.preferred,
+            experienceLevel: posting.seniority,
+            industryKeywords
+        };
     }
 }
 
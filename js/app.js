@@ -8,6 +8,30 @@ class ResumeCustomizerApp {
         this.currentResume = null;
         this.originalResume = null;
         this.customizedResume = null;
+        this.verificationReport = null;
+        this.unverifiedClaimsAcknowledged = false;
+        this.reviewChanges = [];
+        this.reviewDecisions = {};
+        this.matchReport = null;
+        this.customizationTiming = null;
+        this.jobPosting = null;
+        this.jobPostingText = '';
+        this.jobAnalysis = null;
+        this.jobAnalysisText = '';
+        this.gapReport = null;
+        this.jsonResumeSource = null;
+        this.syncingFromForm = false;
+        this.renderingPreviewEdit = false;
+        this.settingEditorContent = false;
+        this.formDrag = null;
+        this.batchRenderPending = false;
+        this.libraryEntryId = null;
+        this.libraryBaseId = null;
+        this.libraryRenderToken = 0;
+        this.sessionSaveTimer = null;
+        this.comparisonUploads = {};
+        this.editingApplicationId = null;
+        this.applicationDrag = null;
         this.apiKey = null;
         this.monacoEditor = null;
         this.currentStep = 1;
@@ -23,18 +47,26 @@ class ResumeCustomizerApp {
         this.setupDragAndDrop();
         this.checkRequirements();
         this.initializeMonacoEditor();
+        this.renderLibrary();
+        this.renderHistory();
+        this.renderApplications();
+        this.remindFollowUps();
         
-        // Only load sample resume in development mode
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            console.log('Development mode: Loading sample resume for testing');
-            this.loadSampleResume();
-        }
+        // Pick up where the last session left off; otherwise load the sample resume in development mode
+        this.restoreSession().then(restored => {
+            if (!restored && (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')) {
+                console.log('Development mode: Loading sample resume for testing');
+                this.loadSampleResume();
+            }
+        });
     }
 
     setupEventListeners() {
         // API Key Management
+        document.getElementById('llmProvider').addEventListener('change', (e) => this.showProviderSettings(e.target.value));
         document.getElementById('saveApiKey').addEventListener('click', () => this.saveApiKey());
         document.getElementById('toggleApiKey').addEventListener('click', () => this.toggleApiKeyVisibility());
+        document.getElementById('recordFixtures').addEventListener('click', () => this.toggleFixtureRecording());
         
         // File Upload
         document.getElementById('resumeFile').addEventListener('change', (e) => this.handleFileUpload(e));
@@ -42,7 +74,25 @@ class ResumeCustomizerApp {
         
         // Job Description
         document.getElementById('jobDescription').addEventListener('input', (e) => this.handleJobDescriptionInput(e));
-        document.getElementById('industryType').addEventListener('change', () => this.checkRequirements());
+        document.getElementById('parseJobWithAI').addEventListener('click', () => this.refineJobPostingWithAI());
+        document.getElementById('industryType').addEventListener('change', () => {
+            this.checkRequirements();
+            this.scheduleSessionSave();
+        });
+        
+        // Timeline check threshold lives in the preview, which is re-rendered on every change
+        const resumePreview = document.getElementById('resumePreview');
+        resumePreview.addEventListener('change', (event) => {
+            if (event.target.id === 'timelineGapMonths') {
+                window.timelineChecker.setGapThreshold(event.target.value);
+                this.updateResumePreview();
+            }
+        });
+        
+        // Inline editing in the preview
+        resumePreview.addEventListener('keydown', (e) => this.handlePreviewKeydown(e));
+        resumePreview.addEventListener('focusout', (e) => this.handlePreviewFocusOut(e));
+        resumePreview.addEventListener('paste', (e) => this.handlePreviewPaste(e));
         
         // Customize Button
         document.getElementById('customizeBtn').addEventListener('click', (event) => {
@@ -58,6 +108,95 @@ class ResumeCustomizerApp {
         document.getElementById('resetResume').addEventListener('click', () => this.resetResume());
         document.getElementById('formatJson').addEventListener('click', () => this.formatJson());
         document.getElementById('validateJson').addEventListener('click', () => this.validateJson());
+        document.getElementById('editorProblems').addEventListener('click', (e) => {
+            const problem = e.target.closest('li[data-line]');
+            if (problem) {
+                this.revealProblem(Number(problem.dataset.line), Number(problem.dataset.column));
+            }
+        });
+        document.getElementById('sortByDate').addEventListener('click', () => this.sortByDate());
+        
+        // Undo/Redo and Snapshots
+        document.getElementById('undoResume').addEventListener('click', () => this.undoResume());
+        document.getElementById('redoResume').addEventListener('click', () => this.redoResume());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        document.getElementById('takeSnapshot').addEventListener('click', () => this.takeSnapshot());
+        document.getElementById('snapshotName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.takeSnapshot();
+        });
+        document.getElementById('compareSnapshots').addEventListener('click', () => this.compareSnapshots());
+        document.getElementById('historyTimeline').addEventListener('click', (e) => this.handleHistoryAction(e));
+        window.resumeHistory.onUpdate(() => this.renderHistory());
+        
+        // Form Editor
+        const resumeForm = document.getElementById('resumeForm');
+        resumeForm.addEventListener('input', (e) => this.handleFormInput(e));
+        resumeForm.addEventListener('click', (e) => this.handleFormAction(e));
+        resumeForm.addEventListener('keydown', (e) => this.handleTagKeydown(e));
+        ['dragstart', 'dragover', 'drop', 'dragend'].forEach(type => {
+            resumeForm.addEventListener(type, (e) => this.handleFormDrag(e));
+        });
+        
+        // Change Review
+        document.getElementById('acceptAllChanges').addEventListener('click', () => this.setAllReviewDecisions('accept'));
+        document.getElementById('rejectAllChanges').addEventListener('click', () => this.setAllReviewDecisions('reject'));
+        document.getElementById('reviewList').addEventListener('click', (e) => this.handleReviewAction(e));
+        
+        // Skill Gaps
+        document.getElementById('copyGapReport').addEventListener('click', () => this.copyGapReport());
+        document.getElementById('downloadGapReport').addEventListener('click', () => this.downloadGapReport());
+        
+        // Cover Letter
+        document.getElementById('generateCoverLetter').addEventListener('click', () => this.generateCoverLetter());
+        document.getElementById('downloadCoverLetterPdf').addEventListener('click', () => this.downloadCoverLetterPdf());
+        document.getElementById('coverLetterEditor').addEventListener('input', (e) => {
+            document.getElementById('downloadCoverLetterPdf').disabled = !e.target.value.trim();
+        });
+        
+        // Batch Customization
+        document.getElementById('addBatchJob').addEventListener('click', () => this.addBatchJob());
+        document.getElementById('addCurrentJobToBatch').addEventListener('click', () => this.addCurrentJobToBatch());
+        document.getElementById('startBatch').addEventListener('click', () => this.startBatch());
+        document.getElementById('cancelBatch').addEventListener('click', () => window.batchCustomizer.cancel());
+        document.getElementById('downloadBatchZip').addEventListener('click', () => this.downloadBatchZip());
+        document.getElementById('clearBatch').addEventListener('click', () => window.batchCustomizer.clear());
+        document.getElementById('batchResults').addEventListener('click', (e) => this.handleBatchAction(e));
+        window.batchCustomizer.onUpdate(() => this.scheduleBatchRender());
+        
+        // Resume Library
+        document.getElementById('saveToLibrary').addEventListener('click', () => this.saveToLibrary());
+        document.getElementById('saveToLibraryAsNew').addEventListener('click', () => this.saveToLibrary(true));
+        document.getElementById('librarySearch').addEventListener('input', () => this.renderLibrary());
+        document.getElementById('libraryKind').addEventListener('change', () => this.renderLibrary());
+        document.getElementById('libraryList').addEventListener('click', (e) => this.handleLibraryAction(e));
+        window.resumeLibrary.onUpdate(() => this.renderLibrary());
+        
+        // Version Comparison
+        document.querySelector('.tab-btn[data-tab="compare"]').addEventListener('click', () => this.renderComparisonSources());
+        ['A', 'B'].forEach(side => {
+            document.getElementById(`compareSource${side}`).addEventListener('change', (e) => {
+                if (e.target.value === 'upload') document.getElementById(`compareFile${side}`).click();
+            });
+            document.getElementById(`compareFile${side}`).addEventListener('change', (e) => this.loadComparisonFile(side, e));
+        });
+        document.getElementById('runComparison').addEventListener('click', () => this.runComparison());
+        
+        // Application Tracker
+        document.getElementById('trackApplication').addEventListener('click', () => this.trackApplication());
+        document.getElementById('applicationSearch').addEventListener('input', () => this.renderApplications());
+        document.getElementById('applicationsLayout').addEventListener('change', () => this.renderApplications());
+        document.getElementById('exportApplications').addEventListener('click', () => this.exportApplications());
+        document.getElementById('importApplications').addEventListener('click', () => document.getElementById('applicationsCsvFile').click());
+        document.getElementById('applicationsCsvFile').addEventListener('change', (e) => this.importApplications(e));
+        document.getElementById('applicationEditor').addEventListener('submit', (e) => this.saveApplicationForm(e));
+        document.getElementById('cancelApplicationEdit').addEventListener('click', () => this.closeApplicationEditor());
+        const applicationsView = document.getElementById('applicationsView');
+        applicationsView.addEventListener('click', (e) => this.handleApplicationAction(e));
+        applicationsView.addEventListener('change', (e) => this.handleApplicationAction(e));
+        ['dragstart', 'dragover', 'drop', 'dragend'].forEach(type => {
+            applicationsView.addEventListener(type, (e) => this.handleApplicationDrag(e));
+        });
+        window.applicationTracker.onUpdate(() => this.renderApplications());
         
         // Tab Navigation
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -66,6 +205,7 @@ class ResumeCustomizerApp {
         
         // Download Actions
         document.getElementById('downloadJson').addEventListener('click', () => this.downloadJson());
+        document.getElementById('downloadJsonResume').addEventListener('click', () => this.downloadJsonResume());
         document.getElementById('generatePdf').addEventListener('click', () => this.generatePdf());
         document.getElementById('downloadPdf').addEventListener('click', () => this.downloadPdf());
         document.getElementById('regeneratePdf').addEventListener('click', () => this.regeneratePdf());
@@ -122,9 +262,23 @@ class ResumeCustomizerApp {
             require.config({ paths: { vs: 'https://cdnjs.cloudflare.com/ajax/libs/monaco-editor/0.45.0/min/vs' } });
             
             require(['vs/editor/editor.main'], () => {
+                // Completion, hover text and syntax errors come from the resume schema; schema
+                // problems are reported by our own validator (see refreshSchemaCheck) so the editor,
+                // parser and agents agree on what counts as an error
+                const modelUri = monaco.Uri.parse('inmemory://resume/resume.json');
+                monaco.languages.json.jsonDefaults.setDiagnosticsOptions({
+                    validate: true,
+                    enableSchemaRequest: false,
+                    schemaValidation: 'ignore',
+                    schemas: [{
+                        uri: `inmemory://resume/schema-v${window.resumeSchema.currentVersion}.json`,
+                        fileMatch: [modelUri.toString()],
+                        schema: window.resumeSchema.schema
+                    }]
+                });
+                
                 this.monacoEditor = monaco.editor.create(document.getElementById('jsonEditor'), {
-                    value: '// Resume JSON will appear here...',
-                    language: 'json',
+                    model: monaco.editor.createModel('// Resume JSON will appear here...', 'json', modelUri),
                     theme: 'vs',
                     automaticLayout: true,
                     minimap: { enabled: false },
@@ -142,6 +296,17 @@ class ResumeCustomizerApp {
                 this.monacoEditor.onDidChangeModelContent(() => {
                     this.updateResumeFromEditor();
                 });
+                
+                // A session restored while the editor was still loading
+                if (this.currentResume) {
+                    this.updateEditorContent();
+                }
+                
+                monaco.editor.onDidChangeMarkers(uris => {
+                    if (uris.some(uri => uri.toString() === modelUri.toString())) {
+                        this.renderProblems();
+                    }
+                });
             });
         } catch (error) {
             console.error('Failed to initialize Monaco Editor:', error);
@@ -150,30 +315,86 @@ class ResumeCustomizerApp {
     }
 
     loadApiKey() {
-        const savedKey = localStorage.getItem('gemini_api_key');
-        if (savedKey) {
-            this.apiKey = savedKey;
-            document.getElementById('apiKey').value = savedKey;
+        const client = window.llmClient;
+        // Every provider script has registered by now
+        client.useKnownProvider();
+        const providerSelect = document.getElementById('llmProvider');
+        
+        providerSelect.innerHTML = client.listProviders()
+            .map(provider => `<option value="${provider.id}">${provider.label}</option>`)
+            .join('');
+        providerSelect.value = client.config.provider;
+        
+        this.apiKey = client.getApiKey();
+        this.showProviderSettings(client.config.provider);
+        this.prepareProvider();
+        
+        if (client.isConfigured()) {
             this.updateApiStatus('valid');
         }
     }
 
-    saveApiKey() {
+    /**
+     * Replayed fixtures only match prompts built on the date they were recorded, so with the
+     * mock provider the fixtures are loaded up front and pin the prompt timeline to that date
+     */
+    async prepareProvider() {
+        const client = window.llmClient;
+        window.resumeTimeline.promptNow = null;
+        if (client.config.provider !== 'mock') return;
+        
+        const mock = window.mockLLMProvider;
+        try {
+            const { baseUrl } = client.resolveConfig();
+            if (baseUrl !== mock.loadedUrl) await mock.loadFixturesFromUrl(baseUrl);
+            window.resumeTimeline.promptNow = mock.now;
+        } catch (error) {
+            console.warn('Could not load the recorded fixtures:', error);
+        }
+    }
+
+    showProviderSettings(providerId) {
+        const client = window.llmClient;
+        const provider = client.getProvider(providerId);
+        const isActive = providerId === client.config.provider;
+        
+        const modelInput = document.getElementById('llmModel');
+        const baseUrlInput = document.getElementById('llmBaseUrl');
         const apiKeyInput = document.getElementById('apiKey');
-        const key = apiKeyInput.value.trim();
         
-        if (!key) {
+        modelInput.value = isActive ? client.config.model : '';
+        modelInput.placeholder = `Model (${provider.defaultModel})`;
+        baseUrlInput.value = isActive ? client.config.baseUrl : '';
+        baseUrlInput.placeholder = `Base URL (${provider.defaultBaseUrl})`;
+        apiKeyInput.value = client.getApiKey(providerId);
+        apiKeyInput.placeholder = provider.requiresApiKey ?
+            `Enter your ${provider.label} API key` :
+            'API key (optional for local models)';
+    }
+
+    saveApiKey() {
+        const providerId = document.getElementById('llmProvider').value;
+        const provider = window.llmClient.getProvider(providerId);
+        const key = document.getElementById('apiKey').value.trim();
+        
+        if (!key && provider.requiresApiKey) {
             this.showError('Please enter a valid API key');
             return;
         }
 
+        window.llmClient.saveConfig({
+            provider: providerId,
+            model: document.getElementById('llmModel').value.trim(),
+            baseUrl: document.getElementById('llmBaseUrl').value.trim(),
+            apiKey: key
+        });
         this.apiKey = key;
-        localStorage.setItem('gemini_api_key', key);
+        this.prepareProvider();
         this.updateApiStatus('valid');
         this.checkRequirements();
         
         // Show success message
-        this.showSuccessMessage('API key saved successfully!');
+        this.showSuccessMessage(`${provider.label} settings saved successfully!`);
     }
 
     toggleApiKeyVisibility() {
@@ -189,15 +410,43 @@ class ResumeCustomizerApp {
         }
     }
 
+    toggleFixtureRecording() {
+        const client = window.llmClient;
+        const recordBtn = document.getElementById('recordFixtures');
+        
+        if (!client.recorder) {
+            client.recorder = new LLMRecorder();
+            recordBtn.classList.add('recording');
+            recordBtn.innerHTML = '<i class="fas fa-circle"></i> Stop & download fixtures';
+            this.showSuccessMessage('Recording AI responses. Run a parse or customization, then stop to save the fixtures.');
+            return;
+        }
+        
+        const recorder = client.recorder;
+        client.recorder = null;
+        recordBtn.classList.remove('recording');
+        recordBtn.innerHTML = '<i class="fas fa-circle"></i> Record AI responses';
+        
+        if (recorder.size === 0) {
+            this.showError('No AI responses were recorded');
+            return;
+        }
+        
+        this.downloadFile(JSON.stringify(recorder.toFixtures(), null, 2), 'llm-fixtures.json', 'application/json');
+        this.showSuccessMessage(`Saved ${recorder.size} recorded responses to llm-fixtures.json`);
+    }
+
     updateApiStatus(status) {
         const indicator = document.getElementById('statusIndicator');
         const statusText = document.getElementById('statusText');
         
+        const providerLabel = window.llmClient.getProvider().label;
+        
         indicator.className = `status-indicator ${status}`;
         
         switch (status) {
             case 'valid':
-                statusText.textContent = 'API key configured and valid';
+                statusText.textContent = `${providerLabel} configured`;
                 break;
             case 'loading':
                 statusText.textContent = 'Validating API key...';
@@ -237,8 +486,16 @@ class ResumeCustomizerApp {
             });
             
             if (resumeData) {
+                this.jsonResumeSource = window.resumeParser.lastJSONResume;
                 this.originalResume = JSON.parse(JSON.stringify(resumeData));
                 this.currentResume = resumeData;
+                this.customizedResume = null;
+                this.verificationReport = null;
+                this.customizationTiming = null;
+                this.libraryEntryId = null;
+                this.libraryBaseId = null;
+                this.startReview();
+                window.resumeHistory.reset(resumeData, `Uploaded ${file.name}`);
                 
                 this.updateProgress(90, 'Finalizing resume data...');
                 
@@ -246,6 +503,7 @@ class ResumeCustomizerApp {
                 this.updateFileInfo(file);
                 this.updateEditorContent();
                 this.updateResumePreview();
+                this.addToLibrary();
                 
                 // Show the editor section
                 document.getElementById('editorSection').style.display = 'block';
@@ -271,15 +529,18 @@ class ResumeCustomizerApp {
 
     validateFile(file) {
         const maxSize = 10 * 1024 * 1024; // 10MB
-        const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
+        const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'application/json', 'application/zip', 'application/x-zip-compressed',
+            'text/markdown', 'text/x-markdown', 'text/html', 'application/xhtml+xml', 'application/rtf', 'text/rtf', 'application/vnd.oasis.opendocument.text'];
         
         if (file.size > maxSize) {
             this.showError('File size must be less than 10MB');
             return false;
         }
         
-        if (!allowedTypes.includes(file.type)) {
-            this.showError('Please upload a PDF, DOCX, or TXT file');
+        // Browsers often report no MIME type for .md, .json and .zip files; files without one are identified
+        // by their content when parsed
+        if (file.type && !allowedTypes.includes(file.type) && !/\.(json|zip|md|markdown|html?|rtf|odt)$/i.test(file.name)) {
+            this.showError('Please upload a PDF, DOCX, TXT, Markdown, HTML, RTF, ODT, JSON, or LinkedIn data export (ZIP) file');
             return false;
         }
         
@@ -311,6 +572,16 @@ class ResumeCustomizerApp {
         this.originalResume = null;
         this.currentResume = null;
         this.customizedResume = null;
+        this.jsonResumeSource = null;
+        this.verificationReport = null;
+        this.customizationTiming = null;
+        this.libraryEntryId = null;
+        this.libraryBaseId = null;
+        this.startReview();
+        this.updateMatchReport();
+        this.updateGapReport();
+        window.resumeHistory.clear();
+        this.clearSession();
         
         document.getElementById('fileInfo').style.display = 'none';
         document.getElementById('fileUploadArea').style.display = 'block';
@@ -334,11 +605,117 @@ class ResumeCustomizerApp {
         const charCount = document.getElementById('charCount');
         if (charCount) charCount.textContent = event.target.value.length;
         this.checkRequirements();
+        this.updateJobPosting();
+        this.updateMatchReport();
+        this.updateGapReport();
+        this.scheduleSessionSave();
+    }
+
+    /**
+     * Get the structured job posting for a job description, reusing the last parse
+     * (including an AI-refined one) while the text is unchanged
+     * @param {string} jobDescription - Job description text
+     * @returns {Object} Structured job posting
+     */
+    getJobPosting(jobDescription) {
+        if (!this.jobPosting || this.jobPostingText !== jobDescription) {
+            this.jobPosting = window.jobDescriptionParser.parse(jobDescription);
+            this.jobPostingText = jobDescription;
+        }
+        return this.jobPosting;
+    }
+
+    updateJobPosting() {
+        const jobDescription = document.getElementById('jobDescription').value.trim();
+        const panel = document.getElementById('jobPostingPanel');
+        
+        if (!jobDescription) {
+            this.jobPosting = null;
+            this.jobPostingText = '';
+            if (panel) panel.style.display = 'none';
+            return;
+        }
+        
+        this.renderJobPosting(this.getJobPosting(jobDescription));
+    }
+
+    /**
+     * "5+ years" with the loaded resume's total next to it when it has dated experience
+     */
+    describeExperienceRequirement(years) {
+        const required = `${years.min}${years.max ? `–${years.max}` : '+'} years`;
+        if (!this.currentResume) return required;
+        
+        const comparison = window.resumeTimeline.compareToRequirement(window.resumeTimeline.build(this.currentResume), years);
+        return comparison ? `${required} · your resume: ${comparison.years}` : required;
+    }
+
+    renderJobPosting(posting) {
+        const panel = document.getElementById('jobPostingPanel');
+        const summary = document.getElementById('jobPostingSummary');
+        if (!panel || !summary) return;
+        
+        const years = posting.yearsOfExperience;
+        const fields = [
+            ['Title', posting.title],
+            ['Company', posting.company],
+            ['Location', [posting.location, posting.workplace].filter(Boolean).join(' · ')],
+            ['Seniority', posting.seniority],
+            ['Experience', years ? this.describeExperienceRequirement(years) : '']
+        ];
+        const counts = [
+            [posting.responsibilities.length, 'responsibilities'],
+            [posting.requiredQualifications.length, 'required'],
+            [posting.niceToHaves.length, 'nice-to-have'],
+            [posting.benefits.length, 'benefits']
+        ];
+        
+        summary.innerHTML = `
+            <dl class="job-posting-fields">
+                ${fields.map(([label, value]) => `
+                    <dt>${label}</dt>
+                    <dd>${value ? this.escapeHTML(value) : '<span class="job-posting-missing">Not found</span>'}</dd>
+                `).join('')}
+            </dl>
+            <div class="job-posting-counts">
+                ${counts.map(([count, label]) => `<span>${count} ${label}</span>`).join('')}
+                <span class="job-posting-source">${posting.source === 'ai' ? 'Refined with AI' : 'Detected offline'}</span>
+            </div>
+        `;
+        panel.style.display = 'block';
+    }
+
+    async refineJobPostingWithAI() {
+        const jobDescription = document.getElementById('jobDescription').value.trim();
+        if (!jobDescription) return;
+        
+        if (!window.llmClient.isConfigured()) {
+            this.showError('Configure an AI provider to refine the job posting with AI');
+            return;
+        }
+        
+        const button = document.getElementById('parseJobWithAI');
+        const originalHTML = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Refining...';
+        
+        try {
+            const posting = await window.jobDescriptionParser.parseWithAI(jobDescription, this.apiKey);
+            // Ignore the result if the text was edited while the request ran
+            if (document.getElementById('jobDescription').value.trim() === jobDescription) {
+                this.jobPosting = posting;
+                this.jobPostingText = jobDescription;
+                this.renderJobPosting(posting);
+            }
+        } finally {
+            button.disabled = false;
+            button.innerHTML = originalHTML;
+        }
     }
 
     checkRequirements() {
         const requirements = {
-            api: !!this.apiKey,
+            api: window.llmClient.isConfigured(),
             file: !!this.currentResume,
             description: document.getElementById('jobDescription').value.trim().length > 0
         };
@@ -366,7 +743,7 @@ class ResumeCustomizerApp {
             
             // Update button text based on state
             if (!requirements.api) {
-                customizeBtn.innerHTML = '<i class="fas fa-key"></i> Configure API Key First';
+                customizeBtn.innerHTML = '<i class="fas fa-key"></i> Configure AI Provider First';
             } else if (!requirements.file) {
                 customizeBtn.innerHTML = '<i class="fas fa-upload"></i> Upload Resume First';
             } else if (!requirements.description) {
@@ -408,62 +785,59 @@ class ResumeCustomizerApp {
             // Start AI customization
             this.updateProgress(5, 'Analyzing job requirements...');
             
-            let customizedData;
-            try {
-                // Use agentic AI handler for better results with multi-step processing
-                if (window.agenticAIHandler) {
-                    customizedData = await window.agenticAIHandler.customizeResumeWithAgents(
-                        this.currentResume,
-                        jobDescription,
-                        industryType,
-                        this.apiKey,
-                        (progress, message) => this.updateProgress(progress, message)
-                    );
-                } else {
-                    // Fallback to original AI handler
-                    customizedData = await window.aiHandler.customizeResume(
-                        this.currentResume,
-                        jobDescription,
-                        industryType,
-                        this.apiKey,
-                        (progress, message) => this.updateProgress(progress, message)
-                    );
-                }
-            } catch (aiError) {
-                console.warn('AI customization failed, using original resume:', aiError);
-                this.updateProgress(90, 'AI customization failed, using original resume...');
-                
-                // Use original resume as fallback
-                customizedData = JSON.parse(JSON.stringify(this.originalResume));
-                
+            // Nothing from the previous run may be shown for this one
+            this.customizationTiming = null;
+            this.jobAnalysis = null;
+            this.jobAnalysisText = '';
+            
+            const startTime = performance.now();
+            const { resume: customizedData, error: aiError, phases, jobAnalysis } = await this.runAICustomization(
+                jobDescription,
+                industryType,
+                (progress, message) => this.updateProgress(progress, message)
+            );
+            if (aiError) {
                 // Show warning to user
                 setTimeout(() => {
                     this.showError(`AI customization failed: ${aiError.message}. You can still edit the resume manually and generate PDF.`);
                 }, 1000);
             }
             
+            this.customizationTiming = {
+                totalMs: performance.now() - startTime,
+                phases
+            };
+            this.jobAnalysis = jobAnalysis;
+            this.jobAnalysisText = jobDescription;
+            
             if (customizedData) {
+                if (this.currentResume) {
+                    window.resumeHistory.takeSnapshot('Before AI customization', this.currentResume);
+                }
                 this.customizedResume = customizedData;
                 this.currentResume = customizedData;
+                this.unverifiedClaimsAcknowledged = false;
+                this.libraryEntryId = null;
                 
                 // Update UI
                 this.updateEditorContent();
                 this.updateResumePreview();
-                this.showCustomizationSummary();
+                this.recordHistory('AI customization');
+                this.startReview();
+                this.addToLibrary();
                 
-                // Show editor section and switch to JSON tab
+                // Show editor section; review AI changes first, otherwise go straight to the PDF
                 this.showStep(2);
-                this.switchToTab('json');
-                
-                // Enable PDF generation after customization
-                setTimeout(() => {
-                    this.switchToTab('pdf');
-                }, 1000);
+                this.switchToTab(this.reviewChanges.length > 0 ? 'review' : 'pdf');
                 
                 this.hideProgressModal();
-                this.showSuccessMessage(customizedData === this.originalResume ? 
-                    'Resume loaded for editing (AI customization was skipped)' : 
-                    'Resume customized successfully!');
+                if (this.verificationReport && !this.verificationReport.passed) {
+                    this.showError(`The AI added ${this.verificationReport.errors} claim(s) that are not in your original resume. They are highlighted in the Preview tab and PDF generation is blocked until you review them.`);
+                } else {
+                    this.showSuccessMessage(aiError ? 
+                        'Resume loaded for editing (AI customization was skipped)' : 
+                        'Resume customized successfully!');
+                }
             }
         } catch (error) {
             this.hideProgressModal();
@@ -473,6 +847,52 @@ class ResumeCustomizerApp {
         }
     }
 
+    /**
+     * Customize the current resume with the agents, or the single-prompt handler when they are
+     * not loaded; a failed run falls back to a copy of the original resume.
+     * Phase timings and the job analysis are only reported for a completed agent run
+     * @param {string} jobDescription - Job description text
+     * @param {string} industryType - Industry type
+     * @param {Function} progressCallback - Progress callback
+     * @returns {Promise<Object>} { resume, error, phases, jobAnalysis } where error is set when the fallback was used
+     */
+    async runAICustomization(jobDescription, industryType, progressCallback) {
+        const result = { resume: null, error: null, phases: [], jobAnalysis: null };
+        
+        try {
+            // Use agentic AI handler for better results with multi-step processing
+            const agents = window.agenticAIHandler;
+            if (agents) {
+                result.resume = await agents.customizeResumeWithAgents(
+                    this.currentResume,
+                    this.getJobPosting(jobDescription),
+                    industryType,
+                    this.apiKey,
+                    progressCallback
+                );
+                result.phases = [...agents.lastTimings];
+                result.jobAnalysis = agents.lastJobAnalysis;
+                return result;
+            }
+            
+            // Fallback to original AI handler
+            result.resume = await window.aiHandler.customizeResume(
+                this.currentResume,
+                jobDescription,
+                industryType,
+                this.apiKey,
+                progressCallback
+            );
+            return result;
+        } catch (error) {
+            console.warn('AI customization failed, using original resume:', error);
+            progressCallback(90, 'AI customization failed, using original resume...');
+            
+            // Use original resume as fallback
+            return { ...result, resume: JSON.parse(JSON.stringify(this.originalResume)), error };
+        }
+    }
+
     updateProgress(percentage, message) {
         const progressFill = document.getElementById('progressFill');
         const progressText = document.getElementById('progressText');
@@ -513,220 +933,2903 @@ class ResumeCustomizerApp {
         }
     }
 
-    showCustomizationSummary() {
-        // Calculate metrics
-        const keywordCount = this.calculateKeywordCount();
-        const relevanceScore = this.calculateRelevanceScore();
-        const processingTime = this.calculateProcessingTime();
+    /**
+     * Score the current resume against the job description and render the ATS Match tab
+     * @returns {Object|null} ATS comparison of original and current resume
+     */
+    updateMatchReport() {
+        const container = document.getElementById('matchReport');
+        const jobDescription = document.getElementById('jobDescription').value.trim();
         
-        const keywordElement = document.getElementById('keywordCount');
-        const relevanceElement = document.getElementById('relevanceScore');
-        const processingElement = document.getElementById('processingTime');
+        if (!this.currentResume || !jobDescription || !window.atsScorer) {
+            this.matchReport = null;
+            if (container) {
+                container.innerHTML = `
+                    <div class="preview-placeholder">
+                        <i class="fas fa-bullseye"></i>
+                        <p>Enter a job description to see how well your resume matches it</p>
+                    </div>
+                `;
+            }
+            return null;
+        }
         
-        if (keywordElement) keywordElement.textContent = keywordCount;
-        if (relevanceElement) relevanceElement.textContent = `${relevanceScore}%`;
-        if (processingElement) processingElement.textContent = `${processingTime}s`;
+        // Only compare against the original once there is AI output to compare
+        const original = this.customizedResume ? this.originalResume : null;
+        this.matchReport = window.atsScorer.compare(original, this.currentResume, jobDescription);
+        if (container) container.innerHTML = this.generateMatchReportHTML(this.matchReport);
+        return this.matchReport;
     }
 
-    calculateKeywordCount() {
-        // Simple keyword counting logic
-        const jobDesc = document.getElementById('jobDescription').value.toLowerCase();
-        const resumeText = JSON.stringify(this.customizedResume).toLowerCase();
+    generateMatchReportHTML(report) {
+        const { after, before, terms } = report;
+        const totalTerms = terms.required.length + terms.preferred.length;
+        
+        if (totalTerms === 0) {
+            return `
+                <div class="preview-placeholder">
+                    <i class="fas fa-bullseye"></i>
+                    <p>No skills or keywords were recognized in the job description</p>
+                </div>
+            `;
+        }
         
-        const commonKeywords = ['javascript', 'python', 'react', 'node.js', 'sql', 'aws', 'agile', 'leadership'];
-        let count = 0;
+        const deltaClass = report.delta > 0 ? 'positive' : report.delta < 0 ? 'negative' : '';
+        const scoreText = before ?
+            `${before.score}% → ${after.score}% <span class="match-delta ${deltaClass}">(${report.delta >= 0 ? '+' : ''}${report.delta})</span>` :
+            `${after.score}%`;
+        const gained = new Set(report.gained);
         
-        commonKeywords.forEach(keyword => {
-            if (jobDesc.includes(keyword) && resumeText.includes(keyword)) {
-                count++;
-            }
-        });
+        const chips = (items, className) => items.length === 0 ?
+            '<span class="match-empty">None</span>' :
+            items.map(term => `<span class="keyword-chip ${className}${gained.has(term) ? ' gained' : ''}">${this.escapeHTML(term)}</span>`).join('');
+        const matchedTerms = (group) => group.matched.map(match => match.term);
+        
+        const sectionRows = Object.entries(after.sections).map(([section, coverage]) => {
+            const percent = Math.round(coverage * 100);
+            return `
+                <div class="coverage-row">
+                    <span class="coverage-label">${this.escapeHTML(window.resumeDiff ? window.resumeDiff.humanize(section) : section)}</span>
+                    <div class="coverage-bar"><div class="coverage-fill" style="width: ${percent}%"></div></div>
+                    <span class="coverage-value">${percent}%</span>
+                </div>
+            `;
+        }).join('');
+        
+        const timing = this.customizationTiming;
+        const timingHTML = timing ? `
+            <div class="match-group">
+                <h4>Processing Time</h4>
+                <ul class="timing-list">
+                    ${timing.phases.map(phase => `<li><span>${this.escapeHTML(phase.label)}</span><span>${this.formatDuration(phase.ms)}</span></li>`).join('')}
+                    <li class="timing-total"><span>Total</span><span>${this.formatDuration(timing.totalMs)}</span></li>
+                </ul>
+            </div>
+        ` : '';
         
-        return count;
+        return `
+            <div class="customization-summary">
+                <div class="summary-item">
+                    <i class="fas fa-bullseye"></i>
+                    <span>Match score: ${scoreText}</span>
+                </div>
+                <div class="summary-item">
+                    <i class="fas fa-key"></i>
+                    <span>Required: ${after.required.matched.length}/${after.required.total}</span>
+                </div>
+                <div class="summary-item">
+                    <i class="fas fa-star"></i>
+                    <span>Preferred: ${after.preferred.matched.length}/${after.preferred.total}</span>
+                </div>
+                ${timing ? `
+                <div class="summary-item">
+                    <i class="fas fa-clock"></i>
+                    <span>AI processing: ${this.formatDuration(timing.totalMs)}</span>
+                </div>` : ''}
+            </div>
+            
+            <div class="match-group">
+                <h4>Section Coverage</h4>
+                ${sectionRows}
+            </div>
+            
+            <div class="match-group">
+                <h4>Matched Keywords</h4>
+                <div class="keyword-chips">${chips([...matchedTerms(after.required), ...matchedTerms(after.preferred)], 'matched')}</div>
+            </div>
+            
+            <div class="match-group">
+                <h4>Missing Required Keywords</h4>
+                <div class="keyword-chips">${chips(after.required.missing, 'missing')}</div>
+            </div>
+            
+            <div class="match-group">
+                <h4>Missing Preferred Keywords</h4>
+                <div class="keyword-chips">${chips(after.preferred.missing, 'missing')}</div>
+            </div>
+            
+            ${report.lost.length > 0 ? `
+            <div class="match-group">
+                <h4>Keywords Lost During Customization</h4>
+                <div class="keyword-chips">${chips(report.lost, 'missing')}</div>
+            </div>` : ''}
+            
+            ${timingHTML}
+        `;
     }
 
-    calculateRelevanceScore() {
-        // Simple relevance scoring
-        const baseScore = 75;
-        const keywordBonus = this.calculateKeywordCount() * 3;
-        return Math.min(100, baseScore + keywordBonus);
+    /**
+     * Build the skill gap report for the current resume; uses the agents' job analysis
+     * when it was produced for the job description currently entered.
+     * After an AI customization the original resume is analysed: skills the AI worked in
+     * are still gaps until the candidate has them
+     * @returns {Object|null} Skill gap report
+     */
+    updateGapReport() {
+        const container = document.getElementById('gapReport');
+        const jobDescription = document.getElementById('jobDescription').value.trim();
+        
+        if (!this.currentResume || !jobDescription || !window.skillGapAnalyzer) {
+            this.gapReport = null;
+            if (container) {
+                container.innerHTML = `
+                    <div class="preview-placeholder">
+                        <i class="fas fa-chart-bar"></i>
+                        <p>Upload a resume and enter a job description to see skill gaps</p>
+                    </div>
+                `;
+            }
+            return null;
+        }
+        
+        const jobAnalysis = this.jobAnalysisText === jobDescription ? this.jobAnalysis : null;
+        const resume = this.customizedResume && this.originalResume ? this.originalResume : this.currentResume;
+        this.gapReport = window.skillGapAnalyzer.analyze(resume, jobAnalysis, this.getJobPosting(jobDescription));
+        if (container) container.innerHTML = this.generateGapReportHTML(this.gapReport);
+        return this.gapReport;
     }
 
-    calculateProcessingTime() {
-        // Mock processing time
-        return Math.floor(Math.random() * 5) + 2;
+    generateGapReportHTML(report) {
+        const { summary } = report;
+        const list = (items, render, emptyText) => items.length === 0 ?
+            `<p class="match-empty">${emptyText}</p>` :
+            `<ul class="gap-list">${items.map(render).join('')}</ul>`;
+        const badge = importance => `<span class="gap-badge ${importance}">${importance}</span>`;
+        
+        return `
+            <div class="customization-summary">
+                <div class="summary-item">
+                    <i class="fas fa-check-circle"></i>
+                    <span>Required: ${summary.requiredCovered}/${summary.requiredTotal}</span>
+                </div>
+                <div class="summary-item">
+                    <i class="fas fa-star"></i>
+                    <span>Preferred: ${summary.preferredCovered}/${summary.preferredTotal}</span>
+                </div>
+                ${report.experience ? `
+                <div class="summary-item">
+                    <i class="fas fa-${report.experience.meets ? 'briefcase' : 'exclamation-triangle'}"></i>
+                    <span>Experience: ${window.skillGapAnalyzer.describeExperience(report.experience)}</span>
+                </div>` : ''}
+                <div class="summary-item">
+                    <i class="fas fa-info-circle"></i>
+                    <span>${summary.source === 'ai' ? 'Based on AI job analysis' : 'Based on the parsed posting'}</span>
+                </div>
+            </div>
+            
+            <div class="match-group">
+                <h4>Missing Skills</h4>
+                ${list(report.missing, item => `
+                    <li>
+                        <strong>${this.escapeHTML(item.skill)}</strong> ${badge(item.importance)}
+                        <p class="gap-suggestion"><i class="fas fa-graduation-cap"></i> ${this.escapeHTML(item.suggestion)}</p>
+                    </li>
+                `, 'Every skill in the posting appears in the resume')}
+            </div>
+            
+            <div class="match-group">
+                <h4>Weak Skills</h4>
+                ${list(report.weak, item => `
+                    <li>
+                        <strong>${this.escapeHTML(item.skill)}</strong> ${badge(item.importance)}
+                        <p class="gap-suggestion">${item.reason === 'skills-only' ?
+                            'Only listed under Skills; add an experience or project bullet that shows it in use' :
+                            `Mentioned once (${this.escapeHTML(item.sections.join(', '))}); add more concrete evidence`}</p>
+                    </li>
+                `, 'No weakly evidenced skills')}
+            </div>
+            
+            <div class="match-group">
+                <h4>Adjacent Skills to Reframe</h4>
+                ${list(report.adjacent, item => `
+                    <li>
+                        <strong>${this.escapeHTML(item.skill)}</strong> ${badge(item.importance)}
+                        <p class="gap-suggestion">You have <strong>${this.escapeHTML(item.have)}</strong>, ${window.skillGapAnalyzer.describeRelation(item.relation)} ${this.escapeHTML(item.skill)}</p>
+                    </li>
+                `, 'No adjacent skills found')}
+            </div>
+            
+            <div class="match-group">
+                <h4>Strong Matches</h4>
+                <div class="keyword-chips">
+                    ${report.strong.length === 0 ?
+                        '<span class="match-empty">None</span>' :
+                        report.strong.map(item => `<span class="keyword-chip matched" title="${item.mentions} mentions">${this.escapeHTML(item.skill)}</span>`).join('')}
+                </div>
+            </div>
+        `;
     }
 
-    updateEditorContent() {
-        if (this.monacoEditor && this.currentResume) {
-            const jsonString = JSON.stringify(this.currentResume, null, 2);
-            this.monacoEditor.setValue(jsonString);
+    async copyGapReport() {
+        if (!this.gapReport) {
+            this.showError('Upload a resume and enter a job description first');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(window.skillGapAnalyzer.toMarkdown(this.gapReport));
+            this.showSuccessMessage('Skill gap report copied as Markdown');
+        } catch (error) {
+            this.showError(`Could not copy to clipboard: ${error.message}`);
         }
     }
 
-    updateResumePreview() {
-        if (!this.currentResume) return;
+    downloadGapReport() {
+        if (!this.gapReport) {
+            this.showError('Upload a resume and enter a job description first');
+            return;
+        }
         
-        const previewContainer = document.getElementById('resumePreview');
-        previewContainer.innerHTML = this.generateResumePreviewHTML(this.currentResume);
+        this.downloadFile(window.skillGapAnalyzer.toMarkdown(this.gapReport), 'skill-gap-report.md', 'text/markdown');
+        this.showSuccessMessage('Skill gap report downloaded');
     }
 
-    generateResumePreviewHTML(resume) {
-        let html = `
-            <h1>${resume.personalInfo?.name || 'Your Name'}</h1>
-            <div class="contact-info">
-        `;
+    /**
+     * Draft a cover letter from the current resume and the job analysis of the entered job description
+     */
+    async generateCoverLetter() {
+        const jobDescription = document.getElementById('jobDescription').value.trim();
         
-        // Contact information
-        if (resume.personalInfo) {
-            const { email, phone, location, linkedin, github, website } = resume.personalInfo;
-            if (email) html += `<span><i class="fas fa-envelope"></i> ${email}</span>`;
-            if (phone) html += `<span><i class="fas fa-phone"></i> ${phone}</span>`;
-            if (location) html += `<span><i class="fas fa-map-marker-alt"></i> ${location}</span>`;
-            if (linkedin) html += `<span><i class="fab fa-linkedin"></i> ${linkedin}</span>`;
-            if (github) html += `<span><i class="fab fa-github"></i> ${github}</span>`;
-            if (website) html += `<span><i class="fas fa-globe"></i> ${website}</span>`;
+        if (!this.currentResume) {
+            this.showError('Upload a resume before generating a cover letter');
+            return;
         }
-        
-        html += '</div>';
-        
-        // Summary
-        if (resume.summary) {
-            html += `<p>${resume.summary}</p>`;
+        if (!jobDescription) {
+            this.showError('Enter a job description before generating a cover letter');
+            return;
+        }
+        if (!window.llmClient.isConfigured()) {
+            this.showError('Configure an AI provider to generate a cover letter');
+            return;
         }
         
-        // Experience
-        if (resume.experience && resume.experience.length > 0) {
-            html += '<h2>Professional Experience</h2>';
-            resume.experience.forEach(exp => {
-                html += `
-                    <div class="experience-item">
-                        <div class="job-header">
-                            <span class="job-title">${exp.title}</span>
-                            <span class="company">${exp.company}</span>
-                            <span class="dates">${exp.startDate} - ${exp.endDate || 'Present'}</span>
-                        </div>
-                        <p>${exp.location || ''}</p>
-                        <div class="achievements">
-                            ${exp.achievements?.map(achievement => 
-                                `<div class="achievement-item">${achievement}</div>`
-                            ).join('') || ''}
-                        </div>
-                    </div>
-                `;
-            });
+        const editor = document.getElementById('coverLetterEditor');
+        if (editor.value.trim() && !confirm('Replace the current cover letter with a new draft?')) {
+            return;
         }
         
-        // Education
-        if (resume.education && resume.education.length > 0) {
-            html += '<h2>Education</h2>';
-            resume.education.forEach(edu => {
-                html += `
-                    <div class="education-item">
-                        <div class="education-header">
-                            <span class="degree">${edu.degree}</span>
-                            <span class="institution">${edu.institution}</span>
-                            <span class="dates">${edu.graduationDate}</span>
-                        </div>
-                        <p>${edu.location || ''}</p>
-                        ${edu.gpa ? `<p>GPA: ${edu.gpa}</p>` : ''}
-                    </div>
-                `;
-            });
+        const button = document.getElementById('generateCoverLetter');
+        const originalHTML = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Writing...';
+        
+        try {
+            const options = {
+                tone: document.getElementById('coverLetterTone').value,
+                length: document.getElementById('coverLetterLength').value,
+                salutation: document.getElementById('coverLetterSalutation').value,
+                recipientName: document.getElementById('coverLetterRecipient').value
+            };
+            const jobAnalysis = this.jobAnalysisText === jobDescription ? this.jobAnalysis : null;
+            
+            editor.value = await window.coverLetterGenerator.generate(
+                this.currentResume,
+                this.getJobPosting(jobDescription),
+                jobAnalysis,
+                options,
+                this.apiKey
+            );
+            document.getElementById('downloadCoverLetterPdf').disabled = false;
+            this.showSuccessMessage('Cover letter drafted. Review and edit it before sending.');
+        } catch (error) {
+            console.error('Cover letter generation error:', error);
+            this.showError(`Cover letter generation failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.innerHTML = originalHTML;
+        }
+    }
+
+    async downloadCoverLetterPdf() {
+        const letterText = document.getElementById('coverLetterEditor').value.trim();
+        if (!letterText) {
+            this.showError('Generate or write a cover letter first');
+            return;
         }
         
-        // Skills
-        if (resume.skills) {
-            html += '<h2>Skills</h2>';
-            if (resume.skills.technical && resume.skills.technical.length > 0) {
-                html += '<h3>Technical Skills</h3>';
-                html += '<div class="skills-section">';
-                resume.skills.technical.forEach(skill => {
-                    html += `<span class="skill-tag">${skill}</span>`;
-                });
-                html += '</div>';
+        // Same template as the resume so both documents match
+        const selectedTemplate = document.getElementById('templateSelect').value;
+        let pdfBlob;
+        
+        try {
+            try {
+                pdfBlob = await window.fastPdfGenerator.generateCoverLetterPDF(letterText, this.currentResume, selectedTemplate);
+            } catch (fastError) {
+                console.warn('Fast PDF generator failed, falling back to standard generator:', fastError);
+                pdfBlob = await window.simplePdfGenerator.generateCoverLetterPDF(letterText, this.currentResume, selectedTemplate);
             }
             
-            if (resume.skills.soft && resume.skills.soft.length > 0) {
-                html += '<h3>Soft Skills</h3>';
-                html += '<div class="skills-section">';
-                resume.skills.soft.forEach(skill => {
-                    html += `<span class="skill-tag">${skill}</span>`;
-                });
-                html += '</div>';
-            }
+            this.downloadFile(pdfBlob, 'cover-letter.pdf', 'application/pdf');
+            this.showSuccessMessage('Cover letter PDF downloaded');
+        } catch (error) {
+            console.error('Cover letter PDF error:', error);
+            this.showError(`Cover letter PDF generation failed: ${error.message}`);
+        }
+    }
+
+    addBatchJob() {
+        const textarea = document.getElementById('batchJobDescription');
+        if (!textarea.value.trim()) {
+            this.showError('Paste a job description to add it to the queue');
+            return;
         }
         
-        // Projects
-        if (resume.projects && resume.projects.length > 0) {
-            html += '<h2>Projects</h2>';
-            resume.projects.forEach(project => {
-                html += `
+        window.batchCustomizer.addJob(textarea.value, document.getElementById('batchIndustryType').value);
+        textarea.value = '';
+    }
+
+    addCurrentJobToBatch() {
+        const jobDescription = document.getElementById('jobDescription').value.trim();
+        if (!jobDescription) {
+            this.showError('Enter a job description first');
+            return;
+        }
+        
+        window.batchCustomizer.addJob(jobDescription, document.getElementById('industryType').value);
+    }
+
+    /**
+     * Customize the uploaded resume (before any single-job customization) for every queued job
+     */
+    async startBatch() {
+        const baseResume = this.originalResume || this.currentResume;
+        if (!baseResume) {
+            this.showError('Upload a resume before running the queue');
+            return;
+        }
+        if (!window.llmClient.isConfigured()) {
+            this.showError('Configure an AI provider before running the queue');
+            return;
+        }
+        if (window.batchCustomizer.getSummary().queued === 0) {
+            this.showError('Add at least one job description to the queue');
+            return;
+        }
+        
+        try {
+            const summary = await window.batchCustomizer.run(baseResume, this.apiKey, {
+                concurrency: document.getElementById('batchConcurrency').value,
+                requestsPerMinute: document.getElementById('batchRateLimit').value
+            });
+            
+            if (summary.failed > 0) {
+                this.showError(`${summary.failed} of ${summary.total} job(s) failed. Use Retry in the results table to queue them again.`);
+            } else {
+                this.showSuccessMessage(`Batch finished: ${summary.done} resume(s) customized`);
+            }
+        } catch (error) {
+            this.showError(`Batch customization failed: ${error.message}`);
+        }
+    }
+
+    // Progress callbacks fire many times per second; redraw at most once per frame
+    scheduleBatchRender() {
+        if (this.batchRenderPending) return;
+        this.batchRenderPending = true;
+        requestAnimationFrame(() => {
+            this.batchRenderPending = false;
+            this.renderBatchResults();
+        });
+    }
+
+    renderBatchResults() {
+        const batch = window.batchCustomizer;
+        const container = document.getElementById('batchResults');
+        const summary = batch.getSummary();
+        
+        document.getElementById('startBatch').disabled = batch.isRunning;
+        document.getElementById('cancelBatch').disabled = !batch.isRunning;
+        document.getElementById('clearBatch').disabled = batch.isRunning;
+        document.getElementById('downloadBatchZip').disabled = batch.isRunning || summary.done === 0;
+        
+        if (batch.jobs.length === 0) {
+            container.innerHTML = `
+                <div class="preview-placeholder">
+                    <i class="fas fa-layer-group"></i>
+                    <p>Queue job descriptions to customize your resume for each of them</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const statusCell = job => {
+            switch (job.status) {
+                case 'running':
+                    return `
+                        <div class="batch-progress"><div class="batch-progress-bar" style="width: ${Math.round(job.progress)}%"></div></div>
+                        <small>${this.escapeHTML(job.message)}</small>
+                    `;
+                case 'done':
+                    return job.verification && !job.verification.passed ?
+                        `<span class="batch-status warning" title="Open the result to review claims with no source in your resume">${job.verification.errors} unverified claim(s)</span>` :
+                        '<span class="batch-status done">Done</span>';
+                case 'failed':
+                    return `<span class="batch-status failed" title="${this.escapeHTML(job.error)}">Failed</span>`;
+                default:
+                    return '<span class="batch-status">Queued</span>';
+            }
+        };
+        const scoreCell = job => {
+            if (!job.match) return '-';
+            const { before, after, delta } = job.match;
+            return `<strong>${after.score}%</strong>${before ? ` <small class="match-delta ${delta >= 0 ? 'positive' : 'negative'}">(${delta >= 0 ? '+' : ''}${delta})</small>` : ''}`;
+        };
+        const actions = job => {
+            if (job.status === 'done') {
+                return `
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="open" title="Open in editor"><i class="fas fa-edit"></i></button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="pdf" title="Download PDF"><i class="fas fa-file-pdf"></i></button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="json" title="Download JSON"><i class="fas fa-file-code"></i></button>
+                `;
+            }
+            if (job.status === 'failed') {
+                return `<button type="button" class="btn btn-secondary btn-sm" data-action="retry" title="Retry"><i class="fas fa-redo"></i></button>`;
+            }
+            return '';
+        };
+        
+        container.innerHTML = `
+            <div class="batch-summary">
+                ${summary.total} job(s): ${summary.done} done, ${summary.running} running, ${summary.queued} queued, ${summary.failed} failed
+            </div>
+            <table class="batch-table">
+                <thead>
+                    <tr><th>#</th><th>Job</th><th>Industry</th><th>Status</th><th>Match</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${batch.jobs.map((job, index) => `
+                        <tr data-job-id="${job.id}">
+                            <td>${index + 1}</td>
+                            <td title="${this.escapeHTML(job.jobDescription.slice(0, 300))}">${this.escapeHTML(job.label)}</td>
+                            <td>${this.escapeHTML(job.industryType || '-')}</td>
+                            <td>${statusCell(job)}</td>
+                            <td>${scoreCell(job)}</td>
+                            <td class="batch-actions">
+                                ${actions(job)}
+                                ${job.status !== 'running' ? '<button type="button" class="btn btn-secondary btn-sm" data-action="remove" title="Remove"><i class="fas fa-times"></i></button>' : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async handleBatchAction(event) {
+        const button = event.target.closest('[data-action]');
+        const row = event.target.closest('[data-job-id]');
+        if (!button || !row) return;
+        
+        const batch = window.batchCustomizer;
+        const job = batch.getJob(row.dataset.jobId);
+        if (!job) return;
+        
+        switch (button.dataset.action) {
+            case 'open':
+                this.openBatchResult(job);
+                break;
+            case 'pdf':
+                if (job.verification && !job.verification.passed &&
+                    !confirm(`This resume has ${job.verification.errors} AI claim(s) with no source in your original resume. Download the PDF anyway?`)) {
+                    return;
+                }
+                try {
+                    const pdfBlob = await batch.generatePdf(job.resume, document.getElementById('templateSelect').value);
+                    this.downloadFile(pdfBlob, `${batch.getFileBaseName(job)}.pdf`, 'application/pdf');
+                } catch (error) {
+                    this.showError(`PDF generation failed: ${error.message}`);
+                }
+                break;
+            case 'json':
+                this.downloadFile(JSON.stringify(job.resume, null, 2), `${batch.getFileBaseName(job)}.json`, 'application/json');
+                break;
+            case 'retry':
+                batch.retry(job.id);
+                break;
+            case 'remove':
+                batch.removeJob(job.id);
+                break;
+        }
+    }
+
+    /**
+     * Everything needed to pick the work up again: resumes, review decisions, job and template,
+     * and the uploaded JSON Resume document whose extra sections the export carries over
+     * @returns {Object} Workspace state
+     */
+    getWorkspaceState() {
+        return {
+            resume: this.currentResume,
+            originalResume: this.originalResume,
+            customizedResume: this.customizedResume,
+            reviewDecisions: this.reviewDecisions,
+            jobDescription: document.getElementById('jobDescription').value,
+            industryType: document.getElementById('industryType').value,
+            template: document.getElementById('templateSelect').value,
+            fileName: document.getElementById('fileName').textContent,
+            snapshots: window.resumeHistory.snapshots,
+            libraryEntryId: this.libraryEntryId,
+            libraryBaseId: this.libraryBaseId,
+            jsonResumeSource: this.jsonResumeSource
+        };
+    }
+
+    /**
+     * Replace the workspace with a saved one (a library entry or the last session)
+     * @param {Object} state - getWorkspaceState() output
+     */
+    loadWorkspace(state) {
+        const migrate = resume => resume ? window.resumeSchema.migrate(resume) : null;
+        this.currentResume = migrate(state.resume);
+        this.originalResume = migrate(state.originalResume) || JSON.parse(JSON.stringify(this.currentResume));
+        this.customizedResume = migrate(state.customizedResume);
+        this.libraryEntryId = state.libraryEntryId || null;
+        this.libraryBaseId = state.libraryBaseId || null;
+        this.jsonResumeSource = state.jsonResumeSource || null;
+        this.verificationReport = null;
+        this.customizationTiming = null;
+        this.jobAnalysis = null;
+        this.jobAnalysisText = '';
+        this.currentPdfBlob = null;
+        this.unverifiedClaimsAcknowledged = false;
+        
+        document.getElementById('jobDescription').value = state.jobDescription || '';
+        document.getElementById('industryType').value = state.industryType || '';
+        if (state.template) document.getElementById('templateSelect').value = state.template;
+        const charCount = document.getElementById('charCount');
+        if (charCount) charCount.textContent = (state.jobDescription || '').length;
+        this.updateJobPosting();
+        
+        // Review decisions only make sense against the AI output they were made on
+        this.startReview();
+        if (this.customizedResume && state.reviewDecisions) {
+            this.reviewDecisions = state.reviewDecisions;
+            this.renderReview();
+        }
+        
+        document.getElementById('fileName').textContent = state.fileName || 'Saved resume';
+        document.getElementById('fileSize').textContent = '';
+        document.getElementById('fileInfo').style.display = 'flex';
+        document.getElementById('fileUploadArea').style.display = 'none';
+        document.getElementById('editorSection').style.display = 'block';
+        
+        const snapshots = (state.snapshots || []).map(snapshot => ({ ...snapshot, resume: migrate(snapshot.resume) }));
+        window.resumeHistory.reset(this.currentResume, `Opened ${state.fileName || 'saved resume'}`, snapshots);
+        this.updateEditorContent();
+        this.updateResumePreview();
+        this.checkRequirements();
+    }
+
+    /**
+     * Restore the workspace saved before the page was closed or crashed
+     * @returns {Promise<boolean>} Whether a session was restored
+     */
+    async restoreSession() {
+        if (!window.resumeLibrary.isAvailable()) return false;
+        
+        try {
+            const session = await window.resumeLibrary.loadSession();
+            if (!session?.resume || this.currentResume) return false;
+            
+            this.loadWorkspace(session);
+            this.showSuccessMessage(`Restored your last session from ${new Date(session.savedAt).toLocaleString()}`);
+            return true;
+        } catch (error) {
+            console.warn('Could not restore the last session:', error);
+            return false;
+        }
+    }
+
+    // Edits arrive on every keystroke; write the session once they pause
+    scheduleSessionSave() {
+        if (!window.resumeLibrary.isAvailable()) return;
+        
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => {
+            if (!this.currentResume) return;
+            window.resumeLibrary.saveSession(this.getWorkspaceState())
+                .catch(error => console.warn('Could not save the session:', error));
+        }, 1000);
+    }
+
+    clearSession() {
+        clearTimeout(this.sessionSaveTimer);
+        if (window.resumeLibrary.isAvailable()) {
+            window.resumeLibrary.clearSession().catch(error => console.warn('Could not clear the session:', error));
+        }
+    }
+
+    remindFollowUps() {
+        const due = window.applicationTracker.dueFollowUps().length;
+        if (due > 0) {
+            this.showSuccessMessage(`${due} application follow-up${due === 1 ? ' is' : 's are'} due; see the Applications tab`);
+        }
+    }
+
+    /**
+     * Library entry for the current workspace: a base resume, or a variant of the base it was
+     * customized from together with the job it was tailored for
+     */
+    getLibraryEntry() {
+        const state = this.getWorkspaceState();
+        const isVariant = Boolean(this.customizedResume);
+        const jobDescription = isVariant ? state.jobDescription.trim() : '';
+        const posting = jobDescription ? this.getJobPosting(jobDescription) : null;
+        
+        return {
+            kind: isVariant ? 'variant' : 'base',
+            baseId: isVariant ? this.libraryBaseId : null,
+            resume: state.resume,
+            originalResume: state.originalResume,
+            customizedResume: state.customizedResume,
+            reviewDecisions: state.reviewDecisions,
+            jobDescription,
+            jobTitle: posting?.title || '',
+            company: posting?.company || '',
+            industryType: state.industryType,
+            template: state.template,
+            fileName: state.fileName,
+            snapshots: state.snapshots,
+            jsonResumeSource: state.jsonResumeSource
+        };
+    }
+
+    /**
+     * Keep every upload as a base resume and every customization as a variant of it
+     */
+    async addToLibrary() {
+        if (!window.resumeLibrary.isAvailable() || !this.currentResume) return;
+        
+        try {
+            await this.storeInLibrary(true);
+        } catch (error) {
+            console.warn('Could not add the resume to the library:', error);
+        }
+    }
+
+    /**
+     * Save the workspace to the open library entry, or to a new one
+     * @param {boolean} asNew - Create a new entry even when one is open
+     */
+    async saveToLibrary(asNew = false) {
+        if (!this.currentResume) {
+            this.showError('Upload or open a resume before saving it to the library');
+            return;
+        }
+        
+        try {
+            const entry = await this.storeInLibrary(asNew);
+            this.showSuccessMessage(`Saved "${this.escapeHTML(entry.name)}" to your library`);
+        } catch (error) {
+            this.showError(`Could not save to the library: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {boolean} asNew - Create a new entry even when one is open
+     * @returns {Promise<Object>} The stored library entry, now the open one
+     */
+    async storeInLibrary(asNew = false) {
+        const entry = await window.resumeLibrary.save({
+            ...this.getLibraryEntry(),
+            id: asNew ? undefined : this.libraryEntryId || undefined
+        });
+        this.libraryEntryId = entry.id;
+        if (entry.kind === 'base') this.libraryBaseId = entry.id;
+        this.scheduleSessionSave();
+        return entry;
+    }
+
+    async renderLibrary() {
+        const container = document.getElementById('libraryList');
+        const library = window.resumeLibrary;
+        const placeholder = message => `
+            <div class="preview-placeholder">
+                <i class="fas fa-book"></i>
+                <p>${message}</p>
+            </div>
+        `;
+        
+        if (!library.isAvailable()) {
+            container.innerHTML = placeholder('This browser does not support IndexedDB, so resumes cannot be saved locally');
+            return;
+        }
+        
+        // Searches fire on every keystroke; only the latest one may draw
+        const token = ++this.libraryRenderToken;
+        const query = document.getElementById('librarySearch').value;
+        let all;
+        let entries;
+        try {
+            all = await library.list();
+            entries = await library.list({ query, kind: document.getElementById('libraryKind').value });
+        } catch (error) {
+            if (token === this.libraryRenderToken) {
+                container.innerHTML = placeholder(`The library could not be opened: ${this.escapeHTML(error.message)}`);
+            }
+            return;
+        }
+        if (token !== this.libraryRenderToken) return;
+        
+        if (entries.length === 0) {
+            container.innerHTML = placeholder(all.length > 0 ?
+                'No saved resumes match your search' :
+                'Resumes you upload and customize are saved here');
+            return;
+        }
+        
+        const names = new Map(all.map(entry => [entry.id, entry.name]));
+        container.innerHTML = `
+            <table class="batch-table library-table">
+                <thead>
+                    <tr><th>Name</th><th>Type</th><th>Template</th><th>Updated</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => {
+                        const job = [entry.jobTitle, entry.company].filter(Boolean).join(' · ');
+                        const base = entry.baseId && names.get(entry.baseId);
+                        return `
+                            <tr data-entry-id="${this.escapeHTML(entry.id)}" class="${entry.id === this.libraryEntryId ? 'active' : ''}">
+                                <td>
+                                    <strong>${this.escapeHTML(entry.name)}</strong>
+                                    ${job ? `<br><small title="${this.escapeHTML(entry.jobDescription.slice(0, 300))}">${this.escapeHTML(job)}</small>` : ''}
+                                </td>
+                                <td>
+                                    <span class="library-kind ${entry.kind}">${entry.kind === 'variant' ? 'Customized' : 'Base'}</span>
+                                    ${base ? `<br><small>from ${this.escapeHTML(base)}</small>` : ''}
+                                </td>
+                                <td>${this.escapeHTML(entry.template || '-')}</td>
+                                <td>${new Date(entry.updatedAt).toLocaleString()}</td>
+                                <td class="batch-actions">
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="open" title="Open"><i class="fas fa-folder-open"></i></button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="duplicate" title="Duplicate"><i class="fas fa-clone"></i></button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async handleLibraryAction(event) {
+        const button = event.target.closest('[data-action]');
+        const row = event.target.closest('[data-entry-id]');
+        if (!button || !row) return;
+        
+        const library = window.resumeLibrary;
+        const id = row.dataset.entryId;
+        try {
+            const entry = await library.get(id);
+            if (!entry) return;
+            
+            switch (button.dataset.action) {
+                case 'open':
+                    this.openLibraryEntry(entry);
+                    break;
+                case 'rename': {
+                    const name = prompt('Rename this resume', entry.name);
+                    if (name && name.trim()) await library.rename(id, name);
+                    break;
+                }
+                case 'duplicate':
+                    await library.duplicate(id);
+                    break;
+                case 'delete':
+                    if (!confirm(`Delete "${entry.name}" from your library? This cannot be undone.`)) return;
+                    await library.remove(id);
+                    if (this.libraryEntryId === id) this.libraryEntryId = null;
+                    if (this.libraryBaseId === id) this.libraryBaseId = null;
+                    this.scheduleSessionSave();
+                    break;
+            }
+        } catch (error) {
+            this.showError(`Library action failed: ${error.message}`);
+        }
+    }
+
+    openLibraryEntry(entry) {
+        if (this.currentResume && !this.libraryEntryId &&
+            !confirm('Your current resume is not saved in the library. Open this one anyway?')) {
+            return;
+        }
+        
+        this.loadWorkspace({
+            ...entry,
+            libraryEntryId: entry.id,
+            libraryBaseId: entry.kind === 'base' ? entry.id : entry.baseId
+        });
+        this.renderLibrary();
+        this.switchToTab('preview');
+        this.showSuccessMessage(`Opened "${this.escapeHTML(entry.name)}"`);
+    }
+
+    /**
+     * Load a batch result into the editor so it can be reviewed like a single customization
+     */
+    openBatchResult(job) {
+        document.getElementById('jobDescription').value = job.jobDescription;
+        document.getElementById('industryType').value = job.industryType;
+        const charCount = document.getElementById('charCount');
+        if (charCount) charCount.textContent = job.jobDescription.length;
+        
+        this.jobPosting = job.jobPosting;
+        this.jobPostingText = job.jobDescription;
+        this.jobAnalysis = job.jobAnalysis;
+        this.jobAnalysisText = job.jobDescription;
+        this.customizationTiming = { totalMs: job.durationMs, phases: job.timings };
+        this.renderJobPosting(job.jobPosting);
+        
+        this.customizedResume = JSON.parse(JSON.stringify(job.resume));
+        this.currentResume = this.customizedResume;
+        this.currentPdfBlob = null;
+        this.unverifiedClaimsAcknowledged = false;
+        this.libraryEntryId = null;
+        
+        this.checkRequirements();
+        this.updateEditorContent();
+        this.updateResumePreview();
+        this.recordHistory('Open batch result');
+        this.startReview();
+        this.switchToTab(this.reviewChanges.length > 0 ? 'review' : 'preview');
+    }
+
+    async downloadBatchZip() {
+        const batch = window.batchCustomizer;
+        const unverified = batch.jobs.filter(job => job.status === 'done' && job.verification && !job.verification.passed).length;
+        const includeUnverified = unverified > 0 &&
+            confirm(`${unverified} resume(s) have AI claims with no source in your original resume. Include their PDFs anyway? Their JSON is always included.`);
+        
+        const button = document.getElementById('downloadBatchZip');
+        const originalHTML = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Packaging...';
+        
+        try {
+            const zipBlob = await batch.exportZip(document.getElementById('templateSelect').value, { includeUnverified });
+            this.downloadFile(zipBlob, 'customized-resumes.zip', 'application/zip');
+            this.showSuccessMessage('All customized resumes downloaded');
+        } catch (error) {
+            this.showError(`ZIP export failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.innerHTML = originalHTML;
+        }
+    }
+
+    formatDuration(ms) {
+        return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+    }
+
+    updateEditorContent() {
+        if (this.monacoEditor && this.currentResume) {
+            const jsonString = JSON.stringify(this.currentResume, null, 2);
+            // Whoever changed the resume records the history step, not the editor's change handler
+            this.settingEditorContent = true;
+            try {
+                this.monacoEditor.setValue(jsonString);
+            } finally {
+                this.settingEditorContent = false;
+            }
+        }
+    }
+
+    updateResumePreview() {
+        if (!this.currentResume) return;
+        
+        const report = this.refreshVerification();
+        const timelineReport = this.refreshTimelineCheck();
+        const previewContainer = document.getElementById('resumePreview');
+        previewContainer.innerHTML = this.generateVerificationHTML(report) +
+            this.generateTimelineHTML(timelineReport) +
+            this.generateResumePreviewHTML(this.currentResume);
+        this.setEditorMarkers('timeline', timelineReport.issues);
+        // Rebuilding the form while typing in it would drop the cursor
+        if (!this.syncingFromForm) this.renderForm();
+        this.updateMatchReport();
+        this.updateGapReport();
+        this.scheduleSessionSave();
+    }
+
+    /**
+     * Build the form editor from the current resume
+     */
+    renderForm() {
+        const container = document.getElementById('resumeForm');
+        if (!container) return;
+        
+        const resume = this.currentResume;
+        if (!resume) {
+            container.innerHTML = `
+                <div class="preview-placeholder">
+                    <i class="fas fa-list-alt"></i>
+                    <p>Upload a resume to edit it as a form</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const model = window.resumeFormModel;
+        const section = key => this.generateFormCardsHTML(model.getSection(key), resume);
+        container.innerHTML = `
+            <div class="form-section">
+                <h4><i class="fas fa-user"></i> Personal Information</h4>
+                <div class="form-grid">
+                    ${model.personalFields.map(field => this.generateFormFieldHTML(field, `personalInfo.${field.key}`, resume)).join('')}
+                </div>
+            </div>
+            <div class="form-section">
+                <h4><i class="fas fa-align-left"></i> Summary</h4>
+                <div class="form-grid">
+                    ${this.generateFormFieldHTML({ key: 'summary', label: 'Professional Summary', type: 'textarea' }, 'summary', resume)}
+                </div>
+            </div>
+            ${section('experience')}
+            ${section('education')}
+            <div class="form-section">
+                <h4><i class="fas fa-tags"></i> Skills</h4>
+                <div class="form-grid">
+                    ${model.skillGroups.map(group => this.generateFormFieldHTML({ ...group, type: 'tags' }, `skills.${group.key}`, resume)).join('')}
+                </div>
+            </div>
+            ${section('projects')}
+        `;
+    }
+
+    generateFormCardsHTML(section, resume) {
+        const items = Array.isArray(resume[section.key]) ? resume[section.key] : [];
+        const cards = items.map((item, index) => `
+            <div class="form-card" data-list="${section.key}" data-index="${index}">
+                <div class="form-card-header">
+                    <span class="drag-handle" draggable="true" title="Drag to reorder"><i class="fas fa-grip-vertical"></i></span>
+                    <span class="form-card-title">${this.escapeHTML(this.describeFormCard(section, item))}</span>
+                    <button type="button" class="form-remove" data-action="remove-item" data-list="${section.key}" data-index="${index}" title="Remove ${section.itemLabel}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="form-grid">
+                    ${section.fields.map(field => this.generateFormFieldHTML(field, `${section.key}[${index}].${field.key}`, resume)).join('')}
+                </div>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="form-section">
+                <div class="form-section-header">
+                    <h4><i class="fas ${section.icon}"></i> ${section.label}</h4>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="add-item" data-list="${section.key}">
+                        <i class="fas fa-plus"></i> Add ${section.itemLabel}
+                    </button>
+                </div>
+                ${cards || `<p class="form-empty">No ${section.label.toLowerCase()} yet</p>`}
+            </div>
+        `;
+    }
+
+    describeFormCard(section, item) {
+        return section.describe(item || {}) || `New ${section.itemLabel}`;
+    }
+
+    generateFormFieldHTML(field, path, resume) {
+        const value = window.resumeFormModel.get(resume, path);
+        const label = `<span class="form-label">${field.label}</span>`;
+        
+        if (field.type === 'bullets') {
+            const lines = Array.isArray(value) ? value : [];
+            return `
+                <div class="form-field wide">
+                    ${label}
+                    <ul class="form-bullets">
+                        ${lines.map((line, index) => `
+                            <li data-list="${path}" data-index="${index}">
+                                <span class="drag-handle" draggable="true" title="Drag to reorder"><i class="fas fa-grip-vertical"></i></span>
+                                <input type="text" class="form-input" data-path="${path}[${index}]" value="${this.escapeHTML(line)}">
+                                <button type="button" class="form-remove" data-action="remove-item" data-list="${path}" data-index="${index}" title="Remove line">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <button type="button" class="form-add-line" data-action="add-line" data-list="${path}">
+                        <i class="fas fa-plus"></i> Add line
+                    </button>
+                </div>
+            `;
+        }
+        
+        if (field.type === 'tags') {
+            const tags = Array.isArray(value) ? value : [];
+            return `
+                <div class="form-field wide">
+                    ${label}
+                    <div class="tag-input">
+                        ${tags.map((tag, index) => `
+                            <span class="form-tag" draggable="true" data-list="${path}" data-index="${index}">
+                                ${this.escapeHTML(tag)}
+                                <button type="button" data-action="remove-item" data-list="${path}" data-index="${index}" title="Remove">&times;</button>
+                            </span>
+                        `).join('')}
+                        <input type="text" class="tag-entry" data-list="${path}" placeholder="Type and press Enter">
+                    </div>
+                </div>
+            `;
+        }
+        
+        if (field.type === 'textarea') {
+            return `
+                <label class="form-field wide">
+                    ${label}
+                    <textarea class="form-input" data-path="${path}" rows="3">${this.escapeHTML(value)}</textarea>
+                </label>
+            `;
+        }
+        
+        return `
+            <label class="form-field">
+                ${label}
+                <input type="${field.inputType || 'text'}" class="form-input" data-path="${path}" value="${this.escapeHTML(value)}" placeholder="${this.escapeHTML(field.placeholder || '')}">
+            </label>
+        `;
+    }
+
+    /**
+     * Push a form edit to the JSON editor and preview without rebuilding the form under the cursor
+     * @param {string} label - History step name
+     * @param {Object} options - History options; { merge: true } for typing
+     */
+    syncFromForm(label = 'Edit form', options = {}) {
+        this.syncingFromForm = true;
+        try {
+            if (this.monacoEditor) {
+                // The editor's change handler re-reads the resume and updates the preview
+                this.updateEditorContent();
+            } else {
+                this.updateResumePreview();
+            }
+        } finally {
+            this.syncingFromForm = false;
+        }
+        this.recordHistory(label, options);
+    }
+
+    handleFormInput(e) {
+        const path = e.target.dataset.path;
+        if (!path || !this.currentResume) return;
+        
+        window.resumeFormModel.set(this.currentResume, path, e.target.value);
+        
+        const card = e.target.closest('.form-card');
+        if (card) {
+            const section = window.resumeFormModel.getSection(card.dataset.list);
+            card.querySelector('.form-card-title').textContent =
+                this.describeFormCard(section, this.currentResume[section.key][Number(card.dataset.index)]);
+        }
+        this.syncFromForm('Edit form', { merge: true });
+    }
+
+    handleFormAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || !this.currentResume) return;
+        
+        const model = window.resumeFormModel;
+        const list = button.dataset.list;
+        let focusPath = null;
+        let label;
+        
+        switch (button.dataset.action) {
+            case 'add-item': {
+                const section = model.getSection(list);
+                const index = model.insert(this.currentResume, list, model.newItem(list));
+                focusPath = `${list}[${index}].${section.fields[0].key}`;
+                label = `Add ${section.itemLabel}`;
+                break;
+            }
+            case 'add-line':
+                focusPath = `${list}[${model.insert(this.currentResume, list, '')}]`;
+                label = 'Add bullet';
+                break;
+            case 'remove-item':
+                model.remove(this.currentResume, list, Number(button.dataset.index));
+                label = 'Remove from form';
+                break;
+            default:
+                return;
+        }
+        
+        this.renderForm();
+        this.syncFromForm(label);
+        if (focusPath) {
+            document.querySelector(`#resumeForm [data-path="${focusPath}"]`)?.focus();
+        }
+    }
+
+    /**
+     * Enter or comma adds the typed tag; Backspace in an empty box removes the last one
+     */
+    handleTagKeydown(e) {
+        const input = e.target;
+        if (!input.classList.contains('tag-entry') || !this.currentResume) return;
+        
+        const model = window.resumeFormModel;
+        const list = input.dataset.list;
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            const tags = input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+            if (tags.length === 0) return;
+            const existing = model.getList(this.currentResume, list).map(tag => String(tag).toLowerCase());
+            tags.filter(tag => !existing.includes(tag.toLowerCase()))
+                .forEach(tag => model.insert(this.currentResume, list, tag));
+        } else if (e.key === 'Backspace' && !input.value) {
+            const length = model.getList(this.currentResume, list).length;
+            if (length === 0) return;
+            model.remove(this.currentResume, list, length - 1);
+        } else {
+            return;
+        }
+        
+        this.renderForm();
+        this.syncFromForm('Edit tags');
+        document.querySelector(`#resumeForm .tag-entry[data-list="${list}"]`)?.focus();
+    }
+
+    /**
+     * Reorder cards, bullets and tags by dragging; items only move within their own list
+     */
+    handleFormDrag(e) {
+        const container = document.getElementById('resumeForm');
+        const clearHighlights = () => {
+            container.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+        };
+        
+        if (e.type === 'dragstart') {
+            const handle = e.target.closest?.('[draggable="true"]');
+            const item = handle?.closest('[data-index]');
+            if (!item) return;
+            this.formDrag = { list: item.dataset.list, index: Number(item.dataset.index) };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', '');
+            if (item !== handle) e.dataTransfer.setDragImage(item, 16, 16);
+            item.classList.add('dragging');
+            return;
+        }
+        
+        if (e.type === 'dragend') {
+            this.formDrag = null;
+            clearHighlights();
+            return;
+        }
+        
+        const target = this.findFormDropTarget(e.target);
+        if (!target) return;
+        e.preventDefault();
+        
+        if (e.type === 'dragover') {
+            e.dataTransfer.dropEffect = 'move';
+            container.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            target.classList.add('drop-target');
+            return;
+        }
+        
+        const { list, index } = this.formDrag;
+        this.formDrag = null;
+        clearHighlights();
+        if (window.resumeFormModel.move(this.currentResume, list, index, Number(target.dataset.index))) {
+            this.renderForm();
+            this.syncFromForm('Reorder');
+        }
+    }
+
+    /**
+     * The item under the pointer that belongs to the list being dragged
+     */
+    findFormDropTarget(element) {
+        if (!this.formDrag || !this.currentResume) return null;
+        
+        let target = element.closest?.('[data-index]');
+        while (target && target.dataset.list !== this.formDrag.list) {
+            target = target.parentElement?.closest('[data-index]');
+        }
+        return target || null;
+    }
+
+    /**
+     * Re-check the current resume against the original; only AI output is verified
+     * @returns {Object|null} Hallucination guard report
+     */
+    refreshVerification() {
+        this.verificationReport = this.customizedResume && this.originalResume && window.hallucinationGuard ?
+            window.hallucinationGuard.verify(this.originalResume, this.currentResume) :
+            null;
+        return this.verificationReport;
+    }
+
+    /**
+     * Lint the current resume's dates for gaps, overlaps and other timeline problems
+     * @returns {Object} Timeline checker report
+     */
+    refreshTimelineCheck() {
+        this.timelineReport = window.timelineChecker.check(this.currentResume);
+        return this.timelineReport;
+    }
+
+    generateTimelineHTML(report) {
+        const hasDates = (this.currentResume.experience || []).some(exp => exp.startDate || exp.endDate);
+        if (!hasDates && report.issues.length === 0) return '';
+        
+        const setting = `
+            <label class="timeline-setting">
+                Flag gaps over
+                <input type="number" id="timelineGapMonths" min="1" max="60" value="${window.timelineChecker.getGapThreshold()}">
+                months
+            </label>
+        `;
+        
+        if (report.issues.length === 0) {
+            return `
+                <div class="verification-panel timeline-panel passed">
+                    <div class="verification-header">
+                        <i class="fas fa-calendar-check"></i>
+                        <span>Timeline check: no gaps, overlaps or date problems</span>
+                        ${setting}
+                    </div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="verification-panel timeline-panel warning">
+                <div class="verification-header">
+                    <i class="fas fa-calendar-alt"></i>
+                    <span>Timeline check: ${report.warnings} item(s) a recruiter may ask about</span>
+                    ${setting}
+                </div>
+                <ul>
+                    ${report.issues.map(issue => `
+                        <li class="${issue.severity}">
+                            <code>${this.escapeHTML(issue.path)}</code> ${this.escapeHTML(issue.message)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Show issues as squiggles in the JSON editor at the values they refer to
+     * @param {string} owner - Marker group, replaced as a whole on each call
+     * @param {Array<Object>} issues - [{ path, message, severity }]
+     */
+    setEditorMarkers(owner, issues) {
+        if (!this.monacoEditor || typeof monaco === 'undefined') return;
+        
+        const model = this.monacoEditor.getModel();
+        const text = model.getValue();
+        const markers = issues.map(issue => {
+            const range = window.jsonSourceMap.locate(text, issue.path);
+            return range && {
+                ...range,
+                message: issue.message,
+                severity: { error: monaco.MarkerSeverity.Error, info: monaco.MarkerSeverity.Info }[issue.severity] || monaco.MarkerSeverity.Warning,
+                source: owner
+            };
+        }).filter(Boolean);
+        
+        monaco.editor.setModelMarkers(model, owner, markers);
+    }
+
+    generateVerificationHTML(report) {
+        if (!report || report.issues.length === 0) return '';
+        
+        const status = report.passed ? 'warning' : 'error';
+        const summary = report.passed ?
+            `${report.warnings} item(s) to double-check` :
+            `${report.errors} unverified claim(s) — PDF generation is blocked until you review them`;
+        
+        return `
+            <div class="verification-panel ${status}">
+                <div class="verification-header">
+                    <i class="fas fa-shield-alt"></i>
+                    <span>AI verification: ${summary}</span>
+                </div>
+                <ul>
+                    ${report.issues.map(issue => `
+                        <li class="${issue.severity}">
+                            <code>${this.escapeHTML(issue.path)}</code> ${this.escapeHTML(issue.message)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape text and highlight the values the hallucination guard flagged as errors in this field
+     * @param {string} path - JSON path of the field, as in the guard's issues
+     * @param {string} text - Text to render
+     * @returns {string} Escaped HTML with unverified values wrapped in <mark>
+     */
+    markUnverified(path, text) {
+        const html = this.escapeHTML(text);
+        const issues = (this.verificationReport?.issues || []).filter(issue => issue.severity === 'error' && issue.path === path);
+        if (!html || issues.length === 0) return html;
+        
+        // Matched against the escaped text, so flagged values containing "&" or "<" still match
+        const values = [...new Set(issues.map(issue => this.escapeHTML(issue.value)).filter(Boolean))]
+            .sort((a, b) => b.length - a.length)
+            .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(values.join('|'), 'g');
+        
+        return html.replace(pattern, match => `<mark class="unverified" title="Not found in your original resume">${match}</mark>`);
+    }
+
+    acknowledgeUnverifiedClaims() {
+        this.unverifiedClaimsAcknowledged = true;
+        this.generatePdf();
+    }
+
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Preview HTML; text carrying a data-path can be edited in place (see handlePreviewKeydown)
+     */
+    generateResumePreviewHTML(resume) {
+        const edit = (path, value, placeholder) => this.editableHTML(path, this.markUnverified(path, value), placeholder);
+        
+        let html = `
+            <h1>${edit('personalInfo.name', resume.personalInfo?.name, 'Your Name')}</h1>
+            <div class="contact-info">
+        `;
+        
+        // Contact information
+        if (resume.personalInfo) {
+            const icons = {
+                email: 'fas fa-envelope',
+                phone: 'fas fa-phone',
+                location: 'fas fa-map-marker-alt',
+                linkedin: 'fab fa-linkedin',
+                github: 'fab fa-github',
+                website: 'fas fa-globe'
+            };
+            Object.entries(icons).forEach(([field, icon]) => {
+                const value = resume.personalInfo[field];
+                if (value) html += `<span><i class="${icon}"></i> ${edit(`personalInfo.${field}`, value)}</span>`;
+            });
+        }
+        
+        html += '</div>';
+        
+        // Summary
+        if (resume.summary) {
+            html += `<p>${edit('summary', resume.summary)}</p>`;
+        }
+        
+        // Experience
+        if (resume.experience && resume.experience.length > 0) {
+            html += '<h2>Professional Experience</h2>';
+            resume.experience.forEach((exp, i) => {
+                const path = `experience[${i}]`;
+                html += `
+                    <div class="experience-item">
+                        <div class="job-header">
+                            <span class="job-title">${edit(`${path}.title`, exp.title, 'Job Title')}</span>
+                            <span class="company">${edit(`${path}.company`, exp.company, 'Company')}</span>
+                            <span class="dates">${edit(`${path}.startDate`, exp.startDate, 'Start')} - ${edit(`${path}.endDate`, exp.endDate, 'Present')}</span>
+                        </div>
+                        <p>${edit(`${path}.location`, exp.location)}</p>
+                        <div class="achievements">
+                            ${exp.achievements?.map((achievement, j) => 
+                                `<div class="achievement-item">${edit(`${path}.achievements[${j}]`, achievement)}</div>`
+                            ).join('') || ''}
+                        </div>
+                    </div>
+                `;
+            });
+        }
+        
+        // Education
+        if (resume.education && resume.education.length > 0) {
+            html += '<h2>Education</h2>';
+            resume.education.forEach((edu, i) => {
+                const path = `education[${i}]`;
+                html += `
+                    <div class="education-item">
+                        <div class="education-header">
+                            <span class="degree">${edit(`${path}.degree`, edu.degree, 'Degree')}</span>
+                            <span class="institution">${edit(`${path}.institution`, edu.institution, 'Institution')}</span>
+                            <span class="dates">${edit(`${path}.graduationDate`, edu.graduationDate)}</span>
+                        </div>
+                        <p>${edit(`${path}.location`, edu.location)}</p>
+                        ${edu.gpa ? `<p>GPA: ${edit(`${path}.gpa`, edu.gpa)}</p>` : ''}
+                    </div>
+                `;
+            });
+        }
+        
+        // Skills
+        if (resume.skills) {
+            html += '<h2>Skills</h2>';
+            window.skillTaxonomy.groupSkills(resume.skills).forEach(group => {
+                html += `<h3>${group.label}</h3>`;
+                html += '<div class="skills-section">';
+                group.skills.forEach(skill => {
+                    html += `<span class="skill-tag">${edit(this.findSkillPath(resume.skills, skill), skill)}</span>`;
+                });
+                html += '</div>';
+            });
+        }
+        
+        // Projects
+        if (resume.projects && resume.projects.length > 0) {
+            html += '<h2>Projects</h2>';
+            resume.projects.forEach((project, i) => {
+                const path = `projects[${i}]`;
+                html += `
                     <div class="project-item">
                         <div class="project-header">
-                            <span class="project-name">${project.name}</span>
+                            <span class="project-name">${edit(`${path}.name`, project.name, 'Project Name')}</span>
                         </div>
-                        <p>${project.description}</p>
+                        <p>${edit(`${path}.description`, project.description)}</p>
                         ${project.technologies && project.technologies.length > 0 ? 
                             `<div class="skills-section">
-                                ${project.technologies.map(tech => `<span class="skill-tag">${tech}</span>`).join('')}
+                                ${project.technologies.map((tech, j) => `<span class="skill-tag">${edit(`${path}.technologies[${j}]`, tech)}</span>`).join('')}
                             </div>` : ''
                         }
                     </div>
-                `;
-            });
+                `;
+            });
+        }
+        
+        // Certifications
+        if (resume.certifications?.length > 0) {
+            html += '<h2>Certifications</h2>';
+            resume.certifications.forEach((cert, i) => {
+                html += `
+                    <div class="education-item">
+                        <div class="education-header">
+                            <span class="degree">${edit(`certifications[${i}].name`, cert.name)}</span>
+                            <span class="institution">${edit(`certifications[${i}].issuer`, cert.issuer)}</span>
+                            <span class="dates">${edit(`certifications[${i}].date`, cert.date)}</span>
+                        </div>
+                    </div>
+                `;
+            });
+        }
+        
+        // Languages
+        if (resume.languages?.length > 0) {
+            html += '<h2>Languages</h2>';
+            html += `<div class="skills-section">
+                ${resume.languages.map(item => `<span class="skill-tag">${this.escapeHTML(window.resumeSchema.formatLanguage(item))}</span>`).join('')}
+            </div>`;
+        }
+        
+        // Awards
+        if (resume.awards?.length > 0) {
+            html += '<h2>Awards</h2>';
+            resume.awards.forEach((award, i) => {
+                html += `
+                    <div class="education-item">
+                        <div class="education-header">
+                            <span class="degree">${edit(`awards[${i}].title`, award.title)}</span>
+                            <span class="institution">${edit(`awards[${i}].awarder`, award.awarder)}</span>
+                            <span class="dates">${edit(`awards[${i}].date`, award.date)}</span>
+                        </div>
+                        ${award.summary ? `<p>${edit(`awards[${i}].summary`, award.summary)}</p>` : ''}
+                    </div>
+                `;
+            });
+        }
+        
+        // Publications
+        if (resume.publications?.length > 0) {
+            html += '<h2>Publications</h2>';
+            resume.publications.forEach((publication, i) => {
+                html += `
+                    <div class="education-item">
+                        <div class="education-header">
+                            <span class="degree">${edit(`publications[${i}].name`, publication.name)}</span>
+                            <span class="institution">${edit(`publications[${i}].publisher`, publication.publisher)}</span>
+                            <span class="dates">${edit(`publications[${i}].releaseDate`, publication.releaseDate)}</span>
+                        </div>
+                        ${publication.summary ? `<p>${edit(`publications[${i}].summary`, publication.summary)}</p>` : ''}
+                    </div>
+                `;
+            });
+        }
+        
+        // Volunteer work
+        if (resume.volunteer?.length > 0) {
+            html += '<h2>Volunteer Experience</h2>';
+            resume.volunteer.forEach((item, i) => {
+                const path = `volunteer[${i}]`;
+                html += `
+                    <div class="experience-item">
+                        <div class="job-header">
+                            <span class="job-title">${edit(`${path}.position`, item.position)}</span>
+                            <span class="company">${edit(`${path}.organization`, item.organization)}</span>
+                            <span class="dates">${item.startDate || item.endDate ? `${edit(`${path}.startDate`, item.startDate)} - ${edit(`${path}.endDate`, item.endDate)}` : ''}</span>
+                        </div>
+                        ${item.summary ? `<p>${edit(`${path}.summary`, item.summary)}</p>` : ''}
+                        <div class="achievements">
+                            ${(item.highlights || []).map((highlight, j) => 
+                                `<div class="achievement-item">${edit(`${path}.highlights[${j}]`, highlight)}</div>`
+                            ).join('')}
+                        </div>
+                    </div>
+                `;
+            });
+        }
+        
+        return html;
+    }
+
+    /**
+     * @param {string} path - JSON path the text is written back to
+     * @param {string} content - Current value, as escaped HTML
+     * @param {string} placeholder - Shown while the value is empty
+     */
+    editableHTML(path, content, placeholder = '') {
+        const hint = placeholder ? ` data-placeholder="${this.escapeHTML(placeholder)}"` : '';
+        return `<span class="editable" contenteditable="true" data-path="${path}"${hint}>${content ?? ''}</span>`;
+    }
+
+    /**
+     * Path of a skill shown in a taxonomy group, which mixes technical and soft skills
+     */
+    findSkillPath(skills, name) {
+        const technical = (skills.technical || []).indexOf(name);
+        return technical >= 0 ? `skills.technical[${technical}]` : `skills.soft[${(skills.soft || []).indexOf(name)}]`;
+    }
+
+    /**
+     * Enter adds a bullet after the current one (or finishes a single-line field), Backspace in an
+     * empty bullet removes it and Escape discards the edit
+     */
+    handlePreviewKeydown(e) {
+        const field = e.target.closest?.('.editable');
+        if (!field || !this.currentResume) return;
+        
+        const path = field.dataset.path;
+        const bullet = path.match(/^(.+\.(?:achievements|highlights|description))\[(\d+)\]$/);
+        
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.refreshPreviewAfterEdit(null, false);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (!bullet) {
+                field.blur();
+                return;
+            }
+            const text = field.textContent.trim();
+            if (!text) return;
+            const [, list, index] = bullet;
+            this.commitPreviewEdit(path, text);
+            const added = window.resumeFormModel.insert(this.currentResume, list, '', Number(index) + 1);
+            this.refreshPreviewAfterEdit(`${list}[${added}]`);
+        } else if (e.key === 'Backspace' && bullet && !field.textContent.trim()) {
+            e.preventDefault();
+            const [, list, index] = bullet;
+            window.resumeFormModel.remove(this.currentResume, list, Number(index));
+            this.refreshPreviewAfterEdit(Number(index) > 0 ? `${list}[${Number(index) - 1}]` : null);
+        }
+    }
+
+    handlePreviewFocusOut(e) {
+        const field = e.target.closest?.('.editable');
+        if (!field || this.renderingPreviewEdit || !this.currentResume) return;
+        
+        if (this.commitPreviewEdit(field.dataset.path, field.textContent)) {
+            // Keep the caret in the field that was clicked next, which the refresh re-creates
+            const next = e.relatedTarget?.closest?.('#resumePreview .editable');
+            this.refreshPreviewAfterEdit(next ? next.dataset.path : null);
+        }
+    }
+
+    /**
+     * Paste as plain text so formatting from other documents doesn't end up in the resume
+     */
+    handlePreviewPaste(e) {
+        if (!e.target.closest?.('.editable')) return;
+        
+        e.preventDefault();
+        const text = e.clipboardData.getData('text/plain').replace(/\s+/g, ' ');
+        document.execCommand('insertText', false, text);
+    }
+
+    /**
+     * Write edited preview text to its path; clearing a list item removes it
+     * @returns {boolean} Whether the resume changed
+     */
+    commitPreviewEdit(path, text) {
+        const model = window.resumeFormModel;
+        const value = text.replace(/\s+/g, ' ').trim();
+        const current = model.get(this.currentResume, path);
+        
+        const listItem = path.match(/^(.+)\[(\d+)\]$/);
+        if (listItem && !value) {
+            if (current === undefined) return false;
+            model.remove(this.currentResume, listItem[1], Number(listItem[2]));
+            return true;
+        }
+        
+        if (String(current ?? '') === value) return false;
+        model.set(this.currentResume, path, value);
+        return true;
+    }
+
+    /**
+     * Re-render after an inline edit and refresh the JSON editor
+     * @param {string|null} focusPath - Field to put the caret in afterwards
+     * @param {boolean} changed - False to just discard what was typed
+     */
+    refreshPreviewAfterEdit(focusPath, changed = true) {
+        // Re-rendering removes the focused field, which must not commit it a second time
+        this.renderingPreviewEdit = true;
+        try {
+            if (changed && this.monacoEditor) {
+                // The editor's change handler re-reads the resume and updates the preview
+                this.updateEditorContent();
+            } else {
+                this.updateResumePreview();
+            }
+        } finally {
+            this.renderingPreviewEdit = false;
+        }
+        if (changed) this.recordHistory('Edit preview');
+        
+        const field = focusPath && document.querySelector(`#resumePreview .editable[data-path="${focusPath}"]`);
+        if (field) {
+            field.focus();
+            const range = document.createRange();
+            range.selectNodeContents(field);
+            range.collapse(false);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+    }
+
+    updateResumeFromEditor() {
+        if (!this.monacoEditor) return;
+        
+        const value = this.monacoEditor.getValue();
+        if (!value || value === '// Resume JSON will appear here...') return;
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            // Invalid JSON is marked by the editor itself; schema markers would point at stale offsets
+            this.setEditorMarkers('schema', []);
+            return;
+        }
+        
+        // A document with schema errors stays in the editor, marked, until it is fixed
+        if (!this.refreshSchemaCheck(parsed)) return;
+        // Pasted documents from an older schema version render with the current templates
+        this.currentResume = window.resumeSchema.getVersion(parsed) < window.resumeSchema.currentVersion ?
+            window.resumeSchema.migrate(parsed) :
+            parsed;
+        this.updateResumePreview();
+        if (!this.settingEditorContent) this.recordHistory('Edit JSON', { merge: true });
+    }
+
+    /**
+     * Mark schema problems in the JSON editor at the fields they are on
+     * @param {*} parsed - Parsed editor content
+     * @returns {boolean} Whether the document has no schema errors, once brought to the current version
+     */
+    refreshSchemaCheck(parsed) {
+        const schema = window.resumeSchema;
+        const version = schema.getVersion(parsed);
+        const isObject = schema.typeOf(parsed) === 'object';
+        let issues;
+        
+        if (isObject && version > schema.currentVersion) {
+            issues = [{ path: 'schemaVersion', message: `Schema version ${version} is newer than this app supports (${schema.currentVersion})`, severity: 'error' }];
+        } else if (isObject && version < schema.currentVersion) {
+            // Paths only match the text once it is migrated, so point at the version instead
+            const { valid, errors } = schema.validate(schema.migrate(parsed));
+            issues = [valid ?
+                { path: 'schemaVersion', message: `Schema version ${version}; click Validate to migrate this resume to version ${schema.currentVersion}`, severity: 'info' } :
+                { path: 'schemaVersion', message: `Schema version ${version}; after migrating to version ${schema.currentVersion}: ${schema.describeErrors(errors, 3)}`, severity: 'error' }];
+        } else {
+            issues = schema.validate(parsed).errors;
+        }
+        
+        this.setEditorMarkers('schema', issues);
+        return !issues.some(issue => issue.severity === 'error');
+    }
+
+    /**
+     * List the editor's markers (JSON syntax, schema and timeline) below it; clicking one
+     * moves the cursor to the field
+     */
+    renderProblems() {
+        const container = document.getElementById('editorProblems');
+        if (!container || !this.monacoEditor) return;
+        
+        const model = this.monacoEditor.getModel();
+        const text = model.getValue();
+        const markers = text === '// Resume JSON will appear here...' ? [] :
+            monaco.editor.getModelMarkers({ resource: model.uri })
+                .sort((a, b) => b.severity - a.severity || a.startLineNumber - b.startLineNumber);
+        
+        if (markers.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        const icons = {
+            [monaco.MarkerSeverity.Error]: 'fa-times-circle error',
+            [monaco.MarkerSeverity.Warning]: 'fa-exclamation-triangle warning',
+            [monaco.MarkerSeverity.Info]: 'fa-info-circle info'
+        };
+        const errors = markers.filter(marker => marker.severity === monaco.MarkerSeverity.Error).length;
+        
+        container.style.display = 'block';
+        container.innerHTML = `
+            <div class="problems-header">
+                <i class="fas fa-list-ul"></i> Problems
+                <span class="problems-count">${errors} error(s), ${markers.length - errors} other</span>
+            </div>
+            <ul>
+                ${markers.map(marker => {
+                    const path = window.jsonSourceMap.pathAt(text, marker.startLineNumber, marker.startColumn);
+                    return `
+                        <li data-line="${marker.startLineNumber}" data-column="${marker.startColumn}" title="Go to line ${marker.startLineNumber}">
+                            <i class="fas ${icons[marker.severity] || icons[monaco.MarkerSeverity.Info]}"></i>
+                            ${path === null ? '' : `<code>${this.escapeHTML(path || 'resume')}</code>`}
+                            <span class="problem-message">${this.escapeHTML(marker.message)}</span>
+                            <span class="problem-location">${marker.source ? `${this.escapeHTML(marker.source)} · ` : ''}Ln ${marker.startLineNumber}, Col ${marker.startColumn}</span>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Move the editor cursor to a problem and scroll it into view
+     * @param {number} lineNumber - 1-based line
+     * @param {number} column - 1-based column
+     */
+    revealProblem(lineNumber, column) {
+        if (!this.monacoEditor) return;
+        
+        this.monacoEditor.revealLineInCenter(lineNumber);
+        this.monacoEditor.setPosition({ lineNumber, column });
+        this.monacoEditor.focus();
+    }
+
+    resetResume() {
+        if (this.originalResume) {
+            this.currentResume = JSON.parse(JSON.stringify(this.originalResume));
+            this.reviewChanges.forEach(change => {
+                this.reviewDecisions[change.id] = { action: 'reject' };
+            });
+            this.renderReview();
+            this.updateEditorContent();
+            this.updateResumePreview();
+            this.recordHistory('Reset to original');
+            this.showSuccessMessage('Resume reset to original');
+        }
+    }
+
+    /**
+     * Compare the original and AI-customized resumes and list each change for review
+     */
+    startReview() {
+        this.reviewChanges = this.customizedResume && this.originalResume ?
+            window.resumeDiff.buildChanges(this.originalResume, this.customizedResume) :
+            [];
+        this.reviewDecisions = {};
+        this.renderReview();
+    }
+
+    renderReview() {
+        const reviewList = document.getElementById('reviewList');
+        const reviewSummary = document.getElementById('reviewSummary');
+        if (!reviewList) return;
+        
+        if (this.reviewChanges.length === 0) {
+            reviewList.innerHTML = `
+                <div class="preview-placeholder">
+                    <i class="fas fa-list-check"></i>
+                    <p>${this.customizedResume ? 'The AI made no changes to review' : 'AI changes will appear here for review after customization'}</p>
+                </div>
+            `;
+            if (reviewSummary) reviewSummary.textContent = '';
+            return;
+        }
+        
+        const counts = { accept: 0, reject: 0, edit: 0 };
+        reviewList.innerHTML = this.reviewChanges.map(change => {
+            const decision = this.reviewDecisions[change.id] || { action: 'accept' };
+            counts[decision.action]++;
+            return this.generateReviewItemHTML(change, decision);
+        }).join('');
+        
+        if (reviewSummary) {
+            reviewSummary.textContent = `${this.reviewChanges.length} changes: ${counts.accept} accepted, ${counts.reject} rejected, ${counts.edit} edited`;
+        }
+    }
+
+    generateReviewItemHTML(change, decision) {
+        const editable = typeof (change.customizedValue ?? change.originalValue) === 'string';
+        const id = this.escapeHTML(change.id);
+        
+        let body;
+        if (decision.editing) {
+            const value = decision.value ?? change.customizedValue ?? change.originalValue;
+            body = `
+                <textarea class="review-edit-input" rows="3">${this.escapeHTML(value)}</textarea>
+                <div class="review-actions">
+                    <button type="button" class="btn btn-primary btn-sm" data-action="save-edit">Save</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="cancel-edit">Cancel</button>
+                </div>
+            `;
+        } else {
+            const editedValue = decision.action === 'edit' ?
+                `<div class="review-edited"><i class="fas fa-pen"></i> ${this.escapeHTML(decision.value)}</div>` : '';
+            body = `
+                <div class="review-diff">${this.generateDiffHTML(change)}</div>
+                ${editedValue}
+                <div class="review-actions">
+                    <button type="button" class="btn btn-sm ${decision.action === 'accept' ? 'btn-success' : 'btn-secondary'}" data-action="accept">
+                        <i class="fas fa-check"></i> Accept
+                    </button>
+                    <button type="button" class="btn btn-sm ${decision.action === 'reject' ? 'btn-danger' : 'btn-secondary'}" data-action="reject">
+                        <i class="fas fa-times"></i> Reject
+                    </button>
+                    ${editable ? `
+                        <button type="button" class="btn btn-sm ${decision.action === 'edit' ? 'btn-primary' : 'btn-secondary'}" data-action="edit">
+                            <i class="fas fa-pen"></i> Edit
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="review-item ${change.kind} decision-${decision.action}" data-change-id="${id}">
+                <div class="review-item-header">
+                    <span class="review-label">${this.escapeHTML(change.label)}</span>
+                    <span class="review-kind">${change.kind}</span>
+                </div>
+                ${body}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a change as a word-level diff (text), as added/removed blocks (entries) or as the
+     * order before and after (reordered lists)
+     */
+    generateDiffHTML(change) {
+        const format = (value) => typeof value === 'string' ?
+            this.escapeHTML(value) :
+            `<pre>${this.escapeHTML(JSON.stringify(value, null, 2))}</pre>`;
+        
+        if (change.kind === 'reordered') {
+            const list = items => `<ol>${items.map(item => `<li>${this.escapeHTML(item)}</li>`).join('')}</ol>`;
+            return `<del class="diff-delete diff-order">${list(change.originalValue)}</del><ins class="diff-insert diff-order">${list(change.customizedValue)}</ins>`;
+        }
+        
+        if (typeof change.originalValue === 'string' && typeof change.customizedValue === 'string') {
+            return window.resumeDiff.diffWords(change.originalValue, change.customizedValue).map(segment => {
+                const text = this.escapeHTML(segment.text);
+                if (segment.type === 'insert') return `<ins class="diff-insert">${text}</ins>`;
+                if (segment.type === 'delete') return `<del class="diff-delete">${text}</del>`;
+                return text;
+            }).join('');
+        }
+        
+        let html = '';
+        if (change.originalValue !== undefined && change.originalValue !== '') {
+            html += `<del class="diff-delete">${format(change.originalValue)}</del>`;
+        }
+        if (change.customizedValue !== undefined && change.customizedValue !== '') {
+            html += `<ins class="diff-insert">${format(change.customizedValue)}</ins>`;
+        }
+        return html;
+    }
+
+    handleReviewAction(event) {
+        const button = event.target.closest('[data-action]');
+        const item = event.target.closest('[data-change-id]');
+        if (!button || !item) return;
+        
+        const changeId = item.dataset.changeId;
+        const change = this.reviewChanges.find(candidate => candidate.id === changeId);
+        if (!change) return;
+        
+        const current = this.reviewDecisions[changeId] || { action: 'accept' };
+        
+        switch (button.dataset.action) {
+            case 'accept':
+            case 'reject':
+                this.setReviewDecision(changeId, { action: button.dataset.action });
+                break;
+            case 'edit':
+                this.reviewDecisions[changeId] = { ...current, editing: true };
+                this.renderReview();
+                break;
+            case 'cancel-edit':
+                delete current.editing;
+                this.reviewDecisions[changeId] = current;
+                this.renderReview();
+                break;
+            case 'save-edit':
+                this.setReviewDecision(changeId, {
+                    action: 'edit',
+                    value: item.querySelector('.review-edit-input').value.trim()
+                });
+                break;
+        }
+    }
+
+    setReviewDecision(changeId, decision) {
+        const previous = { ...this.reviewDecisions };
+        this.reviewDecisions[changeId] = decision;
+        this.applyReviewDecisions(previous);
+    }
+
+    setAllReviewDecisions(action) {
+        const previous = { ...this.reviewDecisions };
+        this.reviewChanges.forEach(change => {
+            this.reviewDecisions[change.id] = { action };
+        });
+        this.applyReviewDecisions(previous);
+    }
+
+    /**
+     * Apply a change of review decisions to the working resume as a patch, so edits made since
+     * customization (JSON editor, form, preview, sorting) are kept
+     * @param {Object} previous - Decisions the working resume was built with
+     */
+    applyReviewDecisions(previous) {
+        if (!this.customizedResume || !this.originalResume) return;
+        
+        const diff = window.resumeDiff;
+        const before = diff.applyDecisions(this.originalResume, this.customizedResume, previous);
+        const after = diff.applyDecisions(this.originalResume, this.customizedResume, this.reviewDecisions);
+        this.currentResume = diff.merge(before, after, this.currentResume);
+        this.renderReview();
+        this.updateEditorContent();
+        this.updateResumePreview();
+        this.recordHistory('Review decision');
+    }
+
+    formatJson() {
+        if (this.monacoEditor) {
+            try {
+                const value = this.monacoEditor.getValue();
+                const parsed = JSON.parse(value);
+                const formatted = JSON.stringify(parsed, null, 2);
+                // An edit rather than setValue keeps formatting in the editor's own undo stack
+                this.monacoEditor.pushUndoStop();
+                this.monacoEditor.executeEdits('formatJson', [{
+                    range: this.monacoEditor.getModel().getFullModelRange(),
+                    text: formatted
+                }]);
+                this.monacoEditor.pushUndoStop();
+                this.showSuccessMessage('JSON formatted successfully');
+            } catch (error) {
+                this.showError('Invalid JSON format');
+            }
+        }
+    }
+
+    /**
+     * Check the editor's JSON against the resume schema; documents from an older schema version
+     * are migrated in place first
+     */
+    validateJson() {
+        if (!this.monacoEditor) return;
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(this.monacoEditor.getValue());
+        } catch (error) {
+            this.showError(`Invalid JSON: ${error.message}`);
+            return;
+        }
+        
+        const schema = window.resumeSchema;
+        const version = schema.getVersion(parsed);
+        try {
+            if (version < schema.currentVersion) {
+                parsed = schema.migrate(parsed);
+                this.monacoEditor.setValue(JSON.stringify(parsed, null, 2));
+            }
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        
+        const { valid, errors } = schema.validate(parsed);
+        if (!valid) {
+            const range = window.jsonSourceMap.locate(this.monacoEditor.getValue(), errors.find(error => error.severity === 'error').path);
+            if (range) this.revealProblem(range.startLineNumber, range.startColumn);
+            this.showError(`Resume does not match schema version ${schema.currentVersion}: ${schema.describeErrors(errors, 5)}`);
+            return;
+        }
+        
+        const migrated = version < schema.currentVersion ? ` (migrated from schema version ${version})` : '';
+        const unknown = errors.length > 0 ? `; ${errors.length} unknown field(s) are ignored by templates` : '';
+        this.showSuccessMessage(`Resume JSON is valid${migrated}${unknown}`);
+    }
+
+    /**
+     * Put experience and education in reverse-chronological order, current roles first
+     */
+    sortByDate() {
+        if (!this.currentResume) return;
+        
+        if (window.resumeTimeline.isSorted(this.currentResume)) {
+            this.showSuccessMessage('Experience and education are already in date order');
+            return;
+        }
+        
+        this.currentResume = window.resumeTimeline.sortResume(this.currentResume);
+        this.updateEditorContent();
+        this.updateResumePreview();
+        this.recordHistory('Sort by date');
+        
+        const undated = window.resumeTimeline.build(this.currentResume).undated.length;
+        this.showSuccessMessage(undated ?
+            `Sorted by date; ${undated} undated ${undated === 1 ? 'role was' : 'roles were'} moved to the end` :
+            'Experience and education sorted by date');
+    }
+
+    recordHistory(label, options = {}) {
+        if (this.currentResume) {
+            window.resumeHistory.record(this.currentResume, label, options);
+        }
+    }
+
+    /**
+     * Show a state from the history without recording it as a new step
+     */
+    applyHistoryState(resume) {
+        this.currentResume = resume;
+        this.updateEditorContent();
+        this.updateResumePreview();
+    }
+
+    undoResume() {
+        const resume = window.resumeHistory.undo();
+        if (resume) this.applyHistoryState(resume);
+    }
+
+    redoResume() {
+        const resume = window.resumeHistory.redo();
+        if (resume) this.applyHistoryState(resume);
+    }
+
+    /**
+     * Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl+Y redoes resume changes
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        const key = e.key.toLowerCase();
+        const redo = key === 'y' || (key === 'z' && e.shiftKey);
+        if (key !== 'z' && !redo) return;
+        // Text fields and the JSON editor keep their own undo for what is being typed
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"], .monaco-editor')) return;
+        
+        e.preventDefault();
+        if (redo) {
+            this.redoResume();
+        } else {
+            this.undoResume();
+        }
+    }
+
+    takeSnapshot() {
+        if (!this.currentResume) {
+            this.showError('Upload or open a resume before taking a snapshot');
+            return;
+        }
+        
+        const input = document.getElementById('snapshotName');
+        const snapshot = window.resumeHistory.takeSnapshot(input.value, this.currentResume);
+        input.value = '';
+        this.scheduleSessionSave();
+        this.showSuccessMessage(`Saved snapshot "${this.escapeHTML(snapshot.name)}"`);
+    }
+
+    renderHistory() {
+        const history = window.resumeHistory;
+        const undoButton = document.getElementById('undoResume');
+        const redoButton = document.getElementById('redoResume');
+        undoButton.disabled = !history.canUndo();
+        undoButton.title = history.canUndo() ? `Undo ${history.undoLabel()} (Ctrl+Z)` : 'Nothing to undo';
+        redoButton.disabled = !history.canRedo();
+        redoButton.title = history.canRedo() ? `Redo ${history.redoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        
+        // Keep the chosen comparison when snapshots are added or removed
+        const options = [
+            '<option value="current">Current resume</option>',
+            ...history.snapshots.slice().reverse().map(snapshot =>
+                `<option value="${this.escapeHTML(snapshot.id)}">${this.escapeHTML(snapshot.name)}</option>`)
+        ].join('');
+        const latest = history.snapshots[history.snapshots.length - 1];
+        ['compareFrom', 'compareTo'].forEach(id => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            // "Compare" starts from the newest snapshot until the user picks something else
+            const picked = id === 'compareTo' || select.options.length > 1;
+            select.innerHTML = options;
+            if (picked && select.querySelector(`option[value="${selected}"]`)) {
+                select.value = selected;
+            } else {
+                select.value = id === 'compareFrom' && latest ? latest.id : 'current';
+            }
+        });
+        document.getElementById('compareSnapshots').disabled = history.snapshots.length === 0;
+        
+        const timeline = document.getElementById('historyTimeline');
+        const items = history.timeline();
+        if (items.length === 0) {
+            timeline.innerHTML = `
+                <div class="preview-placeholder">
+                    <i class="fas fa-clock-rotate-left"></i>
+                    <p>Your edits and snapshots will appear here</p>
+                </div>
+            `;
+            return;
+        }
+        
+        timeline.innerHTML = `
+            <ul class="history-list">
+                ${items.map(item => {
+                    if (item.type === 'snapshot') {
+                        return `
+                            <li class="history-item snapshot" data-snapshot-id="${this.escapeHTML(item.id)}">
+                                <i class="fas fa-bookmark"></i>
+                                <span class="history-label">${this.escapeHTML(item.label)}</span>
+                                <span class="history-time">${new Date(item.at).toLocaleString()}</span>
+                                <span class="batch-actions">
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="restore" title="Restore this snapshot"><i class="fas fa-rotate-left"></i></button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="compare" title="Compare with the current resume"><i class="fas fa-code-compare"></i></button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="delete" title="Delete snapshot"><i class="fas fa-trash"></i></button>
+                                </span>
+                            </li>
+                        `;
+                    }
+                    return `
+                        <li class="history-item step${item.current ? ' current' : ''}${item.undone ? ' undone' : ''}" data-history-index="${item.index}">
+                            <i class="fas ${item.current ? 'fa-circle-dot' : 'fa-circle'}"></i>
+                            <span class="history-label">${this.escapeHTML(item.label)}</span>
+                            <span class="history-time">${new Date(item.at).toLocaleTimeString()}</span>
+                            ${item.current ? '<span class="history-current">Current</span>' : `
+                                <span class="batch-actions">
+                                    <button type="button" class="btn btn-secondary btn-sm" data-action="go" title="Go back to this point">Go here</button>
+                                </span>
+                            `}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    handleHistoryAction(event) {
+        const button = event.target.closest('[data-action]');
+        const item = event.target.closest('.history-item');
+        if (!button || !item) return;
+        
+        const history = window.resumeHistory;
+        if (item.dataset.historyIndex !== undefined) {
+            const resume = history.go(Number(item.dataset.historyIndex));
+            if (resume) this.applyHistoryState(resume);
+            return;
+        }
+        
+        const snapshot = history.getSnapshot(item.dataset.snapshotId);
+        if (!snapshot) return;
+        
+        switch (button.dataset.action) {
+            case 'restore':
+                this.currentResume = history.clone(snapshot.resume);
+                this.updateEditorContent();
+                this.updateResumePreview();
+                this.recordHistory(`Restore "${snapshot.name}"`);
+                this.showSuccessMessage(`Restored snapshot "${this.escapeHTML(snapshot.name)}"; undo to go back`);
+                break;
+            case 'compare':
+                document.getElementById('compareFrom').value = snapshot.id;
+                document.getElementById('compareTo').value = 'current';
+                this.compareSnapshots();
+                break;
+            case 'delete':
+                if (!confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+                history.removeSnapshot(snapshot.id);
+                this.scheduleSessionSave();
+                break;
+        }
+    }
+
+    /**
+     * List what changed between the two states picked in the History tab
+     */
+    compareSnapshots() {
+        const history = window.resumeHistory;
+        const resolve = id => id === 'current' ?
+            { name: 'Current resume', resume: this.currentResume } :
+            history.getSnapshot(id);
+        const from = resolve(document.getElementById('compareFrom').value);
+        const to = resolve(document.getElementById('compareTo').value);
+        const container = document.getElementById('historyCompare');
+        if (!from?.resume || !to?.resume) return;
+        
+        const changes = history.compare(from.resume, to.resume);
+        const title = `${changes.length} ${changes.length === 1 ? 'difference' : 'differences'} from "${this.escapeHTML(from.name)}" to "${this.escapeHTML(to.name)}"`;
+        container.innerHTML = `
+            <div class="history-compare-header">
+                <strong>${title}</strong>
+                <button type="button" class="btn btn-secondary btn-sm" id="closeHistoryCompare" title="Close"><i class="fas fa-times"></i></button>
+            </div>
+            ${changes.map(change => `
+                <div class="review-item ${change.kind}">
+                    <div class="review-item-header">
+                        <span class="review-label">${this.escapeHTML(change.label)}</span>
+                        <span class="review-kind">${change.kind}</span>
+                    </div>
+                    <div class="review-diff">${this.generateDiffHTML(change)}</div>
+                </div>
+            `).join('')}
+        `;
+        container.style.display = 'block';
+        document.getElementById('closeHistoryCompare').addEventListener('click', () => {
+            container.style.display = 'none';
+        });
+    }
+
+    /**
+     * Fill the Compare tab's pickers with the current resume, snapshots, library entries and uploads
+     */
+    async renderComparisonSources() {
+        const history = window.resumeHistory;
+        const library = window.resumeLibrary;
+        let entries = [];
+        try {
+            entries = library.isAvailable() ? await library.list() : [];
+        } catch (error) {
+            console.warn('Could not list library resumes for comparison:', error);
         }
         
-        return html;
+        const option = (value, label) => `<option value="${this.escapeHTML(value)}">${this.escapeHTML(label)}</option>`;
+        const group = (label, options) => options.length ? `<optgroup label="${label}">${options.join('')}</optgroup>` : '';
+        const uploads = Object.entries(this.comparisonUploads);
+        const sources = [
+            option('current', 'Current resume'),
+            this.originalResume ? option('original', 'Original upload') : '',
+            group('Snapshots', history.snapshots.slice().reverse().map(snapshot => option(`snapshot:${snapshot.id}`, snapshot.name))),
+            group('Library', entries.map(entry => option(`library:${entry.id}`, `${entry.name}${entry.kind === 'variant' ? ' (customized)' : ''}`))),
+            group('Uploaded', uploads.map(([side, upload]) => option(`upload:${side}`, upload.name))),
+            option('upload', 'Upload a file...')
+        ].join('');
+        
+        // Variants tailored to the same posting share one option
+        const seenJobs = new Set();
+        const jobEntries = entries.filter(entry => {
+            if (!entry.jobDescription || seenJobs.has(entry.jobDescription)) return false;
+            seenJobs.add(entry.jobDescription);
+            return true;
+        });
+        const jobOptions = [
+            option('', 'No job description'),
+            option('current', 'Job description from step 3'),
+            group('Library', jobEntries.map(entry => option(`library:${entry.id}`, [entry.jobTitle, entry.company].filter(Boolean).join(' at ') || entry.name)))
+        ].join('');
+        
+        const fill = (id, html, fallback) => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = html;
+            select.value = selected && select.querySelector(`option[value="${selected}"]`) ? selected : fallback;
+        };
+        fill('compareSourceA', sources, this.originalResume ? 'original' : 'current');
+        fill('compareSourceB', sources, 'current');
+        fill('compareJob', jobOptions, document.getElementById('jobDescription').value.trim() ? 'current' : '');
     }
 
-    updateResumeFromEditor() {
-        if (!this.monacoEditor) return;
+    /**
+     * Parse a file picked for one side of the comparison; it is not loaded into the editor
+     * @param {string} side - 'A' or 'B'
+     */
+    async loadComparisonFile(side, event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file || !this.validateFile(file)) return;
         
         try {
-            const value = this.monacoEditor.getValue();
-            if (value && value !== '// Resume JSON will appear here...') {
-                const parsed = JSON.parse(value);
-                this.currentResume = parsed;
-                this.updateResumePreview();
+            this.showProgressModal('Reading resume for comparison...');
+            const resume = await window.resumeParser.parseFile(file, (progress, message) => this.updateProgress(progress, message));
+            this.comparisonUploads[side] = { name: file.name, resume };
+            await this.renderComparisonSources();
+            document.getElementById(`compareSource${side}`).value = `upload:${side}`;
+        } catch (error) {
+            this.showError(`Failed to read ${file.name}: ${error.message}`);
+        } finally {
+            this.hideProgressModal();
+        }
+    }
+
+    /**
+     * @param {string} value - Picker value such as "current", "snapshot:<id>" or "library:<id>"
+     * @returns {Promise<Object|null>} { name, resume }
+     */
+    async resolveComparisonSource(value) {
+        const [type, id] = value.split(/:(.*)/);
+        switch (type) {
+            case 'current':
+                return this.currentResume ? { name: 'Current resume', resume: this.currentResume } : null;
+            case 'original':
+                return this.originalResume ? { name: 'Original upload', resume: this.originalResume } : null;
+            case 'snapshot': {
+                const snapshot = window.resumeHistory.getSnapshot(id);
+                return snapshot ? { name: snapshot.name, resume: snapshot.resume } : null;
+            }
+            case 'library': {
+                const entry = await window.resumeLibrary.get(id);
+                return entry ? { name: entry.name, resume: window.resumeSchema.migrate(entry.resume) } : null;
+            }
+            case 'upload':
+                return this.comparisonUploads[id] || null;
+            default:
+                return null;
+        }
+    }
+
+    async runComparison() {
+        const container = document.getElementById('comparisonResult');
+        let a;
+        let b;
+        let jobDescription = '';
+        try {
+            a = await this.resolveComparisonSource(document.getElementById('compareSourceA').value);
+            b = await this.resolveComparisonSource(document.getElementById('compareSourceB').value);
+            
+            const job = document.getElementById('compareJob').value;
+            if (job === 'current') {
+                jobDescription = document.getElementById('jobDescription').value.trim();
+            } else if (job.startsWith('library:')) {
+                jobDescription = (await window.resumeLibrary.get(job.slice('library:'.length)))?.jobDescription || '';
             }
         } catch (error) {
-            // Invalid JSON, ignore
+            this.showError(`Could not load the resumes to compare: ${error.message}`);
+            return;
+        }
+        
+        if (!a || !b) {
+            this.showError('Pick two resumes to compare; uploaded files must finish reading first');
+            return;
         }
+        
+        const comparison = window.resumeComparison.compare(a.resume, b.resume);
+        const keywords = jobDescription ? window.resumeComparison.compareKeywords(a.resume, b.resume, jobDescription) : null;
+        container.innerHTML = this.generateComparisonHTML(a, b, comparison, keywords);
     }
 
-    resetResume() {
-        if (this.originalResume) {
-            this.currentResume = JSON.parse(JSON.stringify(this.originalResume));
-            this.updateEditorContent();
-            this.updateResumePreview();
-            this.showSuccessMessage('Resume reset to original');
+    generateComparisonHTML(a, b, comparison, keywords) {
+        const { summary, skills } = comparison;
+        const statusLabels = { added: 'Only in B', removed: 'Only in A', changed: 'Changed', unchanged: 'Same' };
+        const changeList = changes => changes.map(change => `
+            <div class="comparison-change">
+                <span class="review-label">${this.escapeHTML(change.label)}</span>
+                <div class="review-diff">${this.generateDiffHTML(change)}</div>
+            </div>
+        `).join('');
+        
+        const sectionsHTML = comparison.sections.filter(section => section.rows.length > 0).map(section => `
+            <div class="match-group">
+                <h4>${this.escapeHTML(section.label)}</h4>
+                <table class="batch-table comparison-table">
+                    <thead>
+                        <tr><th>A: ${this.escapeHTML(a.name)}</th><th>B: ${this.escapeHTML(b.name)}</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${section.rows.map(row => `
+                            <tr class="comparison-row ${row.status}">
+                                <td>${row.a ? `${row.a.index + 1}. ${this.escapeHTML(row.a.title)}` : '&mdash;'}</td>
+                                <td>${row.b ? `${row.b.index + 1}. ${this.escapeHTML(row.b.title)}` : '&mdash;'}</td>
+                                <td>
+                                    <span class="comparison-status ${row.status}">${statusLabels[row.status]}</span>
+                                    ${row.moved ? `<span class="comparison-status moved" title="Moved from position ${row.a.index + 1} to ${row.b.index + 1}">Moved</span>` : ''}
+                                </td>
+                            </tr>
+                            ${row.changes.length ? `<tr class="comparison-changes"><td colspan="3">${changeList(row.changes)}</td></tr>` : ''}
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+        
+        const otherHTML = comparison.other.length ? `
+            <div class="match-group">
+                <h4>Other Fields</h4>
+                ${changeList(comparison.other)}
+            </div>
+        ` : '';
+        
+        const chips = (items, className) => items.length === 0 ?
+            '<span class="match-empty">None</span>' :
+            items.map(item => `<span class="keyword-chip ${className}">${this.escapeHTML(item)}</span>`).join('');
+        
+        let keywordsHTML = `
+            <div class="match-group">
+                <h4>Keyword Coverage</h4>
+                <p class="match-empty">Pick a job description above to compare how each version covers its keywords</p>
+            </div>
+        `;
+        if (keywords && keywords.rows.length === 0) {
+            keywordsHTML = `
+                <div class="match-group">
+                    <h4>Keyword Coverage</h4>
+                    <p class="match-empty">No skills or keywords were recognized in the job description</p>
+                </div>
+            `;
+        } else if (keywords) {
+            const delta = keywords.b.score - keywords.a.score;
+            const deltaClass = delta > 0 ? 'positive' : delta < 0 ? 'negative' : '';
+            // Terms only one version covers first
+            const rows = keywords.rows.slice().sort((x, y) => (x.a === x.b) - (y.a === y.b));
+            const mark = covered => covered ? '<i class="fas fa-check keyword-covered"></i>' : '<i class="fas fa-times keyword-missing"></i>';
+            keywordsHTML = `
+                <div class="match-group">
+                    <h4>Keyword Coverage</h4>
+                    <p>Match score: A ${keywords.a.score}% → B ${keywords.b.score}% <span class="match-delta ${deltaClass}">(${delta >= 0 ? '+' : ''}${delta})</span></p>
+                    <div class="comparison-columns">
+                        <div><h5>Only A covers</h5><div class="keyword-chips">${chips(keywords.onlyA, 'missing')}</div></div>
+                        <div><h5>Only B covers</h5><div class="keyword-chips">${chips(keywords.onlyB, 'matched')}</div></div>
+                    </div>
+                    <table class="batch-table comparison-table">
+                        <thead>
+                            <tr><th>Keyword</th><th></th><th>A</th><th>B</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr class="${row.a === row.b ? '' : 'comparison-row changed'}">
+                                    <td>${this.escapeHTML(row.term)}</td>
+                                    <td>${row.required ? 'Required' : 'Preferred'}</td>
+                                    <td>${mark(row.a)}</td>
+                                    <td>${mark(row.b)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
         }
+        
+        return `
+            <div class="customization-summary">
+                <div class="summary-item">
+                    <i class="fas fa-plus"></i>
+                    <span>${summary.added} added</span>
+                </div>
+                <div class="summary-item">
+                    <i class="fas fa-minus"></i>
+                    <span>${summary.removed} removed</span>
+                </div>
+                <div class="summary-item">
+                    <i class="fas fa-pen"></i>
+                    <span>${summary.changed} changed</span>
+                </div>
+                <div class="summary-item">
+                    <i class="fas fa-arrows-up-down"></i>
+                    <span>${summary.moved} moved</span>
+                </div>
+            </div>
+            
+            ${sectionsHTML}
+            ${otherHTML}
+            
+            <div class="match-group">
+                <h4>Skills</h4>
+                <div class="comparison-columns">
+                    <div><h5>Only in A (${skills.onlyA.length})</h5><div class="keyword-chips">${chips(skills.onlyA, 'missing')}</div></div>
+                    <div><h5>In both (${skills.shared.length})</h5><div class="keyword-chips">${chips(skills.shared, '')}</div></div>
+                    <div><h5>Only in B (${skills.onlyB.length})</h5><div class="keyword-chips">${chips(skills.onlyB, 'matched')}</div></div>
+                </div>
+            </div>
+            
+            ${keywordsHTML}
+        `;
     }
 
-    formatJson() {
-        if (this.monacoEditor) {
+    /**
+     * Start tracking an application for the resume, job description and cover letter on screen
+     */
+    async trackApplication() {
+        if (!this.currentResume) {
+            this.showError('Upload or open the resume you are sending before tracking an application');
+            return;
+        }
+        
+        const jobDescription = document.getElementById('jobDescription').value.trim();
+        const posting = jobDescription ? this.getJobPosting(jobDescription) : null;
+        
+        // Link the library entry holding this exact version, creating it if needed
+        let entry = null;
+        if (window.resumeLibrary.isAvailable()) {
             try {
-                const value = this.monacoEditor.getValue();
-                const parsed = JSON.parse(value);
-                const formatted = JSON.stringify(parsed, null, 2);
-                this.monacoEditor.setValue(formatted);
-                this.showSuccessMessage('JSON formatted successfully');
+                entry = await this.storeInLibrary();
             } catch (error) {
-                this.showError('Invalid JSON format');
+                console.warn('Could not save the resume to the library:', error);
             }
         }
+        
+        try {
+            const application = window.applicationTracker.save({
+                company: posting?.company || '',
+                role: posting?.title || '',
+                postingText: jobDescription,
+                resumeEntryId: entry?.id || null,
+                resumeName: entry?.name || document.getElementById('fileName').textContent,
+                resume: JSON.parse(JSON.stringify(this.currentResume)),
+                coverLetter: document.getElementById('coverLetterEditor').value.trim(),
+                template: document.getElementById('templateSelect').value
+            });
+            this.switchToTab('applications');
+            this.openApplicationEditor(application);
+        } catch (error) {
+            this.showError(error.message);
+        }
     }
 
-    validateJson() {
-        if (this.monacoEditor) {
-            try {
-                const value = this.monacoEditor.getValue();
-                JSON.parse(value);
-                this.showSuccessMessage('JSON is valid');
-            } catch (error) {
-                this.showError(`Invalid JSON: ${error.message}`);
+    openApplicationEditor(application) {
+        const tracker = window.applicationTracker;
+        this.editingApplicationId = application.id;
+        
+        document.getElementById('applicationCompany').value = application.company;
+        document.getElementById('applicationRole').value = application.role;
+        const status = document.getElementById('applicationStatus');
+        status.innerHTML = tracker.statuses.map(option => `<option value="${option.key}">${option.label}</option>`).join('');
+        status.value = application.status;
+        document.getElementById('applicationDateApplied').value = application.dateApplied;
+        document.getElementById('applicationFollowUp').value = application.followUpDate;
+        document.getElementById('applicationNotes').value = application.notes;
+        document.getElementById('applicationPosting').value = application.postingText;
+        
+        const links = [
+            application.resume ? `Resume: ${this.escapeHTML(application.resumeName || 'attached')}${application.template ? ` (${this.escapeHTML(application.template)} template)` : ''}` : 'No resume attached',
+            application.coverLetter ? 'cover letter attached' : 'no cover letter'
+        ];
+        document.getElementById('applicationLinks').innerHTML = `<i class="fas fa-paperclip"></i> ${links.join('; ')}`;
+        
+        const form = document.getElementById('applicationEditor');
+        form.style.display = 'block';
+        document.getElementById('applicationCompany').focus();
+    }
+
+    closeApplicationEditor() {
+        this.editingApplicationId = null;
+        document.getElementById('applicationEditor').style.display = 'none';
+    }
+
+    saveApplicationForm(event) {
+        event.preventDefault();
+        if (!this.editingApplicationId) return;
+        
+        const value = id => document.getElementById(id).value.trim();
+        try {
+            window.applicationTracker.save({
+                id: this.editingApplicationId,
+                company: value('applicationCompany'),
+                role: value('applicationRole'),
+                status: value('applicationStatus'),
+                dateApplied: value('applicationDateApplied'),
+                followUpDate: value('applicationFollowUp'),
+                notes: value('applicationNotes'),
+                postingText: value('applicationPosting')
+            });
+            this.closeApplicationEditor();
+            this.showSuccessMessage('Application saved');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    renderApplications() {
+        const tracker = window.applicationTracker;
+        const container = document.getElementById('applicationsView');
+        const applications = tracker.list({ query: document.getElementById('applicationSearch').value });
+        const due = tracker.dueFollowUps();
+        const placeholder = message => `
+            <div class="preview-placeholder">
+                <i class="fas fa-briefcase"></i>
+                <p>${message}</p>
+            </div>
+        `;
+        
+        const badge = document.getElementById('applicationsDue');
+        badge.textContent = due.length;
+        badge.style.display = due.length ? 'inline-block' : 'none';
+        
+        const reminders = due.length ? `
+            <div class="application-reminders">
+                <strong><i class="fas fa-bell"></i> Follow-ups due</strong>
+                <ul>
+                    ${due.map(application => `
+                        <li data-application-id="${this.escapeHTML(application.id)}">
+                            <span>${this.escapeHTML([application.company, application.role].filter(Boolean).join(' · '))} (${this.escapeHTML(application.followUpDate)})</span>
+                            <button type="button" class="btn btn-secondary btn-sm" data-action="follow-up-done" title="Clear the follow-up date">Done</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : '';
+        
+        if (tracker.applications.length === 0) {
+            container.innerHTML = placeholder('Tailor a resume, then click "Track Application" to follow where it went');
+        } else if (applications.length === 0) {
+            container.innerHTML = reminders + placeholder('No applications match your search');
+        } else {
+            container.innerHTML = reminders + (document.getElementById('applicationsLayout').value === 'table' ?
+                this.generateApplicationTableHTML(applications) :
+                this.generateApplicationBoardHTML(applications));
+        }
+    }
+
+    generateApplicationBoardHTML(applications) {
+        const tracker = window.applicationTracker;
+        const today = tracker.today();
+        
+        return `
+            <div class="application-board">
+                ${tracker.statuses.map(status => {
+                    const items = applications.filter(application => application.status === status.key);
+                    return `
+                        <div class="application-column" data-status="${status.key}">
+                            <div class="application-column-header">
+                                <span>${status.label}</span>
+                                <span class="application-count">${items.length}</span>
+                            </div>
+                            ${items.map(application => `
+                                <div class="application-card" draggable="true" data-application-id="${this.escapeHTML(application.id)}">
+                                    <strong>${this.escapeHTML(application.role || 'Untitled role')}</strong>
+                                    <span>${this.escapeHTML(application.company || 'Unknown company')}</span>
+                                    <small>
+                                        ${application.dateApplied ? `Applied ${this.escapeHTML(application.dateApplied)}` : ''}
+                                        ${this.generateFollowUpHTML(application, today)}
+                                    </small>
+                                    ${this.generateApplicationActionsHTML(application)}
+                                </div>
+                            `).join('')}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    generateApplicationTableHTML(applications) {
+        const tracker = window.applicationTracker;
+        const today = tracker.today();
+        
+        return `
+            <table class="batch-table application-table">
+                <thead>
+                    <tr><th>Company</th><th>Role</th><th>Status</th><th>Applied</th><th>Follow-up</th><th>Resume</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${applications.map(application => `
+                        <tr data-application-id="${this.escapeHTML(application.id)}">
+                            <td>${this.escapeHTML(application.company || '-')}</td>
+                            <td>${this.escapeHTML(application.role || '-')}</td>
+                            <td>
+                                <select class="form-select-sm" data-action="status" title="Status">
+                                    ${tracker.statuses.map(status => `<option value="${status.key}"${status.key === application.status ? ' selected' : ''}>${status.label}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td>${this.escapeHTML(application.dateApplied || '-')}</td>
+                            <td>${this.generateFollowUpHTML(application, today) || '-'}</td>
+                            <td>${this.escapeHTML(application.resumeName || '-')}</td>
+                            <td>${this.generateApplicationActionsHTML(application)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    generateFollowUpHTML(application, today) {
+        if (!application.followUpDate) return '';
+        const due = application.followUpDate <= today && !window.applicationTracker.closedStatuses.includes(application.status);
+        return `<span class="application-follow-up${due ? ' due' : ''}" title="Follow up"><i class="fas fa-bell"></i> ${this.escapeHTML(application.followUpDate)}</span>`;
+    }
+
+    generateApplicationActionsHTML(application) {
+        return `
+            <span class="batch-actions">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="edit" title="Edit"><i class="fas fa-pen"></i></button>
+                ${application.resume ? '<button type="button" class="btn btn-secondary btn-sm" data-action="open-resume" title="Open the resume sent"><i class="fas fa-file-alt"></i></button>' : ''}
+                ${application.coverLetter ? '<button type="button" class="btn btn-secondary btn-sm" data-action="open-cover-letter" title="Open the cover letter sent"><i class="fas fa-envelope-open-text"></i></button>' : ''}
+                <button type="button" class="btn btn-secondary btn-sm" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+            </span>
+        `;
+    }
+
+    handleApplicationAction(event) {
+        const target = event.target.closest('[data-action]');
+        const item = event.target.closest('[data-application-id]');
+        if (!target || !item) return;
+        // Status dropdowns act on change, everything else on click
+        if ((event.type === 'change') !== (target.tagName === 'SELECT')) return;
+        
+        const tracker = window.applicationTracker;
+        const application = tracker.get(item.dataset.applicationId);
+        if (!application) return;
+        
+        try {
+            switch (target.dataset.action) {
+                case 'status':
+                    tracker.setStatus(application.id, target.value);
+                    break;
+                case 'edit':
+                    this.openApplicationEditor(application);
+                    break;
+                case 'open-resume':
+                    this.openApplicationResume(application);
+                    break;
+                case 'open-cover-letter':
+                    this.openApplicationCoverLetter(application);
+                    break;
+                case 'follow-up-done':
+                    tracker.save({ ...application, followUpDate: '' });
+                    break;
+                case 'delete':
+                    if (!confirm(`Delete the application for ${application.role || 'this role'} at ${application.company || 'this company'}?`)) return;
+                    tracker.remove(application.id);
+                    if (this.editingApplicationId === application.id) this.closeApplicationEditor();
+                    break;
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Drag cards between board columns to change their status
+     */
+    handleApplicationDrag(e) {
+        const container = document.getElementById('applicationsView');
+        const clearHighlights = () => {
+            container.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+        };
+        
+        if (e.type === 'dragstart') {
+            const card = e.target.closest?.('.application-card');
+            if (!card) return;
+            this.applicationDrag = card.dataset.applicationId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', '');
+            card.classList.add('dragging');
+            return;
+        }
+        
+        if (e.type === 'dragend') {
+            this.applicationDrag = null;
+            clearHighlights();
+            return;
+        }
+        
+        const column = this.applicationDrag && e.target.closest?.('.application-column');
+        if (!column) return;
+        e.preventDefault();
+        
+        if (e.type === 'dragover') {
+            e.dataTransfer.dropEffect = 'move';
+            container.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            column.classList.add('drop-target');
+            return;
+        }
+        
+        const id = this.applicationDrag;
+        this.applicationDrag = null;
+        clearHighlights();
+        try {
+            if (window.applicationTracker.get(id)?.status !== column.dataset.status) {
+                window.applicationTracker.setStatus(id, column.dataset.status);
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Load the resume copy sent with an application into the editor
+     */
+    openApplicationResume(application) {
+        if (this.currentResume && !this.libraryEntryId &&
+            !confirm('Your current resume is not saved in the library. Open the one sent with this application anyway?')) {
+            return;
+        }
+        
+        this.loadWorkspace({
+            resume: application.resume,
+            customizedResume: application.resume,
+            jobDescription: application.postingText,
+            template: application.template,
+            fileName: application.resumeName,
+            libraryEntryId: application.resumeEntryId
+        });
+        this.switchToTab('preview');
+        this.showSuccessMessage(`Opened the resume sent to ${this.escapeHTML(application.company || 'this company')}`);
+    }
+
+    openApplicationCoverLetter(application) {
+        const editor = document.getElementById('coverLetterEditor');
+        if (editor.value.trim() && editor.value.trim() !== application.coverLetter &&
+            !confirm('Replace the current cover letter with the one sent with this application?')) {
+            return;
+        }
+        
+        editor.value = application.coverLetter;
+        document.getElementById('downloadCoverLetterPdf').disabled = false;
+        this.switchToTab('coverLetter');
+    }
+
+    exportApplications() {
+        if (window.applicationTracker.applications.length === 0) {
+            this.showError('There are no applications to export yet');
+            return;
+        }
+        this.downloadFile(window.applicationTracker.toCSV(), 'applications.csv', 'text/csv');
+    }
+
+    async importApplications(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        
+        try {
+            const { added, updated, unknownStatuses } = window.applicationTracker.importCSV(await file.text());
+            const summary = `Imported ${added} new and ${updated} updated application(s)`;
+            if (unknownStatuses.length) {
+                this.showError(`${summary}. These Status values are not a tracker status and were imported as Saved: ${unknownStatuses.join(', ')}`);
+            } else {
+                this.showSuccessMessage(summary);
             }
+        } catch (error) {
+            this.showError(`Could not import ${file.name}: ${error.message}`);
         }
     }
 
@@ -786,6 +3889,19 @@ class ResumeCustomizerApp {
             const selectedTemplate = document.getElementById('templateSelect').value;
             const pdfPreview = document.getElementById('pdfPreview');
             
+            // Block fabricated claims from reaching a recruiter unless the user has reviewed them
+            const report = this.refreshVerification();
+            if (report && !report.passed && !this.unverifiedClaimsAcknowledged) {
+                pdfPreview.innerHTML = `
+                    <div class="preview-placeholder error">
+                        <i class="fas fa-shield-alt"></i>
+                        <p>PDF generation blocked: ${report.errors} AI claim(s) have no source in your original resume. Review the highlighted items in the Preview tab, fix them in the editor, or continue anyway.</p>
+                        <button class="btn btn-secondary btn-sm" onclick="window.app.acknowledgeUnverifiedClaims()">Generate anyway</button>
+                    </div>
+                `;
+                return;
+            }
+            
             // Immediate feedback
             console.log('Starting PDF generation...');
             
@@ -889,6 +4005,34 @@ class ResumeCustomizerApp {
         this.showSuccessMessage('JSON file downloaded successfully!');
     }
 
+    /**
+     * Download the current resume in the JSON Resume schema; fields from an imported JSON Resume
+     * that the app doesn't model are carried over
+     */
+    downloadJsonResume() {
+        if (!this.currentResume) {
+            this.showError('No resume data available');
+            return;
+        }
+
+        const doc = window.jsonResumeConverter.toJSONResume(this.currentResume, this.jsonResumeSource);
+        this.downloadFile(JSON.stringify(doc, null, 2), 'resume.json', 'application/json');
+        this.showSuccessMessage('JSON Resume file downloaded successfully!');
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     downloadPdf() {
         if (!this.currentPdfBlob) {
             this.showError('No PDF available for download');
@@ -912,6 +4056,8 @@ class ResumeCustomizerApp {
     }
     
     handleTemplateChange() {
+        this.scheduleSessionSave();
+        
         // Auto-regenerate PDF when template changes if we already have a resume
         if (this.currentResume && this.currentPdfBlob) {
             this.generatePdf();
@@ -996,10 +4142,10 @@ class ResumeCustomizerApp {
         
         switch (type) {
             case 'privacy':
-                this.showErrorModal('Privacy Policy: This application processes all data locally in your browser. No information is sent to external servers except for the Gemini API calls you authorize.');
+                this.showErrorModal('Privacy Policy: This application processes all data locally in your browser. No information is sent to external servers except for the calls to the AI provider you configure.');
                 break;
             case 'help':
-                this.showErrorModal('Help & Support: Upload your resume, enter the job description, and click "Customize Resume with AI" to get started. Make sure to configure your Gemini API key first.');
+                this.showErrorModal('Help & Support: Upload your resume, enter the job description, and click "Customize Resume with AI" to get started. Make sure to configure your AI provider first.');
                 break;
         }
     }
@@ -1012,6 +4158,7 @@ class ResumeCustomizerApp {
                 const resumeData = await response.json();
                 this.originalResume = JSON.parse(JSON.stringify(resumeData));
                 this.currentResume = resumeData;
+                window.resumeHistory.reset(resumeData, 'Loaded sample resume');
                 
                 // Update UI
                 this.updateEditorContent();
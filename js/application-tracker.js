@@ -0,0 +1,301 @@
+/**
+ * Application Tracker
+ * Job applications kept in localStorage: where each tailored resume went, its status in the
+ * pipeline, notes and follow-up dates, with a copy of the exact resume and cover letter sent
+ */
+
+class ApplicationTracker {
+    constructor() {
+        this.storageKey = 'job_applications';
+        this.statuses = [
+            { key: 'saved', label: 'Saved' },
+            { key: 'applied', label: 'Applied' },
+            { key: 'screen', label: 'Screen' },
+            { key: 'interview', label: 'Interview' },
+            { key: 'offer', label: 'Offer' },
+            { key: 'rejected', label: 'Rejected' }
+        ];
+        // Applications in these statuses need no follow-up
+        this.closedStatuses = ['offer', 'rejected'];
+        this.csvColumns = [
+            ['ID', 'id'],
+            ['Company', 'company'],
+            ['Role', 'role'],
+            ['Status', 'status'],
+            ['Date Applied', 'dateApplied'],
+            ['Follow-up', 'followUpDate'],
+            ['Notes', 'notes'],
+            ['Resume', 'resumeName'],
+            ['Posting', 'postingText']
+        ];
+        this.applications = this.load();
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.warn('Saved applications could not be read:', error);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.applications));
+        } catch (error) {
+            // Every application keeps a copy of its resume, so a long history can fill the quota
+            throw new Error('Browser storage is full; export your applications to CSV and delete old ones');
+        }
+        this.notify();
+    }
+
+    getStatusLabel(key) {
+        return (this.statuses.find(status => status.key === key) || this.statuses[0]).label;
+    }
+
+    /**
+     * @param {string} value - Status key or label, in any case
+     * @returns {string} Status key; unknown values become 'saved'
+     */
+    parseStatus(value) {
+        return this.findStatus(value) || 'saved';
+    }
+
+    /**
+     * @param {string} value - Status key or label, in any case
+     * @returns {string|null} Status key, or null if the value is not a status
+     */
+    findStatus(value) {
+        const text = String(value || '').trim().toLowerCase();
+        const status = this.statuses.find(candidate => candidate.key === text || candidate.label.toLowerCase() === text);
+        return status ? status.key : null;
+    }
+
+    /**
+     * Applications, soonest follow-up first, then most recently updated
+     * @param {Object} options - { query, status } where query matches company, role, notes and posting
+     * @returns {Array<Object>} Applications
+     */
+    list(options = {}) {
+        const terms = String(options.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return this.applications
+            .filter(application => !options.status || application.status === options.status)
+            .filter(application => {
+                const text = [application.company, application.role, application.notes, application.postingText, application.resumeName]
+                    .filter(Boolean)
+                    .join(' ')
+                    .toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => (a.followUpDate || '9999').localeCompare(b.followUpDate || '9999') ||
+                b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    get(id) {
+        return this.applications.find(application => application.id === id) || null;
+    }
+
+    /**
+     * Create or update an application
+     * @param {Object} application - { id, company, role, postingText, dateApplied, status, notes,
+     * followUpDate, resumeEntryId, resumeName, resume, coverLetter, template }; dates are
+     * YYYY-MM-DD and applications without an id are created
+     * @returns {Object} The stored application
+     */
+    save(application) {
+        const previous = this.applications.slice();
+        const stored = this.put(application);
+        try {
+            this.persist();
+        } catch (error) {
+            this.applications = previous;
+            throw error;
+        }
+        return stored;
+    }
+
+    /**
+     * Add or replace an application in memory without saving
+     */
+    put(application) {
+        const existing = application.id ? this.get(application.id) : null;
+        const now = new Date().toISOString();
+        const stored = {
+            company: '',
+            role: '',
+            postingText: '',
+            dateApplied: '',
+            status: 'saved',
+            notes: '',
+            followUpDate: '',
+            resumeEntryId: null,
+            resumeName: '',
+            resume: null,
+            coverLetter: '',
+            template: '',
+            statusHistory: [],
+            ...existing,
+            ...application,
+            id: application.id || this.createId(),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        stored.status = this.parseStatus(stored.status);
+        if (!existing || existing.status !== stored.status) {
+            stored.statusHistory = [...stored.statusHistory, { status: stored.status, at: now }];
+        }
+        // Moving to "applied" without a date means it was sent today
+        if (stored.status === 'applied' && !stored.dateApplied) stored.dateApplied = this.today();
+
+        const index = this.applications.findIndex(candidate => candidate.id === stored.id);
+        if (index >= 0) {
+            this.applications[index] = stored;
+        } else {
+            this.applications.push(stored);
+        }
+        return stored;
+    }
+
+    setStatus(id, status) {
+        const application = this.get(id);
+        if (!application) throw new Error('Application not found');
+        return this.save({ ...application, status });
+    }
+
+    remove(id) {
+        this.applications = this.applications.filter(application => application.id !== id);
+        this.persist();
+    }
+
+    /**
+     * Open applications whose follow-up date is today or earlier
+     * @param {string} today - YYYY-MM-DD, defaults to today's local date
+     */
+    dueFollowUps(today = this.today()) {
+        return this.applications.filter(application => application.followUpDate &&
+            application.followUpDate <= today &&
+            !this.closedStatuses.includes(application.status));
+    }
+
+    today() {
+        return this.formatDate(new Date());
+    }
+
+    // Local YYYY-MM-DD, the format of date inputs
+    formatDate(date) {
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+            .map(part => String(part).padStart(2, '0'))
+            .join('-');
+    }
+
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Export for spreadsheets; resume and cover letter copies are left out
+     * Text that a spreadsheet would run as a formula gets a leading ', which importCSV removes
+     */
+    toCSV() {
+        const cell = value => {
+            let text = String(value ?? '');
+            if (/^'*[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [this.csvColumns.map(([header]) => header)];
+        this.list().forEach(application => {
+            rows.push(this.csvColumns.map(([, field]) => field === 'status' ?
+                this.getStatusLabel(application.status) :
+                application[field]));
+        });
+        return rows.map(row => row.map(cell).join(',')).join('\n');
+    }
+
+    /**
+     * Import applications from CSV; rows whose ID matches an existing application update it
+     * @param {string} text - CSV with at least a Company or Role column
+     * @returns {Object} { added, updated, unknownStatuses } where unknownStatuses lists the
+     * Status values that are not a status; those rows are imported as saved
+     */
+    importCSV(text) {
+        const rows = window.linkedInImporter.parseCSV(text);
+        const headers = rows.length ? Object.keys(rows[0]).map(header => header.toLowerCase()) : [];
+        if (!headers.includes('company') && !headers.includes('role')) {
+            throw new Error('The CSV needs a Company or Role column');
+        }
+
+        const previous = this.applications.slice();
+        let added = 0;
+        let updated = 0;
+        const unknownStatuses = new Set();
+        rows.forEach(row => {
+            const value = header => {
+                const key = Object.keys(row).find(name => name.toLowerCase() === header.toLowerCase());
+                // Undo the ' that toCSV puts before formula characters
+                return key ? row[key].replace(/^'(?='*[=+\-@])/, '') : undefined;
+            };
+            const application = {};
+            this.csvColumns.forEach(([header, field]) => {
+                const cellValue = value(header);
+                if (cellValue !== undefined) application[field] = cellValue;
+            });
+            if (!application.company && !application.role) return;
+
+            if (application.status && !this.findStatus(application.status)) {
+                unknownStatuses.add(application.status.trim());
+            }
+            ['dateApplied', 'followUpDate'].forEach(field => {
+                if (application[field]) application[field] = this.parseDate(application[field]);
+            });
+            if (application.id && this.get(application.id)) {
+                updated++;
+            } else {
+                delete application.id;
+                added++;
+            }
+            this.put(application);
+        });
+
+        // One save for the whole file
+        try {
+            this.persist();
+        } catch (error) {
+            this.applications = previous;
+            throw error;
+        }
+        return { added, updated, unknownStatuses: [...unknownStatuses] };
+    }
+
+    /**
+     * Spreadsheets rewrite dates; read them back as YYYY-MM-DD, or keep the text if unreadable
+     */
+    parseDate(value) {
+        const text = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+        const date = new Date(text);
+        return Number.isNaN(date.getTime()) ? text : this.formatDate(date);
+    }
+
+    /**
+     * Subscribe to changes
+     * @param {Function} listener - Called after applications are added, changed or deleted
+     */
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Create global instance
+window.applicationTracker = new ApplicationTracker();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApplicationTracker;
+}
@@ -0,0 +1,208 @@
+/**
+ * ATS Scorer Module
+ * Extracts required and preferred terms from a job description and scores
+ * how well each resume section covers them; spellings are unified through the skill taxonomy
+ */
+
+class ATSScorer {
+    constructor() {
+        this.stopTerms = new Set(['EEO', 'US', 'USA', 'UK', 'EU', 'HR', 'CEO', 'OK', 'I', 'A', 'AN', 'THE', 'AND', 'OR', 'WE', 'YOU', 'OUR']);
+        // Job posting sections whose terms are not asked of the candidate
+        this.skippedSections = new Set(['benefits', 'about']);
+        this.preferredInline = /\b(preferred|a plus|is a plus|nice to have|bonus|desirable|ideally)\b/i;
+
+        this.sections = ['summary', 'experience', 'skills', 'projects', 'education'];
+        this.weights = { required: 0.75, preferred: 0.25 };
+    }
+
+    /**
+     * Extract required and preferred terms from a job description
+     * @param {string} jobDescription - Job description text
+     * @returns {Object} { required: string[], preferred: string[] } of canonical terms
+     */
+    extractTerms(jobDescription) {
+        const required = new Set();
+        const preferred = new Set();
+        let section = null;
+
+        String(jobDescription || '').split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            // Sections are classified like the job description parser does: perks ("PTO", "401K")
+            // and the company blurb are not skills the resume should show
+            section = this.headingSection(line) || section;
+            if (this.skippedSections.has(section)) return;
+
+            const target = section === 'niceToHaves' || this.preferredInline.test(line) ? preferred : required;
+            this.findTerms(line).forEach(term => target.add(term));
+        });
+
+        // A term that is required anywhere is required
+        required.forEach(term => preferred.delete(term));
+
+        return {
+            required: [...required],
+            preferred: [...preferred]
+        };
+    }
+
+    /**
+     * Section a heading starts, classified like the job description parser does
+     * @param {string} line - Job description line
+     * @returns {string|null} Section key, e.g. 'benefits', or null if the line is not a heading
+     */
+    headingSection(line) {
+        return window.jobDescriptionParser ? window.jobDescriptionParser.matchHeading(line) : null;
+    }
+
+    /**
+     * Find canonical terms mentioned in a piece of text
+     * @param {string} text - Text to scan
+     * @returns {Set<string>} Canonical terms
+     */
+    findTerms(text) {
+        const found = window.skillTaxonomy.findInText(text);
+
+        // Technology-looking tokens outside the taxonomy: acronyms, CamelCase and dotted names.
+        // All-caps lines are headings, where every word would look like an acronym.
+        // State codes after a comma ("Austin, TX") are locations
+        const isShouting = String(text) === String(text).toUpperCase();
+        const tokens = isShouting ? [] : [...String(text).matchAll(/\b(?:[A-Z]{2,6}|[A-Z][a-z]+[A-Z][A-Za-z]+|[A-Za-z]+\.(?:js|io|net))\b/g)];
+        tokens.forEach(({ 0: token, index }) => {
+            if (this.stopTerms.has(token.toUpperCase())) return;
+            if (/^[A-Z]{2}$/.test(token) && /,\s*$/.test(String(text).slice(0, index))) return;
+            if (this.isPartOfKnownName(String(text), index, token)) return;
+            found.add(window.skillTaxonomy.normalize(token));
+        });
+
+        return found;
+    }
+
+    /**
+     * Whether a token outside the taxonomy is only a fragment of a taxonomy name written around
+     * it: "CI" and "CD" in "CI/CD", "CI" in "GitLab CI"
+     * @param {string} text - Text the token was found in
+     * @param {number} index - Token position
+     * @param {string} token - Token
+     * @returns {boolean}
+     */
+    isPartOfKnownName(text, index, token) {
+        const taxonomy = window.skillTaxonomy;
+        if (taxonomy.lookup(token)) return false;
+
+        const before = (text.slice(0, index).match(/[\w.+#-]+[ /]$/) || [''])[0];
+        const after = (text.slice(index + token.length).match(/^[ /][\w.+#-]+/) || [''])[0];
+        return [before + token, token + after, before + token + after]
+            .some(name => name !== token && taxonomy.lookup(name));
+    }
+
+    /**
+     * Score a resume against a set of terms
+     * @param {Object} resume - Resume data
+     * @param {Object} terms - Result of extractTerms
+     * @returns {Object} { score, required, preferred, sections } where required/preferred hold
+     *                   { total, matched: [{ term, sections }], missing, coverage } and sections maps
+     *                   each section to the share of all terms it mentions
+     */
+    scoreResume(resume, terms) {
+        const sectionText = this.getSectionText(resume);
+        const allText = this.flatten(resume);
+
+        const evaluate = (list) => {
+            const matched = [];
+            const missing = [];
+            list.forEach(term => {
+                const inSections = this.sections.filter(section => window.skillTaxonomy.mentions(sectionText[section], term));
+                if (inSections.length > 0 || window.skillTaxonomy.mentions(allText, term)) {
+                    matched.push({ term, sections: inSections });
+                } else {
+                    missing.push(term);
+                }
+            });
+            return {
+                total: list.length,
+                matched,
+                missing,
+                coverage: list.length ? matched.length / list.length : 1
+            };
+        };
+
+        const required = evaluate(terms.required);
+        const preferred = evaluate(terms.preferred);
+        const allTerms = [...terms.required, ...terms.preferred];
+
+        const sections = {};
+        this.sections.forEach(section => {
+            const hits = [...required.matched, ...preferred.matched].filter(match => match.sections.includes(section)).length;
+            sections[section] = allTerms.length ? hits / allTerms.length : 0;
+        });
+
+        let score;
+        if (allTerms.length === 0) {
+            score = 0;
+        } else if (terms.preferred.length === 0) {
+            score = required.coverage;
+        } else if (terms.required.length === 0) {
+            score = preferred.coverage;
+        } else {
+            score = required.coverage * this.weights.required + preferred.coverage * this.weights.preferred;
+        }
+
+        return {
+            score: Math.round(score * 100),
+            required,
+            preferred,
+            sections
+        };
+    }
+
+    /**
+     * Score the original and customized resumes against the same job description
+     * @param {Object} originalResume - Resume before customization (may be null)
+     * @param {Object} customizedResume - Resume after customization
+     * @param {string} jobDescription - Job description text
+     * @returns {Object} { terms, before, after, delta, gained, lost }
+     */
+    compare(originalResume, customizedResume, jobDescription) {
+        const terms = this.extractTerms(jobDescription);
+        const after = this.scoreResume(customizedResume, terms);
+        const before = originalResume ? this.scoreResume(originalResume, terms) : null;
+
+        const matchedTerms = (result) => new Set([...result.required.matched, ...result.preferred.matched].map(match => match.term));
+        const afterTerms = matchedTerms(after);
+        const beforeTerms = before ? matchedTerms(before) : afterTerms;
+
+        return {
+            terms,
+            before,
+            after,
+            delta: before ? after.score - before.score : 0,
+            gained: [...afterTerms].filter(term => !beforeTerms.has(term)),
+            lost: [...beforeTerms].filter(term => !afterTerms.has(term))
+        };
+    }
+
+    getSectionText(resume) {
+        const text = {};
+        this.sections.forEach(section => {
+            text[section] = this.flatten(resume?.[section]);
+        });
+        return text;
+    }
+
+    flatten(value) {
+        if (typeof value === 'string') return value;
+        if (Array.isArray(value)) return value.map(item => this.flatten(item)).join(' \n ');
+        if (value && typeof value === 'object') return Object.values(value).map(item => this.flatten(item)).join(' \n ');
+        return '';
+    }
+}
+
+// Create global instance
+window.atsScorer = new ATSScorer();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ATSScorer;
+}
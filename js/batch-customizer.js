@@ -0,0 +1,336 @@
+/**
+ * Batch Customizer
+ * Queues several job descriptions against one base resume and runs the agentic
+ * customization for each with concurrency and rate-limit controls
+ */
+
+class BatchCustomizer {
+    constructor() {
+        this.jobs = [];
+        this.nextId = 1;
+        this.isRunning = false;
+        this.cancelRequested = false;
+        this.listeners = [];
+
+        this.defaults = { concurrency: 2, requestsPerMinute: 15 };
+        this.limits = { concurrency: 5, requestsPerMinute: 600 };
+
+        // Earliest time the next LLM request may start; shared by every worker
+        this.nextRequestAt = 0;
+    }
+
+    /**
+     * Queue a job description
+     * @param {string} jobDescription - Job description text
+     * @param {string} industryType - Industry type passed to the agents
+     * @returns {Object} The queued job
+     */
+    addJob(jobDescription, industryType = '') {
+        const text = String(jobDescription || '').trim();
+        if (!text) {
+            throw new Error('Job description is empty');
+        }
+
+        const jobPosting = window.jobDescriptionParser.parse(text);
+        const job = {
+            id: this.nextId++,
+            jobDescription: text,
+            industryType,
+            jobPosting,
+            label: [jobPosting.title, jobPosting.company].filter(Boolean).join(' at ') || text.split('\n')[0].slice(0, 60),
+            status: 'queued',
+            progress: 0,
+            message: '',
+            resume: null,
+            jobAnalysis: null,
+            match: null,
+            verification: null,
+            timings: [],
+            durationMs: 0,
+            error: null
+        };
+
+        this.jobs.push(job);
+        this.notify(job);
+        return job;
+    }
+
+    removeJob(id) {
+        const job = this.getJob(id);
+        if (!job || job.status === 'running') return false;
+
+        this.jobs = this.jobs.filter(candidate => candidate !== job);
+        this.notify(null);
+        return true;
+    }
+
+    clear() {
+        this.jobs = this.jobs.filter(job => job.status === 'running');
+        this.notify(null);
+    }
+
+    getJob(id) {
+        return this.jobs.find(job => job.id === Number(id)) || null;
+    }
+
+    /**
+     * Put a failed job back in the queue
+     */
+    retry(id) {
+        const job = this.getJob(id);
+        if (!job || job.status !== 'failed') return false;
+
+        Object.assign(job, { status: 'queued', progress: 0, message: '', error: null });
+        this.notify(job);
+        return true;
+    }
+
+    /**
+     * Subscribe to job changes
+     * @param {Function} listener - Called with the changed job, or null when the list itself changed
+     */
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(job) {
+        this.listeners.forEach(listener => listener(job));
+    }
+
+    /**
+     * Customize the base resume for every queued job
+     * @param {Object} baseResume - Resume every job starts from
+     * @param {string} apiKey - API key for the active provider
+     * @param {Object} options - { concurrency, requestsPerMinute }; 0 requests per minute disables the limit
+     * @returns {Promise<Object>} Counts from getSummary()
+     */
+    async run(baseResume, apiKey, options = {}) {
+        if (this.isRunning) {
+            throw new Error('A batch is already running');
+        }
+        if (!baseResume) {
+            throw new Error('A base resume is required');
+        }
+
+        const concurrency = this.clamp(options.concurrency ?? this.defaults.concurrency, 1, this.limits.concurrency);
+        this.requestsPerMinute = this.clamp(options.requestsPerMinute ?? this.defaults.requestsPerMinute, 0, this.limits.requestsPerMinute);
+        this.isRunning = true;
+        this.cancelRequested = false;
+        this.nextRequestAt = 0;
+
+        const worker = async () => {
+            let job;
+            while (!this.cancelRequested && (job = this.jobs.find(candidate => candidate.status === 'queued'))) {
+                await this.runJob(job, baseResume, apiKey);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: concurrency }, worker));
+        } finally {
+            this.isRunning = false;
+            this.notify(null);
+        }
+
+        return this.getSummary();
+    }
+
+    /**
+     * Stop starting new jobs; running jobs finish and the rest stay queued
+     */
+    cancel() {
+        this.cancelRequested = true;
+    }
+
+    async runJob(job, baseResume, apiKey) {
+        // Each job gets its own handler so parallel runs don't overwrite each other's analysis and timings
+        const handler = new AgenticAIHandler();
+        handler.callGeminiAPI = (key, systemPrompt, userPrompt) => this.request(key, systemPrompt, userPrompt);
+
+        Object.assign(job, { status: 'running', progress: 0, message: 'Starting...', error: null });
+        this.notify(job);
+
+        const startTime = performance.now();
+        try {
+            const resume = await handler.customizeResumeWithAgents(
+                JSON.parse(JSON.stringify(baseResume)),
+                job.jobPosting,
+                job.industryType,
+                apiKey,
+                (progress, message) => {
+                    job.progress = progress;
+                    job.message = message;
+                    this.notify(job);
+                }
+            );
+
+            Object.assign(job, {
+                status: 'done',
+                progress: 100,
+                message: '',
+                resume,
+                jobAnalysis: handler.lastJobAnalysis,
+                timings: handler.lastTimings,
+                match: window.atsScorer.compare(baseResume, resume, job.jobDescription),
+                verification: window.hallucinationGuard.verify(baseResume, resume)
+            });
+        } catch (error) {
+            console.error(`Batch job ${job.id} failed:`, error);
+            Object.assign(job, { status: 'failed', message: '', error: error.message });
+        } finally {
+            job.durationMs = performance.now() - startTime;
+            this.notify(job);
+        }
+    }
+
+    /**
+     * Make an LLM request with the client's retry policy, but retry here so every attempt waits
+     * for its own slot in the rate limit
+     * @param {string} apiKey - API key for the active provider
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @returns {Promise<Object>} The client response
+     */
+    async request(apiKey, systemPrompt, userPrompt) {
+        const client = window.llmClient;
+        const maxAttempts = client.getProvider().retryable ? client.maxRetries : 1;
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await this.throttle(() => client.generate(systemPrompt, userPrompt, { apiKey, maxRetries: 1 }));
+            } catch (error) {
+                lastError = error;
+
+                if (attempt < maxAttempts) {
+                    console.warn(`API call attempt ${attempt} failed, retrying in ${client.retryDelay * attempt}ms:`, error);
+                    await client.delay(client.retryDelay * attempt);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Run an LLM request once the rate limit allows it
+     * @param {Function} task - Async function making the request
+     * @returns {Promise<*>} The request result
+     */
+    async throttle(task) {
+        if (!this.requestsPerMinute) return task();
+
+        const interval = 60000 / this.requestsPerMinute;
+        const now = Date.now();
+        const wait = Math.max(0, this.nextRequestAt - now);
+        this.nextRequestAt = Math.max(now, this.nextRequestAt) + interval;
+
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        return task();
+    }
+
+    getSummary() {
+        const count = status => this.jobs.filter(job => job.status === status).length;
+        return {
+            total: this.jobs.length,
+            queued: count('queued'),
+            running: count('running'),
+            done: count('done'),
+            failed: count('failed')
+        };
+    }
+
+    /**
+     * Generate a PDF for one customized resume, falling back to the standard generator
+     * @returns {Promise<Blob>} PDF blob
+     */
+    async generatePdf(resume, template) {
+        try {
+            return await window.fastPdfGenerator.generatePDF(resume, template);
+        } catch (fastError) {
+            console.warn('Fast PDF generator failed, falling back to standard generator:', fastError);
+            return window.simplePdfGenerator.generatePDF(resume, template);
+        }
+    }
+
+    /**
+     * Bundle every finished job into a zip: one folder per job with the resume JSON, PDF and job description,
+     * plus a summary.csv
+     * @param {string} template - PDF template
+     * @param {Object} options - { includeUnverified }: also render PDFs for resumes with unverified AI claims
+     * @returns {Promise<Blob>} Zip blob
+     */
+    async exportZip(template, options = {}) {
+        if (typeof window.JSZip === 'undefined') {
+            throw new Error('JSZip not loaded');
+        }
+
+        const finished = this.jobs.filter(job => job.status === 'done');
+        if (finished.length === 0) {
+            throw new Error('No customized resumes to export');
+        }
+
+        const zip = new window.JSZip();
+        for (const job of finished) {
+            const folder = zip.folder(this.getFileBaseName(job));
+            folder.file('resume.json', JSON.stringify(job.resume, null, 2));
+            folder.file('job-description.txt', job.jobDescription);
+
+            if (job.verification?.passed !== false || options.includeUnverified) {
+                folder.file('resume.pdf', await this.generatePdf(job.resume, template));
+            }
+        }
+        zip.file('summary.csv', this.toCSV());
+
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    toCSV() {
+        const cell = value => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [['#', 'Job', 'Industry', 'Status', 'Score before', 'Score after', 'Unverified claims', 'Duration (s)', 'Folder', 'Error']];
+
+        this.jobs.forEach((job, index) => {
+            rows.push([
+                index + 1,
+                job.label,
+                job.industryType,
+                job.status,
+                job.match?.before?.score ?? '',
+                job.match?.after?.score ?? '',
+                job.verification ? job.verification.errors : '',
+                job.durationMs ? (job.durationMs / 1000).toFixed(1) : '',
+                job.status === 'done' ? this.getFileBaseName(job) : '',
+                job.error || ''
+            ]);
+        });
+
+        return rows.map(row => row.map(cell).join(',')).join('\n');
+    }
+
+    /**
+     * File and folder name for a job, e.g. "03-senior-frontend-engineer-at-acme"
+     */
+    getFileBaseName(job) {
+        const index = this.jobs.indexOf(job) + 1;
+        const slug = job.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'job';
+        return `${String(index).padStart(2, '0')}-${slug}`;
+    }
+
+    clamp(value, min, max) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, Math.round(number))) : min;
+    }
+}
+
+// Create global instance
+window.batchCustomizer = new BatchCustomizer();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchCustomizer;
+}
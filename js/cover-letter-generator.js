@@ -0,0 +1,174 @@
+/**
+ * Cover Letter Generator
+ * Drafts a cover letter from the customized resume and the job analysis produced
+ * by the customization pipeline
+ */
+
+class CoverLetterGenerator {
+    constructor() {
+        this.tones = {
+            professional: 'professional and confident',
+            enthusiastic: 'warm and enthusiastic, without exaggeration',
+            conversational: 'friendly and conversational while staying professional',
+            formal: 'formal and reserved'
+        };
+
+        this.lengths = {
+            short: { words: 150, paragraphs: 2 },
+            medium: { words: 250, paragraphs: 3 },
+            long: { words: 400, paragraphs: 4 }
+        };
+
+        this.closings = {
+            professional: 'Sincerely,',
+            enthusiastic: 'Best regards,',
+            conversational: 'Best,',
+            formal: 'Yours faithfully,'
+        };
+    }
+
+    /**
+     * Draft a cover letter with the configured LLM
+     * @param {Object} resume - Customized resume JSON
+     * @param {Object} jobPosting - Structured job posting from JobDescriptionParser
+     * @param {Object} jobAnalysis - JobAnalyzerAgent output, may be null
+     * @param {Object} options - { tone, length, salutation, recipientName }
+     * @param {string} apiKey - API key for the active provider
+     * @returns {Promise<string>} Complete letter text; blank lines separate paragraphs
+     */
+    async generate(resume, jobPosting, jobAnalysis, options = {}, apiKey) {
+        if (!resume) {
+            throw new Error('A resume is required to write a cover letter');
+        }
+
+        const settings = this.resolveOptions(options);
+        const prompt = this.buildPrompt(resume, jobPosting, jobAnalysis, settings);
+        const response = await window.aiHandler.callGeminiAPI(apiKey, prompt, '');
+        const paragraphs = this.extractParagraphs(response);
+
+        if (paragraphs.length === 0) {
+            throw new Error('The AI returned an empty cover letter');
+        }
+
+        return this.compose(paragraphs, resume, jobPosting, settings);
+    }
+
+    resolveOptions(options) {
+        return {
+            tone: this.tones[options.tone] ? options.tone : 'professional',
+            length: this.lengths[options.length] ? options.length : 'medium',
+            salutation: options.salutation || 'hiring-manager',
+            recipientName: (options.recipientName || '').trim()
+        };
+    }
+
+    buildPrompt(resume, jobPosting, jobAnalysis, settings) {
+        const length = this.lengths[settings.length];
+        const posting = jobPosting ? window.jobDescriptionParser.toPromptText(jobPosting) : '';
+        const timeline = window.resumeTimeline.toPromptText(resume);
+
+        return `You are an expert career writer. Write the body of a cover letter for the candidate below, applying to the job below.
+
+JOB POSTING:
+${posting || 'Not provided'}
+
+${jobAnalysis ? `JOB ANALYSIS:
+${JSON.stringify(jobAnalysis, null, 2)}
+
+` : ''}CANDIDATE RESUME:
+${JSON.stringify(resume, null, 2)}
+${timeline ? `
+CANDIDATE TIMELINE (computed from the resume's dates):
+${timeline}
+` : ''}
+RULES:
+1. Tone: ${this.tones[settings.tone]}
+2. About ${length.words} words in ${length.paragraphs} paragraphs
+3. Open with the role${jobPosting?.company ? ` at ${jobPosting.company}` : ''} and why the candidate fits; close with a call to action
+4. Use only facts from the resume: do not invent employers, titles, dates, degrees, certifications or metrics
+5. Take years of experience from the candidate timeline; never round them up to match the posting
+6. Connect 2-3 of the candidate's real achievements to the job's most important requirements
+7. Do not include a salutation, closing or signature; those are added separately
+
+Return ONLY valid JSON with this structure:
+{
+  "paragraphs": ["First paragraph", "Second paragraph"]
+}
+
+JSON OUTPUT:`;
+    }
+
+    extractParagraphs(response) {
+        if (!response.candidates || response.candidates.length === 0) {
+            throw new Error('No response candidates');
+        }
+
+        const textResponse = response.candidates[0].content.parts[0].text.trim();
+        const jsonMatch = textResponse.match(/\{[\s\S]*\}/);
+
+        if (jsonMatch) {
+            try {
+                const data = JSON.parse(jsonMatch[0]);
+                if (Array.isArray(data.paragraphs)) {
+                    return data.paragraphs.filter(paragraph => typeof paragraph === 'string' && paragraph.trim()).map(paragraph => paragraph.trim());
+                }
+            } catch (error) {
+                console.warn('Cover letter response was not valid JSON, using plain text:', error);
+            }
+        }
+
+        // Plain text answers: one paragraph per blank-line separated block
+        return textResponse
+            .replace(/^```\w*|```$/g, '')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Assemble the full letter around the generated paragraphs
+     * @returns {string} Letter text
+     */
+    compose(paragraphs, resume, jobPosting, settings) {
+        const name = resume.personalInfo?.name || '';
+        const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+        const recipient = [settings.recipientName, jobPosting?.company].filter(Boolean);
+
+        return [
+            date,
+            recipient.length > 0 ? recipient.join('\n') : '',
+            this.buildSalutation(settings, jobPosting),
+            ...paragraphs,
+            `${this.closings[settings.tone]}\n${name}`.trim()
+        ].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * @param {Object} settings - Resolved options
+     * @param {Object} jobPosting - Structured job posting
+     * @returns {string} Salutation line
+     */
+    buildSalutation(settings, jobPosting) {
+        const company = jobPosting?.company;
+
+        switch (settings.salutation) {
+            case 'named':
+                return settings.recipientName ? `Dear ${settings.recipientName},` : 'Dear Hiring Manager,';
+            case 'team':
+                return company ? `Dear ${company} Hiring Team,` : 'Dear Hiring Team,';
+            case 'to-whom':
+                return 'To Whom It May Concern,';
+            case 'hiring-manager':
+            default:
+                return 'Dear Hiring Manager,';
+        }
+    }
+}
+
+// Create global instance
+window.coverLetterGenerator = new CoverLetterGenerator();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoverLetterGenerator;
+}
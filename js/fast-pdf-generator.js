@@ -132,28 +132,7 @@ class FastPDFGenerator {
             };
 
             // HEADER - Name only
-            if (resume.personalInfo?.name) {
-                doc.setFontSize(config.nameSize);
-                doc.setFont('helvetica', 'bold');
-                doc.setTextColor(config.primaryColor);
-                doc.text(resume.personalInfo.name, 20, y);
-                y += config.nameSpacing;
-
-                // Contact info in one line
-                const contacts = [
-                    resume.personalInfo.email,
-                    resume.personalInfo.phone,
-                    resume.personalInfo.location
-                ].filter(Boolean);
-                
-                if (contacts.length > 0) {
-                    doc.setFontSize(10);
-                    doc.setFont('helvetica', 'normal');
-                    doc.setTextColor(config.contactColor);
-                    doc.text(contacts.join(' | '), 20, y);
-                    y += 15;
-                }
-            }
+            y = this.addHeader(doc, resume.personalInfo, config, y);
 
             // SUMMARY - Simple paragraph
             if (resume.summary) {
@@ -209,14 +188,11 @@ class FastPDFGenerator {
                 checkPage();
                 addSection('SKILLS');
                 
-                if (resume.skills.technical?.length > 0) {
-                    addText(`Technical: ${resume.skills.technical.join(', ')}`, 10);
-                }
-                if (resume.skills.soft?.length > 0) {
-                    addText(`Soft Skills: ${resume.skills.soft.join(', ')}`, 10);
-                }
-                if (resume.skills.languages?.length > 0) {
-                    addText(`Languages: ${resume.skills.languages.join(', ')}`, 10);
+                window.skillTaxonomy.groupSkills(resume.skills).forEach(group => {
+                    addText(`${group.label}: ${group.skills.join(', ')}`, 10);
+                });
+                if (resume.languages?.length > 0) {
+                    addText(`Languages: ${resume.languages.map(item => window.resumeSchema.formatLanguage(item)).join(', ')}`, 10);
                 }
             }
 
@@ -236,6 +212,33 @@ class FastPDFGenerator {
                 });
             }
 
+            // CERTIFICATIONS, AWARDS, PUBLICATIONS - One line per entry
+            [
+                ['CERTIFICATIONS', resume.certifications, item => [item.name, item.issuer, item.date]],
+                ['AWARDS', resume.awards, item => [item.title, item.awarder, item.date]],
+                ['PUBLICATIONS', resume.publications, item => [item.name, item.publisher, item.releaseDate]]
+            ].forEach(([title, items, fields]) => {
+                if (!items?.length) return;
+                checkPage();
+                addSection(title);
+                items.forEach(item => addText(fields(item).filter(Boolean).join(' | '), 10));
+                y += 5;
+            });
+
+            // VOLUNTEER - Role line and summary
+            if (resume.volunteer?.length > 0) {
+                checkPage();
+                addSection('VOLUNTEER EXPERIENCE');
+                
+                resume.volunteer.forEach(item => {
+                    addText([item.position, item.organization].filter(Boolean).join(' | '), 10, 'bold');
+                    if (item.summary) {
+                        addText(item.summary, 9);
+                    }
+                    y += 3;
+                });
+            }
+
             // Generate and resolve immediately
             const pdfBlob = doc.output('blob');
             resolve(pdfBlob);
@@ -245,6 +248,96 @@ class FastPDFGenerator {
         }
     }
 
+    /**
+     * Draw the name and contact line shared by the resume and the cover letter
+     * @param {Object} doc - jsPDF document
+     * @param {Object} personalInfo - Resume personal info
+     * @param {Object} config - Template config
+     * @param {number} y - Current vertical position
+     * @returns {number} Vertical position after the header
+     */
+    addHeader(doc, personalInfo, config, y) {
+        if (!personalInfo?.name) return y;
+
+        doc.setFontSize(config.nameSize);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(config.primaryColor);
+        doc.text(personalInfo.name, 20, y);
+        y += config.nameSpacing;
+
+        // Contact info in one line
+        const contacts = [
+            personalInfo.email,
+            personalInfo.phone,
+            personalInfo.location
+        ].filter(Boolean);
+
+        if (contacts.length > 0) {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(config.contactColor);
+            doc.text(contacts.join(' | '), 20, y);
+            y += 15;
+        }
+
+        return y;
+    }
+
+    /**
+     * Generate a cover letter PDF with the same header and colors as the resume template
+     * @param {string} letterText - Letter text; blank lines separate paragraphs
+     * @param {Object} resume - Resume data, used for the header
+     * @param {string} template - Template style
+     * @returns {Promise<Blob>} PDF blob
+     */
+    async generateCoverLetterPDF(letterText, resume, template = 'modern') {
+        return new Promise((resolve, reject) => {
+            if (!this.isReady) {
+                reject(new Error('PDF generator not ready'));
+                return;
+            }
+
+            const run = () => this.createCoverLetterPDF(letterText, resume, template, resolve, reject);
+            if (window.requestIdleCallback) {
+                requestIdleCallback(run);
+            } else {
+                setTimeout(run, 0);
+            }
+        });
+    }
+
+    createCoverLetterPDF(letterText, resume, template, resolve, reject) {
+        try {
+            const { jsPDF } = window.jsPDF;
+            const doc = new jsPDF();
+            const config = this.getTemplateConfig(template);
+            const pageHeight = doc.internal.pageSize.getHeight();
+
+            let y = this.addHeader(doc, resume?.personalInfo, config, 20);
+
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(config.textColor);
+
+            String(letterText || '').split(/\n\s*\n/).forEach(paragraph => {
+                const lines = paragraph.split('\n').flatMap(line => doc.splitTextToSize(line.trim(), 170));
+                lines.forEach(line => {
+                    if (y > pageHeight - 20) {
+                        doc.addPage();
+                        y = 20;
+                    }
+                    doc.text(line, 20, y);
+                    y += config.lineHeight;
+                });
+                y += config.lineHeight;
+            });
+
+            resolve(doc.output('blob'));
+        } catch (error) {
+            reject(new Error(`Fast cover letter PDF generation failed: ${error.message}`));
+        }
+    }
+
     getTemplateConfig(template) {
         const configs = {
             modern: {
@@ -0,0 +1,249 @@
+/**
+ * Hallucination Guard
+ * Verifies AI output against the original resume and flags claims that have no source
+ */
+
+class HallucinationGuard {
+    constructor() {
+        // Numbers with optional currency, decimals, magnitude and percent/plus/multiplier suffixes
+        this.numberPattern = /[$€£]?\d+(?:[.,]\d+)*\s?(?:%|\+|x\b|k\b|K\b|m\b|M\b|B\b|bn\b)?\+?/g;
+    }
+
+    /**
+     * Compare a customized resume with the original it was generated from
+     * @param {Object} originalResume - Resume as uploaded
+     * @param {Object} customizedResume - Resume returned by the AI
+     * @returns {Object} { passed, errors, warnings, issues: [{ path, type, value, message, severity }] }
+     */
+    verify(originalResume, customizedResume) {
+        const issues = [];
+
+        if (!originalResume || !customizedResume) {
+            return this.buildReport(issues);
+        }
+
+        const source = this.buildSource(originalResume);
+
+        this.checkExperience(customizedResume.experience, source, issues);
+        this.checkEducation(customizedResume.education, source, issues);
+        this.checkCertifications(customizedResume, source, issues);
+        this.checkSkills(customizedResume.skills, source, issues);
+        this.checkNumericClaims(customizedResume, source, issues);
+
+        return this.buildReport(issues);
+    }
+
+    buildReport(issues) {
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        return {
+            passed: errors === 0,
+            errors,
+            warnings: issues.length - errors,
+            issues
+        };
+    }
+
+    /**
+     * Collect everything the original resume states, for lookups
+     */
+    buildSource(resume) {
+        const strings = this.collectStrings(resume).map(entry => entry.text);
+        const text = this.normalize(strings.join(' \n '));
+        const numbers = new Set();
+
+        strings.forEach(value => {
+            this.extractNumbers(value).forEach(number => numbers.add(number.core));
+        });
+
+        return {
+            raw: strings.join(' \n '),
+            text,
+            numbers,
+            companies: this.valueSet(resume.experience, 'company'),
+            titles: this.valueSet(resume.experience, 'title'),
+            dates: new Set([
+                ...this.valueSet(resume.experience, 'startDate'),
+                ...this.valueSet(resume.experience, 'endDate'),
+                ...this.valueSet(resume.education, 'graduationDate')
+            ]),
+            degrees: this.valueSet(resume.education, 'degree'),
+            institutions: this.valueSet(resume.education, 'institution')
+        };
+    }
+
+    checkExperience(experience, source, issues) {
+        if (!Array.isArray(experience)) return;
+
+        experience.forEach((exp, index) => {
+            const path = `experience[${index}]`;
+
+            if (exp.company && !this.isKnown(exp.company, source.companies, source)) {
+                issues.push(this.issue(`${path}.company`, 'new-company', exp.company,
+                    `Employer "${exp.company}" does not appear in the original resume`));
+            }
+
+            if (exp.title && !this.isKnown(exp.title, source.titles, source)) {
+                issues.push(this.issue(`${path}.title`, 'new-title', exp.title,
+                    `Job title "${exp.title}" does not appear in the original resume`));
+            }
+
+            ['startDate', 'endDate'].forEach(field => {
+                const value = exp[field];
+                if (value && !this.isOngoing(value) && !source.dates.has(this.normalize(value))) {
+                    issues.push(this.issue(`${path}.${field}`, 'new-date', value,
+                        `Date "${value}" does not match any date in the original resume`));
+                }
+            });
+        });
+    }
+
+    checkEducation(education, source, issues) {
+        if (!Array.isArray(education)) return;
+
+        education.forEach((edu, index) => {
+            const path = `education[${index}]`;
+
+            if (edu.degree && !this.isKnown(edu.degree, source.degrees, source)) {
+                issues.push(this.issue(`${path}.degree`, 'new-degree', edu.degree,
+                    `Degree "${edu.degree}" does not appear in the original resume`));
+            }
+
+            if (edu.institution && !this.isKnown(edu.institution, source.institutions, source)) {
+                issues.push(this.issue(`${path}.institution`, 'new-institution', edu.institution,
+                    `Institution "${edu.institution}" does not appear in the original resume`));
+            }
+
+            if (edu.graduationDate && !this.isOngoing(edu.graduationDate) && !source.dates.has(this.normalize(edu.graduationDate))) {
+                issues.push(this.issue(`${path}.graduationDate`, 'new-date', edu.graduationDate,
+                    `Graduation date "${edu.graduationDate}" does not match the original resume`));
+            }
+        });
+    }
+
+    checkCertifications(resume, source, issues) {
+        (Array.isArray(resume.certifications) ? resume.certifications : []).forEach((cert, index) => {
+            const name = typeof cert === 'string' ? cert : cert?.name;
+            if (name && !source.text.includes(this.normalize(name))) {
+                issues.push(this.issue(`certifications[${index}].name`, 'new-certification', name,
+                    `Certification "${name}" does not appear in the original resume`));
+            }
+        });
+    }
+
+    /**
+     * New skills are only warnings: surfacing a relevant skill the candidate has is the point of tailoring
+     */
+    checkSkills(skills, source, issues) {
+        if (!skills || typeof skills !== 'object' || Array.isArray(skills)) return;
+
+        ['technical', 'soft', 'languages'].forEach(category => {
+            (skills[category] || []).forEach((skill, index) => {
+                if (typeof skill === 'string' && skill && !this.isKnownSkill(skill, source)) {
+                    issues.push(this.issue(`skills.${category}[${index}]`, 'new-skill', skill,
+                        `Skill "${skill}" is not mentioned in the original resume`, 'warning'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Spelling variants count as known: "JS" is sourced by "JavaScript"
+     */
+    isKnownSkill(skill, source) {
+        return source.text.includes(this.normalize(skill)) ||
+            (!!window.skillTaxonomy && window.skillTaxonomy.mentions(source.raw, skill));
+    }
+
+    checkNumericClaims(resume, source, issues) {
+        // Dates and contact details are checked elsewhere; digits in skill names ("HTML5") are not metrics
+        const skipFields = /(startDate|endDate|graduationDate|gpa|schemaVersion)$/;
+        const skipSections = /^(personalInfo|skills)\./;
+
+        this.collectStrings(resume).forEach(({ path, text }) => {
+            if (skipFields.test(path) || skipSections.test(path)) return;
+
+            this.extractNumbers(text).forEach(number => {
+                if (!source.numbers.has(number.core)) {
+                    issues.push(this.issue(path, 'unsourced-metric', number.raw,
+                        `"${number.raw}" has no source in the original resume`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Extract numeric claims from text
+     * @param {string} text - Text to scan
+     * @returns {Array<Object>} [{ raw, core }] where core is the bare number used for matching
+     */
+    extractNumbers(text) {
+        const matches = String(text).match(this.numberPattern) || [];
+        return matches
+            .map(raw => raw.trim())
+            .map(raw => ({ raw, core: raw.replace(/[^\d.]/g, '').replace(/\.$/, '') }))
+            .filter(number => number.core.length > 0);
+    }
+
+    /**
+     * Walk a resume and return every string value with its JSON path
+     */
+    collectStrings(value, path = '') {
+        if (typeof value === 'string') {
+            return value.trim() ? [{ path, text: value }] : [];
+        }
+        if (Array.isArray(value)) {
+            return value.flatMap((item, index) => this.collectStrings(item, `${path}[${index}]`));
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).flatMap(key => this.collectStrings(value[key], path ? `${path}.${key}` : key));
+        }
+        return [];
+    }
+
+    valueSet(entries, field) {
+        return new Set((Array.isArray(entries) ? entries : [])
+            .map(entry => entry && entry[field])
+            .filter(Boolean)
+            .map(value => this.normalize(value)));
+    }
+
+    /**
+     * A value is known if it matches an original value, or is a shortened form of one
+     */
+    isKnown(value, knownValues, source) {
+        const normalized = this.normalize(value);
+        if (knownValues.has(normalized) || source.text.includes(normalized)) {
+            return true;
+        }
+
+        const words = normalized.split(' ').filter(word => word.length > 1);
+        return [...knownValues].some(known => {
+            const knownWords = new Set(known.split(' '));
+            return words.every(word => knownWords.has(word));
+        });
+    }
+
+    isOngoing(value) {
+        return /^(present|current|now|ongoing)$/i.test(String(value).trim());
+    }
+
+    normalize(value) {
+        return String(value)
+            .toLowerCase()
+            .replace(/[^\w\s.+#%$-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    issue(path, type, value, message, severity = 'error') {
+        return { path, type, value, message, severity };
+    }
+}
+
+// Create global instance
+window.hallucinationGuard = new HallucinationGuard();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HallucinationGuard;
+}
@@ -0,0 +1,381 @@
+/**
+ * Job Description Parser
+ * Splits a pasted job posting into structured fields with offline heuristics,
+ * optionally refined by the configured LLM
+ */
+
+class JobDescriptionParser {
+    constructor() {
+        // Checked in order: "Preferred Qualifications" must be nice-to-have, not required
+        this.sectionPatterns = [
+            { section: 'niceToHaves', pattern: /(preferred|nice[- ]to[- ]haves?|bonus|desired|good to have|pluses|extra credit)/i },
+            { section: 'benefits', pattern: /(benefits|perks|what we offer|compensation|why join|why you('|’)ll love|we offer)/i },
+            { section: 'responsibilities', pattern: /(responsibilities|what you('|’)ll do|what you will do|the role|your role|duties|day[- ]to[- ]day|your impact|in this role)/i },
+            { section: 'requiredQualifications', pattern: /(requirements|required|qualifications|what you('|’)ll need|what you need|must[- ]haves?|who you are|about you|you have|what we('|’)re looking for|skills)/i },
+            { section: 'about', pattern: /^(about|who we are|our company|the company|company overview)/i }
+        ];
+
+        this.seniorityLevels = [
+            { level: 'intern', pattern: /\b(intern|internship|co-op)\b/i },
+            { level: 'executive', pattern: /\b(vp|vice president|chief|cto|cio|head of)\b/i },
+            { level: 'director', pattern: /\bdirector\b/i },
+            { level: 'manager', pattern: /\bmanager\b/i },
+            { level: 'principal', pattern: /\b(principal|staff|distinguished)\b/i },
+            { level: 'lead', pattern: /\b(lead|tech lead|team lead)\b/i },
+            { level: 'senior', pattern: /\b(senior|sr\.?)\b/i },
+            { level: 'junior', pattern: /\b(junior|jr\.?|entry[- ]level|graduate|associate)\b/i },
+            { level: 'mid', pattern: /\b(mid[- ]level|intermediate)\b/i }
+        ];
+
+        this.inlinePreferred = /\b(preferred|a plus|is a plus|nice to have|bonus|desirable|ideally)\b/i;
+        this.bulletPattern = /^\s*(?:[-*•·▪◦●]|\d+[.)]|[a-z][.)])\s+/;
+    }
+
+    /**
+     * Parse a job posting with heuristics only
+     * @param {string} text - Pasted job description
+     * @returns {Object} Structured job posting
+     */
+    parse(text) {
+        const posting = this.emptyPosting();
+        const lines = String(text || '').split(/\r?\n/).map(line => line.trim());
+        const firstLines = lines.filter(Boolean).slice(0, 6);
+
+        this.extractLabelledFields(lines, posting);
+
+        let titleLine = null;
+        if (!posting.title) {
+            posting.title = this.guessTitle(firstLines);
+            titleLine = posting.title ? this.findTitleLine(firstLines) : null;
+        }
+
+        this.splitSections(lines, posting, titleLine);
+
+        if (!posting.company) posting.company = this.guessCompany(text, firstLines);
+        if (!posting.location) posting.location = this.guessLocation(text);
+
+        posting.workplace = this.detectWorkplace(text);
+        posting.seniority = this.detectSeniority(posting.title) || this.detectSeniority(text);
+        posting.yearsOfExperience = this.extractYears(text);
+
+        if (window.atsScorer) {
+            posting.skills = window.atsScorer.extractTerms(text);
+        }
+
+        return posting;
+    }
+
+    /**
+     * Parse with the configured LLM, falling back to heuristics field by field
+     * @param {string} text - Pasted job description
+     * @param {string} apiKey - API key for the active provider
+     * @returns {Promise<Object>} Structured job posting
+     */
+    async parseWithAI(text, apiKey) {
+        const heuristic = this.parse(text);
+
+        try {
+            const response = await window.aiHandler.callGeminiAPI(apiKey, this.buildParsePrompt(text), '');
+            const aiPosting = this.extractJSON(response);
+            return this.merge(heuristic, aiPosting);
+        } catch (error) {
+            console.warn('AI job description parsing failed, using heuristic result:', error);
+            return heuristic;
+        }
+    }
+
+    buildParsePrompt(text) {
+        return `Extract the structure of the following job posting. Copy wording from the posting; do not add requirements that are not stated.
+
+JOB POSTING:
+${text}
+
+Return ONLY valid JSON with this structure:
+{
+  "title": "",
+  "company": "",
+  "location": "",
+  "workplace": "remote|hybrid|onsite|",
+  "seniority": "intern|junior|mid|senior|lead|principal|manager|director|executive|",
+  "responsibilities": ["..."],
+  "requiredQualifications": ["..."],
+  "niceToHaves": ["..."],
+  "benefits": ["..."],
+  "yearsOfExperience": { "min": 0, "max": null }
+}
+
+JSON OUTPUT:`;
+    }
+
+    extractJSON(response) {
+        if (!response.candidates || response.candidates.length === 0) {
+            throw new Error('No response candidates');
+        }
+
+        const textResponse = response.candidates[0].content.parts[0].text;
+        const jsonMatch = textResponse.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('No valid JSON found');
+        }
+        return JSON.parse(jsonMatch[0]);
+    }
+
+    /**
+     * Prefer AI values where present; keep heuristic values for anything the AI left empty
+     */
+    merge(heuristic, aiPosting) {
+        const merged = { ...heuristic, source: 'ai' };
+
+        ['title', 'company', 'location', 'workplace', 'seniority'].forEach(field => {
+            if (typeof aiPosting[field] === 'string' && aiPosting[field].trim()) {
+                merged[field] = aiPosting[field].trim();
+            }
+        });
+
+        ['responsibilities', 'requiredQualifications', 'niceToHaves', 'benefits'].forEach(field => {
+            const items = Array.isArray(aiPosting[field]) ? aiPosting[field].filter(item => typeof item === 'string' && item.trim()) : [];
+            if (items.length > 0) merged[field] = items.map(item => item.trim());
+        });
+
+        const years = aiPosting.yearsOfExperience;
+        if (years && Number.isFinite(years.min)) {
+            merged.yearsOfExperience = {
+                min: years.min,
+                max: Number.isFinite(years.max) ? years.max : null,
+                text: heuristic.yearsOfExperience?.text || ''
+            };
+        }
+
+        return merged;
+    }
+
+    emptyPosting() {
+        return {
+            title: '',
+            company: '',
+            location: '',
+            workplace: '',
+            seniority: '',
+            summary: '',
+            responsibilities: [],
+            requiredQualifications: [],
+            niceToHaves: [],
+            benefits: [],
+            other: [],
+            yearsOfExperience: null,
+            skills: { required: [], preferred: [] },
+            source: 'heuristic'
+        };
+    }
+
+    /**
+     * "Title: ...", "Company: ...", "Location: ..." lines
+     */
+    extractLabelledFields(lines, posting) {
+        const labels = {
+            title: /^(job title|title|position|role)\s*[:\-–]\s*(.+)$/i,
+            company: /^(company|employer|organization|organisation)\s*[:\-–]\s*(.+)$/i,
+            location: /^(location|based in|office)\s*[:\-–]\s*(.+)$/i
+        };
+
+        lines.forEach(line => {
+            Object.entries(labels).forEach(([field, pattern]) => {
+                const match = line.match(pattern);
+                if (match && !posting[field]) posting[field] = match[2].trim();
+            });
+        });
+    }
+
+    /**
+     * Assign every line to the section under the closest heading above it
+     */
+    splitSections(lines, posting, titleLine) {
+        let current = null;
+        const summary = [];
+        let sawHeading = false;
+
+        lines.forEach(line => {
+            if (!line || line === titleLine) return;
+
+            const heading = this.matchHeading(line);
+            if (heading) {
+                current = heading;
+                sawHeading = true;
+                return;
+            }
+
+            const item = line.replace(this.bulletPattern, '').trim();
+            if (!item || this.isLabelledField(line)) return;
+
+            if (!current || current === 'about') {
+                // Untitled bullets before any heading still carry requirements
+                if (!sawHeading && this.bulletPattern.test(line)) {
+                    posting[this.classifyItem(item)].push(item);
+                } else {
+                    summary.push(item);
+                }
+            } else if (current === 'requiredQualifications' && this.inlinePreferred.test(item)) {
+                posting.niceToHaves.push(item);
+            } else {
+                posting[current].push(item);
+            }
+        });
+
+        posting.summary = summary.join(' ');
+    }
+
+    /**
+     * A line is a heading when it is marked as one (trailing colon, '#', bold) or, unmarked, when
+     * it is short and either Title Case / ALL CAPS without sentence verbs or nothing but a section
+     * name ("Nice to have"); "Python and Django required" is a requirement, not a heading
+     * @returns {string|null} Section key if the line is a section heading
+     */
+    matchHeading(line) {
+        if (this.bulletPattern.test(line)) return null;
+
+        const cleaned = line.replace(/^#+\s*/, '').replace(/[:*_]+$/g, '').replace(/^[*_]+/, '').trim();
+        if (cleaned.length === 0 || cleaned.length >= 60) return null;
+
+        const isMarked = /[:]$/.test(line) || /^#+\s/.test(line) || /^(\*\*|__).+(\*\*|__):?$/.test(line);
+        const match = this.sectionPatterns.find(({ pattern }) => pattern.test(cleaned));
+        if (!isMarked) {
+            const isShort = cleaned.split(/\s+/).length <= 6;
+            const isSectionName = match && cleaned.match(match.pattern)[0].length === cleaned.length;
+            if (!isShort || !(isSectionName || this.isHeadingCase(cleaned))) return null;
+        }
+
+        if (!match) {
+            // Unknown headings ("Our Stack:", "## Team") start a catch-all section
+            return isMarked ? 'other' : null;
+        }
+        return match.section;
+    }
+
+    /**
+     * Title Case or ALL CAPS, without the verbs that make a short line a sentence
+     */
+    isHeadingCase(text) {
+        if (/\b(is|are|was|were|will|must|should|can)\b/i.test(text)) return false;
+        if (text === text.toUpperCase()) return /[A-Z]/.test(text);
+
+        const minor = /^(a|an|and|or|of|to|the|for|in|on|at|with|you|we|our|your|&)$/i;
+        return text.split(/\s+/).every(word => minor.test(word) || !/^[a-z]/.test(word));
+    }
+
+    isLabelledField(line) {
+        return /^(job title|title|position|role|company|employer|organi[sz]ation|location|based in|office)\s*[:\-–]/i.test(line);
+    }
+
+    classifyItem(item) {
+        if (this.inlinePreferred.test(item)) return 'niceToHaves';
+        if (/\b(years?|experience (with|in)|proficien|knowledge of|familiar|degree|understanding of|ability to)\b/i.test(item)) {
+            return 'requiredQualifications';
+        }
+        if (/\b(insurance|401k|pto|vacation|equity|stock|salary|bonus|parental|wellness)\b/i.test(item)) return 'benefits';
+        return 'responsibilities';
+    }
+
+    // The title comes before the first section heading; a posting that opens with one has none
+    findTitleLine(firstLines) {
+        for (const line of firstLines) {
+            if (this.matchHeading(line)) return null;
+            if (!this.isLabelledField(line)) return line;
+        }
+        return null;
+    }
+
+    guessTitle(firstLines) {
+        const candidate = this.findTitleLine(firstLines);
+        if (!candidate || candidate.length > 80 || /[.!?]$/.test(candidate)) return '';
+
+        // "Senior Engineer at Acme" / "Senior Engineer - Acme"
+        return candidate.replace(/^#+\s*/, '').split(/\s+(?:at|@)\s+|\s+[-–|]\s+/)[0].trim();
+    }
+
+    guessCompany(text, firstLines) {
+        const patterns = [
+            /\s(?:at|@)\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})/,
+            /\s[-–|]\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})\s*$/
+        ];
+        const titleLine = firstLines[0] || '';
+        for (const pattern of patterns) {
+            const match = titleLine.match(pattern);
+            if (match && !this.guessLocation(match[1])) return match[1].trim();
+        }
+
+        const about = String(text).match(/^\s*#*\s*About\s+(?!us\b|the\b|you\b|the role\b)([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})\s*:?\s*$/m);
+        if (about) return about[1].trim();
+
+        const hiring = String(text).match(/\b([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})\s+is\s+(?:hiring|looking for|seeking)\b/);
+        return hiring && !/^(We|The|Our)$/.test(hiring[1]) ? hiring[1].trim() : '';
+    }
+
+    guessLocation(text) {
+        // Stay on one line: "Engineer at Acme" above "Austin, TX" is not "Acme Austin"
+        const cityState = String(text).match(/\b([A-Z][a-zA-Z]+(?:[ \t][A-Z][a-zA-Z]+)?,[ \t](?:[A-Z]{2}|[A-Z][a-z]+))\b/);
+        if (cityState) return cityState[1];
+        return /\bremote\b/i.test(text) ? 'Remote' : '';
+    }
+
+    detectWorkplace(text) {
+        if (/\bhybrid\b/i.test(text)) return 'hybrid';
+        if (/\b(fully remote|100% remote|remote[- ]first|remote)\b/i.test(text)) return 'remote';
+        if (/\b(on[- ]?site|in[- ]office)\b/i.test(text)) return 'onsite';
+        return '';
+    }
+
+    detectSeniority(text) {
+        const match = this.seniorityLevels.find(({ pattern }) => pattern.test(text || ''));
+        return match ? match.level : '';
+    }
+
+    /**
+     * Years-of-experience requirement, preferring mentions next to the word "experience"
+     * @param {string} text - Job description
+     * @returns {Object|null} { min, max, text }
+     */
+    extractYears(text) {
+        const pattern = /(\d{1,2})\s*(?:\+|(?:-|–|to)\s*(\d{1,2}))?\s*\+?\s*(?:years?|yrs?)\b([^.\n]{0,40})/gi;
+        const matches = [...String(text || '').matchAll(pattern)];
+        if (matches.length === 0) return null;
+
+        const best = matches.find(match => /experience/i.test(match[3])) || matches[0];
+        return {
+            min: parseInt(best[1], 10),
+            max: best[2] ? parseInt(best[2], 10) : null,
+            text: best[0].trim()
+        };
+    }
+
+    /**
+     * Render a posting as compact text for prompts and display
+     * @param {Object} posting - Structured job posting
+     * @returns {string} Plain text summary
+     */
+    toPromptText(posting) {
+        const list = (label, items) => items.length ? `${label}:\n${items.map(item => `- ${item}`).join('\n')}` : '';
+        const years = posting.yearsOfExperience;
+
+        return [
+            posting.title && `Title: ${posting.title}`,
+            posting.company && `Company: ${posting.company}`,
+            posting.location && `Location: ${posting.location}`,
+            posting.workplace && `Workplace: ${posting.workplace}`,
+            posting.seniority && `Seniority: ${posting.seniority}`,
+            years && `Experience required: ${years.min}${years.max ? `-${years.max}` : '+'} years`,
+            posting.summary && `Summary: ${posting.summary}`,
+            list('Responsibilities', posting.responsibilities),
+            list('Required qualifications', posting.requiredQualifications),
+            list('Nice to have', posting.niceToHaves),
+            list('Other', posting.other)
+        ].filter(Boolean).join('\n\n');
+    }
+}
+
+// Create global instance
+window.jobDescriptionParser = new JobDescriptionParser();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobDescriptionParser;
+}
@@ -0,0 +1,318 @@
+/**
+ * JSON Resume Converter
+ * Converts between the open JSON Resume schema (jsonresume.org) and the app's resume shape.
+ * Exports merge onto the imported document so fields the app doesn't model survive a round trip
+ */
+
+class JSONResumeConverter {
+    constructor() {
+        this.schemaUrl = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+        this.ongoing = /^(present|current|now|ongoing)$/i;
+    }
+
+    /**
+     * Check whether parsed JSON is a JSON Resume document rather than the app's own shape
+     * @param {Object} data - Parsed JSON
+     * @returns {boolean} True for JSON Resume documents
+     */
+    isJSONResume(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || data.personalInfo) return false;
+        return ['basics', 'work', 'education', 'skills', 'projects'].some(key => key in data);
+    }
+
+    /**
+     * Convert a JSON Resume document to the app's resume shape
+     * @param {Object} doc - JSON Resume document
+     * @returns {Object} Resume with personalInfo, summary, experience, education, skills and projects
+     */
+    fromJSONResume(doc) {
+        const basics = doc.basics || {};
+        const profileUrl = network => {
+            const profile = (basics.profiles || []).find(item => (item.network || '').toLowerCase() === network);
+            if (!profile) return '';
+            return profile.url || (profile.username ? `${network}.com/${network === 'linkedin' ? 'in/' : ''}${profile.username}` : '');
+        };
+
+        const skills = { technical: [], soft: [] };
+        (doc.skills || []).forEach(group => {
+            const names = group.keywords?.length ? group.keywords : [group.name];
+            // A group named like "Soft Skills" marks skills the taxonomy doesn't know
+            const softGroup = group.keywords?.length && /soft|interpersonal|people/i.test(group.name || '');
+            names.filter(Boolean).forEach(name => {
+                const entry = window.skillTaxonomy.lookup(name);
+                const isSoft = entry ? entry.category === 'soft' : softGroup;
+                skills[isSoft ? 'soft' : 'technical'].push(name);
+            });
+        });
+
+        return {
+            schemaVersion: window.resumeSchema.currentVersion,
+            personalInfo: {
+                name: basics.name || '',
+                email: basics.email || '',
+                phone: basics.phone || '',
+                location: this.formatLocation(basics.location),
+                linkedin: profileUrl('linkedin'),
+                github: profileUrl('github'),
+                website: basics.url || basics.website || ''
+            },
+            summary: basics.summary || '',
+            experience: (doc.work || []).map(work => ({
+                title: work.position || '',
+                company: work.name || work.company || '',
+                location: work.location || '',
+                startDate: work.startDate || '',
+                endDate: work.endDate || (work.startDate ? 'Present' : ''),
+                description: this.splitLines(work.summary),
+                achievements: [...(work.highlights || [])]
+            })),
+            education: (doc.education || []).map(edu => ({
+                degree: [edu.studyType, edu.area].filter(Boolean).join(' in '),
+                institution: edu.institution || '',
+                location: edu.location || '',
+                graduationDate: edu.endDate || '',
+                gpa: edu.score || edu.gpa || '',
+                relevant_coursework: [...(edu.courses || [])]
+            })),
+            skills,
+            projects: (doc.projects || []).map(project => ({
+                name: project.name || '',
+                description: project.description || '',
+                url: project.url || '',
+                technologies: [...(project.keywords || [])],
+                achievements: [...(project.highlights || [])]
+            })),
+            certifications: (doc.certificates || []).filter(item => item.name).map(item => ({
+                name: item.name,
+                issuer: item.issuer || '',
+                date: item.date || '',
+                url: item.url || ''
+            })),
+            languages: (doc.languages || []).filter(item => item.language).map(item => ({
+                language: item.language,
+                fluency: item.fluency || ''
+            })),
+            awards: (doc.awards || []).filter(item => item.title).map(item => ({
+                title: item.title,
+                awarder: item.awarder || '',
+                date: item.date || '',
+                summary: item.summary || ''
+            })),
+            publications: (doc.publications || []).filter(item => item.name).map(item => ({
+                name: item.name,
+                publisher: item.publisher || '',
+                releaseDate: item.releaseDate || '',
+                url: item.url || '',
+                summary: item.summary || ''
+            })),
+            volunteer: (doc.volunteer || []).filter(item => item.organization).map(item => ({
+                organization: item.organization,
+                position: item.position || '',
+                startDate: item.startDate || '',
+                endDate: item.endDate || '',
+                summary: item.summary || '',
+                highlights: [...(item.highlights || [])]
+            }))
+        };
+    }
+
+    /**
+     * Convert an app resume to JSON Resume
+     * @param {Object} resume - App resume
+     * @param {Object} source - JSON Resume document the resume was imported from, may be null; its
+     *                          unmodeled fields and sections are carried over
+     * @returns {Object} JSON Resume document
+     */
+    toJSONResume(resume, source = null) {
+        const doc = source ? JSON.parse(JSON.stringify(source)) : { $schema: this.schemaUrl };
+        const info = resume.personalInfo || {};
+
+        doc.basics = this.clean({
+            ...(doc.basics || {}),
+            name: info.name,
+            email: info.email,
+            phone: info.phone,
+            url: info.website,
+            summary: resume.summary,
+            location: this.toLocation(info.location, doc.basics?.location),
+            profiles: this.toProfiles(info, doc.basics?.profiles || [])
+        });
+        delete doc.basics.website;
+
+        const work = [...(doc.work || [])];
+        doc.work = (resume.experience || []).map(exp => this.clean({
+            ...this.takeMatch(work, item => (item.name || item.company) === exp.company && item.startDate === exp.startDate) ||
+                this.takeMatch(work, item => (item.name || item.company) === exp.company) || {},
+            name: exp.company,
+            position: exp.title,
+            location: exp.location,
+            startDate: exp.startDate,
+            endDate: this.ongoing.test(exp.endDate || '') ? '' : exp.endDate,
+            summary: (exp.description || []).join('\n'),
+            highlights: exp.achievements || []
+        }));
+
+        const education = [...(doc.education || [])];
+        doc.education = (resume.education || []).map(edu => {
+            const match = this.takeMatch(education, item => item.institution === edu.institution) || {};
+            const unchanged = [match.studyType, match.area].filter(Boolean).join(' in ') === edu.degree;
+            const [studyType, ...area] = unchanged ? [match.studyType, match.area] : (edu.degree || '').split(' in ');
+            return this.clean({
+                ...match,
+                institution: edu.institution,
+                studyType,
+                area: unchanged ? match.area : area.join(' in '),
+                location: edu.location,
+                endDate: edu.graduationDate,
+                score: edu.gpa,
+                courses: edu.relevant_coursework || []
+            });
+        });
+
+        const projects = [...(doc.projects || [])];
+        doc.projects = (resume.projects || []).map(project => this.clean({
+            ...this.takeMatch(projects, item => item.name === project.name) || {},
+            name: project.name,
+            description: project.description,
+            url: project.url,
+            keywords: project.technologies || [],
+            highlights: project.achievements || []
+        }));
+
+        doc.skills = this.toSkillGroups(resume.skills || {}, doc.skills || []);
+        doc.certificates = this.mergeByName(resume.certifications || [], doc.certificates || [], 'name').map(item => this.clean(item));
+        doc.languages = this.mergeByName(resume.languages || [], doc.languages || [], 'language').map(item => this.clean(item));
+        doc.awards = this.mergeByName(resume.awards || [], doc.awards || [], 'title').map(item => this.clean(item));
+        doc.publications = this.mergeByName(resume.publications || [], doc.publications || [], 'name').map(item => this.clean(item));
+        doc.volunteer = this.mergeByName(resume.volunteer || [], doc.volunteer || [], 'organization').map(item => this.clean(item));
+
+        // Sections the app doesn't model (interests, references, meta) were copied from the source
+        // untouched; drop sections left empty so new exports stay tidy
+        Object.keys(doc).forEach(key => {
+            if (Array.isArray(doc[key]) && doc[key].length === 0 && !(source && key in source)) delete doc[key];
+        });
+
+        return doc;
+    }
+
+    /**
+     * Keep the source's skill groups (names, levels, original spellings) for skills still present,
+     * and group the remaining skills by taxonomy category
+     */
+    toSkillGroups(skills, sourceGroups) {
+        const key = name => window.skillTaxonomy.normalize(name).toLowerCase();
+        const remaining = new Map([...(skills.technical || []), ...(skills.soft || [])].map(name => [key(name), name]));
+
+        const groups = sourceGroups.map(group => {
+            if (!group.keywords?.length) {
+                return remaining.delete(key(group.name || '')) ? group : null;
+            }
+            const keywords = group.keywords.filter(keyword => remaining.delete(key(keyword)));
+            return keywords.length ? { ...group, keywords } : null;
+        }).filter(Boolean);
+
+        const left = list => (list || []).filter(name => remaining.has(key(name)));
+        window.skillTaxonomy.groupSkills({ technical: left(skills.technical), soft: left(skills.soft) }).forEach(group => {
+            const existing = groups.find(item => item.name === group.label);
+            if (existing) {
+                existing.keywords = [...(existing.keywords || []), ...group.skills];
+            } else {
+                groups.push({ name: group.label, keywords: group.skills });
+            }
+        });
+
+        return groups;
+    }
+
+    toProfiles(info, sourceProfiles) {
+        const profiles = sourceProfiles.map(profile => ({ ...profile }));
+        [['LinkedIn', info.linkedin], ['GitHub', info.github]].forEach(([network, value]) => {
+            const index = profiles.findIndex(profile => (profile.network || '').toLowerCase() === network.toLowerCase());
+            if (!value) {
+                if (index >= 0) profiles.splice(index, 1);
+                return;
+            }
+
+            const url = /^https?:\/\//.test(value) ? value : `https://${value}`;
+            const username = value.replace(/\/+$/, '').split('/').pop();
+            if (index >= 0) {
+                const unchanged = this.sameUrl(profiles[index].url, value);
+                profiles[index] = { ...profiles[index], url: unchanged ? profiles[index].url : url, username: unchanged ? profiles[index].username : username };
+            } else {
+                profiles.push({ network, username, url });
+            }
+        });
+        return profiles;
+    }
+
+    sameUrl(a, b) {
+        const strip = value => String(value || '').toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+        return strip(a) === strip(b);
+    }
+
+    formatLocation(location) {
+        if (!location) return '';
+        if (typeof location === 'string') return location;
+        return [location.city, location.region || location.countryCode].filter(Boolean).join(', ');
+    }
+
+    /**
+     * @returns {Object|undefined} JSON Resume location; the source object is kept while its text is unchanged
+     */
+    toLocation(text, sourceLocation) {
+        if (!text) return undefined;
+        if (sourceLocation && this.formatLocation(sourceLocation) === text) return sourceLocation;
+
+        const [city, region] = text.split(',').map(part => part.trim());
+        const location = { ...(typeof sourceLocation === 'object' ? sourceLocation : {}), city };
+        delete location.address;
+        delete location.postalCode;
+        if (region) {
+            location.region = region;
+        } else {
+            delete location.region;
+        }
+        return location;
+    }
+
+    mergeByName(items, sourceItems, field) {
+        const pool = [...sourceItems];
+        return items.map(item => ({
+            ...this.takeMatch(pool, source => (source[field] || '').toLowerCase() === (item[field] || '').toLowerCase()) || {},
+            ...item
+        }));
+    }
+
+    /**
+     * Remove and return the first entry matching a predicate, so each source entry is reused once
+     */
+    takeMatch(pool, predicate) {
+        const index = pool.findIndex(predicate);
+        return index >= 0 ? pool.splice(index, 1)[0] : null;
+    }
+
+    splitLines(text) {
+        return String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Drop empty strings, empty arrays and undefined values, as JSON Resume omits unknown fields
+     */
+    clean(object) {
+        Object.keys(object).forEach(key => {
+            const value = object[key];
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+                delete object[key];
+            }
+        });
+        return object;
+    }
+}
+
+// Create global instance
+window.jsonResumeConverter = new JSONResumeConverter();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONResumeConverter;
+}
@@ -0,0 +1,168 @@
+/**
+ * JSON Source Map
+ * Finds where a value such as "experience[2].endDate" sits in JSON text, so checks on the
+ * parsed resume can be shown at the right line in the editor
+ */
+
+class JSONSourceMap {
+    /**
+     * Map every value in a JSON document to its offsets
+     * @param {string} text - JSON text
+     * @returns {Map<string, Object>|null} Path → { start, end, keyStart }; null for invalid JSON
+     */
+    build(text) {
+        const pointers = new Map();
+        let i = 0;
+
+        const skipWhitespace = () => {
+            while (i < text.length && /\s/.test(text[i])) i++;
+        };
+        const fail = () => {
+            throw new SyntaxError(`Unexpected token at ${i}`);
+        };
+        const readString = () => {
+            const start = i;
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                i += text[i] === '\\' ? 2 : 1;
+            }
+            if (i >= text.length) fail();
+            i++;
+            return JSON.parse(text.slice(start, i));
+        };
+        const readValue = (path, keyStart) => {
+            skipWhitespace();
+            const start = i;
+            const char = text[i];
+
+            if (char === '{') {
+                i++;
+                skipWhitespace();
+                if (text[i] === '}') {
+                    i++;
+                } else {
+                    for (;;) {
+                        skipWhitespace();
+                        if (text[i] !== '"') fail();
+                        const memberStart = i;
+                        const key = readString();
+                        skipWhitespace();
+                        if (text[i] !== ':') fail();
+                        i++;
+                        readValue(path ? `${path}.${key}` : key, memberStart);
+                        skipWhitespace();
+                        if (text[i] === ',') {
+                            i++;
+                        } else if (text[i] === '}') {
+                            i++;
+                            break;
+                        } else {
+                            fail();
+                        }
+                    }
+                }
+            } else if (char === '[') {
+                i++;
+                skipWhitespace();
+                if (text[i] === ']') {
+                    i++;
+                } else {
+                    for (let index = 0; ; index++) {
+                        readValue(`${path}[${index}]`, null);
+                        skipWhitespace();
+                        if (text[i] === ',') {
+                            i++;
+                        } else if (text[i] === ']') {
+                            i++;
+                            break;
+                        } else {
+                            fail();
+                        }
+                    }
+                }
+            } else if (char === '"') {
+                readString();
+            } else {
+                const literal = text.slice(i).match(/^(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+                if (!literal) fail();
+                i += literal[0].length;
+            }
+
+            pointers.set(path, { start, end: i, keyStart: keyStart ?? start });
+        };
+
+        try {
+            readValue('', null);
+            skipWhitespace();
+            return i === text.length ? pointers : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Editor range of a value, falling back to the closest parent that exists
+     * @param {string} text - JSON text
+     * @param {string} path - Path like "education[0].graduationDate"
+     * @returns {Object|null} { startLineNumber, startColumn, endLineNumber, endColumn } (1-based)
+     */
+    locate(text, path) {
+        const pointers = this.build(text);
+        if (!pointers) return null;
+
+        let current = path;
+        while (current && !pointers.has(current)) {
+            current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+        }
+        const pointer = pointers.get(current);
+        if (!pointer) return null;
+
+        // Containers span many lines; point at their key instead
+        const start = pointer.keyStart;
+        const end = /[{[]/.test(text[pointer.start]) ? text.indexOf('\n', start) : pointer.end;
+        return {
+            ...this.toPosition(text, start, 'start'),
+            ...this.toPosition(text, end < 0 ? text.length : end, 'end')
+        };
+    }
+
+    /**
+     * Innermost path at an editor position, the reverse of locate()
+     * @param {string} text - JSON text
+     * @param {number} lineNumber - 1-based line
+     * @param {number} column - 1-based column
+     * @returns {string|null} Path like "experience[0].title", '' for the root; null for invalid JSON
+     */
+    pathAt(text, lineNumber, column) {
+        const pointers = this.build(text);
+        if (!pointers) return null;
+
+        const lines = text.split('\n');
+        const offset = lines.slice(0, lineNumber - 1).reduce((sum, line) => sum + line.length + 1, 0) + column - 1;
+        let found = '';
+        let span = Infinity;
+        pointers.forEach((pointer, path) => {
+            if (pointer.keyStart <= offset && offset < pointer.end && pointer.end - pointer.keyStart < span) {
+                found = path;
+                span = pointer.end - pointer.keyStart;
+            }
+        });
+        return found;
+    }
+
+    toPosition(text, offset, edge) {
+        const before = text.slice(0, offset).split('\n');
+        return {
+            [`${edge}LineNumber`]: before.length,
+            [`${edge}Column`]: before[before.length - 1].length + 1
+        };
+    }
+}
+
+// Create global instance
+window.jsonSourceMap = new JSONSourceMap();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONSourceMap;
+}
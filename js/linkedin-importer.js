@@ -0,0 +1,243 @@
+/**
+ * LinkedIn Importer
+ * Maps the CSVs in LinkedIn's "Get a copy of your data" archive to the resume JSON,
+ * locally and without any AI call
+ */
+
+class LinkedInImporter {
+    constructor() {
+        this.months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        this.bulletPattern = /^[•●▪‣◦\-–*]\s*/;
+    }
+
+    /**
+     * Check whether a zip looks like a LinkedIn data export
+     * @param {Object} zip - JSZip instance
+     * @returns {boolean} True when Profile.csv or Positions.csv is present
+     */
+    isLinkedInArchive(zip) {
+        return Boolean(this.findEntry(zip, 'Profile.csv') || this.findEntry(zip, 'Positions.csv'));
+    }
+
+    /**
+     * Read a LinkedIn export archive into a resume
+     * @param {File} file - ZIP archive
+     * @returns {Promise<Object>} Resume data (not yet cleaned)
+     */
+    async importArchive(file) {
+        if (typeof window.JSZip === 'undefined') {
+            throw new Error('JSZip not loaded');
+        }
+
+        const zip = await window.JSZip.loadAsync(await file.arrayBuffer());
+        if (!this.isLinkedInArchive(zip)) {
+            throw new Error('ZIP file is not a LinkedIn data export (Profile.csv and Positions.csv are missing)');
+        }
+
+        const names = ['Profile', 'Positions', 'Education', 'Skills', 'Projects', 'Certifications', 'Languages', 'Honors', 'Publications', 'Email Addresses', 'PhoneNumbers'];
+        const tables = {};
+        for (const name of names) {
+            tables[name] = await this.readTable(zip, `${name}.csv`);
+        }
+
+        return this.toResume(tables);
+    }
+
+    /**
+     * Find a file by name anywhere in the archive; exports are sometimes nested in a folder
+     */
+    findEntry(zip, fileName) {
+        const target = fileName.toLowerCase();
+        return Object.values(zip.files).find(entry => !entry.dir && entry.name.split('/').pop().toLowerCase() === target) || null;
+    }
+
+    async readTable(zip, fileName) {
+        const entry = this.findEntry(zip, fileName);
+        if (!entry) return [];
+        return this.parseCSV(await entry.async('string'));
+    }
+
+    /**
+     * Parse CSV text into row objects keyed by header
+     * Some exports start with a "Notes:" preamble before the header row; rows before the first
+     * row with several columns are skipped
+     * @param {string} text - CSV content
+     * @returns {Array<Object>} Rows
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = String(text || '').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const headerIndex = rows.findIndex(candidate => candidate.length > 1);
+        if (headerIndex < 0) {
+            // Single-column files such as Skills.csv
+            const [header, ...data] = rows.filter(candidate => candidate.some(value => value.trim()));
+            return header ? data.map(values => ({ [header[0].trim()]: values[0].trim() })) : [];
+        }
+
+        const header = rows[headerIndex].map(name => name.trim());
+        return rows.slice(headerIndex + 1)
+            .filter(values => values.some(value => value.trim()))
+            .map(values => Object.fromEntries(header.map((name, index) => [name, (values[index] || '').trim()])));
+    }
+
+    /**
+     * Map LinkedIn tables to the resume shape
+     * @param {Object} tables - Rows per CSV name
+     * @returns {Object} Resume data
+     */
+    toResume(tables) {
+        const profile = tables.Profile[0] || {};
+        const websites = this.parseWebsites(profile.Websites);
+        const email = tables['Email Addresses'].find(row => /^yes$/i.test(row.Primary)) || tables['Email Addresses'][0];
+
+        const skills = { technical: [], soft: [] };
+        tables.Skills.forEach(row => {
+            const name = row.Name;
+            if (!name) return;
+            skills[window.skillTaxonomy.lookup(name)?.category === 'soft' ? 'soft' : 'technical'].push(name);
+        });
+
+        return {
+            schemaVersion: window.resumeSchema.currentVersion,
+            personalInfo: {
+                name: [profile['First Name'], profile['Last Name']].filter(Boolean).join(' '),
+                email: email?.['Email Address'] || '',
+                phone: tables.PhoneNumbers[0]?.Number || '',
+                location: profile['Geo Location'] || '',
+                linkedin: websites.find(url => /linkedin\.com/i.test(url)) || '',
+                github: websites.find(url => /github\.com/i.test(url)) || '',
+                website: websites.find(url => !/linkedin\.com|github\.com/i.test(url)) || ''
+            },
+            summary: profile.Summary || profile.Headline || '',
+            experience: tables.Positions.map(row => ({
+                title: row.Title || '',
+                company: row['Company Name'] || '',
+                location: row.Location || '',
+                startDate: this.formatDate(row['Started On']),
+                endDate: row['Finished On'] ? this.formatDate(row['Finished On']) : 'Present',
+                ...this.splitDescription(row.Description)
+            })),
+            education: tables.Education.map(row => ({
+                degree: row['Degree Name'] || '',
+                institution: row['School Name'] || '',
+                location: '',
+                graduationDate: this.formatDate(row['End Date']),
+                gpa: '',
+                relevant_coursework: []
+            })),
+            skills,
+            projects: tables.Projects.map(row => ({
+                name: row.Title || '',
+                ...this.splitProjectDescription(row.Description)
+            })),
+            certifications: tables.Certifications.filter(row => row.Name).map(row => ({
+                name: row.Name,
+                issuer: row.Authority || '',
+                date: this.formatDate(row['Started On']),
+                url: row.Url || ''
+            })),
+            languages: tables.Languages.filter(row => row.Name).map(row => ({
+                language: row.Name,
+                fluency: row.Proficiency || ''
+            })),
+            awards: tables.Honors.filter(row => row.Title).map(row => ({
+                title: row.Title,
+                awarder: '',
+                date: this.formatDate(row['Issued On']),
+                summary: row.Description || ''
+            })),
+            publications: tables.Publications.filter(row => row.Name).map(row => ({
+                name: row.Name,
+                publisher: row.Publisher || '',
+                releaseDate: this.formatDate(row['Published On']),
+                url: row.Url || '',
+                summary: row.Description || ''
+            }))
+        };
+    }
+
+    /**
+     * Bullet lines become achievements, everything else the description
+     * @returns {Object} { description: string[], achievements: string[] }
+     */
+    splitDescription(text) {
+        const description = [];
+        const achievements = [];
+        String(text || '').split(/\n+/).map(line => line.trim()).filter(Boolean).forEach(line => {
+            if (this.bulletPattern.test(line)) {
+                achievements.push(line.replace(this.bulletPattern, ''));
+            } else {
+                description.push(line);
+            }
+        });
+        return { description, achievements };
+    }
+
+    splitProjectDescription(text) {
+        const { description, achievements } = this.splitDescription(text);
+        return { description: description.join(' '), technologies: [], achievements };
+    }
+
+    /**
+     * "Jan 2020" → "2020-01"; years and unknown formats are kept as they are
+     */
+    formatDate(value) {
+        const text = String(value || '').trim();
+        const match = text.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/);
+        if (!match) return text;
+
+        const month = this.months.indexOf(match[1].toLowerCase());
+        return month >= 0 ? `${match[2]}-${String(month + 1).padStart(2, '0')}` : text;
+    }
+
+    /**
+     * Profile.csv lists websites as "[PORTFOLIO:https://a.dev,OTHER:https://b.io]"
+     * @returns {Array<string>} URLs
+     */
+    parseWebsites(value) {
+        return (String(value || '').match(/https?:\/\/[^\s,\]]+|(?:www\.)?[a-z0-9-]+\.[a-z]{2,}\/[^\s,\]]*/gi) || []);
+    }
+}
+
+// Create global instance
+window.linkedInImporter = new LinkedInImporter();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkedInImporter;
+}
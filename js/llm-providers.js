@@ -0,0 +1,433 @@
+/**
+ * LLM Provider Layer
+ * Routes every AI request through a configurable provider (Gemini, OpenAI-compatible,
+ * Anthropic or a local Ollama/llama.cpp server)
+ */
+
+/**
+ * Base provider
+ * Subclasses turn a prompt pair into a provider-specific HTTP request and
+ * extract the generated text from the provider's response
+ */
+class LLMProvider {
+    constructor(options) {
+        this.id = options.id;
+        this.label = options.label;
+        this.defaultModel = options.defaultModel || '';
+        this.defaultBaseUrl = options.defaultBaseUrl || '';
+        this.requiresApiKey = options.requiresApiKey !== false;
+        this.retryable = options.retryable !== false;
+    }
+
+    /**
+     * Generate a completion
+     * @param {string} systemPrompt - System prompt (agents pass their whole prompt here)
+     * @param {string} userPrompt - User prompt, may be empty
+     * @param {Object} config - Resolved provider config (apiKey, model, baseUrl, temperature, maxTokens)
+     * @returns {Promise<string|Object>} Generated text, or a complete response in Gemini's candidates shape
+     */
+    async generate(systemPrompt, userPrompt, config) {
+        const { url, options } = this.buildRequest(systemPrompt, userPrompt, config);
+        const response = await fetch(url, options);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`API request failed: ${response.status} ${response.statusText} - ${this.extractErrorMessage(errorData) || 'Unknown error'}`);
+        }
+
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(`API error: ${this.extractErrorMessage(data)}`);
+        }
+
+        const text = this.extractText(data);
+        if (!text) {
+            throw new Error(`Empty response from ${this.label}`);
+        }
+
+        return text;
+    }
+
+    buildRequest() {
+        throw new Error(`${this.label} provider does not implement buildRequest`);
+    }
+
+    extractText() {
+        throw new Error(`${this.label} provider does not implement extractText`);
+    }
+
+    extractErrorMessage(data) {
+        if (!data || !data.error) return '';
+        return typeof data.error === 'string' ? data.error : data.error.message;
+    }
+
+    /**
+     * Build chat messages; prompts without a user part are sent as a single user turn
+     */
+    buildMessages(systemPrompt, userPrompt) {
+        if (!userPrompt) {
+            return [{ role: 'user', content: systemPrompt }];
+        }
+        return [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ];
+    }
+
+    trimBaseUrl(baseUrl) {
+        return (baseUrl || this.defaultBaseUrl).replace(/\/+$/, '');
+    }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiProvider extends LLMProvider {
+    constructor() {
+        super({
+            id: 'gemini',
+            label: 'Google Gemini',
+            defaultModel: 'gemini-1.5-flash',
+            defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta'
+        });
+    }
+
+    buildRequest(systemPrompt, userPrompt, config) {
+        const requestData = {
+            contents: [
+                {
+                    parts: [
+                        {
+                            text: systemPrompt + (userPrompt ? '\n\n' + userPrompt : '')
+                        }
+                    ]
+                }
+            ],
+            generationConfig: {
+                temperature: config.temperature,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: config.maxTokens,
+                stopSequences: []
+            },
+            safetySettings: [
+                {
+                    category: "HARM_CATEGORY_HARASSMENT",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                },
+                {
+                    category: "HARM_CATEGORY_HATE_SPEECH",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                },
+                {
+                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                },
+                {
+                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                }
+            ]
+        };
+
+        return {
+            url: `${this.trimBaseUrl(config.baseUrl)}/models/${config.model}:generateContent?key=${config.apiKey}`,
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(requestData)
+            }
+        };
+    }
+
+    extractText(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({
+            id: 'openai',
+            label: 'OpenAI-compatible',
+            defaultModel: 'gpt-4o-mini',
+            defaultBaseUrl: 'https://api.openai.com/v1',
+            ...options
+        });
+    }
+
+    buildRequest(systemPrompt, userPrompt, config) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (config.apiKey) {
+            headers['Authorization'] = `Bearer ${config.apiKey}`;
+        }
+
+        return {
+            url: `${this.trimBaseUrl(config.baseUrl)}/chat/completions`,
+            options: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: config.model,
+                    messages: this.buildMessages(systemPrompt, userPrompt),
+                    temperature: config.temperature,
+                    max_tokens: config.maxTokens
+                })
+            }
+        };
+    }
+
+    extractText(data) {
+        return data.choices?.[0]?.message?.content || '';
+    }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+    constructor() {
+        super({
+            id: 'anthropic',
+            label: 'Anthropic',
+            defaultModel: 'claude-3-5-haiku-latest',
+            defaultBaseUrl: 'https://api.anthropic.com/v1'
+        });
+    }
+
+    buildRequest(systemPrompt, userPrompt, config) {
+        const requestData = {
+            model: config.model,
+            max_tokens: config.maxTokens,
+            temperature: config.temperature,
+            messages: [{ role: 'user', content: userPrompt || systemPrompt }]
+        };
+        if (userPrompt) {
+            requestData.system = systemPrompt;
+        }
+
+        return {
+            url: `${this.trimBaseUrl(config.baseUrl)}/messages`,
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': config.apiKey,
+                    'anthropic-version': '2023-06-01',
+                    // Required for requests made straight from the browser
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: JSON.stringify(requestData)
+            }
+        };
+    }
+
+    extractText(data) {
+        return (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+}
+
+/**
+ * Local model server (Ollama or llama.cpp), both expose an OpenAI-compatible endpoint
+ */
+class LocalModelProvider extends OpenAICompatibleProvider {
+    constructor() {
+        super({
+            id: 'local',
+            label: 'Local model (Ollama / llama.cpp)',
+            defaultModel: 'llama3.1',
+            defaultBaseUrl: 'http://localhost:11434/v1',
+            requiresApiKey: false
+        });
+    }
+}
+
+/**
+ * LLM Client
+ * Holds the registered providers and the user's provider configuration
+ */
+class LLMClient {
+    constructor() {
+        this.providers = {};
+        this.maxRetries = 3;
+        this.retryDelay = 1000;
+        this.temperature = 0.3;
+        this.maxTokens = 8192;
+        this.configStorageKey = 'llm_provider_config';
+        this.defaultProvider = 'gemini';
+        this.recorder = null;
+
+        [new GeminiProvider(), new OpenAICompatibleProvider(), new AnthropicProvider(), new LocalModelProvider()]
+            .forEach(provider => this.registerProvider(provider));
+
+        this.config = this.loadConfig();
+    }
+
+    /**
+     * Register a provider so it can be selected in the config panel
+     * @param {LLMProvider} provider - Provider instance
+     */
+    registerProvider(provider) {
+        this.providers[provider.id] = provider;
+    }
+
+    getProvider(id = this.config.provider) {
+        const provider = this.providers[id];
+        if (!provider) {
+            throw new Error(`Unknown AI provider: ${id}`);
+        }
+        return provider;
+    }
+
+    listProviders() {
+        return Object.values(this.providers);
+    }
+
+    loadConfig() {
+        const defaults = { provider: this.defaultProvider, model: '', baseUrl: '' };
+        try {
+            // Checked against the registry later by useKnownProvider: providers in later scripts
+            // register after this runs
+            const saved = JSON.parse(localStorage.getItem(this.configStorageKey) || '{}');
+            return { ...defaults, ...saved };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Fall back to the default provider when the saved one is not registered, e.g. a provider
+     * removed in a later version; call once every provider script has run
+     * @returns {boolean} Whether the saved provider was replaced
+     */
+    useKnownProvider() {
+        if (this.providers[this.config.provider]) return false;
+
+        console.warn(`Saved AI provider "${this.config.provider}" is not available, using ${this.defaultProvider}`);
+        this.config = { ...this.config, provider: this.defaultProvider, model: '', baseUrl: '' };
+        return true;
+    }
+
+    /**
+     * Persist provider selection and, optionally, its API key
+     * @param {Object} config - { provider, model, baseUrl, apiKey }
+     */
+    saveConfig(config) {
+        const { apiKey, ...settings } = config;
+        this.config = { ...this.config, ...settings };
+        this.getProvider();
+        localStorage.setItem(this.configStorageKey, JSON.stringify(this.config));
+
+        if (apiKey !== undefined) {
+            if (apiKey) {
+                localStorage.setItem(this.getApiKeyStorageKey(), apiKey);
+            } else {
+                localStorage.removeItem(this.getApiKeyStorageKey());
+            }
+        }
+    }
+
+    /**
+     * Each provider keeps its own key so switching never sends one vendor's key to another
+     */
+    getApiKeyStorageKey(providerId = this.config.provider) {
+        return `${providerId}_api_key`;
+    }
+
+    getApiKey(providerId = this.config.provider) {
+        return localStorage.getItem(this.getApiKeyStorageKey(providerId)) || '';
+    }
+
+    /**
+     * @returns {boolean} True if the active provider can be called
+     */
+    isConfigured() {
+        return !this.getProvider().requiresApiKey || !!this.getApiKey();
+    }
+
+    /**
+     * Resolve the settings for the active provider
+     * @param {Object} overrides - Per-call overrides
+     * @returns {Object} Provider config
+     */
+    resolveConfig(overrides = {}) {
+        const provider = this.getProvider(overrides.provider);
+        return {
+            apiKey: overrides.apiKey || this.getApiKey(provider.id),
+            model: overrides.model || this.config.model || provider.defaultModel,
+            baseUrl: overrides.baseUrl || this.config.baseUrl || provider.defaultBaseUrl,
+            temperature: overrides.temperature ?? this.temperature,
+            maxTokens: overrides.maxTokens || this.maxTokens
+        };
+    }
+
+    /**
+     * Generate a completion with the active provider
+     * The result keeps the Gemini response shape so existing parsers work unchanged
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @param {Object} overrides - Per-call overrides (apiKey, provider, model...); maxRetries: 1
+     *                             disables retries for callers that retry themselves
+     * @returns {Promise<Object>} { candidates: [{ content: { parts: [{ text }] } }], provider }
+     */
+    async generate(systemPrompt, userPrompt = '', overrides = {}) {
+        const provider = this.getProvider(overrides.provider);
+        const config = this.resolveConfig(overrides);
+
+        if (provider.requiresApiKey && !config.apiKey) {
+            throw new Error(`API key is required for ${provider.label}`);
+        }
+
+        const maxAttempts = provider.retryable ? (overrides.maxRetries ?? this.maxRetries) : 1;
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const result = await provider.generate(systemPrompt, userPrompt, config);
+                const response = typeof result === 'string' ?
+                    { candidates: [{ content: { parts: [{ text: result }] } }] } :
+                    result;
+                response.provider = provider.id;
+
+                if (this.recorder) {
+                    this.recorder.record(systemPrompt, userPrompt, response);
+                }
+
+                return response;
+            } catch (error) {
+                lastError = error;
+
+                if (attempt < maxAttempts) {
+                    console.warn(`API call attempt ${attempt} failed, retrying in ${this.retryDelay * attempt}ms:`, error);
+                    await this.delay(this.retryDelay * attempt); // Exponential backoff
+                }
+            }
+        }
+
+        throw new Error(`API call failed after ${maxAttempts} attempts. Last error: ${lastError.message}`);
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Create global instance
+window.llmClient = new LLMClient();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LLMClient, LLMProvider, GeminiProvider, OpenAICompatibleProvider, AnthropicProvider, LocalModelProvider };
+}
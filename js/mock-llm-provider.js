@@ -0,0 +1,155 @@
+/**
+ * Mock LLM Provider
+ * Deterministic provider for offline tests and demos: replays recorded responses
+ * keyed by prompt hash, and records real responses into fixture files
+ *
+ * Fixture file format:
+ * {
+ *   "version": 1,
+ *   "now": "ISO date the prompts were built on",
+ *   "responses": { "<hash>": { "prompt": "first 200 chars", "candidates": [...] } },
+ *   "script": [ { "candidates": [...] } | { "text": "..." } | { "error": "..." } ]
+ * }
+ * Responses are looked up by prompt hash first; unmatched prompts consume the
+ * script in order. Anything else fails like a provider error would.
+ * Prompts include a timeline counted up to today; replay them with resumeTimeline.promptNow
+ * set to the fixture's "now" or the hashes stop matching once the month changes.
+ */
+
+/**
+ * FNV-1a hash of a prompt pair, stable across browsers and Node
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @returns {string} 8-character hex hash
+ */
+function hashPrompt(systemPrompt, userPrompt = '') {
+    const text = systemPrompt + (userPrompt ? '\n\n' + userPrompt : '');
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+class MockLLMProvider extends LLMProvider {
+    /**
+     * @param {Object} fixtures - Optional fixture object to preload (see file header)
+     */
+    constructor(fixtures = null) {
+        super({
+            id: 'mock',
+            label: 'Mock (recorded fixtures)',
+            defaultModel: 'replay',
+            defaultBaseUrl: 'fixtures/llm-fixtures.json',
+            requiresApiKey: false,
+            retryable: false
+        });
+        this.responses = {};
+        this.script = [];
+        this.loadedUrl = null;
+        this.calls = [];
+        this.now = null;
+
+        if (fixtures) {
+            this.loadFixtures(fixtures);
+        }
+    }
+
+    /**
+     * Replace the loaded fixtures
+     * @param {Object} fixtures - Fixture object
+     */
+    loadFixtures(fixtures) {
+        if (!fixtures || typeof fixtures !== 'object') {
+            throw new Error('Invalid fixture file');
+        }
+        this.responses = { ...(fixtures.responses || {}) };
+        this.script = [...(fixtures.script || [])];
+        this.calls = [];
+        this.now = fixtures.now ? new Date(fixtures.now) : null;
+    }
+
+    /**
+     * Fetch fixtures from a URL once; the provider's base URL setting points here
+     * @param {string} url - Fixture file URL
+     */
+    async loadFixturesFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load fixtures from ${url}: ${response.status} ${response.statusText}`);
+        }
+        this.loadFixtures(await response.json());
+        this.loadedUrl = url;
+    }
+
+    async generate(systemPrompt, userPrompt, config) {
+        const hasFixtures = Object.keys(this.responses).length > 0 || this.script.length > 0;
+        if (!hasFixtures && config.baseUrl && config.baseUrl !== this.loadedUrl) {
+            await this.loadFixturesFromUrl(config.baseUrl);
+        }
+
+        const hash = hashPrompt(systemPrompt, userPrompt);
+        const entry = this.responses[hash] || this.script.shift();
+        this.calls.push({ hash, matched: !!this.responses[hash] });
+
+        if (!entry) {
+            throw new Error(`No recorded response for prompt ${hash}`);
+        }
+        if (entry.error) {
+            throw new Error(entry.error);
+        }
+        if (entry.text !== undefined) {
+            return entry.text;
+        }
+
+        // Deep copy so callers can't mutate the fixture
+        return { candidates: JSON.parse(JSON.stringify(entry.candidates || [])) };
+    }
+}
+
+/**
+ * LLM Recorder
+ * Attached to the LLM client to capture every successful response as a fixture
+ */
+class LLMRecorder {
+    constructor() {
+        this.responses = {};
+        this.startedAt = new Date();
+    }
+
+    record(systemPrompt, userPrompt, response) {
+        const hash = hashPrompt(systemPrompt, userPrompt);
+        this.responses[hash] = {
+            prompt: (systemPrompt + (userPrompt ? '\n\n' + userPrompt : '')).substring(0, 200),
+            candidates: JSON.parse(JSON.stringify(response.candidates || []))
+        };
+    }
+
+    get size() {
+        return Object.keys(this.responses).length;
+    }
+
+    /**
+     * @returns {Object} Fixture object ready to be saved as JSON
+     */
+    toFixtures() {
+        return {
+            version: 1,
+            recordedAt: new Date().toISOString(),
+            now: this.startedAt.toISOString(),
+            responses: this.responses
+        };
+    }
+}
+
+// Register with the LLM client
+window.mockLLMProvider = new MockLLMProvider();
+window.llmClient.registerProvider(window.mockLLMProvider);
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MockLLMProvider, LLMRecorder, hashPrompt };
+}
@@ -77,7 +77,7 @@ class PDFGenerator {
         
         // Add skills
         if (resume.skills) {
-            latex += this.generateSkillsLaTeX(resume.skills, templateData);
+            latex += this.generateSkillsLaTeX(resume, templateData);
         }
         
         // Add projects
@@ -396,13 +396,16 @@ ${this.escapeLaTeX(summary)}${template.sectionSpacing}\n`;
     }
 
     /**
-     * Generate LaTeX for skills section
-     * @param {Object} skills - Skills object
+     * Generate LaTeX for skills section, with languages and certifications listed after the skills
+     * @param {Object} resume - Resume data
      * @param {Object} template - Template data
      * @returns {string} LaTeX content
      */
-    generateSkillsLaTeX(skills, template) {
+    generateSkillsLaTeX(resume, template) {
+        const skills = resume.skills;
         if (!skills) return '';
+        const languages = (resume.languages || []).map(item => window.resumeSchema.formatLanguage(item));
+        const certifications = (resume.certifications || []).map(item => item.name);
 
         let latex = `\\resumeSection{Skills}${template.sectionSpacing}\n`;
         
@@ -414,12 +417,12 @@ ${this.escapeLaTeX(summary)}${template.sectionSpacing}\n`;
             latex += `\\textbf{Soft Skills:} ${skills.soft.map(skill => `\\skillTag{${this.escapeLaTeX(skill)}}`).join(' ')}\\\\[0.5em]\n`;
         }
         
-        if (skills.languages && skills.languages.length > 0) {
-            latex += `\\textbf{Languages:} ${skills.languages.map(lang => `\\skillTag{${this.escapeLaTeX(lang)}}`).join(' ')}\\\\[0.5em]\n`;
+        if (languages.length > 0) {
+            latex += `\\textbf{Languages:} ${languages.map(lang => `\\skillTag{${this.escapeLaTeX(lang)}}`).join(' ')}\\\\[0.5em]\n`;
         }
         
-        if (skills.certifications && skills.certifications.length > 0) {
-            latex += `\\textbf{Certifications:} ${skills.certifications.map(cert => `\\skillTag{${this.escapeLaTeX(cert)}}`).join(' ')}\\\\[0.5em]\n`;
+        if (certifications.length > 0) {
+            latex += `\\textbf{Certifications:} ${certifications.map(cert => `\\skillTag{${this.escapeLaTeX(cert)}}`).join(' ')}\\\\[0.5em]\n`;
         }
 
         return latex;
@@ -0,0 +1,352 @@
+/**
+ * PDF Layout Extractor
+ * Rebuilds reading order from PDF.js text items using their coordinates, font sizes and
+ * weights: detects columns, joins items into lines and paragraphs and marks likely headings
+ */
+
+class PDFLayoutExtractor {
+    constructor() {
+        this.bulletPattern = /^[•●○◦▪■□‣∙·\-–*]\s*/;
+        // A gutter must be free of text over at least this many points
+        this.minGutterWidth = 8;
+        // Headings are at least this much larger than body text
+        this.headingScale = 1.15;
+    }
+
+    /**
+     * Extract the layout of every page of a PDF.js document
+     * @param {Object} pdf - PDF.js document proxy
+     * @returns {Promise<Object>} { text, lines, bodyFontSize, columns, hasStyleCues } where lines hold
+     *                            { text, page, column, x, y, fontSize, bold, bulleted, isHeading, headingLevel, paragraphStart }
+     *                            in reading order and text joins them with blank lines between paragraphs
+     */
+    async extract(pdf) {
+        const lines = [];
+        const columns = [];
+
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: 1 });
+            const textContent = await page.getTextContent();
+
+            // Font objects (and with them bold/black flags) are only loaded once the page's operators are
+            try {
+                await page.getOperatorList();
+            } catch (error) {
+                console.warn('Could not load PDF fonts, bold detection disabled for page', pageNumber, error);
+            }
+
+            const items = this.readItems(textContent, page, viewport, pageNumber);
+            const pageLayout = this.layoutPage(items, viewport.width);
+            columns.push(pageLayout.columns);
+            lines.push(...pageLayout.lines);
+        }
+
+        return this.finish(lines, columns);
+    }
+
+    /**
+     * Convert PDF.js text items into positioned, styled boxes
+     * @returns {Array<Object>} [{ str, x, x2, y, fontSize, bold, page }] with y measured from the top
+     */
+    readItems(textContent, page, viewport, pageNumber) {
+        const fontCache = {};
+
+        return textContent.items
+            .filter(item => typeof item.str === 'string' && item.str.trim())
+            .map(item => {
+                const [, , c, d, e, f] = item.transform;
+                const [x, y] = viewport.convertToViewportPoint(e, f);
+                const fontSize = Math.hypot(c, d) || item.height || 10;
+
+                if (!(item.fontName in fontCache)) {
+                    fontCache[item.fontName] = this.isBoldFont(page, item.fontName, textContent.styles?.[item.fontName]);
+                }
+
+                return {
+                    str: item.str,
+                    x,
+                    x2: x + (item.width || item.str.length * fontSize * 0.5),
+                    y,
+                    fontSize,
+                    bold: fontCache[item.fontName],
+                    page: pageNumber
+                };
+            });
+    }
+
+    isBoldFont(page, fontName, style) {
+        const boldName = /bold|black|heavy|semibold|demi/i;
+
+        try {
+            if (page.commonObjs?.has(fontName)) {
+                const font = page.commonObjs.get(fontName);
+                if (font.bold || font.black) return true;
+                if (font.name && boldName.test(font.name)) return true;
+            }
+        } catch (error) {
+            // Font not resolved yet; fall back to the style's family name
+        }
+
+        return boldName.test(style?.fontFamily || '') || boldName.test(fontName || '');
+    }
+
+    /**
+     * Order one page: full-width lines above the column area first, then each column top to bottom
+     * @param {Array<Object>} items - Items from readItems
+     * @param {number} pageWidth - Page width in points
+     * @returns {Object} { lines, columns }
+     */
+    layoutPage(items, pageWidth) {
+        const gutter = this.detectGutter(items, pageWidth);
+        if (gutter === null) {
+            return { lines: this.buildLines(items, 0), columns: 1 };
+        }
+
+        const left = items.filter(item => item.x2 <= gutter);
+        const right = items.filter(item => item.x >= gutter);
+        const spanning = items.filter(item => item.x < gutter && item.x2 > gutter);
+
+        // Text centered above the columns (name, contact line) falls on one side of the gutter;
+        // anything well above the later-starting column belongs to the header
+        const lineHeight = this.median(items.map(item => item.fontSize)) * 1.2;
+        const columnTop = Math.max(...[left, right].map(side => Math.min(...side.map(item => item.y)))) - lineHeight * 2;
+
+        const header = [...spanning.filter(item => item.y < columnTop), ...left.filter(item => item.y < columnTop), ...right.filter(item => item.y < columnTop)];
+        const footer = spanning.filter(item => item.y >= columnTop);
+
+        return {
+            lines: [
+                ...this.buildLines(header, 0),
+                ...this.buildLines(left.filter(item => item.y >= columnTop), 1),
+                ...this.buildLines(right.filter(item => item.y >= columnTop), 2),
+                ...this.buildLines(footer, 0)
+            ],
+            columns: 2
+        };
+    }
+
+    /**
+     * Find an x position with no text crossing it and enough text on both sides
+     * @returns {number|null} Gutter x, or null for single-column pages
+     */
+    detectGutter(items, pageWidth) {
+        if (items.length < 10) return null;
+
+        const chars = (list) => list.reduce((sum, item) => sum + item.str.trim().length, 0);
+        const totalChars = chars(items);
+        const halfGap = this.minGutterWidth / 2;
+
+        let best = null;
+        for (let x = pageWidth * 0.2; x <= pageWidth * 0.8; x += 2) {
+            const crossing = items.filter(item => item.x < x + halfGap && item.x2 > x - halfGap).length;
+
+            const left = items.filter(item => item.x2 <= x - halfGap);
+            const right = items.filter(item => item.x >= x + halfGap);
+            if (chars(left) < totalChars * 0.1 || chars(right) < totalChars * 0.1) continue;
+            // Dates and locations aligned to the right margin line up like a column, but a real
+            // column's lines start at a shared left edge
+            if (this.leftAlignment(left) < 0.6 || this.leftAlignment(right) < 0.6) continue;
+            // A few full-width lines (header, footer) may cross the gutter
+            if (crossing > items.length * 0.1) continue;
+
+            // Both sides must have text at the same heights, otherwise it is an indent, not a column
+            const sharedRows = this.countSharedRows(items, x);
+            if (sharedRows < 3) continue;
+
+            if (!best || crossing < best.crossing || (crossing === best.crossing && sharedRows > best.sharedRows)) {
+                best = { x, crossing, sharedRows };
+            }
+        }
+
+        return best ? best.x : null;
+    }
+
+    /**
+     * Share of rows that start at the most common left edge of a region
+     */
+    leftAlignment(items) {
+        const rowStarts = new Map();
+        items.forEach(item => {
+            const row = `${item.page}|${Math.round(item.y / 4)}`;
+            rowStarts.set(row, Math.min(rowStarts.get(row) ?? Infinity, item.x));
+        });
+
+        const starts = [...rowStarts.values()];
+        const edge = this.weightedMode(starts.map(start => [Math.round(start / 3), 1])) * 3;
+        return starts.filter(start => Math.abs(start - edge) <= 3).length / starts.length;
+    }
+
+    countSharedRows(items, x) {
+        const rows = (side) => new Set(side.map(item => Math.round(item.y / 4)));
+        const leftRows = rows(items.filter(item => item.x2 <= x));
+        const rightRows = rows(items.filter(item => item.x >= x));
+        return [...leftRows].filter(row => rightRows.has(row)).length;
+    }
+
+    /**
+     * Join items sharing a baseline into lines, then merge wrapped lines into paragraphs
+     * @param {Array<Object>} items - Items of one region
+     * @param {number} column - 0 for full width, 1 for left, 2 for right
+     * @returns {Array<Object>} Lines top to bottom
+     */
+    buildLines(items, column) {
+        const sorted = [...items].sort((a, b) => a.page - b.page || a.y - b.y || a.x - b.x);
+        const rows = [];
+
+        sorted.forEach(item => {
+            const row = rows[rows.length - 1];
+            if (row && row.page === item.page && Math.abs(row.y - item.y) <= Math.min(row.fontSize, item.fontSize) * 0.5) {
+                row.items.push(item);
+                row.fontSize = Math.max(row.fontSize, item.fontSize);
+            } else {
+                rows.push({ page: item.page, y: item.y, fontSize: item.fontSize, items: [item] });
+            }
+        });
+
+        const lines = rows.map(row => this.toLine(row, column));
+        return this.mergeContinuations(lines);
+    }
+
+    toLine(row, column) {
+        const items = row.items.sort((a, b) => a.x - b.x);
+        let text = '';
+        let previous = null;
+
+        items.forEach(item => {
+            if (previous) {
+                const gap = item.x - previous.x2;
+                if (gap > previous.fontSize * 3) {
+                    // Table cells and right-aligned dates
+                    text = `${text.trimEnd()} | `;
+                } else if (gap > previous.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+                    text += ' ';
+                }
+            }
+            text += item.str;
+            previous = item;
+        });
+
+        // Size and weight of the bulk of the characters
+        const chars = (predicate) => items.filter(predicate).reduce((sum, item) => sum + item.str.trim().length, 0);
+        const total = chars(() => true);
+        const fontSize = this.weightedMode(items.map(item => [Math.round(item.fontSize * 2) / 2, item.str.trim().length]));
+        const cleanText = text.replace(/\s+/g, ' ').trim();
+
+        return {
+            text: cleanText,
+            page: row.page,
+            column,
+            x: items[0].x,
+            y: row.y,
+            fontSize,
+            bold: chars(item => item.bold) > total / 2,
+            bulleted: this.bulletPattern.test(cleanText),
+            isHeading: false,
+            headingLevel: 0,
+            paragraphStart: false
+        };
+    }
+
+    /**
+     * Mark paragraph starts and fold wrapped lines (bullet continuations, sentences split mid-way)
+     * into the line they continue
+     */
+    mergeContinuations(lines) {
+        const merged = [];
+
+        lines.forEach(line => {
+            const previous = merged[merged.length - 1];
+            const gap = previous && previous.page === line.page ? line.y - previous.y : Infinity;
+            const sameParagraph = gap <= Math.max(previous?.fontSize || 0, line.fontSize) * 1.6;
+
+            if (sameParagraph && this.isContinuation(previous, line)) {
+                previous.text = /-$/.test(previous.text) && /^[a-z]/.test(line.text) ?
+                    previous.text + line.text :
+                    `${previous.text} ${line.text}`;
+                previous.y = line.y;
+                return;
+            }
+
+            line.paragraphStart = !sameParagraph;
+            merged.push(line);
+        });
+
+        return merged;
+    }
+
+    isContinuation(previous, line) {
+        if (line.bulleted || line.bold !== previous.bold || Math.abs(line.fontSize - previous.fontSize) > 0.5) return false;
+        if (previous.bulleted && line.x > previous.x + 1) return true;
+        return /^[a-z(]/.test(line.text) || /[,;\-–]$/.test(previous.text);
+    }
+
+    /**
+     * Mark headings and assemble the plain text
+     */
+    finish(lines, columns) {
+        const bodyFontSize = this.weightedMode(lines.map(line => [line.fontSize, line.text.length])) || 10;
+        const styles = new Set(lines.map(line => `${line.fontSize}|${line.bold}`));
+
+        lines.forEach(line => {
+            line.headingLevel = this.getHeadingLevel(line, bodyFontSize);
+            line.isHeading = line.headingLevel > 0;
+        });
+
+        const text = lines
+            .map((line, index) => (line.paragraphStart && index > 0 ? '\n' : '') + line.text)
+            .join('\n');
+
+        return {
+            text,
+            lines,
+            bodyFontSize,
+            columns,
+            // Cues are meaningless for PDFs that use one font size and weight throughout
+            hasStyleCues: styles.size > 1
+        };
+    }
+
+    /**
+     * @returns {number} 1 for headings set larger than body text, 2 for short all-caps or bold-with-colon
+     *                   lines at body size, 0 otherwise
+     */
+    getHeadingLevel(line, bodyFontSize) {
+        const text = line.text;
+        const words = text.split(/\s+/).length;
+        if (line.bulleted || text.length > 50 || words > 6 || /[.!?]$/.test(text)) return 0;
+
+        if (line.fontSize >= bodyFontSize * this.headingScale) return 1;
+
+        const letters = text.replace(/[^A-Za-z]/g, '');
+        const allCaps = letters.length >= 3 && letters === letters.toUpperCase();
+        if ((allCaps && words <= 4) || (line.bold && /:$/.test(text))) return 2;
+
+        return 0;
+    }
+
+    weightedMode(pairs) {
+        const weights = new Map();
+        pairs.forEach(([value, weight]) => weights.set(value, (weights.get(value) || 0) + weight));
+
+        let best = null;
+        weights.forEach((weight, value) => {
+            if (best === null || weight > weights.get(best)) best = value;
+        });
+        return best;
+    }
+
+    median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+}
+
+// Create global instance
+window.pdfLayoutExtractor = new PDFLayoutExtractor();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFLayoutExtractor;
+}
@@ -0,0 +1,161 @@
+/**
+ * Resume Comparison Module
+ * Structural comparison of two resume versions: entries added, removed, changed or moved,
+ * field and bullet changes inside matched entries, skill set differences and
+ * how each version covers a job description's keywords
+ */
+
+class ResumeComparison {
+    /**
+     * Compare two resumes section by section
+     * @param {Object} a - First resume
+     * @param {Object} b - Second resume
+     * @returns {Object} { sections, other, skills, summary } where sections hold one row per entry
+     * { status: 'added'|'removed'|'changed'|'unchanged', moved, a, b, changes } and a/b are
+     * { index, title } or null
+     */
+    compare(a, b) {
+        const diff = window.resumeDiff;
+        const summary = { added: 0, removed: 0, changed: 0, moved: 0 };
+        const keys = diff.unionKeys(a, b).filter(key => key !== 'skills');
+        const entryKeys = keys.filter(key => diff.valueType(a?.[key], b?.[key]) === 'objectArray');
+
+        const sections = entryKeys.map(key => {
+            const listA = a?.[key] || [];
+            const listB = b?.[key] || [];
+            const pairs = diff.alignEntries(listA, listB);
+            const moved = this.findMoved(pairs);
+
+            const rows = pairs.map(pair => {
+                const entryA = pair.o !== null ? listA[pair.o] : null;
+                const entryB = pair.c !== null ? listB[pair.c] : null;
+                let status = 'unchanged';
+                if (!entryA) status = 'added';
+                else if (!entryB) status = 'removed';
+                else if (!diff.isEqual(entryA, entryB)) status = 'changed';
+
+                const row = {
+                    status,
+                    moved: moved.has(pair.key),
+                    a: entryA ? { index: pair.o, title: diff.describeEntry(entryA) } : null,
+                    b: entryB ? { index: pair.c, title: diff.describeEntry(entryB) } : null,
+                    changes: status === 'changed' ? diff.buildChanges(entryA, entryB) : []
+                };
+                if (status !== 'unchanged') summary[status]++;
+                if (row.moved) summary.moved++;
+                return row;
+            });
+
+            return { key, label: diff.humanize(key), rows };
+        });
+
+        // Personal info, summary and any other fields, compared field by field
+        const rest = resume => Object.fromEntries(keys
+            .filter(key => !entryKeys.includes(key) && key !== 'schemaVersion')
+            .map(key => [key, resume?.[key]]));
+        const other = diff.buildChanges(rest(a), rest(b));
+        summary.changed += other.length;
+
+        return { sections, other, skills: this.compareSkills(a, b), summary };
+    }
+
+    /**
+     * Matched entries whose order relative to the others changed; the longest run that kept
+     * its order counts as staying in place
+     * @param {Array<Object>} pairs - Alignment pairs in the second resume's order
+     * @returns {Set<string>} Keys of moved pairs
+     */
+    findMoved(pairs) {
+        const matched = pairs.filter(pair => pair.o !== null && pair.c !== null);
+        const length = matched.map(() => 1);
+        const previous = matched.map(() => -1);
+        matched.forEach((pair, i) => {
+            for (let j = 0; j < i; j++) {
+                if (matched[j].o < pair.o && length[j] + 1 > length[i]) {
+                    length[i] = length[j] + 1;
+                    previous[i] = j;
+                }
+            }
+        });
+
+        const kept = new Set();
+        let i = length.indexOf(Math.max(...length, 0));
+        while (i >= 0) {
+            kept.add(matched[i].key);
+            i = previous[i];
+        }
+        return new Set(matched.filter(pair => !kept.has(pair.key)).map(pair => pair.key));
+    }
+
+    /**
+     * Skills only in one resume or in both, matched through the skill taxonomy so
+     * "JS" and "JavaScript" count as the same skill
+     * @returns {Object} { onlyA, onlyB, shared } of display names
+     */
+    compareSkills(a, b) {
+        const skillsA = this.getSkills(a);
+        const skillsB = this.getSkills(b);
+        return {
+            onlyA: [...skillsA].filter(([key]) => !skillsB.has(key)).map(([, name]) => name),
+            onlyB: [...skillsB].filter(([key]) => !skillsA.has(key)).map(([, name]) => name),
+            shared: [...skillsA].filter(([key]) => skillsB.has(key)).map(([, name]) => name)
+        };
+    }
+
+    /**
+     * @returns {Map<string, string>} Normalized skill to the name as written
+     */
+    getSkills(resume) {
+        const skills = resume?.skills;
+        const names = (Array.isArray(skills) ? skills : Object.values(skills || {}))
+            .flat(Infinity)
+            .map(skill => typeof skill === 'string' ? skill : skill?.name)
+            .filter(name => typeof name === 'string' && name.trim());
+
+        const result = new Map();
+        names.forEach(name => {
+            const key = window.skillTaxonomy.normalize(name).toLowerCase();
+            if (!result.has(key)) result.set(key, name.trim());
+        });
+        return result;
+    }
+
+    /**
+     * Score both resumes against the same job description
+     * @param {Object} a - First resume
+     * @param {Object} b - Second resume
+     * @param {string} jobDescription - Job description text
+     * @returns {Object} { a, b, rows, onlyA, onlyB } where a/b are ATS scores and rows list each
+     * term as { term, required, a, b }
+     */
+    compareKeywords(a, b, jobDescription) {
+        const scorer = window.atsScorer;
+        const terms = scorer.extractTerms(jobDescription);
+        const scoreA = scorer.scoreResume(a, terms);
+        const scoreB = scorer.scoreResume(b, terms);
+        const matched = score => new Set([...score.required.matched, ...score.preferred.matched].map(match => match.term));
+        const inA = matched(scoreA);
+        const inB = matched(scoreB);
+
+        const rows = [
+            ...terms.required.map(term => ({ term, required: true })),
+            ...terms.preferred.map(term => ({ term, required: false }))
+        ].map(row => ({ ...row, a: inA.has(row.term), b: inB.has(row.term) }));
+
+        return {
+            a: scoreA,
+            b: scoreB,
+            rows,
+            onlyA: rows.filter(row => row.a && !row.b).map(row => row.term),
+            onlyB: rows.filter(row => row.b && !row.a).map(row => row.term)
+        };
+    }
+}
+
+// Create global instance
+window.resumeComparison = new ResumeComparison();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumeComparison;
+}
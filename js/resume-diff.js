@@ -0,0 +1,473 @@
+/**
+ * Resume Diff Module
+ * Aligns two versions of a resume, lists their differences per field, bullet and entry order,
+ * rebuilds a resume from accept/reject/edit decisions and carries those decisions over to a
+ * resume edited since
+ */
+
+class ResumeDiff {
+    constructor() {
+        this.itemMatchThreshold = 0.35;
+        this.entryMatchThreshold = 0.5;
+        // Fields that identify an entry in experience, education, projects and similar sections
+        this.identityFields = ['title', 'company', 'name', 'degree', 'institution', 'organization', 'issuer'];
+    }
+
+    /**
+     * List every difference between two resumes
+     * @param {Object} original - Original resume
+     * @param {Object} customized - Customized resume
+     * @returns {Array<Object>} Changes: { id, path, label, section, kind, originalValue, customizedValue }
+     */
+    buildChanges(original, customized) {
+        const changes = [];
+        this.collect('', '', original || {}, customized || {}, changes);
+        return changes;
+    }
+
+    /**
+     * Build a resume from review decisions
+     * Changes without a decision are accepted, so no decisions yields the customized resume
+     * and rejecting everything yields the original
+     * @param {Object} original - Original resume
+     * @param {Object} customized - Customized resume
+     * @param {Object} decisions - Map of change id to { action: 'accept'|'reject'|'edit', value }
+     * @returns {Object} Resulting resume
+     */
+    applyDecisions(original, customized, decisions = {}) {
+        return this.build('', original || {}, customized || {}, decisions);
+    }
+
+    /**
+     * Three-way merge: apply the changes from base to next on top of current, where current is
+     * base plus edits made since (editor, form, preview, sorting). Where both touched the same
+     * field, bullet or entry order, the edit in current wins
+     * @param {Object} base - State the edits were made on
+     * @param {Object} next - base with the new changes
+     * @param {Object} current - base with the edits
+     * @returns {Object} current with the changes from base to next
+     */
+    merge(base, next, current) {
+        if (this.isEqual(base, next)) return this.clone(current);
+        if (this.isEqual(base, current)) return this.clone(next);
+
+        const type = this.valueType(base, next);
+        if (type !== this.valueType(base, current) || type === 'scalar') return this.clone(current);
+
+        if (type === 'object') {
+            const result = {};
+            [...new Set([...this.unionKeys(base, next), ...Object.keys(current || {})])].forEach(field => {
+                const value = this.merge((base || {})[field], (next || {})[field], (current || {})[field]);
+                if (value !== undefined) result[field] = value;
+            });
+            return result;
+        }
+
+        const align = type === 'stringArray' ? this.alignItems.bind(this) : this.alignEntries.bind(this);
+        return this.mergeList(base || [], next || [], current || [], align);
+    }
+
+    mergeList(base, next, current, align) {
+        const nextPairs = align(base, next);
+        const toNext = new Map();
+        nextPairs.forEach(pair => {
+            if (pair.o !== null && pair.c !== null) toNext.set(pair.o, pair.c);
+        });
+        const toCurrent = new Map();
+        const fromCurrent = new Map();
+        align(base, current).forEach(pair => {
+            if (pair.o !== null && pair.c !== null) {
+                toCurrent.set(pair.o, pair.c);
+                fromCurrent.set(pair.c, pair.o);
+            }
+        });
+
+        // Items only one side added go after the base item that preceded them on that side
+        const anchored = (pairs, side) => {
+            const groups = new Map();
+            let anchor = -1;
+            pairs.forEach(pair => {
+                if (pair.o !== null) {
+                    anchor = pair.o;
+                } else {
+                    if (!groups.has(anchor)) groups.set(anchor, []);
+                    groups.get(anchor).push(this.clone(side[pair.c]));
+                }
+            });
+            return groups;
+        };
+        const currentPairs = current.map((item, c) => ({ o: fromCurrent.has(c) ? fromCurrent.get(c) : null, c }));
+        const addedInNext = anchored(nextPairs, next);
+        const addedInCurrent = anchored(currentPairs, current);
+
+        // An item the new changes remove stays only if it was edited since
+        const resolve = (i) => {
+            if (!toCurrent.has(i)) return undefined;
+            const edited = current[toCurrent.get(i)];
+            if (!toNext.has(i)) return this.isEqual(edited, base[i]) ? undefined : this.clone(edited);
+            return this.merge(base[i], next[toNext.get(i)], edited);
+        };
+
+        // Follow the new order unless the edits reordered the list themselves
+        const currentOrder = currentPairs.filter(pair => pair.o !== null).map(pair => pair.o);
+        const reordered = currentOrder.some((i, index) => index > 0 && i < currentOrder[index - 1]);
+        const order = reordered ? currentOrder : nextPairs.filter(pair => pair.o !== null).map(pair => pair.o);
+
+        const result = [...(addedInNext.get(-1) || []), ...(addedInCurrent.get(-1) || [])];
+        order.forEach(i => {
+            const value = resolve(i);
+            if (value !== undefined) result.push(value);
+            result.push(...(addedInNext.get(i) || []), ...(addedInCurrent.get(i) || []));
+        });
+        // Base items neither side kept still anchor additions
+        [...addedInNext.keys(), ...addedInCurrent.keys()]
+            .filter(i => i !== -1 && !order.includes(i))
+            .forEach(i => result.push(...(addedInNext.get(i) || []), ...(addedInCurrent.get(i) || [])));
+        return result;
+    }
+
+    collect(path, label, orig, cust, changes) {
+        if (this.isEqual(orig, cust)) return;
+
+        const type = this.valueType(orig, cust);
+
+        if (type === 'stringArray') {
+            const pairs = this.alignItems(orig || [], cust || []);
+            pairs.forEach(pair => {
+                const o = pair.o !== null ? orig[pair.o] : undefined;
+                const c = pair.c !== null ? cust[pair.c] : undefined;
+                if (o === c) return;
+                const number = (pair.o !== null ? pair.o : pair.c) + 1;
+                changes.push(this.change(`${path}[${pair.key}]`, `${label} #${number}`, o, c));
+            });
+            this.collectOrder(path, label, orig, cust, pairs, item => item, changes);
+        } else if (type === 'objectArray') {
+            const pairs = this.alignEntries(orig || [], cust || []);
+            pairs.forEach(pair => {
+                const o = pair.o !== null ? orig[pair.o] : undefined;
+                const c = pair.c !== null ? cust[pair.c] : undefined;
+                const entryPath = `${path}[${pair.key}]`;
+                const entryLabel = `${label} › ${this.describeEntry(c || o)}`;
+
+                if (o && c) {
+                    this.unionKeys(o, c).forEach(field => {
+                        this.collect(`${entryPath}.${field}`, `${entryLabel} › ${this.humanize(field)}`, o[field], c[field], changes);
+                    });
+                } else {
+                    changes.push(this.change(entryPath, entryLabel, o, c));
+                }
+            });
+            this.collectOrder(path, label, orig, cust, pairs, entry => this.describeEntry(entry), changes);
+        } else if (type === 'object') {
+            this.unionKeys(orig || {}, cust || {}).forEach(field => {
+                const fieldPath = path ? `${path}.${field}` : field;
+                const fieldLabel = label ? `${label} › ${this.humanize(field)}` : this.humanize(field);
+                this.collect(fieldPath, fieldLabel, (orig || {})[field], (cust || {})[field], changes);
+            });
+        } else {
+            changes.push(this.change(path, label, orig, cust));
+        }
+    }
+
+    /**
+     * Reordering matched items is a change of its own, listed with the items in each order
+     */
+    collectOrder(path, label, orig, cust, pairs, describe, changes) {
+        if (!this.isReordered(pairs)) return;
+        const matched = pairs.filter(pair => pair.o !== null && pair.c !== null);
+        const change = this.change(
+            `${path}[order]`,
+            `${label} › Order`,
+            matched.slice().sort((a, b) => a.o - b.o).map(pair => describe(orig[pair.o])),
+            matched.map(pair => describe(cust[pair.c]))
+        );
+        changes.push({ ...change, kind: 'reordered' });
+    }
+
+    isReordered(pairs) {
+        const order = pairs.filter(pair => pair.o !== null && pair.c !== null).map(pair => pair.o);
+        return order.some((i, index) => index > 0 && i < order[index - 1]);
+    }
+
+    /**
+     * Put pairs back in the first list's order, items only in the second list staying after
+     * the item that preceded them there
+     */
+    originalOrder(pairs) {
+        const groups = new Map();
+        let anchor = -1;
+        pairs.forEach(pair => {
+            if (pair.o !== null) {
+                anchor = pair.o;
+            } else {
+                if (!groups.has(anchor)) groups.set(anchor, []);
+                groups.get(anchor).push(pair);
+            }
+        });
+        const result = [...(groups.get(-1) || [])];
+        pairs.filter(pair => pair.o !== null)
+            .sort((a, b) => a.o - b.o)
+            .forEach(pair => result.push(pair, ...(groups.get(pair.o) || [])));
+        return result;
+    }
+
+    build(path, orig, cust, decisions) {
+        if (this.isEqual(orig, cust)) return this.clone(orig);
+
+        const type = this.valueType(orig, cust);
+
+        if (type === 'stringArray') {
+            const result = [];
+            this.orderPairs(path, this.alignItems(orig || [], cust || []), decisions).forEach(pair => {
+                const o = pair.o !== null ? orig[pair.o] : undefined;
+                const c = pair.c !== null ? cust[pair.c] : undefined;
+                const value = o === c ? o : this.resolve(`${path}[${pair.key}]`, o, c, decisions);
+                if (value !== undefined && value !== '') result.push(value);
+            });
+            return orig === undefined && result.length === 0 ? undefined : result;
+        }
+
+        if (type === 'objectArray') {
+            const result = [];
+            this.orderPairs(path, this.alignEntries(orig || [], cust || []), decisions).forEach(pair => {
+                const o = pair.o !== null ? orig[pair.o] : undefined;
+                const c = pair.c !== null ? cust[pair.c] : undefined;
+                const entryPath = `${path}[${pair.key}]`;
+                const value = o && c ?
+                    this.build(entryPath, o, c, decisions) :
+                    this.resolve(entryPath, o, c, decisions);
+                if (value !== undefined) result.push(this.clone(value));
+            });
+            return orig === undefined && result.length === 0 ? undefined : result;
+        }
+
+        if (type === 'object') {
+            const result = {};
+            this.unionKeys(orig || {}, cust || {}).forEach(field => {
+                const fieldPath = path ? `${path}.${field}` : field;
+                const value = this.build(fieldPath, (orig || {})[field], (cust || {})[field], decisions);
+                if (value !== undefined) result[field] = value;
+            });
+            return result;
+        }
+
+        return this.clone(this.resolve(path, orig, cust, decisions));
+    }
+
+    orderPairs(path, pairs, decisions) {
+        const decision = decisions[`${path}[order]`];
+        return decision && decision.action === 'reject' ? this.originalOrder(pairs) : pairs;
+    }
+
+    resolve(id, orig, cust, decisions) {
+        const decision = decisions[id];
+        if (!decision || decision.action === 'accept') return cust;
+        if (decision.action === 'edit') return decision.value;
+        return orig;
+    }
+
+    change(path, label, orig, cust) {
+        let kind = 'modified';
+        if (orig === undefined || orig === '' || orig === null) kind = 'added';
+        else if (cust === undefined || cust === '' || cust === null) kind = 'removed';
+
+        return {
+            id: path,
+            path,
+            label,
+            section: path.split(/[.[]/)[0],
+            kind,
+            originalValue: orig,
+            customizedValue: cust
+        };
+    }
+
+    /**
+     * Pair up bullets/list items by content similarity
+     * @returns {Array<Object>} Pairs { o, c, key } in display order; o or c is null for added/removed items
+     */
+    alignItems(origItems, custItems) {
+        return this.align(origItems, custItems, (a, b) => {
+            if (a.trim().toLowerCase() === b.trim().toLowerCase()) return 1;
+            return this.similarity(a, b);
+        }, this.itemMatchThreshold);
+    }
+
+    /**
+     * Pair up entries (jobs, degrees, projects) by their identifying fields
+     */
+    alignEntries(origEntries, custEntries) {
+        return this.align(origEntries, custEntries, (a, b) => {
+            const identity = this.similarity(this.identityText(a), this.identityText(b));
+            return identity > 0 ? identity : this.similarity(JSON.stringify(a), JSON.stringify(b)) * 0.8;
+        }, this.entryMatchThreshold);
+    }
+
+    /**
+     * Greedy best-first alignment; output follows the second list's order with
+     * unmatched items from the first list kept next to their original neighbours
+     */
+    align(origList, custList, score, threshold) {
+        const candidates = [];
+        origList.forEach((o, i) => {
+            custList.forEach((c, j) => {
+                const value = score(o, c);
+                if (value >= threshold) candidates.push({ i, j, value });
+            });
+        });
+        candidates.sort((a, b) => b.value - a.value || Math.abs(a.i - a.j) - Math.abs(b.i - b.j));
+
+        const origToCust = new Map();
+        const custToOrig = new Map();
+        candidates.forEach(({ i, j }) => {
+            if (origToCust.has(i) || custToOrig.has(j)) return;
+            origToCust.set(i, j);
+            custToOrig.set(j, i);
+        });
+
+        const pairs = [];
+        let nextOrig = 0;
+        const flushOriginals = (upTo) => {
+            for (; nextOrig < upTo; nextOrig++) {
+                if (!origToCust.has(nextOrig)) pairs.push({ o: nextOrig, c: null });
+            }
+        };
+
+        custList.forEach((c, j) => {
+            if (custToOrig.has(j)) {
+                const i = custToOrig.get(j);
+                flushOriginals(i);
+                nextOrig = Math.max(nextOrig, i + 1);
+                pairs.push({ o: i, c: j });
+            } else {
+                pairs.push({ o: null, c: j });
+            }
+        });
+        flushOriginals(origList.length);
+
+        return pairs.map(pair => ({ ...pair, key: `${pair.o ?? '-'}:${pair.c ?? '-'}` }));
+    }
+
+    /**
+     * Word-level diff based on the longest common subsequence
+     * @param {string} before - Original text
+     * @param {string} after - New text
+     * @returns {Array<Object>} Segments { type: 'equal'|'insert'|'delete', text }
+     */
+    diffWords(before, after) {
+        const a = this.tokenize(before);
+        const b = this.tokenize(after);
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ?
+                    lengths[i + 1][j + 1] + 1 :
+                    Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const segments = [];
+        const push = (type, text) => {
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                segments.push({ type, text });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('equal', a[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('delete', a[i++]);
+            } else {
+                push('insert', b[j++]);
+            }
+        }
+        while (i < a.length) push('delete', a[i++]);
+        while (j < b.length) push('insert', b[j++]);
+
+        return segments;
+    }
+
+    tokenize(text) {
+        return String(text ?? '').split(/(\s+)/).filter(token => token.length > 0);
+    }
+
+    /**
+     * Dice coefficient over lowercased words
+     * @returns {number} Similarity between 0 and 1
+     */
+    similarity(a, b) {
+        const wordsA = new Set(String(a ?? '').toLowerCase().match(/[\w+#.]+/g) || []);
+        const wordsB = new Set(String(b ?? '').toLowerCase().match(/[\w+#.]+/g) || []);
+        if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+        let shared = 0;
+        wordsA.forEach(word => {
+            if (wordsB.has(word)) shared++;
+        });
+        return (2 * shared) / (wordsA.size + wordsB.size);
+    }
+
+    identityText(entry) {
+        return this.identityFields
+            .map(field => entry && typeof entry[field] === 'string' ? entry[field] : '')
+            .join(' ')
+            .trim();
+    }
+
+    describeEntry(entry) {
+        if (!entry) return '';
+        const identity = this.identityFields.map(field => entry[field]).filter(value => typeof value === 'string' && value);
+        return identity.slice(0, 2).join(' @ ') || 'Entry';
+    }
+
+    valueType(orig, cust) {
+        const sample = [orig, cust].filter(value => value !== undefined && value !== null);
+        if (sample.length === 0) return 'scalar';
+
+        if (sample.every(Array.isArray)) {
+            const items = sample.flat();
+            if (items.every(item => typeof item === 'string')) return 'stringArray';
+            if (items.every(item => item && typeof item === 'object' && !Array.isArray(item))) return 'objectArray';
+            return 'scalar';
+        }
+
+        if (sample.every(value => typeof value === 'object' && !Array.isArray(value))) return 'object';
+        return 'scalar';
+    }
+
+    unionKeys(a, b) {
+        return [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+    }
+
+    humanize(field) {
+        return String(field)
+            .replace(/_/g, ' ')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/^./, char => char.toUpperCase());
+    }
+
+    isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Create global instance
+window.resumeDiff = new ResumeDiff();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumeDiff;
+}
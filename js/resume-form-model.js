@@ -0,0 +1,167 @@
+/**
+ * Resume Form Model
+ * Field layout for the form editor and path-based edits such as "experience[1].achievements[0]",
+ * shared by the form editor and inline preview editing. Every edit changes only the value it
+ * targets, so fields the form doesn't show survive
+ */
+
+class ResumeFormModel {
+    constructor() {
+        this.personalFields = [
+            { key: 'name', label: 'Full Name' },
+            { key: 'email', label: 'Email', inputType: 'email' },
+            { key: 'phone', label: 'Phone', inputType: 'tel' },
+            { key: 'location', label: 'Location' },
+            { key: 'linkedin', label: 'LinkedIn', inputType: 'url' },
+            { key: 'github', label: 'GitHub', inputType: 'url' },
+            { key: 'website', label: 'Website', inputType: 'url' }
+        ];
+
+        this.skillGroups = [
+            { key: 'technical', label: 'Technical Skills' },
+            { key: 'soft', label: 'Soft Skills' }
+        ];
+
+        // Field types: text (default), textarea, bullets (one input per line) and tags
+        this.sections = [
+            {
+                key: 'experience',
+                label: 'Experience',
+                icon: 'fa-briefcase',
+                itemLabel: 'role',
+                fields: [
+                    { key: 'title', label: 'Job Title' },
+                    { key: 'company', label: 'Company' },
+                    { key: 'location', label: 'Location' },
+                    { key: 'startDate', label: 'Start Date', placeholder: 'Jan 2020' },
+                    { key: 'endDate', label: 'End Date', placeholder: 'Present' },
+                    { key: 'description', label: 'Responsibilities', type: 'bullets' },
+                    { key: 'achievements', label: 'Achievements', type: 'bullets' }
+                ],
+                describe: item => [item.title, item.company].filter(Boolean).join(' at ')
+            },
+            {
+                key: 'education',
+                label: 'Education',
+                icon: 'fa-graduation-cap',
+                itemLabel: 'degree',
+                fields: [
+                    { key: 'degree', label: 'Degree' },
+                    { key: 'institution', label: 'Institution' },
+                    { key: 'location', label: 'Location' },
+                    { key: 'graduationDate', label: 'Graduation Date', placeholder: 'May 2020' },
+                    { key: 'gpa', label: 'GPA' },
+                    { key: 'relevant_coursework', label: 'Relevant Coursework', type: 'tags' }
+                ],
+                describe: item => [item.degree, item.institution].filter(Boolean).join(', ')
+            },
+            {
+                key: 'projects',
+                label: 'Projects',
+                icon: 'fa-code-branch',
+                itemLabel: 'project',
+                fields: [
+                    { key: 'name', label: 'Project Name' },
+                    { key: 'url', label: 'URL', inputType: 'url' },
+                    { key: 'description', label: 'Description', type: 'textarea' },
+                    { key: 'technologies', label: 'Technologies', type: 'tags' },
+                    { key: 'achievements', label: 'Achievements', type: 'bullets' }
+                ],
+                describe: item => item.name || ''
+            }
+        ];
+    }
+
+    getSection(key) {
+        return this.sections.find(section => section.key === key);
+    }
+
+    /**
+     * Empty entry for a section, with every field the form shows
+     * @param {string} sectionKey - 'experience', 'education' or 'projects'
+     * @returns {Object} New entry
+     */
+    newItem(sectionKey) {
+        const item = {};
+        this.getSection(sectionKey).fields.forEach(field => {
+            item[field.key] = field.type === 'bullets' || field.type === 'tags' ? [] : '';
+        });
+        return item;
+    }
+
+    /**
+     * @param {string} path - e.g. "experience[1].achievements[0]"
+     * @returns {Array<string|number>} ['experience', 1, 'achievements', 0]
+     */
+    parsePath(path) {
+        const tokens = [];
+        path.replace(/([^.[\]]+)|\[(\d+)\]/g, (match, key, index) => {
+            tokens.push(index !== undefined ? Number(index) : key);
+            return match;
+        });
+        return tokens;
+    }
+
+    get(resume, path) {
+        return this.parsePath(path).reduce((value, token) => value == null ? undefined : value[token], resume);
+    }
+
+    /**
+     * Set a value, creating missing objects and lists along the way
+     */
+    set(resume, path, value) {
+        const tokens = this.parsePath(path);
+        let target = resume;
+        tokens.slice(0, -1).forEach((token, i) => {
+            if (target[token] == null || typeof target[token] !== 'object') {
+                target[token] = typeof tokens[i + 1] === 'number' ? [] : {};
+            }
+            target = target[token];
+        });
+        target[tokens[tokens.length - 1]] = value;
+    }
+
+    /**
+     * The list at a path, created empty when missing or when it holds something else
+     */
+    getList(resume, path) {
+        const list = this.get(resume, path);
+        if (Array.isArray(list)) return list;
+        this.set(resume, path, []);
+        return this.get(resume, path);
+    }
+
+    /**
+     * @param {number} index - Position to insert at; appends when omitted
+     * @returns {number} Index of the inserted item
+     */
+    insert(resume, listPath, item, index) {
+        const list = this.getList(resume, listPath);
+        const at = index === undefined ? list.length : Math.max(0, Math.min(index, list.length));
+        list.splice(at, 0, item);
+        return at;
+    }
+
+    remove(resume, listPath, index) {
+        this.getList(resume, listPath).splice(index, 1);
+    }
+
+    /**
+     * Move an item within its list; `to` is the index it ends up at
+     */
+    move(resume, listPath, from, to) {
+        const list = this.getList(resume, listPath);
+        if (from === to || from < 0 || from >= list.length || to < 0 || to >= list.length) return false;
+        const [item] = list.splice(from, 1);
+        list.splice(to, 0, item);
+        return true;
+    }
+}
+
+// Create global instance
+window.resumeFormModel = new ResumeFormModel();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumeFormModel;
+}
@@ -0,0 +1,181 @@
+/**
+ * Resume History
+ * Undo/redo of resume states across every way the resume changes (JSON editor, form, preview,
+ * AI customization, review decisions, reset and sorting), plus named snapshots to restore or compare
+ */
+
+class ResumeHistory {
+    constructor() {
+        this.limit = 100;
+        // Keystrokes closer together than this are one undo step
+        this.mergeWindowMs = 1500;
+        this.entries = [];
+        this.index = -1;
+        this.snapshots = [];
+        this.nextEntryId = 1;
+        this.listeners = [];
+    }
+
+    /**
+     * Start a new history, e.g. for a newly uploaded or opened resume
+     * @param {Object} resume - Initial state
+     * @param {string} label - What produced it, e.g. "Uploaded resume.pdf"
+     * @param {Array<Object>} snapshots - Snapshots saved with the resume
+     */
+    reset(resume, label, snapshots = []) {
+        this.entries = [];
+        this.index = -1;
+        this.snapshots = snapshots.map(snapshot => this.clone(snapshot));
+        if (resume) this.record(resume, label);
+        this.notify();
+    }
+
+    clear() {
+        this.reset(null, '');
+    }
+
+    /**
+     * Add a state after a change; states identical to the current one are ignored
+     * @param {Object} resume - New state
+     * @param {string} label - Describes the change, e.g. "Edit JSON" or "Sort by date"
+     * @param {Object} options - { merge } to fold it into the previous step when that step has
+     * the same label and was recorded moments ago
+     * @returns {boolean} Whether a step was added or updated
+     */
+    record(resume, label, options = {}) {
+        if (!resume) return false;
+        const json = JSON.stringify(resume);
+        const current = this.entries[this.index];
+        if (current && current.json === json) return false;
+
+        // A new change discards the steps that were undone
+        this.entries.splice(this.index + 1);
+
+        const now = Date.now();
+        if (options.merge && current && this.index > 0 && current.label === label && now - current.at < this.mergeWindowMs) {
+            Object.assign(current, { resume: JSON.parse(json), json, at: now });
+        } else {
+            this.entries.push({ id: this.nextEntryId++, label, resume: JSON.parse(json), json, at: now });
+            if (this.entries.length > this.limit) this.entries.shift();
+            this.index = this.entries.length - 1;
+        }
+        this.notify();
+        return true;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    // Label of the change the next undo reverts
+    undoLabel() {
+        return this.canUndo() ? this.entries[this.index].label : '';
+    }
+
+    redoLabel() {
+        return this.canRedo() ? this.entries[this.index + 1].label : '';
+    }
+
+    undo() {
+        return this.canUndo() ? this.go(this.index - 1) : null;
+    }
+
+    redo() {
+        return this.canRedo() ? this.go(this.index + 1) : null;
+    }
+
+    /**
+     * Move to any step, keeping the steps after it for redo
+     * @returns {Object|null} A copy of that step's resume
+     */
+    go(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        this.notify();
+        return this.clone(this.entries[index].resume);
+    }
+
+    /**
+     * @param {string} name - e.g. "Before AI" or "After manual polish"
+     * @param {Object} resume - State to keep
+     * @returns {Object} Snapshot { id, name, resume, createdAt }
+     */
+    takeSnapshot(name, resume) {
+        const snapshot = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: String(name || '').trim() || `Snapshot ${this.snapshots.length + 1}`,
+            resume: this.clone(resume),
+            createdAt: new Date().toISOString()
+        };
+        this.snapshots.push(snapshot);
+        this.notify();
+        return snapshot;
+    }
+
+    getSnapshot(id) {
+        return this.snapshots.find(snapshot => snapshot.id === id) || null;
+    }
+
+    removeSnapshot(id) {
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.id !== id);
+        this.notify();
+    }
+
+    /**
+     * Steps and snapshots in one list, newest first
+     * @returns {Array<Object>} Items { type: 'step'|'snapshot', at, ... }; steps carry their index
+     * and whether they are the current state
+     */
+    timeline() {
+        const steps = this.entries.map((entry, index) => ({
+            type: 'step',
+            index,
+            label: entry.label,
+            at: entry.at,
+            current: index === this.index,
+            undone: index > this.index
+        }));
+        const snapshots = this.snapshots.map(snapshot => ({
+            type: 'snapshot',
+            id: snapshot.id,
+            label: snapshot.name,
+            at: Date.parse(snapshot.createdAt)
+        }));
+        return [...steps, ...snapshots].sort((a, b) => b.at - a.at);
+    }
+
+    /**
+     * Differences between two states, in the review list's change format
+     */
+    compare(before, after) {
+        return window.resumeDiff.buildChanges(before, after);
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} listener - Called after steps or snapshots change
+     */
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Create global instance
+window.resumeHistory = new ResumeHistory();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumeHistory;
+}
@@ -0,0 +1,204 @@
+/**
+ * Resume Library
+ * Keeps base resumes, their customized variants and the last editing session in IndexedDB,
+ * so work survives a refresh or a crashed tab
+ */
+
+class ResumeLibrary {
+    constructor() {
+        this.dbName = 'resume-customizer';
+        this.dbVersion = 1;
+        this.entryStore = 'resumes';
+        this.sessionStore = 'session';
+        this.sessionKey = 'last';
+        this.dbPromise = null;
+        this.listeners = [];
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.entryStore)) {
+                        db.createObjectStore(this.entryStore, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(this.sessionStore)) {
+                        db.createObjectStore(this.sessionStore);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The resume library is open in an older tab; close it and try again'));
+            });
+            // Let the next call try again, e.g. after private browsing refused storage
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} The request's result once the transaction has committed
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Library update was aborted'));
+        });
+    }
+
+    /**
+     * Library entries, most recently updated first
+     * @param {Object} options - { query, kind } where query matches names, jobs and companies
+     * and kind is 'base' or 'variant'
+     * @returns {Promise<Array<Object>>} Entries
+     */
+    async list(options = {}) {
+        const terms = String(options.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const entries = await this.run(this.entryStore, 'readonly', store => store.getAll());
+
+        return entries
+            .filter(entry => !options.kind || entry.kind === options.kind)
+            .filter(entry => {
+                const text = this.getSearchText(entry);
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    getSearchText(entry) {
+        return [entry.name, entry.jobTitle, entry.company, entry.template, entry.fileName, entry.resume?.personalInfo?.name, entry.jobDescription]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+    }
+
+    async get(id) {
+        return (await this.run(this.entryStore, 'readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Create or update an entry
+     * @param {Object} entry - { id, name, kind, baseId, resume, originalResume, customizedResume,
+     * reviewDecisions, jobDescription, jobTitle, company, industryType, template, fileName, snapshots,
+     * jsonResumeSource };
+     * entries without an id are created
+     * @returns {Promise<Object>} The stored entry
+     */
+    async save(entry) {
+        const existing = entry.id ? await this.get(entry.id) : null;
+        const now = new Date().toISOString();
+        const stored = {
+            kind: 'base',
+            baseId: null,
+            originalResume: null,
+            customizedResume: null,
+            reviewDecisions: {},
+            jobDescription: '',
+            jobTitle: '',
+            company: '',
+            industryType: '',
+            template: '',
+            snapshots: [],
+            jsonResumeSource: null,
+            ...existing,
+            ...entry,
+            id: entry.id || this.createId(),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        stored.name = String(stored.name || this.suggestName(stored)).trim();
+
+        await this.run(this.entryStore, 'readwrite', store => store.put(stored));
+        this.notify();
+        return stored;
+    }
+
+    async rename(id, name) {
+        const entry = await this.get(id);
+        if (!entry) throw new Error('Resume not found in the library');
+        return this.save({ ...entry, name: String(name).trim() || entry.name });
+    }
+
+    async duplicate(id) {
+        const entry = await this.get(id);
+        if (!entry) throw new Error('Resume not found in the library');
+        const { id: _id, createdAt, updatedAt, ...copy } = entry;
+        return this.save({ ...copy, name: `${entry.name} (copy)` });
+    }
+
+    /**
+     * Delete an entry; variants made from a deleted base resume are kept
+     */
+    async remove(id) {
+        await this.run(this.entryStore, 'readwrite', store => store.delete(id));
+        this.notify();
+    }
+
+    /**
+     * "Senior Engineer at Acme" for variants, "Jane Doe (resume.pdf)" for base resumes
+     */
+    suggestName(entry) {
+        const job = [entry.jobTitle, entry.company].filter(Boolean).join(' at ');
+        const person = entry.resume?.personalInfo?.name;
+        if (entry.kind === 'variant') {
+            return job || (person ? `${person} (customized)` : 'Customized resume');
+        }
+        return entry.fileName ? `${person || 'Resume'} (${entry.fileName})` : person || 'Untitled resume';
+    }
+
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Remember the workspace so it can be restored after a reload
+     * @param {Object} state - Resumes, job description, template and the open library entry
+     */
+    async saveSession(state) {
+        await this.run(this.sessionStore, 'readwrite', store => store.put({ ...state, savedAt: new Date().toISOString() }, this.sessionKey));
+    }
+
+    async loadSession() {
+        return (await this.run(this.sessionStore, 'readonly', store => store.get(this.sessionKey))) || null;
+    }
+
+    async clearSession() {
+        await this.run(this.sessionStore, 'readwrite', store => store.delete(this.sessionKey));
+    }
+
+    /**
+     * Subscribe to library changes
+     * @param {Function} listener - Called after entries are added, changed or deleted
+     */
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Create global instance
+window.resumeLibrary = new ResumeLibrary();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumeLibrary;
+}
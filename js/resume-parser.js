@@ -6,6 +6,8 @@
 class ResumeParser {
     constructor() {
         this.pdfjsLib = null;
+        // JSON Resume document behind the last parsed file, kept so exports can restore unmodeled fields
+        this.lastJSONResume = null;
         this.initializePDFJS();
     }
 
@@ -31,15 +33,39 @@ class ResumeParser {
         try {
             if (progressCallback) progressCallback(20, 'Extracting text from file...');
             
-            const fileType = file.type;
+            const fileType = await this.getFileType(file);
             let textContent = '';
+            let layout = null;
+            this.lastJSONResume = null;
 
             switch (fileType) {
+                case 'application/json': {
+                    // Structured already: no text extraction or AI parsing needed
+                    const result = await this.parseJSON(file);
+                    if (progressCallback) progressCallback(100, 'Resume parsing complete');
+                    return result;
+                }
+                case 'application/zip': {
+                    // LinkedIn data export: CSVs map straight to fields, no AI parsing needed
+                    if (progressCallback) progressCallback(60, 'Reading LinkedIn data export...');
+                    const result = this.validateAndCleanResumeData(await window.linkedInImporter.importArchive(file));
+                    if (progressCallback) progressCallback(100, 'Resume parsing complete');
+                    return result;
+                }
                 case 'application/pdf':
-                    textContent = await this.parsePDF(file);
+                    layout = await this.extractPDFLayout(file);
+                    textContent = layout.text;
+                    break;
+                case 'text/markdown':
+                case 'text/html':
+                case 'application/rtf':
+                case 'application/vnd.oasis.opendocument.text':
+                    layout = await this.extractRichTextLayout(file, fileType);
+                    textContent = layout.text;
                     break;
                 case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-                    textContent = await this.parseDOCX(file);
+                    layout = await this.extractDOCXLayout(file);
+                    textContent = layout ? layout.text : await this.parseDOCX(file);
                     break;
                 case 'text/plain':
                     textContent = await this.parseTXT(file);
@@ -51,7 +77,7 @@ class ResumeParser {
             if (progressCallback) progressCallback(60, 'Converting to structured format...');
 
             // Parse the extracted text into structured JSON
-            const result = await this.parseTextToJSON(textContent, progressCallback);
+            const result = await this.parseTextToJSON(textContent, progressCallback, layout);
             
             if (progressCallback) progressCallback(100, 'Resume parsing complete');
             
@@ -63,11 +89,21 @@ class ResumeParser {
     }
 
     /**
-     * Parse PDF file and extract text content
+     * Parse PDF file and extract text content in reading order
      * @param {File} file - PDF file
      * @returns {Promise<string>} Extracted text content
      */
     async parsePDF(file) {
+        const layout = await this.extractPDFLayout(file);
+        return layout.text;
+    }
+
+    /**
+     * Extract PDF text with its layout: columns, lines, paragraphs and heading cues
+     * @param {File} file - PDF file
+     * @returns {Promise<Object>} Layout from PDFLayoutExtractor
+     */
+    async extractPDFLayout(file) {
         if (!this.pdfjsLib) {
             throw new Error('PDF.js not initialized');
         }
@@ -75,22 +111,137 @@ class ResumeParser {
         try {
             const arrayBuffer = await file.arrayBuffer();
             const pdf = await this.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            
-            let fullText = '';
-            
-            for (let i = 1; i <= pdf.numPages; i++) {
-                const page = await pdf.getPage(i);
-                const textContent = await page.getTextContent();
-                const pageText = textContent.items.map(item => item.str).join(' ');
-                fullText += pageText + '\n';
-            }
-            
-            return fullText.trim();
+            return await window.pdfLayoutExtractor.extract(pdf);
         } catch (error) {
             throw new Error(`PDF parsing failed: ${error.message}`);
         }
     }
 
+    /**
+     * Resolve a file's type from its MIME type, extension and content. Browsers often report no MIME type
+     * for .md and .json files, text/plain for Markdown, and Windows reports ZIPs as application/x-zip-compressed
+     * @param {File} file - Uploaded file
+     * @returns {Promise<string>} MIME type
+     */
+    async getFileType(file) {
+        const aliases = {
+            'application/x-zip-compressed': 'application/zip',
+            'application/x-zip': 'application/zip',
+            'text/x-markdown': 'text/markdown',
+            'text/rtf': 'application/rtf',
+            'application/xhtml+xml': 'text/html'
+        };
+        const extensions = {
+            zip: 'application/zip',
+            json: 'application/json',
+            md: 'text/markdown',
+            markdown: 'text/markdown',
+            html: 'text/html',
+            htm: 'text/html',
+            rtf: 'application/rtf',
+            odt: 'application/vnd.oasis.opendocument.text'
+        };
+
+        const type = aliases[file.type] || file.type || '';
+        if (!['', 'text/plain', 'application/octet-stream'].includes(type)) return type;
+
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+        return extensions[extension] || await this.sniffFileType(file) || type;
+    }
+
+    /**
+     * Recognize a file by its first bytes
+     * @param {File} file - Uploaded file
+     * @returns {Promise<string>} MIME type, empty when unrecognized
+     */
+    async sniffFileType(file) {
+        const bytes = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+        const head = String.fromCharCode(...bytes);
+
+        if (head.startsWith('%PDF')) return 'application/pdf';
+        if (head.startsWith('{\\rtf')) return 'application/rtf';
+        if (head.startsWith('PK\x03\x04')) {
+            // ODF stores its mimetype uncompressed as the first entry
+            if (head.includes('mimetypeapplication/vnd.oasis.opendocument.text')) return 'application/vnd.oasis.opendocument.text';
+            if (head.includes('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+            return 'application/zip';
+        }
+
+        const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '').trimStart();
+        if (/^(<!doctype html|<html|<head|<body)/i.test(text) || (/<(h[1-6]|p|ul|div)[\s>]/i.test(text.slice(0, 500)) && /<\/(h[1-6]|p|ul|div)>/i.test(text))) return 'text/html';
+        if (/^[{[]/.test(text)) return 'application/json';
+        if (/^#{1,6}\s+\S/m.test(text) || /^\S.*\n(=+|-+)\s*$/m.test(text) || /\*\*\S[^*]*\*\*/.test(text)) return 'text/markdown';
+        return '';
+    }
+
+    /**
+     * Read a Markdown, HTML, RTF or ODT file into a layout whose heading and list cues drive the fallback parser
+     * @param {File} file - Resume file
+     * @param {string} fileType - Resolved MIME type
+     * @returns {Promise<Object>} Layout from RichTextExtractor
+     */
+    async extractRichTextLayout(file, fileType) {
+        const formats = { 'text/markdown': 'Markdown', 'text/html': 'HTML', 'application/rtf': 'RTF' };
+        try {
+            switch (fileType) {
+                case 'text/markdown':
+                    return window.richTextExtractor.fromMarkdown(await file.text());
+                case 'text/html':
+                    return window.richTextExtractor.fromHTML(await file.text());
+                case 'application/rtf':
+                    return window.richTextExtractor.fromRTF(await file.text());
+                default:
+                    return await window.richTextExtractor.fromODT(await file.arrayBuffer());
+            }
+        } catch (error) {
+            throw new Error(`${formats[fileType] || 'ODT'} parsing failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a JSON file in the app's own format or the JSON Resume schema
+     * @param {File} file - JSON file
+     * @returns {Promise<Object>} Structured resume data
+     */
+    async parseJSON(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        if (window.jsonResumeConverter.isJSONResume(data)) {
+            this.lastJSONResume = data;
+            return this.validateAndCleanResumeData(window.jsonResumeConverter.fromJSONResume(data));
+        }
+        if (data && typeof data === 'object' && data.personalInfo) {
+            // Saved resumes are checked strictly: a wrong type is reported by path instead of being dropped
+            const migrated = window.resumeSchema.migrate(data);
+            const { valid, errors } = window.resumeSchema.validate(migrated);
+            if (!valid) {
+                throw new Error(`Resume JSON does not match the schema: ${window.resumeSchema.describeErrors(errors)}`);
+            }
+            return this.validateAndCleanResumeData(migrated);
+        }
+        throw new Error('JSON file is neither a JSON Resume document nor a resume exported from this app');
+    }
+
+    /**
+     * Read a DOCX file's paragraph styles, numbering, runs and tables into a layout
+     * @param {File} file - DOCX file
+     * @returns {Promise<Object|null>} Layout from RichTextExtractor, or null when the structure can't be read
+     *                                 and the plain text from parseDOCX should be used instead
+     */
+    async extractDOCXLayout(file) {
+        try {
+            return await window.richTextExtractor.fromDOCX(await file.arrayBuffer());
+        } catch (error) {
+            console.warn('DOCX structure parsing failed, falling back to plain text:', error);
+            return null;
+        }
+    }
+
     /**
      * Parse DOCX file and extract text content
      * @param {File} file - DOCX file
@@ -133,14 +284,15 @@ class ResumeParser {
      * Parse extracted text and convert to structured JSON
      * @param {string} text - Raw text content from resume
      * @param {Function} progressCallback - Progress callback function
+     * @param {Object} layout - Layout with font cues (PDF or rich text), used by the fallback parser
      * @returns {Promise<Object>} Structured resume data
      */
-    async parseTextToJSON(text, progressCallback = null) {
+    async parseTextToJSON(text, progressCallback = null, layout = null) {
         try {
             if (progressCallback) progressCallback(70, 'Using AI to parse resume...');
             
             // Use AI to parse the text into structured format
-            const parsedData = await this.parseWithAI(text);
+            const parsedData = await this.parseWithAI(text, layout);
             
             if (progressCallback) progressCallback(90, 'Validating resume structure...');
             
@@ -150,30 +302,30 @@ class ResumeParser {
             // Fallback to basic parsing if AI fails
             console.warn('AI parsing failed, using fallback parser:', error);
             if (progressCallback) progressCallback(85, 'Using fallback parser...');
-            return this.fallbackParse(text);
+            return this.validateAndCleanResumeData(this.fallbackParse(text, layout));
         }
     }
 
     /**
      * Use AI to parse resume text into structured format
      * @param {string} text - Raw resume text
+     * @param {Object} layout - Layout with style cues, may be null
      * @returns {Promise<Object>} Parsed resume data
      */
-    async parseWithAI(text) {
+    async parseWithAI(text, layout = null) {
         try {
-            // Check if we have API key and AI handler available
-            const apiKey = localStorage.getItem('gemini_api_key');
-            if (!apiKey || !window.aiHandler) {
+            // Check if the AI provider is configured and the AI handler is available
+            if (!window.llmClient || !window.llmClient.isConfigured() || !window.aiHandler) {
                 throw new Error('AI parsing not available');
             }
 
             console.log('Using AI to parse resume text to JSON...');
             
             // Create a specialized prompt for parsing resume text to JSON
-            const parsePrompt = this.buildParsePrompt(text);
+            const parsePrompt = this.buildParsePrompt(text, layout);
             
-            // Call Gemini API directly for parsing
-            const response = await window.aiHandler.callGeminiAPI(apiKey, parsePrompt, '');
+            // Call the configured provider directly for parsing
+            const response = await window.aiHandler.callGeminiAPI(window.llmClient.getApiKey(), parsePrompt, '');
             
             // Parse the AI response
             const parsedData = this.parseAIParseResponse(response);
@@ -189,9 +341,18 @@ class ResumeParser {
     /**
      * Build prompt for parsing resume text to JSON
      * @param {string} text - Raw resume text
+     * @param {Object} layout - Layout with style cues, may be null; when usable the resume is sent as an outline
+     *                          that marks headings, bold lines and list items
      * @returns {string} Parse prompt
      */
-    buildParsePrompt(text) {
+    buildParsePrompt(text, layout = null) {
+        const outline = this.formatLayoutOutline(layout);
+        const resumeText = outline ? `The resume keeps the structure of the original file: "#" marks section headings, "**...**" marks bold lines
+such as job titles, degrees and project names, and "-" marks list items such as achievements. Use this structure to
+tell sections, entries and bullet points apart; do not copy the markers into the output.
+
+${outline}` : text;
+
         return `You are an expert resume parser. Your task is to convert the following raw resume text into a structured JSON format.
 
 IMPORTANT: Return ONLY valid JSON with the exact structure shown below. Do not include any explanatory text, markdown formatting, or code blocks.
@@ -231,9 +392,7 @@ Required JSON Structure:
   ],
   "skills": {
     "technical": ["skill1", "skill2"],
-    "soft": ["skill1", "skill2"], 
-    "languages": ["language1", "language2"],
-    "certifications": ["cert1", "cert2"]
+    "soft": ["skill1", "skill2"]
   },
   "projects": [
     {
@@ -242,17 +401,55 @@ Required JSON Structure:
       "technologies": ["tech1", "tech2"],
       "achievements": ["achievement1", "achievement2"]
     }
+  ],
+  "certifications": [
+    { "name": "Certification", "issuer": "Issuing body", "date": "MM/YYYY", "url": "" }
+  ],
+  "languages": [
+    { "language": "Language", "fluency": "Native, Fluent, Professional..." }
+  ],
+  "awards": [
+    { "title": "Award", "awarder": "Awarded by", "date": "MM/YYYY", "summary": "" }
+  ],
+  "publications": [
+    { "name": "Title", "publisher": "Journal or venue", "releaseDate": "MM/YYYY", "url": "", "summary": "" }
+  ],
+  "volunteer": [
+    { "organization": "Organization", "position": "Role", "startDate": "MM/YYYY", "endDate": "MM/YYYY or Present", "summary": "", "highlights": [] }
   ]
 }
 
 RESUME TEXT TO PARSE:
-${text}
+${resumeText}
 
-Parse the above resume text and return ONLY the JSON object with the exact structure shown. Extract all available information and organize it properly. If a field is not found, use an empty string or empty array as appropriate.
+Parse the above resume text and return ONLY the JSON object with the exact structure shown. Extract all available information and organize it properly. If a field is not found, use an empty string or empty array as appropriate. Leave out the certifications, languages, awards, publications and volunteer sections entirely when the resume has none.
 
 JSON OUTPUT:`;
     }
 
+    /**
+     * Render a layout as a Markdown-like outline for the parse prompt
+     * @param {Object} layout - Layout from PDFLayoutExtractor or RichTextExtractor
+     * @returns {string} Outline, empty when the layout carries no style cues
+     */
+    formatLayoutOutline(layout) {
+        if (!layout || !layout.hasStyleCues) return '';
+
+        return layout.lines.map((line, index) => {
+            let text = line.text;
+            if (line.headingLevel === 1) {
+                text = `# ${text}`;
+            } else if (line.headingLevel === 2) {
+                text = `## ${text}`;
+            } else if (line.bulleted) {
+                text = `- ${text.replace(/^[•●○◦▪■□‣∙·\-–*]\s*/, '')}`;
+            } else if (line.bold) {
+                text = `**${text}**`;
+            }
+            return (line.paragraphStart && index > 0 ? '\n' : '') + text;
+        }).join('\n');
+    }
+
     /**
      * Parse AI response for resume parsing
      * @param {Object} response - AI response
@@ -305,36 +502,65 @@ JSON OUTPUT:`;
     /**
      * Fallback parser for when AI parsing is not available
      * @param {string} text - Raw resume text
+     * @param {Object} layout - Layout whose lines match the text lines, may be null
      * @returns {Object} Parsed resume data
      */
-    fallbackParse(text) {
+    fallbackParse(text, layout = null) {
         const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+        const cues = this.getLineCues(lines, layout);
         
         const resume = {
-            personalInfo: this.extractPersonalInfo(lines),
-            summary: this.extractSummary(lines),
-            experience: this.extractExperience(lines),
-            education: this.extractEducation(lines),
-            skills: this.extractSkills(lines),
-            projects: this.extractProjects(lines)
+            personalInfo: this.extractPersonalInfo(lines, cues),
+            summary: this.extractSummary(lines, cues),
+            experience: this.extractExperience(lines, cues),
+            education: this.extractEducation(lines, cues),
+            skills: this.extractSkills(lines, cues),
+            projects: this.extractProjects(lines, cues)
         };
 
         return resume;
     }
 
+    /**
+     * Font cues for each line, aligned with the lines array
+     * @param {Array<string>} lines - Array of text lines
+     * @param {Object} layout - Layout from PDFLayoutExtractor or RichTextExtractor
+     * @returns {Array<Object>} [{ isHeading, headingLevel, bold, fontSize, bodyFontSize, bulleted }], empty when the
+     *                          text has no usable layout so every check falls back to the line text
+     */
+    getLineCues(lines, layout) {
+        if (!layout || !layout.hasStyleCues || layout.lines.length !== lines.length) return [];
+        if (layout.lines.some((line, index) => line.text !== lines[index])) return [];
+
+        return layout.lines.map(line => ({
+            isHeading: line.isHeading,
+            headingLevel: line.headingLevel,
+            bold: line.bold,
+            fontSize: line.fontSize,
+            bodyFontSize: layout.bodyFontSize,
+            bulleted: line.bulleted
+        }));
+    }
+
     /**
      * Extract personal information from resume text
      * @param {Array<string>} lines - Array of text lines
+     * @param {Array<Object>} cues - Font cues per line
      * @returns {Object} Personal information object
      */
-    extractPersonalInfo(lines) {
+    extractPersonalInfo(lines, cues = []) {
         const personalInfo = {};
         
-        // Look for name (usually first line or prominent text)
+        // Look for name (usually first line or prominent text); with font cues, the largest text near the top
         if (lines.length > 0) {
-            const firstLine = lines[0];
-            if (firstLine.length > 0 && firstLine.length < 100 && !firstLine.includes('@')) {
-                personalInfo.name = firstLine;
+            let nameIndex = 0;
+            if (cues.length > 0) {
+                const top = cues.slice(0, 5);
+                nameIndex = top.reduce((best, cue, index) => cue.fontSize > top[best].fontSize ? index : best, 0);
+            }
+            const nameLine = lines[nameIndex];
+            if (nameLine.length > 0 && nameLine.length < 100 && !nameLine.includes('@')) {
+                personalInfo.name = nameLine;
             }
         }
 
@@ -368,13 +594,15 @@ JSON OUTPUT:`;
             }
         }
 
-        // Extract LinkedIn and GitHub
+        // Extract LinkedIn and GitHub; contact lines often hold several links, so only the URL is kept
         for (const line of lines) {
-            if (line.includes('linkedin.com')) {
-                personalInfo.linkedin = line.trim();
+            const linkedin = line.match(/(https?:\/\/)?(www\.)?linkedin\.com[^\s|,;()]*/i);
+            if (linkedin) {
+                personalInfo.linkedin = linkedin[0];
             }
-            if (line.includes('github.com')) {
-                personalInfo.github = line.trim();
+            const github = line.match(/(https?:\/\/)?(www\.)?github\.com[^\s|,;()]*/i);
+            if (github) {
+                personalInfo.github = github[0];
             }
         }
 
@@ -384,19 +612,19 @@ JSON OUTPUT:`;
     /**
      * Extract summary/objective from resume text
      * @param {Array<string>} lines - Array of text lines
+     * @param {Array<Object>} cues - Font cues per line
      * @returns {string} Summary text
      */
-    extractSummary(lines) {
+    extractSummary(lines, cues = []) {
         const summaryKeywords = ['summary', 'objective', 'profile', 'overview'];
         
         for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].toLowerCase();
-            if (summaryKeywords.some(keyword => line.includes(keyword))) {
+            if (this.isSectionStart(lines[i], cues[i], summaryKeywords)) {
                 // Look for the next few lines as summary content
                 let summary = '';
                 for (let j = i + 1; j < Math.min(i + 4, lines.length); j++) {
                     const contentLine = lines[j];
-                    if (contentLine.length > 10 && !this.isSectionHeader(contentLine)) {
+                    if (contentLine.length > 10 && !this.isSectionHeader(contentLine, cues[j])) {
                         summary += contentLine + ' ';
                     } else {
                         break;
@@ -412,57 +640,82 @@ JSON OUTPUT:`;
     /**
      * Extract work experience from resume text
      * @param {Array<string>} lines - Array of text lines
+     * @param {Array<Object>} cues - Font cues per line
      * @returns {Array} Array of experience objects
      */
-    extractExperience(lines) {
+    extractExperience(lines, cues = []) {
         const experience = [];
         const experienceKeywords = ['experience', 'work history', 'employment', 'professional experience'];
         
         let inExperienceSection = false;
         let currentExperience = null;
+        // Dates on a line of their own before the title they belong to (e.g. a dates column in a layout table)
+        let pendingDates = null;
         
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i];
             const lowerLine = line.toLowerCase();
             
             // Check if we're entering experience section
-            if (experienceKeywords.some(keyword => lowerLine.includes(keyword))) {
+            if (this.isSectionStart(line, cues[i], experienceKeywords)) {
                 inExperienceSection = true;
                 continue;
             }
             
             if (inExperienceSection) {
                 // Check if we've hit another major section
-                if (this.isSectionHeader(line) && !experienceKeywords.some(keyword => lowerLine.includes(keyword))) {
+                if (this.isSectionHeader(line, cues[i]) && !experienceKeywords.some(keyword => lowerLine.includes(keyword))) {
                     break;
                 }
                 
-                // Look for job titles (usually in caps or prominent formatting)
-                if (this.isJobTitle(line)) {
+                const isBullet = line.startsWith('•') || line.startsWith('-') || line.startsWith('*');
+                const dates = isBullet ? null : this.extractDateRange(line);
+                if (dates && !dates.rest) {
+                    if (currentExperience && !currentExperience.startDate) {
+                        Object.assign(currentExperience, { startDate: dates.startDate, endDate: dates.endDate });
+                    } else {
+                        pendingDates = dates;
+                    }
+                    continue;
+                }
+                
+                // Look for job titles (usually in caps or prominent formatting); a plain line right after
+                // a bold title is its company, even when it contains a job word
+                const isCompanyLine = cues[i] && !cues[i].bold && currentExperience && !currentExperience.company;
+                if (this.isJobTitle(line, cues[i]) && !isCompanyLine) {
                     if (currentExperience) {
                         experience.push(currentExperience);
                     }
                     
+                    const entryDates = dates || pendingDates;
+                    pendingDates = null;
                     currentExperience = {
-                        title: line.trim(),
+                        title: dates ? dates.rest : line.trim(),
                         company: '',
                         location: '',
-                        startDate: '',
-                        endDate: '',
+                        startDate: entryDates ? entryDates.startDate : '',
+                        endDate: entryDates ? entryDates.endDate : '',
                         description: [],
                         achievements: []
                     };
                 } else if (currentExperience) {
-                    // Extract company name (usually on next line)
-                    if (!currentExperience.company && line.length > 0) {
-                        currentExperience.company = line.trim();
-                    } else if (line.length > 0) {
-                        // Add as description or achievement
-                        if (line.startsWith('•') || line.startsWith('-') || line.startsWith('*')) {
-                            currentExperience.achievements.push(line.trim());
-                        } else if (line.length > 20) {
-                            currentExperience.description.push(line.trim());
-                        }
+                    if (dates && !currentExperience.startDate) {
+                        Object.assign(currentExperience, { startDate: dates.startDate, endDate: dates.endDate });
+                    }
+                    const info = dates ? dates.rest : line.trim();
+                    
+                    // Extract company name (usually on next line), splitting off a trailing location
+                    if (!currentExperience.company && !isBullet) {
+                        const { name, location } = this.splitLocation(info);
+                        currentExperience.company = name;
+                        currentExperience.location = currentExperience.location || location;
+                    } else if (!isBullet && !currentExperience.location && this.isLocation(info)) {
+                        currentExperience.location = info;
+                    } else if (isBullet) {
+                        currentExperience.achievements.push(line.trim());
+                    } else if (line.length > 20) {
+                        // Add as description
+                        currentExperience.description.push(line.trim());
                     }
                 }
             }
@@ -479,9 +732,10 @@ JSON OUTPUT:`;
     /**
      * Extract education from resume text
      * @param {Array<string>} lines - Array of text lines
+     * @param {Array<Object>} cues - Font cues per line
      * @returns {Array} Array of education objects
      */
-    extractEducation(lines) {
+    extractEducation(lines, cues = []) {
         const education = [];
         const educationKeywords = ['education', 'academic', 'degree', 'university', 'college'];
         
@@ -492,34 +746,43 @@ JSON OUTPUT:`;
             const line = lines[i];
             const lowerLine = line.toLowerCase();
             
-            if (educationKeywords.some(keyword => lowerLine.includes(keyword))) {
+            if (this.isSectionStart(line, cues[i], educationKeywords)) {
                 inEducationSection = true;
                 continue;
             }
             
             if (inEducationSection) {
-                if (this.isSectionHeader(line) && !educationKeywords.some(keyword => lowerLine.includes(keyword))) {
+                if (this.isSectionHeader(line, cues[i]) && !educationKeywords.some(keyword => lowerLine.includes(keyword))) {
                     break;
                 }
                 
+                const dates = this.extractDateRange(line, true);
+                
                 // Look for degree information
-                if (this.isDegreeInfo(line)) {
+                if (this.isDegreeInfo(line, cues[i])) {
                     if (currentEducation) {
                         education.push(currentEducation);
                     }
                     
                     currentEducation = {
-                        degree: line.trim(),
+                        degree: dates && dates.rest ? dates.rest : line.trim(),
                         institution: '',
                         location: '',
-                        graduationDate: '',
+                        graduationDate: dates ? dates.endDate : '',
                         gpa: '',
                         relevant_coursework: []
                     };
                 } else if (currentEducation) {
+                    if (dates && !currentEducation.graduationDate) {
+                        currentEducation.graduationDate = dates.endDate;
+                    }
+                    
                     // Extract institution name
-                    if (!currentEducation.institution && line.length > 0) {
-                        currentEducation.institution = line.trim();
+                    const info = dates ? dates.rest : line.trim();
+                    if (!currentEducation.institution && info.length > 0) {
+                        const { name, location } = this.splitLocation(info);
+                        currentEducation.institution = name;
+                        currentEducation.location = location;
                     }
                 }
             }
@@ -535,19 +798,16 @@ JSON OUTPUT:`;
     /**
      * Extract skills from resume text
      * @param {Array<string>} lines - Array of text lines
+     * @param {Array<Object>} cues - Font cues per line
      * @returns {Object} Skills object with technical, soft, and other skills
      */
-    extractSkills(lines) {
+    extractSkills(lines, cues = []) {
         const skills = {
             technical: [],
-            soft: [],
-            languages: [],
-            certifications: []
+            soft: []
         };
         
         const skillsKeywords = ['skills', 'technical skills', 'competencies', 'technologies'];
-        const technicalKeywords = ['javascript', 'python', 'java', 'react', 'node.js', 'sql', 'aws', 'docker', 'kubernetes'];
-        const softKeywords = ['leadership', 'communication', 'teamwork', 'problem solving', 'collaboration'];
         
         let inSkillsSection = false;
         
@@ -555,25 +815,25 @@ JSON OUTPUT:`;
             const line = lines[i];
             const lowerLine = line.toLowerCase();
             
-            if (skillsKeywords.some(keyword => lowerLine.includes(keyword))) {
+            if (this.isSectionStart(line, cues[i], skillsKeywords)) {
                 inSkillsSection = true;
                 continue;
             }
             
             if (inSkillsSection) {
-                if (this.isSectionHeader(line) && !skillsKeywords.some(keyword => lowerLine.includes(keyword))) {
+                if (this.isSectionHeader(line, cues[i]) && !skillsKeywords.some(keyword => lowerLine.includes(keyword))) {
                     break;
                 }
                 
-                // Extract skills from the line
-                const words = line.split(/[,•\-\*]/).map(word => word.trim()).filter(word => word.length > 0);
+                // Extract skills from the line; table cells from PDFs are separated by "|"
+                const words = line.split(/[,•|\-\*]/).map(word => word.trim()).filter(word => word.length > 0);
                 
                 words.forEach(word => {
-                    const lowerWord = word.toLowerCase();
-                    if (technicalKeywords.some(tech => lowerWord.includes(tech))) {
-                        skills.technical.push(word);
-                    } else if (softKeywords.some(soft => lowerWord.includes(soft))) {
-                        skills.soft.push(word);
+                    const entry = window.skillTaxonomy.lookup(word);
+                    if (entry && entry.category === 'soft') {
+                        skills.soft.push(entry.name);
+                    } else if (entry) {
+                        skills.technical.push(entry.name);
                     } else if (word.length > 2 && word.length < 20) {
                         skills.technical.push(word);
                     }
@@ -587,9 +847,10 @@ JSON OUTPUT:`;
     /**
      * Extract projects from resume text
      * @param {Array<string>} lines - Array of text lines
+     * @param {Array<Object>} cues - Font cues per line
      * @returns {Array} Array of project objects
      */
-    extractProjects(lines) {
+    extractProjects(lines, cues = []) {
         const projects = [];
         const projectKeywords = ['projects', 'portfolio', 'applications', 'software'];
         
@@ -600,18 +861,18 @@ JSON OUTPUT:`;
             const line = lines[i];
             const lowerLine = line.toLowerCase();
             
-            if (projectKeywords.some(keyword => lowerLine.includes(keyword))) {
+            if (this.isSectionStart(line, cues[i], projectKeywords)) {
                 inProjectsSection = true;
                 continue;
             }
             
             if (inProjectsSection) {
-                if (this.isSectionHeader(line) && !projectKeywords.some(keyword => lowerLine.includes(keyword))) {
+                if (this.isSectionHeader(line, cues[i]) && !projectKeywords.some(keyword => lowerLine.includes(keyword))) {
                     break;
                 }
                 
                 // Look for project names (usually prominent text)
-                if (this.isProjectName(line)) {
+                if (this.isProjectName(line, cues[i])) {
                     if (currentProject) {
                         projects.push(currentProject);
                     }
@@ -638,101 +899,239 @@ JSON OUTPUT:`;
         return projects;
     }
 
+    /**
+     * Find a date range such as "Jan 2020 – Present" or "2015 - 2019" in a line
+     * @param {string} line - Text line
+     * @param {boolean} allowSingle - Also accept a single date, returned as the end date (graduation dates)
+     * @returns {Object|null} { startDate, endDate, rest } where rest is the line without the dates and
+     *                        their separators, or null when the line has no dates
+     */
+    extractDateRange(line, allowSingle = false) {
+        const month = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+        const date = `(?:${month}\\s+(?:19|20)\\d{2}|\\d{1,2}[/.](?:19|20)\\d{2}|(?:19|20)\\d{2}[-/]\\d{1,2}|(?:19|20)\\d{2})`;
+        const range = new RegExp(`(?<![\\w/.-])(${date})\\s*(?:-|–|—|to|until)\\s*(${date}|present|current|now|today)(?![\\w/-])`, 'i');
+        const single = new RegExp(`(?<![\\w/.-])(${date})(?![\\w/-])`, 'i');
+
+        let match = line.match(range);
+        let result = match ? {
+            startDate: match[1],
+            endDate: /^(present|current|now|today)$/i.test(match[2]) ? 'Present' : match[2]
+        } : null;
+        if (!match && allowSingle) {
+            match = line.match(single);
+            result = match ? { startDate: '', endDate: match[1] } : null;
+        }
+        if (!result) return null;
+
+        result.rest = (line.slice(0, match.index) + ' ' + line.slice(match.index + match[0].length))
+            .replace(/\(\s*\)|\[\s*\]/g, '')
+            .replace(/\s*\|\s*(\|\s*)+/g, ' | ')
+            .replace(/^[\s|•·,–—:-]+|[\s|•·,–—:-]+$/g, '')
+            .replace(/\s{2,}/g, ' ');
+        return result;
+    }
+
+    /**
+     * "Acme Corp | London, UK" → { name: "Acme Corp", location: "London, UK" }; other details stay in the name
+     */
+    splitLocation(text) {
+        const [name, ...details] = text.split(/\s+[|•·]\s+|\s+[–—]\s+/);
+        if (details.length === 1 && this.isLocation(details[0])) {
+            return { name: name.trim(), location: details[0].trim() };
+        }
+        return { name: text, location: '' };
+    }
+
+    isLocation(text) {
+        return /^[A-Z][A-Za-z .'-]+,\s*[A-Z][A-Za-z .'-]+$/.test(text.trim()) || /^remote$/i.test(text.trim());
+    }
+
+    /**
+     * Check if a line starts one of the sections named by keywords
+     * @param {string} line - Text line to check
+     * @param {Object} cue - Font cue for the line, may be undefined
+     * @param {Array<string>} keywords - Section names
+     * @returns {boolean} True if the line opens the section
+     */
+    isSectionStart(line, cue, keywords) {
+        const lowerLine = line.toLowerCase();
+        if (!keywords.some(keyword => lowerLine.includes(keyword))) return false;
+        if (!cue) return true;
+        
+        // With font cues a sentence that mentions "experience" (or a "State University" line) no longer opens the section;
+        // bold body-size lines only when they lead with the section name, so a bold "Senior Software Engineer" title doesn't
+        return cue.isHeading || (cue.bold && this.isHeadingPhrase(line) && keywords.some(keyword => lowerLine.startsWith(keyword)));
+    }
+
     /**
      * Check if a line is a section header
      * @param {string} line - Text line to check
+     * @param {Object} cue - Font cue for the line, may be undefined
      * @returns {boolean} True if section header
      */
-    isSectionHeader(line) {
+    isSectionHeader(line, cue = null) {
         const sectionHeaders = ['experience', 'education', 'skills', 'projects', 'summary', 'objective', 'contact'];
         const lowerLine = line.toLowerCase();
-        return sectionHeaders.some(header => lowerLine.includes(header)) && line.length < 50;
+        const named = sectionHeaders.some(header => lowerLine.includes(header)) && line.length < 50;
+        if (!cue) return named;
+        
+        // Larger-than-body headings count whatever their wording; all-caps lines only when they name a section
+        if (cue.headingLevel === 1) return line.length < 50;
+        return named && (cue.isHeading || (cue.bold && this.isHeadingPhrase(line)));
+    }
+
+    /**
+     * Short label without sentence punctuation, e.g. "Work History"
+     * @param {string} line - Text line to check
+     * @returns {boolean} True if the line reads like a heading
+     */
+    isHeadingPhrase(line) {
+        return line.split(/\s+/).length <= 4 && !/[.,;]$/.test(line.replace(/:$/, ''));
     }
 
     /**
      * Check if a line represents a job title
      * @param {string} line - Text line to check
+     * @param {Object} cue - Font cue for the line, may be undefined
      * @returns {boolean} True if job title
      */
-    isJobTitle(line) {
+    isJobTitle(line, cue = null) {
         // Job titles are usually 3-8 words, contain common job words, and are prominent
         const jobKeywords = ['engineer', 'developer', 'manager', 'analyst', 'specialist', 'coordinator', 'director', 'lead'];
         const lowerLine = line.toLowerCase();
-        
-        return line.length > 5 && 
+        const plausible = line.length > 5 && 
                line.length < 100 && 
-               jobKeywords.some(keyword => lowerLine.includes(keyword)) &&
                !line.includes('@') &&
                !line.includes('http');
+        
+        if (!cue) {
+            return plausible && jobKeywords.some(keyword => lowerLine.includes(keyword));
+        }
+        
+        // Bullets ("Led a team...") are achievements; bold entry lines start a role even without a job word
+        if (!plausible || cue.bulleted || cue.headingLevel === 1) return false;
+        return cue.bold || jobKeywords.some(keyword => lowerLine.includes(keyword));
     }
 
     /**
      * Check if a line represents degree information
      * @param {string} line - Text line to check
+     * @param {Object} cue - Font cue for the line, may be undefined
      * @returns {boolean} True if degree info
      */
-    isDegreeInfo(line) {
+    isDegreeInfo(line, cue = null) {
         const degreeKeywords = ['bachelor', 'master', 'phd', 'associate', 'diploma', 'certificate'];
         const lowerLine = line.toLowerCase();
         
+        if (cue && (cue.bulleted || cue.headingLevel === 1)) return false;
         return degreeKeywords.some(keyword => lowerLine.includes(keyword)) && line.length < 100;
     }
 
     /**
      * Check if a line represents a project name
      * @param {string} line - Text line to check
+     * @param {Object} cue - Font cue for the line, may be undefined
      * @returns {boolean} True if project name
      */
-    isProjectName(line) {
+    isProjectName(line, cue = null) {
         // Project names are usually 2-6 words and don't contain common resume words
         const resumeKeywords = ['experience', 'education', 'skills', 'contact', 'summary'];
         const lowerLine = line.toLowerCase();
-        
-        return line.length > 3 && 
+        const plausible = line.length > 3 && 
                line.length < 80 && 
                !resumeKeywords.some(keyword => lowerLine.includes(keyword)) &&
                !line.includes('@') &&
                !line.includes('http');
+        
+        // With font cues only emphasized, non-bullet lines name a project; the rest is its description
+        if (!cue) return plausible;
+        return plausible && !cue.bulleted && (cue.bold || cue.fontSize > cue.bodyFontSize);
     }
 
     /**
-     * Validate and clean parsed resume data
-     * @param {Object} data - Parsed resume data
-     * @returns {Object} Cleaned and validated resume data
+     * Migrate parsed resume data to the current schema version and fill in missing fields
+     * @param {Object} data - Parsed resume data of any schema version
+     * @returns {Object} Cleaned resume that passes ResumeSchema.validate()
      */
     validateAndCleanResumeData(data) {
+        const migrated = window.resumeSchema.migrate(data);
         const cleaned = {
-            personalInfo: this.cleanPersonalInfo(data.personalInfo || {}),
-            summary: data.summary || '',
-            experience: this.cleanExperience(data.experience || []),
-            education: this.cleanEducation(data.education || []),
-            skills: this.cleanSkills(data.skills || {}),
-            projects: this.cleanProjects(data.projects || [])
+            schemaVersion: migrated.schemaVersion,
+            personalInfo: this.cleanPersonalInfo(migrated.personalInfo || {}),
+            summary: this.cleanText(migrated.summary),
+            experience: this.cleanExperience(this.asArray(migrated.experience)),
+            education: this.cleanEducation(this.asArray(migrated.education)),
+            skills: this.cleanSkills(migrated.skills || {}),
+            projects: this.cleanProjects(this.asArray(migrated.projects))
+        };
+
+        // Optional sections are only kept when they have entries
+        const optional = {
+            certifications: item => this.pickText(item, ['name', 'issuer', 'date', 'url']),
+            languages: item => this.pickText(item, ['language', 'fluency']),
+            awards: item => this.pickText(item, ['title', 'awarder', 'date', 'summary']),
+            publications: item => this.pickText(item, ['name', 'publisher', 'releaseDate', 'url', 'summary']),
+            volunteer: item => ({
+                ...this.pickText(item, ['organization', 'position', 'startDate', 'endDate', 'summary']),
+                highlights: this.cleanList(item.highlights)
+            })
         };
+        Object.entries(optional).forEach(([section, clean]) => {
+            const items = this.asArray(migrated[section])
+                .filter(item => item && typeof item === 'object')
+                .map(clean)
+                .filter(item => Object.values(item).some(value => value.length > 0));
+            if (items.length > 0) cleaned[section] = items;
+        });
 
         // Ensure required fields exist
         if (!cleaned.personalInfo.name) {
             cleaned.personalInfo.name = 'Your Name';
         }
 
+        const { errors } = window.resumeSchema.validate(cleaned);
+        errors.forEach(error => console.warn(`Resume schema: ${error.path} ${error.message}`));
+
         return cleaned;
     }
 
+    asArray(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    cleanText(value) {
+        return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+    }
+
+    /**
+     * Lists of text; a single string, as models sometimes return for a list, becomes one item per line
+     */
+    cleanList(value) {
+        if (typeof value === 'string') {
+            return value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        }
+        return this.asArray(value).filter(item => typeof item === 'string');
+    }
+
+    // Skill names given as one comma-separated string are split up
+    cleanNames(value) {
+        return window.skillTaxonomy.normalizeList(typeof value === 'string' ? value.split(/[,\n]/) : value);
+    }
+
+    /**
+     * Copy the given fields as strings, with empty strings for missing ones
+     */
+    pickText(item, fields) {
+        return Object.fromEntries(fields.map(field => [field, this.cleanText(item[field])]));
+    }
+
     /**
      * Clean personal information data
      * @param {Object} personalInfo - Personal info object
      * @returns {Object} Cleaned personal info
      */
     cleanPersonalInfo(personalInfo) {
-        return {
-            name: personalInfo.name || '',
-            email: personalInfo.email || '',
-            phone: personalInfo.phone || '',
-            location: personalInfo.location || '',
-            linkedin: personalInfo.linkedin || '',
-            github: personalInfo.github || '',
-            website: personalInfo.website || ''
-        };
+        return this.pickText(personalInfo, ['name', 'email', 'phone', 'location', 'linkedin', 'github', 'website']);
     }
 
     /**
@@ -741,14 +1140,10 @@ JSON OUTPUT:`;
      * @returns {Array} Cleaned experience array
      */
     cleanExperience(experience) {
-        return experience.map(exp => ({
-            title: exp.title || '',
-            company: exp.company || '',
-            location: exp.location || '',
-            startDate: exp.startDate || '',
-            endDate: exp.endDate || '',
-            description: Array.isArray(exp.description) ? exp.description : [],
-            achievements: Array.isArray(exp.achievements) ? exp.achievements : []
+        return experience.filter(exp => exp && typeof exp === 'object').map(exp => ({
+            ...this.pickText(exp, ['title', 'company', 'location', 'startDate', 'endDate']),
+            description: this.cleanList(exp.description),
+            achievements: this.cleanList(exp.achievements)
         }));
     }
 
@@ -758,27 +1153,21 @@ JSON OUTPUT:`;
      * @returns {Array} Cleaned education array
      */
     cleanEducation(education) {
-        return education.map(edu => ({
-            degree: edu.degree || '',
-            institution: edu.institution || '',
-            location: edu.location || '',
-            graduationDate: edu.graduationDate || '',
-            gpa: edu.gpa || '',
-            relevant_coursework: Array.isArray(edu.relevant_coursework) ? edu.relevant_coursework : []
+        return education.filter(edu => edu && typeof edu === 'object').map(edu => ({
+            ...this.pickText(edu, ['degree', 'institution', 'location', 'graduationDate', 'gpa']),
+            relevant_coursework: this.cleanList(edu.relevant_coursework)
         }));
     }
 
     /**
-     * Clean skills data
+     * Clean skills data; technical and soft skills are normalized to canonical taxonomy names
      * @param {Object} skills - Skills object
      * @returns {Object} Cleaned skills object
      */
     cleanSkills(skills) {
         return {
-            technical: Array.isArray(skills.technical) ? skills.technical : [],
-            soft: Array.isArray(skills.soft) ? skills.soft : [],
-            languages: Array.isArray(skills.languages) ? skills.languages : [],
-            certifications: Array.isArray(skills.certifications) ? skills.certifications : []
+            technical: this.cleanNames(skills.technical),
+            soft: this.cleanNames(skills.soft)
         };
     }
 
@@ -788,11 +1177,11 @@ JSON OUTPUT:`;
      * @returns {Array} Cleaned projects array
      */
     cleanProjects(projects) {
-        return projects.map(project => ({
-            name: project.name || '',
-            description: project.description || '',
-            technologies: Array.isArray(project.technologies) ? project.technologies : [],
-            achievements: Array.isArray(project.achievements) ? project.achievements : []
+        return projects.filter(project => project && typeof project === 'object').map(project => ({
+            ...this.pickText(project, ['name', 'description']),
+            ...(typeof project.url === 'string' && project.url && { url: project.url }),
+            technologies: this.cleanNames(project.technologies),
+            achievements: this.cleanList(project.achievements)
         }));
     }
 }
@@ -0,0 +1,460 @@
+/**
+ * Resume Schema
+ * The versioned JSON Schema of the resume model, the migrations that bring older documents
+ * up to date, and the one validator the parser, the agents and the editor share
+ */
+
+class ResumeSchema {
+    constructor() {
+        this.currentVersion = 2;
+
+        // Descriptions and examples show up as hover text and completions in the JSON editor
+        const text = (description, examples) => ({ type: 'string', description, ...(examples && { examples }) });
+        const textList = description => ({ type: 'array', items: { type: 'string' }, description });
+        const startDate = text('Start date, e.g. "Jan 2020", "03/2021" or "2019"', ['Jan 2020', '2020-01', '2020']);
+        const endDate = text('End date, or "Present" for a current role', ['Present', 'Dec 2023', '2023-12', '2023']);
+
+        this.schema = {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            title: 'Resume',
+            description: `AI Resume Customizer resume, schema version ${this.currentVersion}`,
+            type: 'object',
+            required: ['schemaVersion', 'personalInfo'],
+            additionalProperties: false,
+            properties: {
+                schemaVersion: {
+                    type: 'integer',
+                    enum: [this.currentVersion],
+                    description: 'Version of this schema the document follows; older documents are migrated on load'
+                },
+                personalInfo: {
+                    type: 'object',
+                    description: 'Name and contact details shown in the resume header',
+                    required: ['name'],
+                    additionalProperties: false,
+                    properties: {
+                        name: text('Full name'),
+                        email: text('Email address'),
+                        phone: text('Phone number'),
+                        location: text('City and country or region', ['London, UK', 'Remote']),
+                        linkedin: text('LinkedIn profile URL'),
+                        github: text('GitHub profile URL'),
+                        website: text('Personal website or portfolio URL')
+                    }
+                },
+                summary: text('Professional summary, two to four sentences'),
+                experience: { type: 'array', description: 'Work history, newest first', items: { $ref: '#/definitions/experience' } },
+                education: { type: 'array', description: 'Degrees and other formal education', items: { $ref: '#/definitions/education' } },
+                skills: {
+                    type: 'object',
+                    description: 'Skills; languages and certifications have their own sections',
+                    additionalProperties: false,
+                    properties: {
+                        technical: textList('Tools, languages, frameworks and methods'),
+                        soft: textList('Interpersonal and leadership skills')
+                    }
+                },
+                projects: { type: 'array', description: 'Personal, open-source or notable work projects', items: { $ref: '#/definitions/project' } },
+                certifications: { type: 'array', description: 'Professional certifications and licenses', items: { $ref: '#/definitions/certification' } },
+                languages: { type: 'array', description: 'Spoken languages', items: { $ref: '#/definitions/language' } },
+                awards: { type: 'array', description: 'Honors and awards', items: { $ref: '#/definitions/award' } },
+                publications: { type: 'array', description: 'Papers, articles and books', items: { $ref: '#/definitions/publication' } },
+                volunteer: { type: 'array', description: 'Volunteer work', items: { $ref: '#/definitions/volunteer' } }
+            },
+            definitions: {
+                experience: {
+                    type: 'object',
+                    description: 'One role',
+                    additionalProperties: false,
+                    properties: {
+                        title: text('Job title'),
+                        company: text('Employer'),
+                        location: text('Where the role was based'),
+                        startDate,
+                        endDate,
+                        description: textList('Responsibilities, one per line'),
+                        achievements: textList('Results, ideally with numbers, one per line')
+                    }
+                },
+                education: {
+                    type: 'object',
+                    description: 'One degree or program',
+                    additionalProperties: false,
+                    properties: {
+                        degree: text('Degree and field, e.g. "B.S. in Computer Science"'),
+                        institution: text('School or university'),
+                        location: text('Where the institution is'),
+                        graduationDate: text('Graduation date, or "Expected May 2026" while studying', ['May 2020', '2020', 'Expected 2026']),
+                        gpa: { type: ['string', 'number'], description: 'Grade point average, e.g. 3.8 or "3.8/4.0"' },
+                        relevant_coursework: textList('Courses relevant to the jobs you apply for')
+                    }
+                },
+                project: {
+                    type: 'object',
+                    description: 'One project',
+                    additionalProperties: false,
+                    properties: {
+                        name: text('Project name'),
+                        description: text('What the project does and your part in it'),
+                        url: text('Link to the project or its repository'),
+                        technologies: textList('Technologies used'),
+                        achievements: textList('Results, one per line')
+                    }
+                },
+                certification: {
+                    type: 'object',
+                    description: 'One certification',
+                    required: ['name'],
+                    additionalProperties: false,
+                    properties: {
+                        name: text('Certification name'),
+                        issuer: text('Issuing organization'),
+                        date: text('Date earned', ['Mar 2022', '2022']),
+                        url: text('Verification link')
+                    }
+                },
+                language: {
+                    type: 'object',
+                    description: 'One spoken language',
+                    required: ['language'],
+                    additionalProperties: false,
+                    properties: {
+                        language: text('Language name'),
+                        fluency: text('Proficiency level', ['Native', 'Fluent', 'Professional', 'Conversational', 'Basic'])
+                    }
+                },
+                award: {
+                    type: 'object',
+                    description: 'One honor or award',
+                    required: ['title'],
+                    additionalProperties: false,
+                    properties: {
+                        title: text('Award name'),
+                        awarder: text('Who gave the award'),
+                        date: text('Date received', ['Jun 2021', '2021']),
+                        summary: text('What it was for')
+                    }
+                },
+                publication: {
+                    type: 'object',
+                    description: 'One publication',
+                    required: ['name'],
+                    additionalProperties: false,
+                    properties: {
+                        name: text('Title'),
+                        publisher: text('Journal, conference or publisher'),
+                        releaseDate: text('Publication date', ['Sep 2020', '2020']),
+                        url: text('Link to the publication'),
+                        summary: text('One-sentence summary')
+                    }
+                },
+                volunteer: {
+                    type: 'object',
+                    description: 'One volunteer role',
+                    required: ['organization'],
+                    additionalProperties: false,
+                    properties: {
+                        organization: text('Organization'),
+                        position: text('Role'),
+                        startDate,
+                        endDate,
+                        summary: text('What you did'),
+                        highlights: textList('Results, one per line')
+                    }
+                }
+            }
+        };
+
+        // Lists of sentences, where a comma doesn't start a new entry
+        this.lineListKeys = new Set(['description', 'achievements', 'highlights']);
+
+        // Each migration takes a document of the key's version to the next version
+        this.migrations = {
+            1: resume => this.migrateV1(resume)
+        };
+    }
+
+    /**
+     * @param {Object} data - Resume document
+     * @returns {number} Its schema version; documents from before versioning are version 1
+     */
+    getVersion(data) {
+        const version = data?.schemaVersion;
+        return Number.isInteger(version) && version > 0 ? version : 1;
+    }
+
+    /**
+     * Bring a document up to the current schema version
+     * @param {Object} data - Resume document of any version
+     * @returns {Object} Migrated copy; the input is not modified
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Resume must be a JSON object');
+        }
+
+        let version = this.getVersion(data);
+        if (version > this.currentVersion) {
+            throw new Error(`Resume uses schema version ${version}, but this app only understands up to version ${this.currentVersion}; please update the app`);
+        }
+
+        let resume = JSON.parse(JSON.stringify(data));
+        while (version < this.currentVersion) {
+            resume = this.migrations[version](resume);
+            version++;
+        }
+
+        const { schemaVersion, ...rest } = resume;
+        return { schemaVersion: this.currentVersion, ...rest };
+    }
+
+    /**
+     * Version 1 → 2: languages and certifications move from skills into their own sections with
+     * structured entries, and legacy shapes (skills as a list, text where lists belong) become lists
+     */
+    migrateV1(resume) {
+        const skills = Array.isArray(resume.skills) ? { technical: resume.skills } : resume.skills;
+        const next = { ...resume };
+
+        if (skills && typeof skills === 'object') {
+            const { languages, certifications, ...rest } = skills;
+            next.skills = rest;
+
+            const allLanguages = [...this.toList(resume.languages), ...this.toList(languages)].map(item => this.toLanguage(item)).filter(Boolean);
+            const allCertifications = [...this.toList(resume.certifications), ...this.toList(certifications)].map(item => this.toCertification(item)).filter(Boolean);
+            const unique = (items, field) => items.filter((item, index) =>
+                items.findIndex(other => other[field].toLowerCase() === item[field].toLowerCase()) === index);
+
+            if (allLanguages.length > 0) next.languages = unique(allLanguages, 'language');
+            if (allCertifications.length > 0) next.certifications = unique(allCertifications, 'name');
+        }
+
+        if (Array.isArray(next.experience)) {
+            next.experience = next.experience.map(exp => exp && typeof exp === 'object' ? {
+                ...exp,
+                ...('description' in exp && { description: this.toLines(exp.description) }),
+                ...('achievements' in exp && { achievements: this.toLines(exp.achievements) })
+            } : exp);
+        }
+        if (Array.isArray(next.education)) {
+            next.education = next.education.map(edu => edu && typeof edu === 'object' && typeof edu.relevant_coursework === 'string' ?
+                { ...edu, relevant_coursework: this.toCommaList(edu.relevant_coursework) } : edu);
+        }
+        if (Array.isArray(next.projects)) {
+            next.projects = next.projects.map(project => project && typeof project === 'object' && typeof project.technologies === 'string' ?
+                { ...project, technologies: this.toCommaList(project.technologies) } : project);
+        }
+
+        return next;
+    }
+
+    toList(value) {
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'string' && value.trim()) return this.toCommaList(value);
+        return [];
+    }
+
+    toLines(value) {
+        if (typeof value !== 'string') return value;
+        return value.split('\n').map(line => line.replace(/^[•\-*]\s*/, '').trim()).filter(Boolean);
+    }
+
+    toCommaList(value) {
+        return value.split(/[,;]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * "Spanish (Professional)", "Spanish - Native" or { language, fluency }
+     */
+    toLanguage(item) {
+        if (item && typeof item === 'object') {
+            const language = item.language || item.name;
+            return language ? { language: String(language), ...(item.fluency && { fluency: String(item.fluency) }) } : null;
+        }
+        const text = String(item ?? '').trim();
+        if (!text) return null;
+        const match = text.match(/^(.*?)\s*(?:\((.+)\)|[-–:]\s+(.+))$/);
+        return match ? { language: match[1], fluency: match[2] || match[3] } : { language: text };
+    }
+
+    toCertification(item) {
+        if (item && typeof item === 'object') {
+            return item.name ? { ...item, name: String(item.name) } : null;
+        }
+        const name = String(item ?? '').trim();
+        return name ? { name } : null;
+    }
+
+    /**
+     * "Spanish (Professional)" for display
+     */
+    formatLanguage(item) {
+        if (!item || typeof item !== 'object') return String(item ?? '');
+        return item.fluency ? `${item.language} (${item.fluency})` : item.language;
+    }
+
+    /**
+     * Validate a document against the current schema
+     * Unknown fields are warnings, so extra keys from an AI response don't fail a run
+     * @param {Object} data - Resume document, already migrated
+     * @returns {Object} { valid, errors: [{ path, message, severity }] }
+     */
+    validate(data) {
+        const errors = [];
+        this.validateNode(data, this.schema, '', errors);
+        return {
+            valid: !errors.some(error => error.severity === 'error'),
+            errors
+        };
+    }
+
+    validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            schema = this.schema.definitions[schema.$ref.split('/').pop()];
+        }
+
+        const types = [].concat(schema.type || []);
+        if (types.length > 0 && !types.some(type => this.matchesType(value, type))) {
+            errors.push(this.error(path, `expected ${types.join(' or ')}, got ${this.typeOf(value)}`));
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(this.error(path, `must be ${schema.enum.map(item => JSON.stringify(item)).join(' or ')}`));
+        }
+
+        if (this.typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(this.error(this.join(path, key), 'is required'));
+            });
+
+            Object.keys(value).forEach(key => {
+                const property = schema.properties?.[key];
+                if (property) {
+                    this.validateNode(value[key], property, this.join(path, key), errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(this.error(this.join(path, key), 'is not part of the resume schema and will be ignored by templates', 'warning'));
+                }
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => this.validateNode(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    /**
+     * Fix only what validate() rejects, the way AI responses tend to get it wrong, and leave
+     * everything else as it is, unknown fields and skill spellings included: null optional
+     * fields are dropped, numbers become text, text becomes a list where a list belongs, and
+     * list entries that can't be used (a string where a role belongs, a certification without
+     * a name) are removed. A missing or unusable personalInfo is left for validate() to report
+     * @param {Object} data - Resume document, already migrated
+     * @returns {Object} { resume, valid, errors } the repaired copy and its validate() result
+     */
+    repair(data) {
+        const resume = this.repairNode(JSON.parse(JSON.stringify(data)), this.schema, '', false);
+        return { resume, ...this.validate(resume) };
+    }
+
+    /**
+     * @returns {*} The repaired value, or undefined when it has to go
+     */
+    repairNode(value, schema, key, isItem) {
+        if (schema.$ref) {
+            schema = this.schema.definitions[schema.$ref.split('/').pop()];
+        }
+
+        const types = [].concat(schema.type || []);
+        if (types.length > 0 && !types.some(type => this.matchesType(value, type))) {
+            value = this.coerce(value, types[0], key);
+            if (value === undefined) return undefined;
+        }
+
+        if (this.typeOf(value) === 'object') {
+            const required = schema.required || [];
+            Object.keys(value).forEach(name => {
+                const property = schema.properties?.[name];
+                if (!property) return;
+
+                const repaired = this.repairNode(value[name], property, name, false);
+                if (repaired === undefined) {
+                    delete value[name];
+                } else {
+                    value[name] = repaired;
+                }
+            });
+
+            const missing = required.filter(name => !(name in value));
+            if (missing.length > 0 && isItem) return undefined;
+            missing
+                .filter(name => [].concat(schema.properties?.[name]?.type || []).includes('string'))
+                .forEach(name => { value[name] = ''; });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value = value
+                .map(item => this.repairNode(item, schema.items, key, true))
+                .filter(item => item !== undefined);
+        }
+
+        return value;
+    }
+
+    /**
+     * @returns {*} The value as the given type, or undefined when it can't be converted
+     */
+    coerce(value, type, key) {
+        if (value === null || value === undefined) return undefined;
+
+        if (type === 'string') {
+            return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+        }
+        if (type === 'array' && typeof value === 'string') {
+            // Bullets are one per line; other lists ("Python, Go") may be comma-separated
+            const lines = this.toLines(value);
+            return this.lineListKeys.has(key) || lines.length > 1 ? lines : this.toCommaList(value);
+        }
+        return undefined;
+    }
+
+    matchesType(value, type) {
+        const actual = this.typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    join(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    error(path, message, severity = 'error') {
+        return { path, message, severity };
+    }
+
+    /**
+     * One-line summary of validation errors for error messages
+     * @param {Array<Object>} errors - validate() errors
+     * @param {number} limit - Errors to list before "and N more"
+     * @returns {string} e.g. "experience[0].description expected array, got string; ..."
+     */
+    describeErrors(errors, limit = 3) {
+        const blocking = errors.filter(error => error.severity === 'error');
+        const listed = blocking.slice(0, limit).map(error => `${error.path || 'resume'} ${error.message}`).join('; ');
+        return blocking.length > limit ? `${listed}; and ${blocking.length - limit} more` : listed;
+    }
+}
+
+// Create global instance
+window.resumeSchema = new ResumeSchema();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumeSchema;
+}
@@ -0,0 +1,393 @@
+/**
+ * Resume Timeline
+ * Normalizes the free-text dates in experience and education into year/month values and
+ * builds a timeline with total experience, overlaps and gaps. Dates are read, never rewritten,
+ * so the resume keeps its original display text
+ */
+
+class ResumeTimeline {
+    constructor() {
+        this.months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        // Graduation terms are mapped to the month they usually end in
+        this.seasons = { winter: 12, spring: 5, summer: 8, fall: 12, autumn: 12 };
+        this.ongoingPattern = /^(present|current(ly)?|now|today|ongoing|to date|till date)$/i;
+        // Spaced separators first, so "2021-03 - 2022-01" is not split inside its ISO dates
+        this.rangeSeparators = [/\s+(?:-|–|—|to|until)\s+/i, /\s*[–—]\s*/, /\s*-\s*/];
+        // Breaks shorter than this are ordinary job changes, not gaps worth mentioning
+        this.gapThresholdMonths = 3;
+        // Roles sharing a single month are handovers, not concurrent positions
+        this.overlapThresholdMonths = 1;
+        // Date prompt timelines count ongoing roles up to; null is today. Replaying recorded
+        // fixtures pins it to the recording date so the prompts hash the same every month
+        this.promptNow = null;
+    }
+
+    /**
+     * Parse a single resume date
+     * @param {string} text - Date as written, e.g. "January 2022", "03/2021", "2019", "Present"
+     * @returns {Object|null} { text, year, month, ongoing, expected }; month is null for year-only
+     *                        dates and year is null for ongoing ones; null when not a date
+     */
+    parseDate(text) {
+        const original = String(text ?? '').trim();
+        if (!original) return null;
+
+        const value = original.replace(/\s+/g, ' ').replace(/[,.]/g, ' ').trim();
+        if (this.ongoingPattern.test(value)) {
+            return { text: original, year: null, month: null, ongoing: true, expected: false };
+        }
+
+        const expected = /^(expected|exp|anticipated)\b/i.test(value);
+        const body = value.replace(/^(expected|exp|anticipated)\b\s*/i, '').replace(/\s+/g, ' ').trim();
+        const date = (year, month) => ({ text: original, year, month, ongoing: false, expected });
+        let match;
+
+        // 2021-03 and 2021-03-15
+        if ((match = body.match(/^((?:19|20)\d{2})[-/](\d{1,2})(?:[-/]\d{1,2})?$/)) && this.isMonth(match[2])) {
+            return date(parseInt(match[1], 10), parseInt(match[2], 10));
+        }
+        // 03/2021 and 3-2021
+        if ((match = body.match(/^(\d{1,2})[-/ ]((?:19|20)\d{2})$/)) && this.isMonth(match[1])) {
+            return date(parseInt(match[2], 10), parseInt(match[1], 10));
+        }
+        // January 2022, Jan 2022, Jan '22
+        if ((match = body.match(/^([A-Za-z]+) (?:((?:19|20)\d{2})|'(\d{2}))$/))) {
+            const year = match[2] ? parseInt(match[2], 10) : 2000 + parseInt(match[3], 10);
+            const word = match[1].toLowerCase();
+            const month = this.months.indexOf(word.slice(0, 3));
+            if (month >= 0 && (word === 'sept' || this.fullMonthName(month).startsWith(word))) {
+                return date(year, month + 1);
+            }
+            if (this.seasons[word]) {
+                return date(year, this.seasons[word]);
+            }
+            return null;
+        }
+        // 2019
+        if ((match = body.match(/^((?:19|20)\d{2})$/))) {
+            return date(parseInt(match[1], 10), null);
+        }
+
+        return null;
+    }
+
+    isMonth(value) {
+        const month = parseInt(value, 10);
+        return month >= 1 && month <= 12;
+    }
+
+    fullMonthName(index) {
+        return ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'][index];
+    }
+
+    /**
+     * Parse the dates of an entry, also when a whole range was typed into one field ("2019–2020")
+     * @param {string} startText - startDate as written
+     * @param {string} endText - endDate as written
+     * @returns {Object} { start, end } parsed dates, either may be null
+     */
+    parseRange(startText, endText) {
+        let start = this.parseDate(startText);
+        let end = this.parseDate(endText);
+
+        if (!start && startText) {
+            for (const separator of this.rangeSeparators) {
+                const parts = String(startText).split(separator);
+                if (parts.length === 2 && this.parseDate(parts[0]) && this.parseDate(parts[1])) {
+                    start = this.parseDate(parts[0]);
+                    end = end || this.parseDate(parts[1]);
+                    break;
+                }
+            }
+        }
+
+        // "Present" as a start date means the field holds only the end of the range
+        if (start?.ongoing) {
+            end = end || start;
+            start = null;
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * Month index for arithmetic; year-only starts count from January and year-only ends to December
+     */
+    toIndex(date, edge, now) {
+        if (!date) return null;
+        if (date.ongoing) return now.getFullYear() * 12 + now.getMonth();
+        const month = date.month || (edge === 'start' ? 1 : 12);
+        return date.year * 12 + month - 1;
+    }
+
+    /**
+     * Build the timeline of a resume
+     * @param {Object} resume - Resume data
+     * @param {Object} options - { now: Date, gapThresholdMonths: number } reference date for ongoing
+     *                          roles (defaults to today) and the shortest break reported as a gap
+     * @returns {Object} { experience, education, totalMonths, totalYears, overlaps, gaps, undated }
+     */
+    build(resume, options = {}) {
+        const now = options.now || new Date();
+        const nowIndex = now.getFullYear() * 12 + now.getMonth();
+
+        const experience = (resume?.experience || []).map((exp, index) => {
+            const { start, end } = this.parseRange(exp.startDate, exp.endDate);
+            const startIndex = this.toIndex(start, 'start', now);
+            // A role without an end date is read as a single period (its month, or its year)
+            const endIndex = end ? this.toIndex(end, 'end', now) : this.toIndex(start, 'end', now);
+            const dated = startIndex !== null && endIndex !== null && endIndex >= startIndex;
+
+            return {
+                index,
+                title: exp.title || '',
+                company: exp.company || '',
+                start,
+                end,
+                ongoing: Boolean(end?.ongoing),
+                startIndex: dated ? startIndex : null,
+                endIndex: dated ? Math.min(endIndex, Math.max(nowIndex, startIndex)) : null,
+                months: dated ? Math.min(endIndex, Math.max(nowIndex, startIndex)) - startIndex + 1 : null,
+                approximate: Boolean(start && !start.month) || Boolean(end && !end.ongoing && !end.month)
+            };
+        });
+
+        const education = (resume?.education || []).map((edu, index) => {
+            // A range such as "2016 - 2020" graduates at its end
+            const { start, end } = this.parseRange(edu.graduationDate, '');
+            const graduation = end || start;
+            const graduationIndex = this.toIndex(graduation, 'end', now);
+            return {
+                index,
+                degree: edu.degree || '',
+                institution: edu.institution || '',
+                graduation,
+                graduationIndex,
+                ongoing: Boolean(graduation && (graduation.ongoing || graduation.expected || graduationIndex > nowIndex))
+            };
+        });
+
+        const dated = experience.filter(entry => entry.months !== null);
+        const merged = this.mergeIntervals(dated);
+        const totalMonths = merged.reduce((sum, [from, to]) => sum + to - from + 1, 0);
+
+        return {
+            experience,
+            education,
+            totalMonths,
+            totalYears: Math.round(totalMonths / 12 * 10) / 10,
+            overlaps: this.findOverlaps(dated),
+            gaps: this.findGaps(merged, dated, options.gapThresholdMonths ?? this.gapThresholdMonths),
+            undated: experience.filter(entry => entry.months === null)
+        };
+    }
+
+    mergeIntervals(entries) {
+        const intervals = entries
+            .map(entry => [entry.startIndex, entry.endIndex])
+            .sort((a, b) => a[0] - b[0]);
+
+        return intervals.reduce((merged, [from, to]) => {
+            const last = merged[merged.length - 1];
+            if (last && from <= last[1] + 1) {
+                last[1] = Math.max(last[1], to);
+            } else {
+                merged.push([from, to]);
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Pairs of roles held at the same time. Year-only dates are read in the candidate's favour,
+     * so "2015 – 2019" followed by "Mar 2019" is a job change, not an overlap
+     * @returns {Array<Object>} [{ first, second, months }] with experience entries, earlier role first
+     */
+    findOverlaps(entries) {
+        const overlaps = [];
+        entries.forEach((a, i) => {
+            const [aFrom, aTo] = this.certainSpan(a);
+            entries.slice(i + 1).forEach(b => {
+                const [bFrom, bTo] = this.certainSpan(b);
+                const months = Math.min(aTo, bTo) - Math.max(aFrom, bFrom) + 1;
+                if (months > this.overlapThresholdMonths) {
+                    const [first, second] = a.startIndex <= b.startIndex ? [a, b] : [b, a];
+                    overlaps.push({ first, second, months });
+                }
+            });
+        });
+        return overlaps;
+    }
+
+    /**
+     * Month indexes a dated role certainly covers: a year-only start counts from December and a
+     * year-only end up to January
+     * @returns {Array<number>} [from, to]; from is after to when no month is certain
+     */
+    certainSpan(entry) {
+        const end = entry.end || entry.start;
+        const from = entry.start.month ? entry.startIndex : entry.start.year * 12 + 11;
+        const to = end.ongoing || end.month ? entry.endIndex : Math.min(end.year * 12, entry.endIndex);
+        return [from, to];
+    }
+
+    /**
+     * Breaks between employment periods, with the roles either side
+     * @returns {Array<Object>} [{ after, before, from, to, months }]; from/to are { year, month }
+     */
+    findGaps(merged, entries, threshold) {
+        const gaps = [];
+        for (let i = 1; i < merged.length; i++) {
+            const fromIndex = merged[i - 1][1] + 1;
+            const toIndex = merged[i][0] - 1;
+            const months = toIndex - fromIndex + 1;
+            if (months < threshold) continue;
+
+            gaps.push({
+                after: entries.find(entry => entry.endIndex === merged[i - 1][1]) || null,
+                before: entries.find(entry => entry.startIndex === merged[i][0]) || null,
+                from: this.fromIndex(fromIndex),
+                to: this.fromIndex(toIndex),
+                months
+            });
+        }
+        return gaps;
+    }
+
+    fromIndex(index) {
+        return { year: Math.floor(index / 12), month: index % 12 + 1 };
+    }
+
+    /**
+     * Sort key for reverse-chronological order: ongoing roles first, then by end and start
+     */
+    compareEntries(a, b) {
+        if (a.months === null || b.months === null) {
+            return (a.months === null) - (b.months === null);
+        }
+        return (b.ongoing - a.ongoing) || (b.endIndex - a.endIndex) || (b.startIndex - a.startIndex);
+    }
+
+    /**
+     * Reverse-chronological copy of a resume; undated entries keep their order at the end
+     * @param {Object} resume - Resume data
+     * @param {Object} options - { now: Date }
+     * @returns {Object} Resume with experience and education sorted
+     */
+    sortResume(resume, options = {}) {
+        const timeline = this.build(resume, options);
+        const sorted = JSON.parse(JSON.stringify(resume));
+
+        if (Array.isArray(resume.experience)) {
+            sorted.experience = [...timeline.experience]
+                .sort((a, b) => this.compareEntries(a, b) || a.index - b.index)
+                .map(entry => sorted.experience[entry.index]);
+        }
+
+        if (Array.isArray(resume.education)) {
+            sorted.education = [...timeline.education]
+                .sort((a, b) => {
+                    if (a.graduationIndex === null || b.graduationIndex === null) {
+                        return (a.graduationIndex === null) - (b.graduationIndex === null) || a.index - b.index;
+                    }
+                    return (b.graduationIndex - a.graduationIndex) || a.index - b.index;
+                })
+                .map(entry => sorted.education[entry.index]);
+        }
+
+        return sorted;
+    }
+
+    /**
+     * @returns {boolean} True when experience and education are already in sortResume() order
+     */
+    isSorted(resume) {
+        const sorted = this.sortResume(resume);
+        return JSON.stringify(sorted.experience) === JSON.stringify(resume.experience) &&
+            JSON.stringify(sorted.education) === JSON.stringify(resume.education);
+    }
+
+    /**
+     * "Jan 2020", "2019" or "Present"
+     */
+    formatDate(date) {
+        if (!date) return '?';
+        if (date.ongoing) return 'Present';
+        return date.month ? `${this.monthNames[date.month - 1]} ${date.year}` : String(date.year);
+    }
+
+    /**
+     * "2 yrs 3 mos", counted the way LinkedIn shows durations
+     */
+    formatDuration(months) {
+        const years = Math.floor(months / 12);
+        const rest = months % 12;
+        return [
+            years && `${years} ${years === 1 ? 'yr' : 'yrs'}`,
+            (rest || !years) && `${rest} ${rest === 1 ? 'mo' : 'mos'}`
+        ].filter(Boolean).join(' ');
+    }
+
+    describeEntry(entry) {
+        return [entry.title, entry.company].filter(Boolean).join(' at ') || `Role ${entry.index + 1}`;
+    }
+
+    /**
+     * Compact timeline for AI prompts, so durations are computed rather than guessed
+     * @param {Object} resume - Resume data
+     * @param {Object} options - { now: Date } to count ongoing roles up to a given date
+     * @returns {string} Plain text block, empty when the resume has no dated experience
+     */
+    toPromptText(resume, options = {}) {
+        const timeline = this.build(resume, { now: options.now || this.promptNow || undefined });
+        const dated = timeline.experience.filter(entry => entry.months !== null);
+        if (dated.length === 0) return '';
+
+        const lines = [
+            `Total professional experience: ${timeline.totalYears} years (${this.formatDuration(timeline.totalMonths)}; concurrent roles counted once)`,
+            ...[...dated].sort((a, b) => this.compareEntries(a, b)).map(entry =>
+                `- ${this.describeEntry(entry)}: ${this.formatDate(entry.start)}${entry.end ? ` – ${this.formatDate(entry.end)}` : ''} (${this.formatDuration(entry.months)})`
+            )
+        ];
+
+        timeline.gaps.forEach(gap => {
+            lines.push(`- Gap: ${this.formatDate(gap.from)} – ${this.formatDate(gap.to)} (${this.formatDuration(gap.months)})`);
+        });
+        timeline.overlaps.forEach(overlap => {
+            lines.push(`- Concurrent: ${this.describeEntry(overlap.first)} and ${this.describeEntry(overlap.second)} (${this.formatDuration(overlap.months)})`);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Compare the resume's total experience with a job's years-of-experience requirement
+     * @param {Object} timeline - Result of build()
+     * @param {Object} requirement - { min, max } from JobDescriptionParser, may be null
+     * @returns {Object|null} { years, min, max, meets, shortBy, exceeds }; null without a requirement
+     *                        or without dated experience
+     */
+    compareToRequirement(timeline, requirement) {
+        if (!requirement || typeof requirement.min !== 'number') return null;
+        if (!timeline || timeline.experience.every(entry => entry.months === null)) return null;
+
+        const years = timeline.totalYears;
+        return {
+            years,
+            min: requirement.min,
+            max: requirement.max ?? null,
+            meets: years >= requirement.min,
+            shortBy: Math.max(0, Math.round((requirement.min - years) * 10) / 10),
+            exceeds: requirement.max ? years > requirement.max : false
+        };
+    }
+}
+
+// Create global instance
+window.resumeTimeline = new ResumeTimeline();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumeTimeline;
+}
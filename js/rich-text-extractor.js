@@ -0,0 +1,842 @@
+/**
+ * Rich Text Extractor
+ * Reads Markdown, HTML, RTF, ODT and DOCX resumes into the same layout shape PDFLayoutExtractor
+ * produces, so their headings, bold runs and lists reach the fallback parser as line cues
+ */
+
+class RichTextExtractor {
+    constructor() {
+        // Hyphens and asterisks only count as bullets when followed by a space ("-5%" is not a bullet)
+        this.bulletPattern = /^([•●○◦▪■□‣∙·]\s*|[\-–*]\s+)/;
+        // Browser default heading sizes relative to body text, h1 to h6
+        this.headingScales = [2, 1.5, 1.17, 1, 0.83, 0.67];
+        // Section headings are rendered at least this much larger than body text
+        this.sectionScale = 1.2;
+        this.sectionName = /^(professional |work |technical |relevant |personal |key )?(summary|objective|profile|overview|experience|employment|work history|education|skills|competencies|technologies|projects|portfolio|certifications|languages|contact)( (&|and) \w+)?:?$/i;
+        this.blockTags = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'CENTER', 'DD', 'DIV', 'DL', 'DT',
+            'FIELDSET', 'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'HR', 'MAIN', 'NAV', 'P', 'PRE', 'SECTION']);
+    }
+
+    /**
+     * @param {string} markdown - Markdown source
+     * @returns {Object} Layout: { text, lines, bodyFontSize, columns, hasStyleCues }
+     */
+    fromMarkdown(markdown) {
+        const lines = [];
+        const source = String(markdown || '').replace(/\r\n?/g, '\n').replace(/^---\n[\s\S]*?\n---\n/, '').split('\n');
+        let paragraphOpen = false;
+        let lastItem = null;
+        let inFence = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const raw = source[i];
+            const line = raw.trim().replace(/^(>\s?)+/, '');
+            const next = (source[i + 1] || '').trim();
+
+            if (/^(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                paragraphOpen = false;
+                continue;
+            }
+            if (inFence) {
+                this.pushLines(lines, [{ text: line }], { paragraphStart: !paragraphOpen });
+                paragraphOpen = Boolean(line);
+                continue;
+            }
+            if (!line) {
+                paragraphOpen = false;
+                lastItem = null;
+                continue;
+            }
+
+            const atx = line.match(/^(#{1,6})\s+(.*?)(\s+#+)?$/);
+            if (atx) {
+                this.pushLines(lines, this.markdownRuns(atx[2]), { heading: atx[1].length });
+                paragraphOpen = false;
+                lastItem = null;
+                continue;
+            }
+            if (/^([-*_])(\s*\1){2,}$/.test(line)) {
+                paragraphOpen = false;
+                lastItem = null;
+                continue;
+            }
+
+            const item = line.match(/^([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?(.*)$/);
+            if (item) {
+                lastItem = this.pushLines(lines, this.markdownRuns(item[3]), { bulleted: true, paragraphStart: !lastItem && !paragraphOpen });
+                paragraphOpen = true;
+                continue;
+            }
+
+            // Indented lines under a list item continue it
+            if (lastItem && /^\s/.test(raw)) {
+                lastItem.text = `${lastItem.text} ${this.markdownRuns(line).map(run => run.text).join('')}`.replace(/\s+/g, ' ');
+                continue;
+            }
+            lastItem = null;
+
+            if (/^=+$|^-+$/.test(next) && !paragraphOpen) {
+                this.pushLines(lines, this.markdownRuns(line), { heading: next.startsWith('=') ? 1 : 2 });
+                i++;
+                continue;
+            }
+            if (line.includes('|') && /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/.test(line)) {
+                continue;
+            }
+
+            // Each source line stays its own line: resumes put company, dates and contact details on separate lines
+            const text = line.startsWith('|') ? line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).filter(Boolean).join(' | ') : line;
+            this.pushLines(lines, this.markdownRuns(text), { paragraphStart: !paragraphOpen });
+            paragraphOpen = true;
+        }
+
+        return this.finish(lines);
+    }
+
+    /**
+     * Split inline Markdown into plain-text runs, bold where ** or __ applied
+     */
+    markdownRuns(text) {
+        const plain = value => value
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => this.linkText(label, url))
+            .replace(/<(https?:\/\/[^>]+|[^@\s>]+@[^>\s]+)>/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/(`+)(.+?)\1/g, '$2')
+            .replace(/~~(.+?)~~/g, '$1')
+            .replace(/(^|[^\w*])[*_](?=\S)(.+?)(?<=\S)[*_](?![\w*])/g, '$1$2')
+            .replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, '$1');
+
+        const runs = [];
+        const pattern = /(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g;
+        let index = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            runs.push({ text: plain(text.slice(index, match.index)) });
+            runs.push({ text: plain(match[2]), bold: true });
+            index = pattern.lastIndex;
+        }
+        runs.push({ text: plain(text.slice(index)) });
+        return runs;
+    }
+
+    /**
+     * @param {string} html - HTML source
+     * @returns {Object} Layout
+     */
+    fromHTML(html) {
+        const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+        doc.querySelectorAll('script, style, noscript, template, head').forEach(node => node.remove());
+
+        const lines = [];
+        this.walkHTML(doc.body || doc.documentElement, lines, {});
+        return this.finish(lines);
+    }
+
+    /**
+     * Emit lines for a container: inline content between block children becomes one paragraph
+     */
+    walkHTML(container, lines, context) {
+        let pending = [];
+        let first = true;
+        const flush = () => {
+            const runs = pending.flatMap(node => this.htmlRuns(node, false));
+            pending = [];
+            if (runs.some(run => run.text.trim())) {
+                this.pushLines(lines, runs, { ...context, paragraphStart: context.bulleted ? first && context.paragraphStart : true });
+                context = { ...context, bulleted: false };
+                first = false;
+            }
+        };
+
+        Array.from(container.childNodes).forEach(node => {
+            const tag = node.nodeType === 1 ? node.tagName.toUpperCase() : '';
+
+            if (/^H[1-6]$/.test(tag)) {
+                flush();
+                this.pushLines(lines, this.htmlRuns(node, false), { heading: Number(tag[1]) });
+            } else if (tag === 'UL' || tag === 'OL') {
+                flush();
+                Array.from(node.children).forEach((item, index) => {
+                    this.walkHTML(item, lines, { bulleted: true, paragraphStart: index === 0 });
+                });
+            } else if (tag === 'LI') {
+                flush();
+                this.walkHTML(node, lines, { bulleted: true, paragraphStart: true });
+            } else if (tag === 'TABLE') {
+                flush();
+                Array.from(node.querySelectorAll('tr')).forEach((row, index) => {
+                    const cells = Array.from(row.children).map(cell => {
+                        const runs = this.htmlRuns(cell, cell.tagName.toUpperCase() === 'TH');
+                        return { runs, text: runs.map(run => run.text).join('').replace(/\s+/g, ' ').trim() };
+                    }).filter(cell => cell.text);
+                    if (cells.length === 0) return;
+
+                    const runs = cells.flatMap((cell, cellIndex) => [...(cellIndex > 0 ? [{ text: ' | ' }] : []), ...cell.runs.map(run => ({ ...run, text: run.text.replace(/\n/g, ' ') }))]);
+                    this.pushLines(lines, runs, { paragraphStart: index === 0 });
+                });
+            } else if (this.blockTags.has(tag)) {
+                flush();
+                // A <p> inside an <li> still carries the item's bullet
+                const before = lines.length;
+                this.walkHTML(node, lines, context);
+                if (lines.length > before) {
+                    context = { ...context, bulleted: false };
+                    first = false;
+                }
+            } else {
+                pending.push(node);
+            }
+        });
+        flush();
+    }
+
+    /**
+     * Inline runs of an HTML node; <br> becomes a line break
+     */
+    htmlRuns(node, bold) {
+        // Source line breaks are whitespace in HTML; only <br> breaks a line
+        if (node.nodeType === 3) return [{ text: node.textContent.replace(/\s+/g, ' '), bold }];
+        if (node.nodeType !== 1) return [];
+
+        const tag = node.tagName.toUpperCase();
+        if (tag === 'BR') return [{ text: '\n' }];
+        if (tag === 'IMG') return [];
+
+        const weight = (node.getAttribute('style') || '').match(/font-weight\s*:\s*(bold|[6-9]00)/i);
+        const isBold = bold || tag === 'B' || tag === 'STRONG' || Boolean(weight);
+        const runs = Array.from(node.childNodes).flatMap(child => this.htmlRuns(child, isBold));
+
+        if (tag === 'A' && node.getAttribute('href')) {
+            const label = runs.map(run => run.text).join('').trim();
+            const text = this.linkText(label, node.getAttribute('href'));
+            return text === label ? runs : [{ text, bold: isBold }];
+        }
+        return runs;
+    }
+
+    /**
+     * Link label plus its URL when the URL isn't already visible, so contact extraction can find it
+     */
+    linkText(label, url) {
+        const target = String(url || '').replace(/^mailto:|^tel:/i, '');
+        if (!label) return target;
+        if (!/^https?:\/\//i.test(target) || label.includes(target.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, ''))) return label;
+        return `${label} (${target})`;
+    }
+
+    /**
+     * @param {string} rtf - RTF source
+     * @returns {Object} Layout
+     */
+    fromRTF(rtf) {
+        const source = String(rtf || '');
+        const lines = [];
+        const styles = {};
+        const decoder = typeof TextDecoder !== 'undefined' ? new TextDecoder('windows-1252') : null;
+        const skipDestinations = new Set(['fonttbl', 'colortbl', 'info', 'pict', 'header', 'headerl', 'headerr', 'headerf',
+            'footer', 'footerl', 'footerr', 'footerf', 'object', 'xmlnstbl', 'listtable', 'listoverridetable', 'rsidtbl',
+            'generator', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'fldinst', 'bkmkstart', 'bkmkend', 'footnote']);
+
+        let state = { bold: false, fontSize: 12, destination: null, uc: 1, styleId: 0 };
+        const stack = [];
+        let paragraph = { runs: [], heading: 0, styleId: 0, bulleted: false };
+        let skipChars = 0;
+
+        const emit = text => {
+            if (skipChars > 0) {
+                skipChars--;
+                return;
+            }
+            if (state.destination === 'stylesheet') {
+                styles[state.styleId] = (styles[state.styleId] || '') + text;
+            } else if (!state.destination) {
+                paragraph.runs.push({ text, bold: state.bold, fontSize: state.fontSize });
+            }
+        };
+        let previousBulleted = false;
+        const endParagraph = () => {
+            const heading = paragraph.heading || this.headingFromStyleName(styles[paragraph.styleId]);
+            const added = this.pushLines(lines, paragraph.runs, { heading, bulleted: paragraph.bulleted, paragraphStart: !(paragraph.bulleted && previousBulleted) });
+            if (added) previousBulleted = paragraph.bulleted;
+            // Paragraph formatting carries over until \pard; list membership is restated per paragraph
+            paragraph = { ...paragraph, runs: [], bulleted: false };
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (char === '{') {
+                stack.push(state);
+                state = { ...state };
+            } else if (char === '}') {
+                state = stack.pop() || state;
+                skipChars = 0;
+            } else if (char === '\\') {
+                const symbol = source[i + 1];
+                if (symbol === "'") {
+                    const code = parseInt(source.substr(i + 2, 2), 16);
+                    emit(decoder ? decoder.decode(new Uint8Array([code])) : String.fromCharCode(code));
+                    i += 3;
+                    continue;
+                }
+                if (!/[a-z]/i.test(symbol || '')) {
+                    i++;
+                    if (symbol === '*') {
+                        state.destination = state.destination || 'ignored';
+                    } else if (symbol === '\n' || symbol === '\r') {
+                        endParagraph();
+                    } else if (symbol === '~') {
+                        emit(' ');
+                    } else if (symbol === '_') {
+                        emit('-');
+                    } else if (symbol === '\\' || symbol === '{' || symbol === '}') {
+                        emit(symbol);
+                    }
+                    continue;
+                }
+
+                const control = source.slice(i + 1).match(/^([a-z]+)(-?\d+)? ?/i);
+                i += control[0].length;
+                const word = control[1];
+                const param = control[2] === undefined ? null : Number(control[2]);
+
+                if (skipDestinations.has(word)) {
+                    state.destination = 'ignored';
+                } else if (word === 'stylesheet') {
+                    state.destination = 'stylesheet';
+                } else if (word === 'listtext' || word === 'pntext') {
+                    // Bullet glyphs Word writes before each list paragraph
+                    paragraph.bulleted = true;
+                    state.destination = 'ignored';
+                } else if (word === 'u') {
+                    emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+                    skipChars = state.uc;
+                } else if (word === 'uc') {
+                    state.uc = param ?? 1;
+                } else if (word === 'par' || word === 'row') {
+                    if (!state.destination) endParagraph();
+                } else if (word === 'pard') {
+                    paragraph = { ...paragraph, heading: 0, styleId: 0 };
+                } else if (word === 'plain') {
+                    Object.assign(state, { bold: false, fontSize: 12 });
+                } else if (word === 'b') {
+                    state.bold = param !== 0;
+                } else if (word === 'fs') {
+                    state.fontSize = (param ?? 24) / 2;
+                } else if (word === 's') {
+                    if (state.destination === 'stylesheet') {
+                        state.styleId = param;
+                    } else {
+                        paragraph.styleId = param;
+                    }
+                } else if (word === 'outlinelevel') {
+                    if (!state.destination && param < 9) paragraph.heading = param + 1;
+                } else if (word === 'ls' || word === 'ilvl') {
+                    paragraph.bulleted = true;
+                } else if (word === 'line') {
+                    emit('\n');
+                } else if (word === 'tab' || word === 'cell') {
+                    emit('\t');
+                } else {
+                    const symbols = { bullet: '•', emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ' };
+                    if (symbols[word]) emit(symbols[word]);
+                }
+            } else if (char !== '\n' && char !== '\r') {
+                emit(char);
+            }
+        }
+        endParagraph();
+
+        return this.finish(lines);
+    }
+
+    /**
+     * "heading 2;" from an RTF or ODT style name → 2
+     */
+    headingFromStyleName(name) {
+        const match = String(name || '').match(/heading[ _]*(?:_20_)?(\d)/i);
+        return match ? Number(match[1]) : 0;
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer - ODT file contents
+     * @returns {Promise<Object>} Layout
+     */
+    async fromODT(buffer) {
+        if (typeof window.JSZip === 'undefined') {
+            throw new Error('JSZip not loaded');
+        }
+
+        const zip = await window.JSZip.loadAsync(buffer);
+        const content = zip.file('content.xml');
+        if (!content) {
+            throw new Error('ODT file has no content.xml');
+        }
+
+        const parser = new DOMParser();
+        const contentDoc = parser.parseFromString(await content.async('string'), 'application/xml');
+        const stylesFile = zip.file('styles.xml');
+        const stylesDoc = stylesFile ? parser.parseFromString(await stylesFile.async('string'), 'application/xml') : null;
+        const styles = this.readODTStyles([stylesDoc, contentDoc].filter(Boolean));
+
+        const body = this.findByLocalName(contentDoc.documentElement, 'text');
+        const lines = [];
+        if (body) this.walkODT(body, lines, styles, {});
+        return this.finish(lines);
+    }
+
+    /**
+     * Resolve bold and font size for every named style, following parent styles
+     * @returns {Function} (style name, inherited style) → { bold, fontSize, heading }; properties the style
+     *                     chain doesn't set come from the inherited style, then the paragraph defaults
+     */
+    readODTStyles(docs) {
+        const definitions = {};
+        let defaults = {};
+
+        docs.forEach(doc => {
+            Array.from(doc.getElementsByTagName('*')).forEach(element => {
+                if (element.localName !== 'style' && element.localName !== 'default-style') return;
+                const properties = this.elementChildren(element).find(child => child.localName === 'text-properties');
+                const weight = properties?.getAttribute('fo:font-weight');
+                const size = properties?.getAttribute('fo:font-size');
+                const definition = {
+                    parent: element.getAttribute('style:parent-style-name'),
+                    heading: this.headingFromStyleName(element.getAttribute('style:display-name') || element.getAttribute('style:name')),
+                    bold: weight ? /bold|[6-9]00/.test(weight) : undefined,
+                    fontSize: /pt$/.test(size || '') ? parseFloat(size) : undefined
+                };
+                if (element.localName === 'default-style') {
+                    if (element.getAttribute('style:family') === 'paragraph') defaults = definition;
+                } else {
+                    definitions[element.getAttribute('style:name')] = definition;
+                }
+            });
+        });
+
+        return (name, inherited = {}) => {
+            const resolved = { bold: undefined, fontSize: undefined, heading: 0 };
+            for (let current = name, depth = 0; current && definitions[current] && depth < 10; current = definitions[current].parent, depth++) {
+                const definition = definitions[current];
+                if (resolved.bold === undefined) resolved.bold = definition.bold;
+                if (resolved.fontSize === undefined) resolved.fontSize = definition.fontSize;
+                resolved.heading = resolved.heading || definition.heading;
+            }
+            return {
+                bold: resolved.bold ?? inherited.bold ?? defaults.bold ?? false,
+                fontSize: resolved.fontSize ?? inherited.fontSize ?? defaults.fontSize,
+                heading: resolved.heading
+            };
+        };
+    }
+
+    walkODT(container, lines, styles, context) {
+        this.elementChildren(container).forEach(element => {
+            const name = element.localName;
+
+            if (name === 'h' || name === 'p') {
+                const style = styles(element.getAttribute('text:style-name'));
+                const heading = name === 'h' ? Number(element.getAttribute('text:outline-level')) || 1 : style.heading;
+                this.pushLines(lines, this.odtRuns(element, style, styles), {
+                    heading,
+                    bulleted: context.bulleted,
+                    paragraphStart: context.bulleted ? context.paragraphStart : true
+                });
+                context = { ...context, bulleted: false, paragraphStart: false };
+            } else if (name === 'list') {
+                this.elementChildren(element)
+                    .filter(child => child.localName === 'list-item' || child.localName === 'list-header')
+                    .forEach((item, index) => this.walkODT(item, lines, styles, { bulleted: item.localName === 'list-item', paragraphStart: index === 0 }));
+            } else if (name === 'table') {
+                Array.from(element.getElementsByTagName('*')).filter(child => child.localName === 'table-row').forEach((row, index) => {
+                    const cells = this.elementChildren(row)
+                        .filter(cell => cell.localName === 'table-cell')
+                        .map(cell => this.elementChildren(cell).flatMap(child => this.odtRuns(child, styles(child.getAttribute('text:style-name')), styles)))
+                        .filter(runs => runs.some(run => run.text.trim()));
+                    if (cells.length === 0) return;
+
+                    const runs = cells.flatMap((cellRuns, cellIndex) => [...(cellIndex > 0 ? [{ text: ' | ' }] : []), ...cellRuns.map(run => ({ ...run, text: run.text.replace(/\n/g, ' ') }))]);
+                    this.pushLines(lines, runs, { paragraphStart: index === 0 });
+                });
+            } else if (name === 'section' || name === 'list-item' || name === 'frame' || name === 'text-box') {
+                this.walkODT(element, lines, styles, context);
+            }
+        });
+    }
+
+    odtRuns(node, style, styles) {
+        if (node.nodeType === 3) return [{ text: node.textContent.replace(/\s+/g, ' '), bold: style.bold, fontSize: style.fontSize }];
+        if (node.nodeType !== 1) return [];
+
+        switch (node.localName) {
+            case 'line-break':
+                return [{ text: '\n' }];
+            case 'tab':
+                return [{ text: '\t', bold: style.bold, fontSize: style.fontSize }];
+            case 's':
+                return [{ text: ' '.repeat(Number(node.getAttribute('text:c')) || 1), bold: style.bold, fontSize: style.fontSize }];
+            case 'note':
+            case 'annotation':
+            case 'bookmark':
+                return [];
+            default: {
+                const inner = node.localName === 'span' ? styles(node.getAttribute('text:style-name'), style) : style;
+                const runs = Array.from(node.childNodes).flatMap(child => this.odtRuns(child, inner, styles));
+                if (node.localName === 'a' && node.getAttribute('xlink:href')) {
+                    const label = runs.map(run => run.text).join('').trim();
+                    const text = this.linkText(label, node.getAttribute('xlink:href'));
+                    return text === label ? runs : [{ text, bold: inner.bold, fontSize: inner.fontSize }];
+                }
+                return runs;
+            }
+        }
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer - DOCX file contents
+     * @returns {Promise<Object>} Layout built from paragraph styles, numbering, runs and tables
+     */
+    async fromDOCX(buffer) {
+        if (typeof window.JSZip === 'undefined') {
+            throw new Error('JSZip not loaded');
+        }
+
+        const zip = await window.JSZip.loadAsync(buffer);
+        const parser = new DOMParser();
+        const read = async path => {
+            const file = zip.file(path);
+            return file ? parser.parseFromString(await file.async('string'), 'application/xml') : null;
+        };
+
+        const documentDoc = await read('word/document.xml');
+        if (!documentDoc) {
+            throw new Error('DOCX file has no word/document.xml');
+        }
+
+        const relationships = await read('word/_rels/document.xml.rels');
+        const links = {};
+        if (relationships) {
+            Array.from(relationships.getElementsByTagName('*'))
+                .filter(element => element.localName === 'Relationship' && /hyperlink$/.test(element.getAttribute('Type') || ''))
+                .forEach(element => { links[element.getAttribute('Id')] = element.getAttribute('Target'); });
+        }
+
+        const context = { styles: this.readDOCXStyles(await read('word/styles.xml')), links, previousList: false };
+        const body = this.findByLocalName(documentDoc.documentElement, 'body');
+        const lines = [];
+        if (body) this.walkDOCX(body, lines, context);
+        return this.finish(lines);
+    }
+
+    /**
+     * Resolve paragraph and character styles through their basedOn chain
+     * @returns {Function} (style id, inherited style) → { bold, fontSize, heading, list }
+     */
+    readDOCXStyles(doc) {
+        const definitions = {};
+        let defaults = {};
+        let defaultParagraph = null;
+
+        if (doc) {
+            Array.from(doc.getElementsByTagName('*')).forEach(element => {
+                if (element.localName === 'docDefaults') {
+                    const rPr = this.findByLocalName(element, 'rPr');
+                    defaults = rPr ? this.docxRunProperties(rPr) : {};
+                } else if (element.localName === 'style') {
+                    const id = element.getAttribute('w:styleId');
+                    const pPr = this.childByLocalName(element, 'pPr');
+                    const rPr = this.childByLocalName(element, 'rPr');
+                    const outline = Number(this.docxValue(this.childByLocalName(pPr, 'outlineLvl')));
+                    definitions[id] = {
+                        basedOn: this.docxValue(this.childByLocalName(element, 'basedOn')),
+                        heading: this.headingFromStyleName(this.docxValue(this.childByLocalName(element, 'name'))) ||
+                            (outline < 9 && this.childByLocalName(pPr, 'outlineLvl') ? outline + 1 : 0),
+                        list: Boolean(this.childByLocalName(pPr, 'numPr')),
+                        ...(rPr ? this.docxRunProperties(rPr) : {})
+                    };
+                    if (element.getAttribute('w:type') === 'paragraph' && /^(1|true)$/.test(element.getAttribute('w:default') || '')) {
+                        defaultParagraph = id;
+                    }
+                }
+            });
+        }
+
+        const resolve = (id, inherited = {}) => {
+            const resolved = { bold: undefined, fontSize: undefined, heading: 0, list: false };
+            for (let current = id, depth = 0; current && definitions[current] && depth < 10; current = definitions[current].basedOn, depth++) {
+                const definition = definitions[current];
+                if (resolved.bold === undefined) resolved.bold = definition.bold;
+                if (resolved.fontSize === undefined) resolved.fontSize = definition.fontSize;
+                resolved.heading = resolved.heading || definition.heading;
+                resolved.list = resolved.list || definition.list;
+            }
+            return {
+                bold: resolved.bold ?? inherited.bold ?? defaults.bold ?? false,
+                fontSize: resolved.fontSize ?? inherited.fontSize ?? defaults.fontSize,
+                heading: resolved.heading,
+                list: resolved.list
+            };
+        };
+        resolve.defaultParagraph = defaultParagraph;
+        return resolve;
+    }
+
+    /**
+     * @returns {Object} { bold, fontSize, style } as set by a w:rPr element; unset properties are undefined
+     */
+    docxRunProperties(rPr) {
+        const bold = this.childByLocalName(rPr, 'b');
+        const size = this.docxValue(this.childByLocalName(rPr, 'sz'));
+        return {
+            bold: bold ? !/^(0|false|off)$/.test(this.docxValue(bold) || '') : undefined,
+            fontSize: size ? Number(size) / 2 : undefined,
+            style: this.docxValue(this.childByLocalName(rPr, 'rStyle')) || undefined
+        };
+    }
+
+    walkDOCX(container, lines, context) {
+        this.elementChildren(container).forEach(element => {
+            switch (element.localName) {
+                case 'p': {
+                    const paragraph = this.docxParagraph(element, context);
+                    const added = this.pushLines(lines, paragraph.runs, {
+                        heading: paragraph.heading,
+                        bulleted: paragraph.list,
+                        paragraphStart: !(paragraph.list && context.previousList)
+                    });
+                    if (added) context.previousList = paragraph.list;
+                    break;
+                }
+                case 'tbl':
+                    this.docxTable(element, lines, context);
+                    break;
+                case 'sdt':
+                case 'sdtContent':
+                case 'customXml':
+                case 'ins':
+                    this.walkDOCX(element, lines, context);
+                    break;
+                default:
+                    break;
+            }
+        });
+    }
+
+    /**
+     * @returns {Object} { runs, heading, list } for a w:p element
+     */
+    docxParagraph(element, context) {
+        const pPr = this.childByLocalName(element, 'pPr');
+        const style = context.styles(this.docxValue(this.childByLocalName(pPr, 'pStyle')) || context.styles.defaultParagraph);
+        const numPr = this.childByLocalName(pPr, 'numPr');
+        const outline = this.childByLocalName(pPr, 'outlineLvl');
+        const outlineLevel = outline ? Number(this.docxValue(outline)) : 9;
+
+        return {
+            runs: this.docxRuns(element, style, context),
+            heading: outlineLevel < 9 ? outlineLevel + 1 : style.heading,
+            // numId 0 switches off numbering a paragraph style would otherwise apply
+            list: numPr ? this.docxValue(this.findByLocalName(numPr, 'numId')) !== '0' : style.list
+        };
+    }
+
+    docxRuns(node, style, context) {
+        return this.elementChildren(node).flatMap(element => {
+            switch (element.localName) {
+                case 'r': {
+                    const properties = this.docxRunProperties(this.childByLocalName(element, 'rPr'));
+                    const base = properties.style ? context.styles(properties.style, style) : style;
+                    const run = { bold: properties.bold ?? base.bold, fontSize: properties.fontSize ?? base.fontSize };
+
+                    return this.elementChildren(element).map(child => {
+                        switch (child.localName) {
+                            case 't':
+                                return { ...run, text: child.textContent };
+                            case 'tab':
+                            case 'ptab':
+                                return { ...run, text: '\t' };
+                            case 'br':
+                            case 'cr':
+                                return { text: '\n' };
+                            case 'noBreakHyphen':
+                                return { ...run, text: '-' };
+                            default:
+                                return null;
+                        }
+                    }).filter(Boolean);
+                }
+                case 'hyperlink': {
+                    const runs = this.docxRuns(element, style, context);
+                    const url = context.links[element.getAttribute('r:id')];
+                    const label = runs.map(run => run.text).join('').trim();
+                    const text = url ? this.linkText(label, url) : label;
+                    return text === label ? runs : [{ ...runs[0], text }];
+                }
+                case 'ins':
+                case 'smartTag':
+                case 'fldSimple':
+                case 'customXml':
+                case 'sdt':
+                case 'sdtContent':
+                    return this.docxRuns(element, style, context);
+                default:
+                    return [];
+            }
+        });
+    }
+
+    /**
+     * Rows whose cells hold one paragraph each become "cell | cell" lines; layout tables, whose cells hold
+     * whole entries, are read cell by cell
+     */
+    docxTable(table, lines, context) {
+        this.elementChildren(table).filter(row => row.localName === 'tr').forEach((row, index) => {
+            const cells = this.elementChildren(row).filter(cell => cell.localName === 'tc');
+            const paragraphs = cells.map(cell => this.elementChildren(cell)
+                .filter(child => child.localName === 'p')
+                .map(paragraph => this.docxParagraph(paragraph, context))
+                .filter(paragraph => paragraph.runs.some(run => run.text.trim())));
+            const isLayout = cells.some((cell, cellIndex) => paragraphs[cellIndex].length > 1 ||
+                this.elementChildren(cell).some(child => child.localName === 'tbl'));
+
+            if (isLayout) {
+                cells.forEach(cell => this.walkDOCX(cell, lines, context));
+                return;
+            }
+
+            const filled = paragraphs.filter(cell => cell.length > 0);
+            if (filled.length === 0) return;
+            const runs = filled.flatMap((cell, cellIndex) => [...(cellIndex > 0 ? [{ text: '\t' }] : []), ...cell[0].runs]);
+            this.pushLines(lines, runs, {
+                heading: filled.length === 1 ? filled[0][0].heading : 0,
+                bulleted: filled.length === 1 && filled[0][0].list,
+                paragraphStart: index === 0
+            });
+            context.previousList = false;
+        });
+    }
+
+    childByLocalName(element, localName) {
+        return element ? this.elementChildren(element).find(child => child.localName === localName) || null : null;
+    }
+
+    docxValue(element) {
+        return element ? element.getAttribute('w:val') : null;
+    }
+
+    /**
+     * Element children of an XML node; not every XML DOM implements .children
+     */
+    elementChildren(node) {
+        return Array.from(node.childNodes).filter(child => child.nodeType === 1);
+    }
+
+    findByLocalName(root, localName) {
+        return Array.from(root.getElementsByTagName('*')).find(element => element.localName === localName) || null;
+    }
+
+    /**
+     * Turn styled runs into layout lines, one per line break; tabs become " | " as for PDF table cells
+     * @param {Array<Object>} lines - Lines collected so far
+     * @param {Array<Object>} runs - [{ text, bold, fontSize }]
+     * @param {Object} options - { heading, bulleted, paragraphStart }
+     * @returns {Object|null} The last line added
+     */
+    pushLines(lines, runs, options = {}) {
+        const segments = [[]];
+        runs.forEach(run => {
+            String(run.text || '').split('\n').forEach((part, index) => {
+                if (index > 0) segments.push([]);
+                if (part) segments[segments.length - 1].push({ ...run, text: part });
+            });
+        });
+
+        let added = null;
+        segments.forEach(segment => {
+            const text = segment.map(run => run.text).join('')
+                .split('\t').map(part => part.replace(/\s+/g, ' ').trim()).filter(Boolean).join(' | ')
+                .replace(/^([•●○◦▪■□‣∙·\-–*]) \| /, '$1 ');
+            if (!text) return;
+
+            const chars = predicate => segment.filter(predicate).reduce((sum, run) => sum + run.text.trim().length, 0);
+            const sizes = segment.filter(run => run.fontSize).map(run => [run.fontSize, run.text.trim().length]);
+            // List items and hand-typed bullets alike read "• ...", as the experience parser expects
+            const bulleted = (Boolean(options.bulleted) && !added) || this.bulletPattern.test(text);
+
+            added = {
+                text: bulleted ? `• ${text.replace(this.bulletPattern, '')}` : text,
+                fontSize: sizes.length > 0 ? window.pdfLayoutExtractor.weightedMode(sizes) : null,
+                bold: chars(run => run.bold) > chars(() => true) / 2,
+                bulleted,
+                heading: options.heading || 0,
+                paragraphStart: added ? false : options.paragraphStart !== false
+            };
+            lines.push(added);
+        });
+
+        return added;
+    }
+
+    /**
+     * Mark headings and assemble the plain text, as PDFLayoutExtractor.finish does
+     */
+    finish(lines) {
+        const extractor = window.pdfLayoutExtractor;
+        const body = extractor.weightedMode(lines.filter(line => !line.heading && line.fontSize).map(line => [line.fontSize, line.text.length])) || 10;
+        const sectionLevel = this.getSectionLevel(lines);
+
+        lines.forEach(line => {
+            const fontSize = line.fontSize || body;
+            if (line.heading && line.heading <= sectionLevel) {
+                // Section headings (and the name above them) must read as larger-than-body headings; Markdown and
+                // HTML carry no sizes, so they get the browser defaults
+                line.fontSize = line.fontSize ?
+                    Math.max(line.fontSize, body * this.sectionScale) :
+                    body * Math.max(this.headingScales[line.heading - 1], this.sectionScale);
+                line.bold = true;
+                line.headingLevel = 1;
+            } else if (line.heading) {
+                // Deeper headings title entries (a role, a degree, a project) inside a section
+                line.fontSize = Math.min(fontSize, body);
+                line.bold = true;
+                line.headingLevel = extractor.getHeadingLevel(line, body);
+            } else {
+                line.fontSize = fontSize;
+                line.headingLevel = extractor.getHeadingLevel(line, body);
+            }
+            line.isHeading = line.headingLevel > 0;
+            delete line.heading;
+        });
+
+        const styles = new Set(lines.map(line => `${line.fontSize}|${line.bold}`));
+        const text = lines
+            .map((line, index) => (line.paragraphStart && index > 0 ? '\n' : '') + line.text)
+            .join('\n');
+
+        return {
+            text,
+            lines,
+            bodyFontSize: body,
+            columns: [],
+            hasStyleCues: styles.size > 1
+        };
+    }
+
+    /**
+     * Deepest heading level used for section names such as "Experience"; headings below it title entries
+     */
+    getSectionLevel(lines) {
+        const levels = lines.filter(line => line.heading && this.sectionName.test(line.text)).map(line => line.heading);
+        return levels.length > 0 ? Math.max(...levels) : 2;
+    }
+}
+
+// Create global instance
+window.richTextExtractor = new RichTextExtractor();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RichTextExtractor;
+}
@@ -45,19 +45,7 @@ class SimplePDFGenerator {
 
     createPDF(resume, template, resolve, reject) {
         try {
-            let jsPDF;
-            
-            // Try different ways to access jsPDF
-            if (window.jsPDF && window.jsPDF.jsPDF) {
-                jsPDF = window.jsPDF.jsPDF;
-            } else if (window.jsPDF) {
-                jsPDF = window.jsPDF;
-            } else if (window.jspdf) {
-                jsPDF = window.jspdf.jsPDF || window.jspdf;
-            } else {
-                throw new Error('jsPDF not loaded');
-            }
-            
+            const jsPDF = this.resolveJsPDF();
             const doc = new jsPDF();
             
             // Set up styles based on template
@@ -119,28 +107,7 @@ class SimplePDFGenerator {
             };
             
             // HEADER - Name and Contact
-            if (resume.personalInfo?.name) {
-                doc.setFontSize(22);
-                doc.setFont('helvetica', 'bold');
-                doc.setTextColor(styles.primary.r, styles.primary.g, styles.primary.b);
-                doc.text(resume.personalInfo.name, margin, currentY);
-                currentY += 12;
-                
-                // Contact info
-                const contactParts = [];
-                if (resume.personalInfo.email) contactParts.push(resume.personalInfo.email);
-                if (resume.personalInfo.phone) contactParts.push(resume.personalInfo.phone);
-                if (resume.personalInfo.location) contactParts.push(resume.personalInfo.location);
-                if (resume.personalInfo.linkedin) contactParts.push(resume.personalInfo.linkedin);
-                
-                if (contactParts.length > 0) {
-                    doc.setFontSize(10);
-                    doc.setFont('helvetica', 'normal');
-                    doc.setTextColor(100, 100, 100);
-                    doc.text(contactParts.join(' | '), margin, currentY);
-                    currentY += 10;
-                }
-            }
+            currentY = this.addHeader(doc, resume.personalInfo, styles, margin, currentY);
             
             // SUMMARY
             if (resume.summary) {
@@ -237,36 +204,25 @@ class SimplePDFGenerator {
                 addSectionHeader('SKILLS');
                 doc.setTextColor(0, 0, 0);
                 
-                if (resume.skills.technical?.length > 0) {
-                    doc.setFontSize(10);
-                    doc.setFont('helvetica', 'bold');
-                    doc.text('Technical Skills:', margin, currentY);
-                    currentY += 6;
-                    
-                    doc.setFont('helvetica', 'normal');
-                    addWrappedText(resume.skills.technical.join(', '), margin, 10, 'normal');
-                    currentY += 3;
-                }
-                
-                if (resume.skills.soft?.length > 0) {
+                window.skillTaxonomy.groupSkills(resume.skills).forEach(group => {
                     doc.setFontSize(10);
                     doc.setFont('helvetica', 'bold');
-                    doc.text('Soft Skills:', margin, currentY);
+                    doc.text(`${group.label}:`, margin, currentY);
                     currentY += 6;
                     
                     doc.setFont('helvetica', 'normal');
-                    addWrappedText(resume.skills.soft.join(', '), margin, 10, 'normal');
+                    addWrappedText(group.skills.join(', '), margin, 10, 'normal');
                     currentY += 3;
-                }
+                });
                 
-                if (resume.skills.languages?.length > 0) {
+                if (resume.languages?.length > 0) {
                     doc.setFontSize(10);
                     doc.setFont('helvetica', 'bold');
                     doc.text('Languages:', margin, currentY);
                     currentY += 6;
                     
                     doc.setFont('helvetica', 'normal');
-                    addWrappedText(resume.skills.languages.join(', '), margin, 10, 'normal');
+                    addWrappedText(resume.languages.map(item => window.resumeSchema.formatLanguage(item)).join(', '), margin, 10, 'normal');
                 }
             }
             
@@ -300,6 +256,62 @@ class SimplePDFGenerator {
                 });
             }
             
+            // CERTIFICATIONS, AWARDS, PUBLICATIONS
+            [
+                ['CERTIFICATIONS', resume.certifications, item => [item.name, [item.issuer, item.date], '']],
+                ['AWARDS', resume.awards, item => [item.title, [item.awarder, item.date], item.summary]],
+                ['PUBLICATIONS', resume.publications, item => [item.name, [item.publisher, item.releaseDate], item.summary]]
+            ].forEach(([title, items, fields]) => {
+                if (!items?.length) return;
+                addSectionHeader(title);
+                
+                items.forEach(item => {
+                    checkPageBreak(15);
+                    const [name, details, summary] = fields(item);
+                    
+                    doc.setTextColor(0, 0, 0);
+                    addWrappedText(name || '', margin, 11, 'bold');
+                    
+                    const detailLine = details.filter(Boolean).join(' | ');
+                    if (detailLine) {
+                        doc.setTextColor(80, 80, 80);
+                        addWrappedText(detailLine, margin, 10, 'normal');
+                    }
+                    if (summary) {
+                        doc.setTextColor(0, 0, 0);
+                        addWrappedText(summary, margin, 10, 'normal');
+                    }
+                    currentY += 3;
+                });
+            });
+            
+            // VOLUNTEER EXPERIENCE
+            if (resume.volunteer?.length > 0) {
+                addSectionHeader('VOLUNTEER EXPERIENCE');
+                
+                resume.volunteer.forEach(item => {
+                    checkPageBreak(20);
+                    
+                    doc.setTextColor(0, 0, 0);
+                    addWrappedText([item.position, item.organization].filter(Boolean).join(' | '), margin, 11, 'bold');
+                    
+                    const dates = [item.startDate, item.endDate].filter(Boolean).join(' - ');
+                    if (dates) {
+                        doc.setTextColor(80, 80, 80);
+                        addWrappedText(dates, margin, 10, 'normal');
+                    }
+                    
+                    doc.setTextColor(0, 0, 0);
+                    if (item.summary) {
+                        addWrappedText(item.summary, margin, 10, 'normal');
+                    }
+                    (item.highlights || []).forEach(highlight => {
+                        addWrappedText(`• ${highlight}`, margin + 5, 10, 'normal');
+                    });
+                    currentY += 5;
+                });
+            }
+            
             // Convert to blob and resolve
             const pdfBlob = doc.output('blob');
             resolve(pdfBlob);
@@ -310,6 +322,93 @@ class SimplePDFGenerator {
         }
     }
     
+    resolveJsPDF() {
+        // Try different ways to access jsPDF
+        if (window.jsPDF && window.jsPDF.jsPDF) {
+            return window.jsPDF.jsPDF;
+        } else if (window.jsPDF) {
+            return window.jsPDF;
+        } else if (window.jspdf) {
+            return window.jspdf.jsPDF || window.jspdf;
+        }
+        throw new Error('jsPDF not loaded');
+    }
+
+    /**
+     * Draw the name and contact line shared by the resume and the cover letter
+     * @returns {number} Vertical position after the header
+     */
+    addHeader(doc, personalInfo, styles, margin, currentY) {
+        if (!personalInfo?.name) return currentY;
+
+        doc.setFontSize(22);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(styles.primary.r, styles.primary.g, styles.primary.b);
+        doc.text(personalInfo.name, margin, currentY);
+        currentY += 12;
+
+        // Contact info
+        const contactParts = [];
+        if (personalInfo.email) contactParts.push(personalInfo.email);
+        if (personalInfo.phone) contactParts.push(personalInfo.phone);
+        if (personalInfo.location) contactParts.push(personalInfo.location);
+        if (personalInfo.linkedin) contactParts.push(personalInfo.linkedin);
+
+        if (contactParts.length > 0) {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(100, 100, 100);
+            doc.text(contactParts.join(' | '), margin, currentY);
+            currentY += 10;
+        }
+
+        return currentY;
+    }
+
+    /**
+     * Generate a cover letter PDF styled like the resume template
+     * @param {string} letterText - Letter text; blank lines separate paragraphs
+     * @param {Object} resume - Resume data, used for the header
+     * @param {string} template - Template style (modern, ats, executive)
+     * @returns {Promise<Blob>} PDF blob
+     */
+    async generateCoverLetterPDF(letterText, resume, template = 'modern') {
+        return new Promise((resolve, reject) => {
+            try {
+                const jsPDF = this.resolveJsPDF();
+                const doc = new jsPDF();
+                const styles = this.getTemplateStyles(template);
+                const margin = 20;
+                const lineHeight = 6;
+                const pageHeight = doc.internal.pageSize.height;
+
+                let currentY = this.addHeader(doc, resume?.personalInfo, styles, margin, 20);
+
+                doc.setFontSize(11);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(0, 0, 0);
+
+                String(letterText || '').split(/\n\s*\n/).forEach(paragraph => {
+                    const lines = paragraph.split('\n').flatMap(line => doc.splitTextToSize(line.trim(), 170));
+                    lines.forEach(line => {
+                        if (currentY > pageHeight - 20) {
+                            doc.addPage();
+                            currentY = 20;
+                        }
+                        doc.text(line, margin, currentY);
+                        currentY += lineHeight;
+                    });
+                    currentY += lineHeight;
+                });
+
+                resolve(doc.output('blob'));
+            } catch (error) {
+                console.error('Cover letter PDF creation error:', error);
+                reject(new Error(`Cover letter PDF generation failed: ${error.message}`));
+            }
+        });
+    }
+
     getTemplateStyles(template) {
         const styles = {
             modern: {
@@ -0,0 +1,304 @@
+/**
+ * Skill Gap Analyzer
+ * Compares the skills a job asks for with the evidence in a resume and reports
+ * missing, weak and adjacent skills with learning suggestions
+ */
+
+class SkillGapAnalyzer {
+    constructor() {
+        // Sections where a skill counts as demonstrated rather than just listed
+        this.evidenceSections = ['experience', 'projects'];
+        this.sections = ['summary', 'experience', 'projects', 'skills', 'education'];
+
+        this.suggestions = {
+            language: skill => `Build a small project in ${skill} and work through its official tutorial`,
+            framework: skill => `Follow the official ${skill} getting-started guide and ship a small app with it`,
+            database: skill => `Model a sample dataset in ${skill} and practise common queries and indexing`,
+            cloud: skill => `Deploy a side project with ${skill}; consider a fundamentals certification`,
+            tool: skill => `Use ${skill} in a personal or team project to get hands-on familiarity`,
+            practice: skill => `Read up on ${skill} and apply it to a current project you can describe in interviews`,
+            soft: skill => `Prepare a STAR story that shows ${skill} and ask for feedback on it`,
+            other: skill => `Find a course or hands-on project covering ${skill}`
+        };
+    }
+
+    /**
+     * Build a gap report
+     * @param {Object} resume - Resume to assess
+     * @param {Object} jobAnalysis - JobAnalyzerAgent output, may be null
+     * @param {Object} jobPosting - JobDescriptionParser output, may be null
+     * @returns {Object} { job, summary, experience, missing, weak, adjacent, strong }; experience compares
+     *                   the resume's total years with the posting's requirement and may be null
+     */
+    analyze(resume, jobAnalysis, jobPosting) {
+        const wanted = this.collectWantedSkills(jobAnalysis, jobPosting);
+        const texts = this.collectSectionTexts(resume);
+        const candidateSkills = this.collectCandidateSkills(resume, texts);
+
+        const missing = [];
+        const weak = [];
+        const strong = [];
+        const adjacent = [];
+
+        wanted.forEach(({ skill, importance }) => {
+            const evidence = this.measureEvidence(skill, texts);
+            const category = window.skillTaxonomy.getCategory(skill);
+
+            if (evidence.mentions === 0) {
+                const related = this.findAdjacent(skill, candidateSkills);
+                missing.push({
+                    skill,
+                    importance,
+                    category,
+                    adjacent: related,
+                    suggestion: this.suggest(skill, category, related)
+                });
+                related.forEach(item => adjacent.push({ skill, importance, have: item.skill, relation: item.relation }));
+                return;
+            }
+
+            const skillsOnly = evidence.sections.includes('skills') &&
+                !evidence.sections.some(section => this.evidenceSections.includes(section));
+            if (evidence.mentions === 1 || skillsOnly) {
+                weak.push({
+                    skill,
+                    importance,
+                    category,
+                    mentions: evidence.mentions,
+                    sections: evidence.sections,
+                    reason: skillsOnly ? 'skills-only' : 'single-mention'
+                });
+            } else {
+                strong.push({ skill, importance, mentions: evidence.mentions, sections: evidence.sections });
+            }
+        });
+
+        const requiredTotal = wanted.filter(item => item.importance === 'required').length;
+        const requiredMissing = missing.filter(item => item.importance === 'required').length;
+
+        return {
+            job: {
+                title: jobPosting?.title || '',
+                company: jobPosting?.company || '',
+                seniority: jobAnalysis?.experienceLevel || jobPosting?.seniority || ''
+            },
+            summary: {
+                requiredTotal,
+                requiredCovered: requiredTotal - requiredMissing,
+                preferredTotal: wanted.length - requiredTotal,
+                preferredCovered: wanted.length - requiredTotal - (missing.length - requiredMissing),
+                source: jobAnalysis ? 'ai' : 'heuristic'
+            },
+            experience: window.resumeTimeline.compareToRequirement(
+                window.resumeTimeline.build(resume),
+                jobPosting?.yearsOfExperience
+            ),
+            missing,
+            weak,
+            adjacent,
+            strong,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Required and preferred skills from the AI job analysis, falling back to the parsed posting
+     * @returns {Array<Object>} [{ skill, importance }] with canonical names, required first
+     */
+    collectWantedSkills(jobAnalysis, jobPosting) {
+        const required = [
+            ...(jobAnalysis?.mustHaveSkills || []),
+            ...(jobAnalysis?.techStack || []),
+            ...(jobPosting?.skills?.required || [])
+        ];
+        const preferred = [
+            ...(jobAnalysis?.niceToHaveSkills || []),
+            ...(jobPosting?.skills?.preferred || [])
+        ];
+
+        const seen = new Map();
+        const add = (value, importance) => {
+            this.toSkills(value).forEach(skill => {
+                const key = skill.toLowerCase();
+                if (!seen.has(key)) seen.set(key, { skill, importance });
+            });
+        };
+        required.forEach(value => add(value, 'required'));
+        preferred.forEach(value => add(value, 'preferred'));
+
+        return [...seen.values()];
+    }
+
+    /**
+     * The AI sometimes returns phrases ("5+ years of React experience"); pull the skills out of them
+     */
+    toSkills(value) {
+        if (typeof value !== 'string' || !value.trim()) return [];
+        if (window.skillTaxonomy.lookup(value)) return [window.skillTaxonomy.normalize(value)];
+
+        const found = [...window.skillTaxonomy.findInText(value)];
+        if (found.length > 0) return found;
+        return value.trim().split(/\s+/).length <= 3 ? [value.trim()] : [];
+    }
+
+    collectSectionTexts(resume) {
+        const texts = {};
+        this.sections.forEach(section => {
+            texts[section] = this.collectStrings(resume?.[section]);
+        });
+        return texts;
+    }
+
+    collectStrings(value) {
+        if (typeof value === 'string') return value.trim() ? [value] : [];
+        if (Array.isArray(value)) return value.flatMap(item => this.collectStrings(item));
+        if (value && typeof value === 'object') return Object.values(value).flatMap(item => this.collectStrings(item));
+        return [];
+    }
+
+    /**
+     * Count the resume strings (bullets, descriptions, skill entries) that mention a skill
+     * @returns {Object} { mentions, sections }
+     */
+    measureEvidence(skill, texts) {
+        let mentions = 0;
+        const sections = [];
+
+        this.sections.forEach(section => {
+            const count = texts[section].filter(text => window.skillTaxonomy.mentions(text, skill)).length;
+            if (count > 0) {
+                mentions += count;
+                sections.push(section);
+            }
+        });
+
+        return { mentions, sections };
+    }
+
+    collectCandidateSkills(resume, texts) {
+        const listed = [
+            ...(resume?.skills?.technical || []),
+            ...(resume?.skills?.soft || []),
+            ...(resume?.projects || []).flatMap(project => project.technologies || [])
+        ];
+        const mentioned = window.skillTaxonomy.findInText(this.sections.flatMap(section => texts[section]).join('\n'));
+        return window.skillTaxonomy.normalizeList([...listed, ...mentioned]);
+    }
+
+    /**
+     * Skills the candidate has that are a parent, child or same-category sibling of a missing skill,
+     * closest ancestor first
+     * @returns {Array<Object>} [{ skill, relation }]
+     */
+    findAdjacent(skill, candidateSkills) {
+        const taxonomy = window.skillTaxonomy;
+        const ancestors = taxonomy.getAncestors(skill);
+        const distance = item => item.relation === 'parent' ? ancestors.indexOf(item.skill) : ancestors.length;
+
+        return candidateSkills
+            .map(have => ({ skill: have, relation: taxonomy.relation(have, skill) }))
+            .filter(item => item.relation && item.relation !== 'exact')
+            .filter(item => item.relation !== 'sibling' || taxonomy.getCategory(item.skill) === taxonomy.getCategory(skill))
+            .sort((a, b) => distance(a) - distance(b));
+    }
+
+    suggest(skill, category, adjacent) {
+        const suggestion = (this.suggestions[category] || this.suggestions.other)(skill);
+        const builtOn = adjacent.find(item => item.relation === 'parent' || item.relation === 'sibling');
+        return builtOn ? `${suggestion}. It builds on your ${builtOn.skill} experience` : suggestion;
+    }
+
+    /**
+     * One line on the years-of-experience requirement, e.g. "7.5 years against 5+ required"
+     * @param {Object} experience - report.experience
+     * @returns {string} Description, empty without a comparison
+     */
+    describeExperience(experience) {
+        if (!experience) return '';
+        const required = `${experience.min}${experience.max ? `–${experience.max}` : '+'} required`;
+        const verdict = experience.meets ?
+            (experience.exceeds ? 'above the stated range' : 'meets the requirement') :
+            `${experience.shortBy} ${experience.shortBy === 1 ? 'year' : 'years'} short`;
+        return `${experience.years} years against ${required} (${verdict})`;
+    }
+
+    describeRelation(relation) {
+        return {
+            parent: 'foundation for',
+            child: 'specialization of',
+            sibling: 'closely related to'
+        }[relation] || 'related to';
+    }
+
+    /**
+     * Render a report as Markdown for coaching sessions
+     * @param {Object} report - Result of analyze()
+     * @returns {string} Markdown document
+     */
+    toMarkdown(report) {
+        const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const role = [report.job.title, report.job.company].filter(Boolean).join(' at ');
+        const lines = ['# Skill Gap Report', ''];
+
+        if (role) lines.push(`**Role:** ${role}  `);
+        if (report.job.seniority) lines.push(`**Seniority:** ${report.job.seniority}  `);
+        lines.push(`**Generated:** ${new Date(report.generatedAt).toLocaleDateString()}`, '');
+
+        lines.push('## Summary', '');
+        lines.push(`- Required skills covered: ${report.summary.requiredCovered}/${report.summary.requiredTotal}`);
+        lines.push(`- Preferred skills covered: ${report.summary.preferredCovered}/${report.summary.preferredTotal}`);
+        if (report.experience) lines.push(`- Experience: ${this.describeExperience(report.experience)}`);
+        lines.push(`- Weakly evidenced skills: ${report.weak.length}`);
+        lines.push(`- Adjacent skills to reframe: ${report.adjacent.length}`, '');
+
+        lines.push('## Missing Skills', '');
+        if (report.missing.length === 0) {
+            lines.push('None: every skill in the posting appears in the resume.', '');
+        } else {
+            lines.push('| Skill | Importance | Category | Learning suggestion |', '| --- | --- | --- | --- |');
+            report.missing.forEach(item => {
+                lines.push(`| ${cell(item.skill)} | ${item.importance} | ${cell(window.skillTaxonomy.categories[item.category] || item.category)} | ${cell(item.suggestion)} |`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## Weak Skills', '');
+        if (report.weak.length === 0) {
+            lines.push('None.', '');
+        } else {
+            report.weak.forEach(item => {
+                const reason = item.reason === 'skills-only' ?
+                    'only listed under Skills; add an experience or project bullet that shows it in use' :
+                    `mentioned once (${item.sections.join(', ')}); add more concrete evidence`;
+                lines.push(`- **${item.skill}** (${item.importance}): ${reason}`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## Adjacent Skills to Reframe', '');
+        if (report.adjacent.length === 0) {
+            lines.push('None.', '');
+        } else {
+            report.adjacent.forEach(item => {
+                lines.push(`- **${item.skill}** (${item.importance}): you have **${item.have}**, ${this.describeRelation(item.relation)} ${item.skill}`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## Strong Matches', '');
+        lines.push(report.strong.length === 0 ?
+            'None.' :
+            report.strong.map(item => `- **${item.skill}**: ${item.mentions} mentions (${item.sections.join(', ')})`).join('\n'));
+        lines.push('');
+
+        return lines.join('\n');
+    }
+}
+
+// Create global instance
+window.skillGapAnalyzer = new SkillGapAnalyzer();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkillGapAnalyzer;
+}
@@ -0,0 +1,413 @@
+/**
+ * Skill Taxonomy
+ * Canonical skill names with aliases, categories and parent relations, used to
+ * normalize free-text skills and match them across resumes and job postings
+ */
+
+class SkillTaxonomy {
+    constructor() {
+        this.categories = {
+            language: 'Programming Languages',
+            framework: 'Frameworks & Libraries',
+            database: 'Databases',
+            cloud: 'Cloud & DevOps',
+            tool: 'Tools',
+            practice: 'Practices',
+            soft: 'Soft Skills',
+            other: 'Other'
+        };
+
+        this.entries = new Map();
+        this.aliasIndex = new Map();
+        this.extend(SkillTaxonomy.BUILT_IN);
+    }
+
+    /**
+     * Add or update skills; existing entries keep their aliases and gain the new ones
+     * @param {Array<Object>} entries - [{ name, category, aliases, acronyms, parent, caseSensitive, needsContext }]
+     *   acronyms are matched case-sensitively, for names that are also common words ("REST", "GO");
+     *   caseSensitive does the same for the canonical name itself ("Go", "Swift", "C");
+     *   needsContext only counts those case-sensitive matches inside a sentence about technology
+     */
+    extend(entries) {
+        entries.forEach(entry => {
+            if (!entry || !entry.name) return;
+
+            const existing = this.entries.get(entry.name.toLowerCase());
+            const merged = {
+                name: entry.name,
+                category: entry.category || existing?.category || 'other',
+                parent: entry.parent !== undefined ? entry.parent : (existing?.parent || null),
+                aliases: [...new Set([...(existing?.aliases || []), ...(entry.aliases || [])].map(alias => alias.toLowerCase()))],
+                acronyms: [...new Set([...(existing?.acronyms || []), ...(entry.acronyms || [])])],
+                caseSensitive: entry.caseSensitive ?? existing?.caseSensitive ?? false,
+                needsContext: entry.needsContext ?? existing?.needsContext ?? false
+            };
+            if (merged.caseSensitive) {
+                merged.acronyms = [...new Set([merged.name, ...merged.acronyms])];
+            }
+            const lowerNames = merged.caseSensitive ? merged.aliases : [merged.name.toLowerCase(), ...merged.aliases];
+            merged.pattern = lowerNames.length > 0 ? this.buildPattern(lowerNames) : null;
+
+            this.entries.set(merged.name.toLowerCase(), merged);
+            [merged.name, ...merged.aliases, ...merged.acronyms].forEach(alias => {
+                this.aliasIndex.set(alias.toLowerCase(), merged);
+            });
+        });
+    }
+
+    /**
+     * @param {string} name - Skill as written
+     * @returns {Object|null} Taxonomy entry
+     */
+    lookup(name) {
+        if (typeof name !== 'string') return null;
+        const cleaned = name.trim().toLowerCase();
+        if (!cleaned) return null;
+
+        return this.aliasIndex.get(cleaned) ||
+            this.aliasIndex.get(this.stripQualifiers(cleaned)) ||
+            null;
+    }
+
+    /**
+     * Canonical name for a skill, or the trimmed input if it is not in the taxonomy
+     * @param {string} name - Skill as written ("React.js", "JavaScript (ES6+)")
+     * @returns {string} Canonical name ("React", "JavaScript")
+     */
+    normalize(name) {
+        const entry = this.lookup(name);
+        return entry ? entry.name : String(name ?? '').trim();
+    }
+
+    /**
+     * Normalize a list of skills and drop duplicates, keeping the first occurrence's position
+     * @param {Array<string>} names - Skills
+     * @returns {Array<string>} Canonical skills
+     */
+    normalizeList(names) {
+        const seen = new Set();
+        return (Array.isArray(names) ? names : [])
+            .filter(name => typeof name === 'string' && name.trim())
+            .map(name => this.normalize(name))
+            .filter(name => {
+                const key = name.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    getCategory(name) {
+        return this.lookup(name)?.category || 'other';
+    }
+
+    /**
+     * @returns {Array<string>} Parent chain, closest first (Next.js → React → JavaScript)
+     */
+    getAncestors(name) {
+        const ancestors = [];
+        let entry = this.lookup(name);
+        while (entry && entry.parent && !ancestors.includes(entry.parent)) {
+            ancestors.push(entry.parent);
+            entry = this.lookup(entry.parent);
+        }
+        return ancestors;
+    }
+
+    getChildren(name) {
+        const canonical = this.normalize(name);
+        return [...this.entries.values()].filter(entry => entry.parent === canonical).map(entry => entry.name);
+    }
+
+    /**
+     * How two skills relate in the taxonomy
+     * @param {string} a - First skill
+     * @param {string} b - Second skill
+     * @returns {string|null} 'exact', 'parent' (a is an ancestor of b), 'child', 'sibling' or null
+     */
+    relation(a, b) {
+        const nameA = this.normalize(a);
+        const nameB = this.normalize(b);
+        if (!nameA || !nameB) return null;
+        if (nameA.toLowerCase() === nameB.toLowerCase()) return 'exact';
+        if (this.getAncestors(nameB).includes(nameA)) return 'parent';
+        if (this.getAncestors(nameA).includes(nameB)) return 'child';
+
+        const parentA = this.lookup(nameA)?.parent;
+        if (parentA && parentA === this.lookup(nameB)?.parent) return 'sibling';
+        return null;
+    }
+
+    /**
+     * Canonical skills mentioned anywhere in a text
+     * @param {string} text - Free text
+     * @returns {Set<string>} Canonical names in taxonomy order
+     */
+    findInText(text) {
+        const found = new Set();
+        const raw = String(text || '');
+        const lower = raw.toLowerCase();
+
+        this.entries.forEach(entry => {
+            if (this.entryMatches(entry, raw, lower)) {
+                found.add(entry.name);
+            }
+        });
+
+        return found;
+    }
+
+    /**
+     * Whether a text mentions a skill under any of its names
+     * @param {string} text - Free text
+     * @param {string} name - Skill
+     * @returns {boolean}
+     */
+    mentions(text, name) {
+        const entry = this.lookup(name);
+        const raw = String(text || '');
+        if (!entry) {
+            return this.buildPattern([String(name).toLowerCase()]).test(raw.toLowerCase());
+        }
+        return this.entryMatches(entry, raw, raw.toLowerCase());
+    }
+
+    entryMatches(entry, raw, lower) {
+        return (entry.pattern !== null && entry.pattern.test(lower)) ||
+            entry.acronyms.some(acronym => this.containsAcronym(raw, acronym, entry.needsContext));
+    }
+
+    /**
+     * Group a resume's technical and soft skills by taxonomy category
+     * Unknown technical skills go to "Other", or to "Technical Skills" when nothing was categorized
+     * @param {Object} skills - resume.skills
+     * @returns {Array<Object>} [{ category, label, skills }] in category order
+     */
+    groupSkills(skills) {
+        const groups = {};
+        const seen = new Set();
+        const add = (name, fallbackCategory) => {
+            if (typeof name !== 'string' || !name.trim() || seen.has(name.toLowerCase())) return;
+            seen.add(name.toLowerCase());
+            const category = this.lookup(name)?.category || fallbackCategory;
+            (groups[category] = groups[category] || []).push(name);
+        };
+
+        (skills?.technical || []).forEach(name => add(name, 'other'));
+        (skills?.soft || []).forEach(name => add(name, 'soft'));
+
+        const ordered = Object.keys(this.categories)
+            .filter(category => groups[category])
+            .map(category => ({ category, label: this.categories[category], skills: groups[category] }));
+
+        if (groups.other && ordered.every(group => group.category === 'other' || group.category === 'soft')) {
+            const other = ordered.pop();
+            other.label = 'Technical Skills';
+            ordered.unshift(other);
+        }
+        return ordered;
+    }
+
+    /**
+     * Drop qualifiers that don't change the skill: "(ES6+)", "3.x", "v18", trailing "+"
+     */
+    stripQualifiers(name) {
+        return name
+            .replace(/\s*\([^)]*\)/g, '')
+            .replace(/\s+v?\d+(\.\d+|\.x)*\+?$/i, '')
+            .replace(/\s*\+$/, '')
+            .trim();
+    }
+
+    // A name right after a dot is the end of a dotted name: "js" in "node.js" is not JavaScript
+    buildPattern(aliases) {
+        const escaped = aliases.map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(^|[^a-z0-9+#.])(${escaped.join('|')})(?=$|[^a-z0-9+#])`);
+    }
+
+    /**
+     * Case-sensitive match; "C" must not match "C++", "C-level" or "R&D"
+     * @param {boolean} needsContext - Only count matches in a technical context
+     */
+    containsAcronym(text, acronym, needsContext = false) {
+        const escaped = acronym.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[^A-Za-z0-9+#&-])${escaped}(?=$|[^A-Za-z0-9+#&-])`, 'g');
+        return [...text.matchAll(pattern)].some(match => !needsContext ||
+            this.inTechnicalContext(text, match.index + match[1].length, acronym.length));
+    }
+
+    /**
+     * Whether a word that is also ordinary English ("Go beyond", "Express your ideas",
+     * "Spring 2020", "Security clearance") is used as a skill: on a line of its own, as in a
+     * skills list, or next to a list separator, after "in", "with" or "using", before a word
+     * like "services", "developer" or "experience", or in a sentence that names another skill
+     */
+    inTechnicalContext(text, start, length) {
+        const boundaries = [...text.slice(0, start).matchAll(/[.!?;](?=\s)|\n/g)];
+        const sentenceStart = boundaries.length ? boundaries[boundaries.length - 1].index + 1 : 0;
+        const before = text.slice(sentenceStart, start);
+        const after = text.slice(start + length);
+        const sentenceEnd = after.search(/[.!?;](?=\s|$)|\n/);
+        const rest = sentenceEnd >= 0 ? after.slice(0, sentenceEnd) : after;
+
+        const isLineStart = /^[\s•*·"'-]*$/.test(before);
+        if (isLineStart && !rest.trim()) return true;
+        if (/(^|[^A-Za-z])(in|with|using)\s+$|[,/(+&]\s*$/i.test(before) || /^\s*[,/)]/.test(rest)) return true;
+        if (/^\s+(services?|microservices|apis?|code|backend|apps?|applications?|developers?|engineers?|engineering|programming|projects?|stack|experience|expertise|skills|proficiency)\b/i.test(rest)) return true;
+
+        const sentence = `${before} ${rest}`;
+        const lower = sentence.toLowerCase();
+        return [...this.entries.values()].some(entry => !entry.needsContext && this.entryMatches(entry, sentence, lower));
+    }
+}
+
+SkillTaxonomy.BUILT_IN = [
+    // Languages
+    { name: 'JavaScript', category: 'language', aliases: ['js', 'ecmascript', 'es6', 'es2015', 'javascript es6'] },
+    { name: 'TypeScript', category: 'language', aliases: ['ts'], parent: 'JavaScript' },
+    { name: 'Python', category: 'language', aliases: ['python3', 'py'] },
+    { name: 'Java', category: 'language', aliases: ['java se', 'java ee', 'j2ee'] },
+    { name: 'Kotlin', category: 'language', parent: 'Java' },
+    { name: 'Scala', category: 'language' },
+    { name: 'C', category: 'language', aliases: ['ansi c'], caseSensitive: true },
+    { name: 'C++', category: 'language', aliases: ['cpp'] },
+    { name: 'C#', category: 'language', aliases: ['csharp', 'c sharp'] },
+    { name: 'Go', category: 'language', aliases: ['golang'], acronyms: ['GO'], caseSensitive: true, needsContext: true },
+    { name: 'Rust', category: 'language', caseSensitive: true, needsContext: true },
+    { name: 'Ruby', category: 'language', caseSensitive: true },
+    { name: 'PHP', category: 'language' },
+    { name: 'Swift', category: 'language', caseSensitive: true, needsContext: true },
+    { name: 'Objective-C', category: 'language', aliases: ['objective c', 'objc'] },
+    { name: 'R', category: 'language', aliases: ['r language', 'rstats'], caseSensitive: true },
+    { name: 'SQL', category: 'language', aliases: ['structured query language'] },
+    { name: 'Bash', category: 'language', aliases: ['shell scripting', 'bash scripting'] },
+    { name: 'HTML', category: 'language', aliases: ['html5'] },
+    { name: 'CSS', category: 'language', aliases: ['css3'] },
+    { name: 'Sass', category: 'language', aliases: ['scss'], parent: 'CSS' },
+
+    // Frameworks & libraries
+    { name: 'React', category: 'framework', aliases: ['react.js', 'reactjs', 'react js'], parent: 'JavaScript' },
+    { name: 'Next.js', category: 'framework', aliases: ['nextjs', 'next js'], parent: 'React' },
+    { name: 'Redux', category: 'framework', aliases: ['redux toolkit'], parent: 'React' },
+    { name: 'React Native', category: 'framework', parent: 'React' },
+    { name: 'Angular', category: 'framework', aliases: ['angularjs', 'angular.js'], parent: 'TypeScript' },
+    { name: 'Vue.js', category: 'framework', aliases: ['vue', 'vuejs', 'vue js'], parent: 'JavaScript' },
+    { name: 'Svelte', category: 'framework', parent: 'JavaScript' },
+    { name: 'jQuery', category: 'framework', aliases: ['jquery'], parent: 'JavaScript' },
+    { name: 'Node.js', category: 'framework', aliases: ['nodejs', 'node js'], parent: 'JavaScript' },
+    { name: 'Express', category: 'framework', aliases: ['express.js', 'expressjs'], parent: 'Node.js', caseSensitive: true, needsContext: true },
+    { name: 'NestJS', category: 'framework', aliases: ['nest.js', 'nestjs'], parent: 'Node.js' },
+    { name: 'Django', category: 'framework', parent: 'Python' },
+    { name: 'Flask', category: 'framework', parent: 'Python', caseSensitive: true, needsContext: true },
+    { name: 'FastAPI', category: 'framework', aliases: ['fast api'], parent: 'Python' },
+    { name: 'Pandas', category: 'framework', parent: 'Python' },
+    { name: 'NumPy', category: 'framework', aliases: ['numpy'], parent: 'Python' },
+    { name: 'TensorFlow', category: 'framework', aliases: ['tensorflow'], parent: 'Python' },
+    { name: 'PyTorch', category: 'framework', aliases: ['pytorch', 'torch'], parent: 'Python' },
+    { name: 'scikit-learn', category: 'framework', aliases: ['sklearn', 'scikit learn'], parent: 'Python' },
+    { name: 'Spring', category: 'framework', aliases: ['spring boot', 'spring framework', 'springboot'], parent: 'Java', caseSensitive: true, needsContext: true },
+    { name: 'Ruby on Rails', category: 'framework', aliases: ['rails', 'ror'], parent: 'Ruby' },
+    { name: 'Laravel', category: 'framework', parent: 'PHP' },
+    { name: '.NET', category: 'framework', aliases: ['dotnet', 'asp.net', '.net core', 'asp.net core'], parent: 'C#' },
+    { name: 'GraphQL', category: 'framework' },
+    { name: 'REST APIs', category: 'practice', aliases: ['restful', 'rest api', 'rest apis', 'restful apis', 'restful services'], acronyms: ['REST'] },
+    { name: 'Tailwind CSS', category: 'framework', aliases: ['tailwind', 'tailwindcss'], parent: 'CSS' },
+    { name: 'Jest', category: 'tool', parent: 'JavaScript' },
+    { name: 'Cypress', category: 'tool', parent: 'JavaScript' },
+    { name: 'Selenium', category: 'tool' },
+
+    // Databases
+    { name: 'PostgreSQL', category: 'database', aliases: ['postgres', 'psql'], parent: 'SQL' },
+    { name: 'MySQL', category: 'database', aliases: ['mariadb'], parent: 'SQL' },
+    { name: 'SQL Server', category: 'database', aliases: ['mssql', 'ms sql', 'microsoft sql server', 't-sql'], parent: 'SQL' },
+    { name: 'Oracle Database', category: 'database', aliases: ['oracle db', 'pl/sql'], acronyms: ['Oracle'], parent: 'SQL' },
+    { name: 'SQLite', category: 'database', parent: 'SQL' },
+    { name: 'MongoDB', category: 'database', aliases: ['mongo'] },
+    { name: 'Redis', category: 'database' },
+    { name: 'Elasticsearch', category: 'database', aliases: ['elastic search', 'elk', 'opensearch'] },
+    { name: 'DynamoDB', category: 'database', aliases: ['dynamo db'], parent: 'AWS' },
+    { name: 'Cassandra', category: 'database', aliases: ['apache cassandra'] },
+    { name: 'Snowflake', category: 'database' },
+    { name: 'BigQuery', category: 'database', aliases: ['big query'], parent: 'GCP' },
+
+    // Cloud & DevOps
+    { name: 'AWS', category: 'cloud', aliases: ['amazon web services'] },
+    { name: 'AWS Lambda', category: 'cloud', aliases: ['aws lambda'], acronyms: ['Lambda'], parent: 'AWS' },
+    { name: 'Amazon S3', category: 'cloud', aliases: ['s3'], parent: 'AWS' },
+    { name: 'Amazon EC2', category: 'cloud', aliases: ['ec2'], parent: 'AWS' },
+    { name: 'Azure', category: 'cloud', aliases: ['microsoft azure'] },
+    { name: 'GCP', category: 'cloud', aliases: ['google cloud', 'google cloud platform'] },
+    { name: 'Docker', category: 'cloud', aliases: ['containerization'] },
+    { name: 'Kubernetes', category: 'cloud', aliases: ['k8s', 'eks', 'gke', 'aks'], parent: 'Docker' },
+    { name: 'Helm', category: 'cloud', parent: 'Kubernetes', caseSensitive: true, needsContext: true },
+    { name: 'Terraform', category: 'cloud', parent: 'Infrastructure as Code' },
+    { name: 'CloudFormation', category: 'cloud', aliases: ['cloud formation'], parent: 'Infrastructure as Code' },
+    { name: 'Ansible', category: 'cloud', parent: 'Infrastructure as Code' },
+    { name: 'Infrastructure as Code', category: 'practice', aliases: ['iac'] },
+    { name: 'CI/CD', category: 'practice', aliases: ['ci cd', 'cicd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+    { name: 'Jenkins', category: 'cloud', parent: 'CI/CD' },
+    { name: 'GitHub Actions', category: 'cloud', parent: 'CI/CD' },
+    { name: 'GitLab CI', category: 'cloud', aliases: ['gitlab ci/cd'], parent: 'CI/CD' },
+    { name: 'Linux', category: 'cloud', aliases: ['unix', 'ubuntu', 'centos', 'rhel'] },
+    { name: 'Kafka', category: 'cloud', aliases: ['apache kafka'] },
+    { name: 'RabbitMQ', category: 'cloud', aliases: ['rabbit mq'] },
+    { name: 'Nginx', category: 'cloud' },
+    { name: 'Prometheus', category: 'cloud' },
+    { name: 'Grafana', category: 'cloud' },
+    { name: 'Datadog', category: 'cloud', aliases: ['data dog'] },
+
+    // Tools
+    { name: 'Git', category: 'tool', aliases: ['version control'] },
+    { name: 'GitHub', category: 'tool', parent: 'Git' },
+    { name: 'GitLab', category: 'tool', parent: 'Git' },
+    { name: 'Bitbucket', category: 'tool', parent: 'Git' },
+    { name: 'Jira', category: 'tool', aliases: ['atlassian jira'] },
+    { name: 'Confluence', category: 'tool' },
+    { name: 'Figma', category: 'tool' },
+    { name: 'Webpack', category: 'tool', parent: 'JavaScript' },
+    { name: 'Vite', category: 'tool', parent: 'JavaScript' },
+    { name: 'Postman', category: 'tool' },
+    { name: 'Excel', category: 'tool', aliases: ['microsoft excel', 'ms excel'] },
+    { name: 'Tableau', category: 'tool' },
+    { name: 'Power BI', category: 'tool', aliases: ['powerbi'] },
+
+    // Practices
+    { name: 'Machine Learning', category: 'practice', aliases: ['ml'] },
+    { name: 'Deep Learning', category: 'practice', parent: 'Machine Learning' },
+    { name: 'Natural Language Processing', category: 'practice', aliases: ['nlp'], parent: 'Machine Learning' },
+    { name: 'Computer Vision', category: 'practice', parent: 'Machine Learning' },
+    { name: 'Data Analysis', category: 'practice', aliases: ['data analytics'] },
+    { name: 'Data Engineering', category: 'practice', aliases: ['etl', 'data pipelines'] },
+    { name: 'Microservices', category: 'practice', aliases: ['microservice', 'micro-services', 'microservice architecture'] },
+    { name: 'System Design', category: 'practice', aliases: ['distributed systems', 'software architecture'] },
+    { name: 'Agile', category: 'practice', aliases: ['agile methodologies'] },
+    { name: 'Scrum', category: 'practice', parent: 'Agile' },
+    { name: 'Kanban', category: 'practice', parent: 'Agile' },
+    { name: 'Testing', category: 'practice', aliases: ['unit testing', 'test automation', 'automated testing'] },
+    { name: 'Test-Driven Development', category: 'practice', aliases: ['tdd', 'test driven development'], parent: 'Testing' },
+    { name: 'DevOps', category: 'practice' },
+    { name: 'Security', category: 'practice', aliases: ['cybersecurity', 'application security', 'appsec'], caseSensitive: true, needsContext: true },
+    { name: 'Accessibility', category: 'practice', aliases: ['a11y', 'wcag'] },
+    { name: 'UX Design', category: 'practice', aliases: ['ux', 'user experience', 'ui/ux'] },
+    { name: 'Project Management', category: 'practice', aliases: ['program management'] },
+
+    // Soft skills
+    { name: 'Leadership', category: 'soft', aliases: ['team leadership', 'technical leadership', 'leading teams'] },
+    { name: 'Mentoring', category: 'soft', aliases: ['mentorship', 'mentor', 'mentored', 'coaching'] },
+    { name: 'Communication', category: 'soft', aliases: ['communication skills', 'written communication', 'verbal communication'] },
+    { name: 'Collaboration', category: 'soft', aliases: ['teamwork', 'team player', 'cross-functional collaboration', 'cross-functional'] },
+    { name: 'Problem Solving', category: 'soft', aliases: ['problem-solving', 'troubleshooting'] },
+    { name: 'Critical Thinking', category: 'soft', aliases: ['analytical thinking', 'analytical skills'] },
+    { name: 'Time Management', category: 'soft', aliases: ['prioritization'] },
+    { name: 'Adaptability', category: 'soft', aliases: ['flexibility'] },
+    { name: 'Stakeholder Management', category: 'soft', aliases: ['stakeholder communication'] }
+];
+
+// Create global instance
+window.skillTaxonomy = new SkillTaxonomy();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkillTaxonomy;
+}
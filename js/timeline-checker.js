@@ -0,0 +1,126 @@
+/**
+ * Timeline Checker
+ * Lints the dates in experience and education for the things recruiters notice first:
+ * long gaps, overlapping full-time roles, reversed ranges, a degree finished after the first
+ * full-time job and more than one current role
+ */
+
+class TimelineChecker {
+    constructor() {
+        this.storageKey = 'timeline_gap_months';
+        this.defaultGapMonths = 6;
+        // Roles matching this are expected to overlap with a full-time job
+        this.partTimePattern = /\b(part[- ]?time|freelance|freelancer|contract|contractor|intern|internship|volunteer|adjunct|advis[oe]r|board member|consultant|self[- ]employed|side project|teaching assistant|research assistant|working student)\b/i;
+    }
+
+    /**
+     * @returns {number} Shortest break, in months, reported as a gap
+     */
+    getGapThreshold() {
+        const saved = parseInt(localStorage.getItem(this.storageKey), 10);
+        return saved > 0 ? saved : this.defaultGapMonths;
+    }
+
+    setGapThreshold(months) {
+        const value = parseInt(months, 10);
+        if (value > 0) {
+            localStorage.setItem(this.storageKey, String(value));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * Check a resume's timeline
+     * @param {Object} resume - Resume data
+     * @param {Object} options - { gapThresholdMonths, now } overriding the saved threshold and today
+     * @returns {Object} { warnings, issues: [{ path, type, message, severity }] }
+     */
+    check(resume, options = {}) {
+        const timeline = window.resumeTimeline;
+        const now = options.now || new Date();
+        const gapThresholdMonths = options.gapThresholdMonths || this.getGapThreshold();
+        const result = timeline.build(resume, { now, gapThresholdMonths });
+        const experience = resume?.experience || [];
+        const issues = [];
+
+        result.experience.forEach(entry => {
+            const exp = experience[entry.index] || {};
+            if (entry.start && entry.end && !entry.end.ongoing &&
+                timeline.toIndex(entry.end, 'end', now) < timeline.toIndex(entry.start, 'start', now)) {
+                issues.push(this.issue(`experience[${entry.index}].endDate`, 'end-before-start',
+                    `${timeline.describeEntry(entry)} ends (${entry.end.text}) before it starts (${entry.start.text})`));
+            } else if ((exp.startDate && !entry.start) || (exp.endDate && !entry.end)) {
+                const field = exp.startDate && !entry.start ? 'startDate' : 'endDate';
+                issues.push(this.issue(`experience[${entry.index}].${field}`, 'unrecognized-date',
+                    `"${exp[field]}" is not a date the timeline understands; use e.g. "Jan 2020", "2020" or "Present"`));
+            }
+        });
+
+        result.gaps.forEach(gap => {
+            issues.push(this.issue(`experience[${gap.before.index}].startDate`, 'gap',
+                `${timeline.formatDuration(gap.months)} gap (${timeline.formatDate(gap.from)} – ${timeline.formatDate(gap.to)}) before ${timeline.describeEntry(gap.before)}`));
+        });
+
+        result.overlaps
+            .filter(overlap => this.isFullTime(experience[overlap.first.index]) && this.isFullTime(experience[overlap.second.index]))
+            .forEach(overlap => {
+                issues.push(this.issue(`experience[${overlap.second.index}].startDate`, 'overlap',
+                    `${timeline.describeEntry(overlap.second)} overlaps ${timeline.describeEntry(overlap.first)} by ${timeline.formatDuration(overlap.months)}; mark one as part-time or contract if that is what it was`));
+            });
+
+        const current = result.experience.filter(entry => entry.ongoing);
+        if (current.length > 1) {
+            current.slice(1).forEach(entry => {
+                issues.push(this.issue(`experience[${entry.index}].endDate`, 'multiple-present',
+                    `${current.length} roles end in "Present"; ${timeline.describeEntry(entry)} is also marked current`));
+            });
+        }
+
+        this.checkGraduation(result, experience, issues, now);
+
+        return { warnings: issues.length, issues };
+    }
+
+    /**
+     * Flag the first degree when it was finished after the first full-time role began.
+     * Year-only dates are read in the candidate's favour so only clear cases are reported
+     */
+    checkGraduation(result, experience, issues, now) {
+        const timeline = window.resumeTimeline;
+        const firstDegree = result.education
+            .filter(edu => edu.graduation && !edu.ongoing)
+            .map(edu => ({ ...edu, earliest: timeline.toIndex(edu.graduation, 'start', now) }))
+            .sort((a, b) => a.earliest - b.earliest)[0];
+        const firstJob = result.experience
+            .filter(entry => entry.months !== null && this.isFullTime(experience[entry.index]))
+            .map(entry => ({ ...entry, latestStart: entry.start?.month ? entry.startIndex : timeline.toIndex(entry.start, 'end', now) }))
+            .sort((a, b) => a.startIndex - b.startIndex)[0];
+
+        if (!firstDegree || !firstJob || firstDegree.earliest <= firstJob.latestStart) return;
+
+        const degree = [firstDegree.degree, firstDegree.institution].filter(Boolean).join(', ') || `Education ${firstDegree.index + 1}`;
+        issues.push(this.issue(`education[${firstDegree.index}].graduationDate`, 'graduation-after-job',
+            `${degree} was completed (${firstDegree.graduation.text}) after the first full-time role started (${timeline.describeEntry(firstJob)}, ${firstJob.start.text}); label roles held while studying as internships or part-time`));
+    }
+
+    /**
+     * Roles count as full-time unless their title, company or employment type says otherwise
+     */
+    isFullTime(exp) {
+        if (!exp) return false;
+        return !this.partTimePattern.test([exp.title, exp.company, exp.employmentType].filter(Boolean).join(' '));
+    }
+
+    issue(path, type, message) {
+        return { path, type, message, severity: 'warning' };
+    }
+}
+
+// Create global instance
+window.timelineChecker = new TimelineChecker();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineChecker;
+}